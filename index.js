@@ -1,37 +1,113 @@
-const { Client, GatewayIntentBits, EmbedBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder, SlashCommandBuilder } = require('discord.js');
+const { Client, GatewayIntentBits, EmbedBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder, SlashCommandBuilder, PermissionFlagsBits, ModalBuilder, LabelBuilder, TextInputBuilder, TextInputStyle, StringSelectMenuBuilder, ContextMenuCommandBuilder, ApplicationCommandType, ChannelType, ThreadAutoArchiveDuration, messageLink, channelLink } = require('discord.js');
 const { REST } = require('@discordjs/rest');
+const crypto = require('crypto');
 const { Routes } = require('discord-api-types/v10');
-const { exec } = require('child_process');
-const util = require('util');
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
-const winston = require('winston');
 const express = require('express');
-const crypto = require('crypto');
+const cron = require('node-cron');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
-const execAsync = util.promisify(exec);
-
-// Configure logger
-const logger = winston.createLogger({
-    level: process.env.LOG_LEVEL || 'info',
-    format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.errors({ stack: true }),
-        winston.format.json()
-    ),
-    defaultMeta: { service: 'xtsystems-discord-bot' },
-    transports: [
-        new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-        new winston.transports.File({ filename: 'logs/combined.log' }),
-        new winston.transports.Console({
-            format: winston.format.simple()
-        })
-    ]
-});
+const logger = require('./lib/logger');
+const { StateStore } = require('./lib/state-store');
+const { RepositoryLinks, formatRepository, repositoryUrl } = require('./lib/repository-links');
+const { GitHubClient, GitHubError } = require('./lib/github-client');
+const { XTSystemsClient } = require('./lib/xtsystems-client');
+const { WEBHOOK_EVENTS, SUPPORTED_EVENTS, getEventDefinition, partitionEvents } = require('./lib/webhook-events');
+const { DeliveryTracker } = require('./lib/delivery-tracker');
+const { matchSignature, timestampToMillis, parseSecrets } = require('./lib/webhook-signature');
+const { NotificationQueue } = require('./lib/notification-queue');
+const { findSimilarIssues } = require('./lib/issue-similarity');
+const { AnalysisScheduler } = require('./lib/analysis-scheduler');
+const { ConcurrencyLimiter } = require('./lib/concurrency-limiter');
+const { captureMessage, loadTextLogs, formatAttachments, summarizeAttachments } = require('./lib/report-attachments');
+const { IssueLinks, BOT_COMMENT_MARKER } = require('./lib/issue-links');
+const { GitHubAccounts, normalizeUsername } = require('./lib/github-accounts');
+const { Permissions, ACTIONS, COMMAND_ACTIONS } = require('./lib/permissions');
+const { AGiXTClient } = require('./lib/agixt-client');
+const { OpenAICompatibleClient } = require('./lib/openai-client');
+const { loadPrompt, DEFAULT_CONVERSATION_PROMPT } = require('./lib/analysis-prompt');
+const { AnalysisMetrics } = require('./lib/analysis-metrics');
+const { ANALYZER_NAMES, KeywordAnalyzer, LLMAnalyzer, AnalyzerChain, mergeFindings, parsePipeline, loadKeywordRules } = require('./lib/analyzers');
+const { parseMessageReference, fetchChannelHistory, selectHistory, chunkMessages } = require('./lib/channel-history');
+const { ActivityLog } = require('./lib/activity-log');
+const { TicketLinks, isDue, nextPriority } = require('./lib/reminders');
+const { DIGEST_SECTIONS, WEEKDAYS, PERIODS, parseTime, describeSchedule, summarizeIssueActivity, groupByPriority, joinLines, DigestScheduler } = require('./lib/digests');
+
+const DEFAULT_WEBHOOK_SECRET = 'default-secret';
+
+// Deliveries signed further than this from the current time are rejected as replays
+const WEBHOOK_TIMESTAMP_TOLERANCE = 5 * 60 * 1000;
+
+// Discord API errors that retrying won't fix: unknown channel, missing access/permissions, invalid body
+const PERMANENT_DISCORD_ERRORS = [10003, 50001, 50013, 50035];
+
+// Suggestions nobody acted on are dropped from the state file after this long
+const PENDING_ANALYSIS_TTL = 30 * 24 * 60 * 60 * 1000;
+
+const ISSUE_TYPES = [
+    { name: 'Bug', value: 'bug' },
+    { name: 'Feature Request', value: 'enhancement' },
+    { name: 'Documentation', value: 'documentation' },
+    { name: 'Question', value: 'question' }
+];
+
+const ISSUE_PRIORITIES = [
+    { name: 'Low', value: 'low' },
+    { name: 'Medium', value: 'medium' },
+    { name: 'High', value: 'high' },
+    { name: 'Critical', value: 'critical' }
+];
+
+// Where "Create ..." buttons on detected suggestions file the report
+const SUGGESTION_TARGETS = [
+    { name: 'GitHub issue', value: 'github' },
+    { name: 'XTSystems ticket', value: 'xtsystems' },
+    { name: 'Both', value: 'both' }
+];
+
+// Discord's limits for modal text inputs (GitHub allows 256 characters in titles)
+const ISSUE_TITLE_MAX_LENGTH = 256;
+const ISSUE_DESCRIPTION_MAX_LENGTH = 4000;
+
+// Issue reports waiting on a "Comment on #N instead" / "Create anyway" choice
+const ISSUE_DRAFT_TTL = 24 * 60 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Message context-menu commands (right-click a message → Apps)
+const CONTEXT_MENU_COMMANDS = {
+    issue: 'Create GitHub issue',
+    ticket: 'Create XTSystems ticket'
+};
+
+// GitHub's search API stops after this many results
+const GITHUB_SEARCH_RESULT_LIMIT = 1000;
+
+// Channels a digest can be posted in; categories, voice and forum channels can't take messages
+const DIGEST_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.PublicThread, ChannelType.PrivateThread, ChannelType.AnnouncementThread];
+
+// Issues updated in a digest's period that are counted per repository
+const DIGEST_ISSUE_LIMIT = 500;
+
+// How long a repository's labels are reused before asking GitHub again
+const LABEL_CACHE_TTL = 5 * 60 * 1000;
+
+// Comments shown under an issue in /issue view
+const ISSUE_VIEW_COMMENTS = 3;
+
+// How long the buttons on an /issue view keep working after it was last shown
+const ISSUE_VIEW_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Number of open issues compared against a new report when looking for duplicates
+const DUPLICATE_SEARCH_LIMIT = 100;
+
+// GitHub webhook events mirrored to Discord for issues filed from Discord
+const GITHUB_SYNC_EVENTS = ['issues', 'issue_comment'];
+const GITHUB_DELIVERY_HEADER = 'x-github-delivery';
 
 class XTSystemsDiscordBot {
     constructor() {
@@ -50,39 +126,204 @@ class XTSystemsDiscordBot {
             guildId: process.env.DISCORD_GUILD_ID,
             xtsystemsApiUrl: process.env.XTSYSTEMS_API_URL || 'http://localhost:20437',
             xtsystemsApiKey: process.env.XTSYSTEMS_API_KEY,
+            xtsystemsWebUrl: process.env.XTSYSTEMS_WEB_URL,
             agitxtApiUrl: process.env.AGIXT_API_URL || 'http://localhost:7437',
             agitxtApiKey: process.env.AGIXT_API_KEY,
+            agitxtAgentName: process.env.AGIXT_AGENT_NAME || 'XTSystems-Analyzer',
+            openaiApiUrl: process.env.OPENAI_API_URL,
+            openaiApiKey: process.env.OPENAI_API_KEY,
+            openaiModel: process.env.OPENAI_MODEL || 'llama3.1',
+            analysisPromptFile: process.env.ANALYSIS_PROMPT_FILE,
+            conversationPromptFile: process.env.CONVERSATION_PROMPT_FILE,
+            keywordRulesFile: process.env.KEYWORD_RULES_FILE,
+            // Cheap keyword rules first; the LLM is only asked when they are inconclusive
+            analyzerPipeline: parsePipeline(process.env.ANALYZER_PIPELINE || 'keyword,agixt'),
+            analysisConclusiveConfidence: parseInt(process.env.ANALYSIS_CONCLUSIVE_CONFIDENCE) || 80,
+            // Monitored channels are analyzed once a burst of messages settles
+            analysisDebounceSeconds: parseFloat(process.env.ANALYSIS_DEBOUNCE_SECONDS) || 10,
+            analysisMaxWaitSeconds: parseFloat(process.env.ANALYSIS_MAX_WAIT_SECONDS) || 60,
+            analysisMaxConcurrency: parseInt(process.env.ANALYSIS_MAX_CONCURRENCY) || 2,
+            suggestionTopicThreshold: parseFloat(process.env.SUGGESTION_TOPIC_THRESHOLD) || 0.45,
+            // Text logs up to this size are copied into issues and tickets instead of only linked
+            attachmentInlineMaxBytes: parseInt(process.env.ATTACHMENT_INLINE_MAX_BYTES) || 16 * 1024,
+            // Messages before and after a context-menu selection given to the analyzer (0 disables)
+            contextMenuSurroundingMessages: parseInt(process.env.CONTEXT_MENU_SURROUNDING_MESSAGES ?? '5') || 0,
+            // Upper bound on the history /analyze-conversation reads, and the transcript size per analyzer call
+            conversationMaxMessages: parseInt(process.env.CONVERSATION_MAX_MESSAGES) || 500,
+            conversationChunkChars: parseInt(process.env.CONVERSATION_CHUNK_CHARS) || 8000,
             githubToken: process.env.GITHUB_TOKEN,
+            githubApiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
             repoOwner: process.env.REPO_OWNER || 'DevXT-LLC',
             repoName: process.env.REPO_NAME || 'xtsystems',
             monitorChannels: process.env.MONITOR_CHANNELS ? process.env.MONITOR_CHANNELS.split(',') : [],
             autoCreateIssues: process.env.AUTO_CREATE_ISSUES === 'true',
             analysisThreshold: parseInt(process.env.ANALYSIS_THRESHOLD) || 3,
+            suggestionTarget: SUGGESTION_TARGETS.some(({ value }) => value === process.env.SUGGESTION_TARGET) ?
+                process.env.SUGGESTION_TARGET : 'both',
+            duplicateDetection: process.env.DUPLICATE_DETECTION !== 'false',
+            issueThreads: process.env.ISSUE_THREADS !== 'false',
+            duplicateThreshold: parseFloat(process.env.DUPLICATE_THRESHOLD) || 0.45,
             webhookPort: parseInt(process.env.WEBHOOK_PORT) || 3000,
-            webhookSecret: process.env.WEBHOOK_SECRET || 'default-secret',
+            webhookSecret: process.env.WEBHOOK_SECRET || DEFAULT_WEBHOOK_SECRET,
+            // Secrets still accepted while XTSystems is switched over to the new WEBHOOK_SECRET
+            webhookPreviousSecrets: parseSecrets(process.env.WEBHOOK_PREVIOUS_SECRETS),
             webhookPath: process.env.WEBHOOK_PATH || '/webhooks/xtsystems',
+            webhookAsyncProcessing: process.env.WEBHOOK_ASYNC_PROCESSING === 'true',
+            webhookDedupTtlHours: parseInt(process.env.WEBHOOK_DEDUP_TTL_HOURS) || 24,
+            githubWebhookPath: process.env.GITHUB_WEBHOOK_PATH || '/webhooks/github',
+            githubWebhookSecrets: parseSecrets(process.env.GITHUB_WEBHOOK_SECRET),
+            notificationMaxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 8,
             discordWebhookChannels: process.env.DISCORD_WEBHOOK_CHANNELS ?
-                JSON.parse(process.env.DISCORD_WEBHOOK_CHANNELS) : {}
+                JSON.parse(process.env.DISCORD_WEBHOOK_CHANNELS) : {},
+            machineApproverRoles: process.env.MACHINE_APPROVER_ROLES ?
+                process.env.MACHINE_APPROVER_ROLES.split(',').map(role => role.trim()).filter(Boolean) : [],
+            // Follow-ups for reports nobody picked up (0 turns either kind off)
+            staleIssueDays: parseInt(process.env.STALE_ISSUE_DAYS ?? '14') || 0,
+            unattendedTicketDays: parseInt(process.env.UNATTENDED_TICKET_DAYS ?? '3') || 0,
+            reminderSchedule: process.env.REMINDER_SCHEDULE || '0 9 * * *',
+            reminderRoleId: process.env.REMINDER_ROLE_ID,
+            reminderSnoozeDays: parseInt(process.env.REMINDER_SNOOZE_DAYS) || 7,
+            // Time zone for digest and reminder schedules, e.g. Europe/Berlin (default: the server's)
+            digestTimezone: process.env.DIGEST_TIMEZONE,
+            dataDir: process.env.DATA_DIR || path.join(__dirname, 'data')
         };
 
+        // Runtime state (monitored channels, repository link, pending suggestions) persisted across restarts
+        this.store = new StateStore(path.join(this.config.dataDir, 'bot-state.json'));
+        this.githubAPI = new GitHubClient({
+            token: this.config.githubToken,
+            baseUrl: this.config.githubApiUrl
+        });
+
+        this.xtsystemsAPI = new XTSystemsClient({
+            apiUrl: this.config.xtsystemsApiUrl,
+            apiKey: this.config.xtsystemsApiKey
+        });
+
+        const analysisPrompt = loadPrompt(this.config.analysisPromptFile);
+        const conversationPrompt = loadPrompt(this.config.conversationPromptFile, DEFAULT_CONVERSATION_PROMPT);
+        this.analysisMetrics = new AnalysisMetrics();
+        this.agitxtAPI = new AGiXTClient({
+            apiUrl: this.config.agitxtApiUrl,
+            apiKey: this.config.agitxtApiKey,
+            agentName: this.config.agitxtAgentName,
+            prompt: analysisPrompt,
+            conversationPrompt,
+            metrics: this.analysisMetrics
+        });
+        this.openaiAPI = this.config.openaiApiUrl ? new OpenAICompatibleClient({
+            apiUrl: this.config.openaiApiUrl,
+            apiKey: this.config.openaiApiKey,
+            model: this.config.openaiModel,
+            prompt: analysisPrompt,
+            conversationPrompt,
+            metrics: this.analysisMetrics
+        }) : null;
+        this.keywordRules = loadKeywordRules(this.config.keywordRulesFile);
+        this.llmLimiter = new ConcurrencyLimiter(this.config.analysisMaxConcurrency);
+        this.analysisScheduler = new AnalysisScheduler({
+            run: (channelId, messages) => this.analyzeMessageForIssues(messages, this.conversationHistory.get(channelId) || []),
+            delay: this.config.analysisDebounceSeconds * 1000,
+            maxWait: this.config.analysisMaxWaitSeconds * 1000
+        });
+
+        this.machineDecisionsInFlight = new Set();
+        this.webhookDeliveries = new DeliveryTracker(this.store, {
+            ttl: this.config.webhookDedupTtlHours * 60 * 60 * 1000
+        });
+        this.githubDeliveries = new DeliveryTracker(this.store, {
+            ttl: this.config.webhookDedupTtlHours * 60 * 60 * 1000,
+            collection: 'githubDeliveries'
+        });
+        this.issueLinks = new IssueLinks(this.store);
+        this.ticketLinks = new TicketLinks(this.store);
+        this.githubAccounts = new GitHubAccounts(this.store);
+        this.labelCache = new Map();
+        this.permissions = new Permissions(this.store, {
+            grants: { 'machine-approval': { roles: this.config.machineApproverRoles } }
+        });
+        this.notificationQueue = new NotificationQueue(this.store, {
+            send: item => this.deliverNotification(item),
+            isReady: () => this.client.isReady(),
+            isPermanentError: error => error.permanent || PERMANENT_DISCORD_ERRORS.includes(error.code),
+            onDelivered: (item, message) => this.handleNotificationDelivered(item, message),
+            maxAttempts: this.config.notificationMaxAttempts
+        });
+
+        this.repositoryLinks = new RepositoryLinks(this.store, () => {
+            // A bot-wide link from an older state file that loadState couldn't move to a guild
+            const legacy = this.store.get('repository');
+            return legacy
+                ? { owner: legacy.owner, repo: legacy.repo }
+                : { owner: this.config.repoOwner, repo: this.config.repoName };
+        });
+
+        this.activityLog = new ActivityLog(this.store);
+        this.digestScheduler = new DigestScheduler({
+            run: channelId => this.postScheduledDigest(channelId),
+            timezone: this.config.digestTimezone
+        });
+
         this.conversationHistory = new Map(); // Channel ID -> Array of messages
-        this.issueKeywords = [
-            'bug', 'issue', 'problem', 'error', 'broken', 'not working', 'failed', 'crash', 'exception'
-        ];
-        this.featureKeywords = [
-            'feature', 'enhancement', 'improvement', 'suggest', 'add', 'implement', 'would be nice', 'request'
-        ];
 
         this.setupEventListeners();
-        this.registerCommands();
         this.setupWebhookServer();
     }
 
+    async loadState() {
+        await this.store.load();
+
+        // Values changed at runtime take precedence over the environment defaults
+        this.config.monitorChannels = this.store.get('monitorChannels', this.config.monitorChannels);
+
+        // Older state files kept a single bot-wide link; it becomes the guild default. Without
+        // DISCORD_GUILD_ID there is no guild to move it to, so it stays as the bot-wide fallback
+        const legacyRepository = this.store.get('repository');
+        if (legacyRepository && this.config.guildId) {
+            try {
+                if (!this.repositoryLinks.get('guild', this.config.guildId)) {
+                    this.repositoryLinks.link('guild', this.config.guildId, legacyRepository.owner, legacyRepository.repo);
+                }
+                this.store.delete('repository');
+            } catch (error) {
+                logger.warn(`Kept the bot-wide repository link: ${error.message}`);
+            }
+        }
+
+        const interrupted = this.webhookDeliveries.recoverInterrupted() + this.githubDeliveries.recoverInterrupted();
+        if (interrupted > 0) {
+            logger.warn(`${interrupted} webhook delivery(ies) were interrupted by the last shutdown and will be reprocessed on retry`);
+        }
+
+        const removed = this.store.prune('pendingAnalyses', entry =>
+            Date.now() - entry.createdAt > PENDING_ANALYSIS_TTL
+        );
+        if (removed > 0) {
+            logger.info(`Discarded ${removed} expired pending suggestion(s)`);
+        }
+
+        this.store.prune('issueDrafts', entry => Date.now() - entry.createdAt > ISSUE_DRAFT_TTL);
+        this.store.prune('contextReports', entry => Date.now() - entry.createdAt > ISSUE_DRAFT_TTL);
+        this.store.prune('issueListings', entry => Date.now() - entry.createdAt > ISSUE_DRAFT_TTL);
+        this.store.prune('issueViews', entry => Date.now() - entry.shownAt > ISSUE_VIEW_TTL);
+        const forgotten = this.notificationQueue.pruneDeadLetters();
+        if (forgotten > 0) {
+            logger.info(`Discarded ${forgotten} old failed notification(s)`);
+        }
+        // Reminder buttons work for as long as the issue or ticket is followed up
+        this.store.prune('reminders', ({ kind, ref }) => !this.findReminded(kind, ref));
+        this.activityLog.prune();
+    }
+
     setupEventListeners() {
         this.client.once('ready', () => {
             logger.info(`${this.client.user.tag} is now online and monitoring channels!`);
         });
 
+        // Flush notifications queued while the bot was offline or reconnecting
+        this.client.on('ready', () => this.notificationQueue.retryPendingNow());
+        this.client.on('shardResume', () => this.notificationQueue.retryPendingNow());
+
         this.client.on('messageCreate', async (message) => {
             await this.handleMessage(message);
         });
@@ -100,44 +341,74 @@ class XTSystemsDiscordBot {
         const commands = [
             new SlashCommandBuilder()
                 .setName('create-issue')
-                .setDescription('Manually create a GitHub issue')
+                .setDescription('Manually create a GitHub issue (opens a form for anything left out)')
                 .addStringOption(option =>
                     option.setName('title')
                         .setDescription('Issue title')
-                        .setRequired(true))
+                        .setMaxLength(ISSUE_TITLE_MAX_LENGTH)
+                        .setRequired(false))
                 .addStringOption(option =>
                     option.setName('description')
-                        .setDescription('Issue description')
-                        .setRequired(true))
+                        .setDescription('Issue description (leave empty to write it in a form)')
+                        .setRequired(false))
                 .addStringOption(option =>
                     option.setName('type')
                         .setDescription('Issue type')
-                        .setRequired(true)
-                        .addChoices(
-                            { name: 'Bug', value: 'bug' },
-                            { name: 'Feature Request', value: 'enhancement' },
-                            { name: 'Documentation', value: 'documentation' },
-                            { name: 'Question', value: 'question' }
-                        ))
+                        .setRequired(false)
+                        .addChoices(...ISSUE_TYPES))
                 .addStringOption(option =>
                     option.setName('priority')
                         .setDescription('Issue priority')
                         .setRequired(false)
-                        .addChoices(
-                            { name: 'Low', value: 'low' },
-                            { name: 'Medium', value: 'medium' },
-                            { name: 'High', value: 'high' },
-                            { name: 'Critical', value: 'critical' }
-                        )),
+                        .addChoices(...ISSUE_PRIORITIES)),
 
             new SlashCommandBuilder()
                 .setName('list-issues')
-                .setDescription('List recent GitHub issues')
+                .setDescription('List and search GitHub issues')
+                .addStringOption(option =>
+                    option.setName('state')
+                        .setDescription('Issue state (default: open)')
+                        .setRequired(false)
+                        .addChoices({ name: 'Open', value: 'open' }, { name: 'Closed', value: 'closed' }, { name: 'All', value: 'all' }))
+                .addStringOption(option =>
+                    option.setName('label')
+                        .setDescription('Only issues with this label')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('assignee')
+                        .setDescription('GitHub username of the assignee, or "none" for unassigned issues')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('author')
+                        .setDescription('GitHub username of the author')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('search')
+                        .setDescription('Words to look for in titles and descriptions')
+                        .setRequired(false))
                 .addIntegerOption(option =>
                     option.setName('limit')
-                        .setDescription('Number of issues to show (default: 10)')
+                        .setDescription('Issues per page (default: 10)')
+                        .setMinValue(1)
+                        .setMaxValue(25)
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('compact')
+                        .setDescription('One line per issue (default: on for more than 10 per page)')
                         .setRequired(false)),
 
+            new SlashCommandBuilder()
+                .setName('issue')
+                .setDescription('Look at a GitHub issue')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('view')
+                        .setDescription('Show an issue with its latest comments and buttons to act on it')
+                        .addIntegerOption(option =>
+                            option.setName('number')
+                                .setDescription('Issue number')
+                                .setMinValue(1)
+                                .setRequired(true))),
+
             new SlashCommandBuilder()
                 .setName('close-issue')
                 .setDescription('Close a GitHub issue')
@@ -150,18 +421,111 @@ class XTSystemsDiscordBot {
                         .setDescription('Closing comment')
                         .setRequired(false)),
 
+            new SlashCommandBuilder()
+                .setName('reopen-issue')
+                .setDescription('Reopen a closed GitHub issue')
+                .addIntegerOption(option =>
+                    option.setName('number')
+                        .setDescription('Issue number')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('comment')
+                        .setDescription('Why the issue is being reopened')
+                        .setRequired(false)),
+
+            new SlashCommandBuilder()
+                .setName('comment-issue')
+                .setDescription('Comment on a GitHub issue')
+                .addIntegerOption(option =>
+                    option.setName('number')
+                        .setDescription('Issue number')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('comment')
+                        .setDescription('The comment')
+                        .setMaxLength(4000)
+                        .setRequired(true)),
+
+            new SlashCommandBuilder()
+                .setName('assign-issue')
+                .setDescription('Assign a GitHub issue')
+                .addIntegerOption(option =>
+                    option.setName('number')
+                        .setDescription('Issue number')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('github-user')
+                        .setDescription('GitHub username to assign (default: your own, once you have used Assign Me)')
+                        .setRequired(false)),
+
+            new SlashCommandBuilder()
+                .setName('label-issue')
+                .setDescription('Add or remove a label on a GitHub issue')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add')
+                        .setDescription('Add a label')
+                        .addIntegerOption(option =>
+                            option.setName('number')
+                                .setDescription('Issue number')
+                                .setRequired(true))
+                        .addStringOption(option =>
+                            option.setName('label')
+                                .setDescription('One of the repository\'s labels')
+                                .setAutocomplete(true)
+                                .setRequired(true)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Remove a label')
+                        .addIntegerOption(option =>
+                            option.setName('number')
+                                .setDescription('Issue number')
+                                .setRequired(true))
+                        .addStringOption(option =>
+                            option.setName('label')
+                                .setDescription('One of the repository\'s labels')
+                                .setAutocomplete(true)
+                                .setRequired(true))),
+
             new SlashCommandBuilder()
                 .setName('analyze-conversation')
-                .setDescription('Analyze recent conversation for potential issues/features')
+                .setDescription('Analyze channel history for potential issues/features')
                 .addIntegerOption(option =>
                     option.setName('messages')
-                        .setDescription('Number of recent messages to analyze (default: 20)')
+                        .setDescription('Number of recent messages to analyze (default: 50 without another range)')
+                        .setMinValue(1)
+                        .setMaxValue(500)
+                        .setRequired(false))
+                .addNumberOption(option =>
+                    option.setName('hours')
+                        .setDescription('Only analyze messages from the last N hours')
+                        .setMinValue(0.1)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('since')
+                        .setDescription('Only analyze from this message on (message ID or link)')
                         .setRequired(false)),
 
             new SlashCommandBuilder()
                 .setName('toggle-monitoring')
                 .setDescription('Toggle automatic issue creation for this channel'),
 
+            new SlashCommandBuilder()
+                .setName('suggestion-target')
+                .setDescription('Choose whether suggestions in this channel create GitHub issues, XTSystems tickets or both')
+                .addStringOption(option =>
+                    option.setName('target')
+                        .setDescription('What the suggestion buttons create (omit to show the current setting)')
+                        .setRequired(false)
+                        .addChoices(...SUGGESTION_TARGETS, { name: 'Bot default', value: 'default' })),
+
+            new SlashCommandBuilder()
+                .setName('analyzer-pipeline')
+                .setDescription('Choose which analyzers check messages in this channel, in order')
+                .addStringOption(option =>
+                    option.setName('pipeline')
+                        .setDescription(`Comma-separated: ${ANALYZER_NAMES.join(', ')}; "default" resets (omit to show the current one)`)
+                        .setRequired(false)),
+
             new SlashCommandBuilder()
                 .setName('link-repo')
                 .setDescription('Link this channel to a specific GitHub repository')
@@ -172,7 +536,31 @@ class XTSystemsDiscordBot {
                 .addStringOption(option =>
                     option.setName('repo')
                         .setDescription('Repository name')
-                        .setRequired(true)),
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('scope')
+                        .setDescription('Link only this channel or set the server default (default: channel)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'This channel', value: 'channel' },
+                            { name: 'Server default', value: 'guild' }
+                        )),
+
+            new SlashCommandBuilder()
+                .setName('unlink-repo')
+                .setDescription('Remove the GitHub repository link for this channel or server')
+                .addStringOption(option =>
+                    option.setName('scope')
+                        .setDescription('Remove the channel link or the server default (default: channel)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'This channel', value: 'channel' },
+                            { name: 'Server default', value: 'guild' }
+                        )),
+
+            new SlashCommandBuilder()
+                .setName('list-repo-links')
+                .setDescription('Show which GitHub repository each channel is linked to'),
 
             new SlashCommandBuilder()
                 .setName('bot-status')
@@ -218,9 +606,142 @@ class XTSystemsDiscordBot {
 
             new SlashCommandBuilder()
                 .setName('webhook-config')
-                .setDescription('Show webhook configuration and channel mappings')
+                .setDescription('Show webhook configuration and channel mappings'),
+
+            new SlashCommandBuilder()
+                .setName('notification-queue')
+                .setDescription('Inspect, retry and discard queued Discord notifications')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('status')
+                        .setDescription('Show pending and failed notifications'))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('retry')
+                        .setDescription('Retry failed notifications')
+                        .addStringOption(option =>
+                            option.setName('id')
+                                .setDescription('Notification ID to retry (default: all failed notifications)')
+                                .setRequired(false)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('drop')
+                        .setDescription('Discard failed notifications without sending them')
+                        .addStringOption(option =>
+                            option.setName('id')
+                                .setDescription('Notification ID to discard (default: all failed notifications)')
+                                .setRequired(false))),
+
+            new SlashCommandBuilder()
+                .setName('permissions')
+                .setDescription('Control which roles and members can use bot commands and buttons')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('grant')
+                        .setDescription('Allow a role or member to perform an action')
+                        .addStringOption(option => this.addActionChoices(option))
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('Role to allow')
+                                .setRequired(false))
+                        .addUserOption(option =>
+                            option.setName('user')
+                                .setDescription('Member to allow')
+                                .setRequired(false)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('revoke')
+                        .setDescription('Remove a role or member granted an action')
+                        .addStringOption(option => this.addActionChoices(option))
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('Role to remove')
+                                .setRequired(false))
+                        .addUserOption(option =>
+                            option.setName('user')
+                                .setDescription('Member to remove')
+                                .setRequired(false)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('reset')
+                        .setDescription('Remove all grants for an action and go back to the default')
+                        .addStringOption(option => this.addActionChoices(option)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('list')
+                        .setDescription('Show who can perform each action')),
+
+            new SlashCommandBuilder()
+                .setName('digest')
+                .setDescription('Schedule daily or weekly digests of issues, tickets, alerts and suggestions')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('schedule')
+                        .setDescription('Post a digest to a channel every day or week')
+                        .addStringOption(option =>
+                            option.setName('frequency')
+                                .setDescription('How often to post')
+                                .setRequired(true)
+                                .addChoices({ name: 'Daily', value: 'daily' }, { name: 'Weekly', value: 'weekly' }))
+                        .addStringOption(option =>
+                            option.setName('time')
+                                .setDescription('Time of day as HH:MM (default: 09:00)')
+                                .setRequired(false))
+                        .addStringOption(option =>
+                            option.setName('weekday')
+                                .setDescription('Day for weekly digests (default: Monday)')
+                                .setRequired(false)
+                                .addChoices(...WEEKDAYS.map(day => ({ name: `${day.charAt(0).toUpperCase()}${day.slice(1)}`, value: day }))))
+                        .addChannelOption(option =>
+                            option.setName('channel')
+                                .setDescription('Channel to post in (default: this channel)')
+                                .addChannelTypes(...DIGEST_CHANNEL_TYPES)
+                                .setRequired(false)))
+                .addSubcommand(subcommand => {
+                    subcommand.setName('contents')
+                        .setDescription('Choose what a channel\'s digest includes');
+                    for (const [section, { description }] of Object.entries(DIGEST_SECTIONS)) {
+                        subcommand.addBooleanOption(option =>
+                            option.setName(section)
+                                .setDescription(description)
+                                .setRequired(false));
+                    }
+                    return subcommand.addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Channel whose digest to change (default: this channel)')
+                            .addChannelTypes(...DIGEST_CHANNEL_TYPES)
+                            .setRequired(false));
+                })
+                .addSubcommand(subcommand =>
+                    subcommand.setName('now')
+                        .setDescription('Post a digest now')
+                        .addStringOption(option =>
+                            option.setName('period')
+                                .setDescription('Period to cover (default: the channel\'s schedule, or the last day)')
+                                .setRequired(false)
+                                .addChoices({ name: 'Last day', value: 'daily' }, { name: 'Last week', value: 'weekly' }))
+                        .addChannelOption(option =>
+                            option.setName('channel')
+                                .setDescription('Channel to post in (default: this channel)')
+                                .addChannelTypes(...DIGEST_CHANNEL_TYPES)
+                                .setRequired(false)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('off')
+                        .setDescription('Stop posting digests to a channel')
+                        .addChannelOption(option =>
+                            option.setName('channel')
+                                .setDescription('Channel to stop (default: this channel)')
+                                .addChannelTypes(...DIGEST_CHANNEL_TYPES)
+                                .setRequired(false)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('list')
+                        .setDescription('Show the digests scheduled in this server')),
+
+            ...Object.values(CONTEXT_MENU_COMMANDS).map(name => new ContextMenuCommandBuilder()
+                .setName(name)
+                .setType(ApplicationCommandType.Message))
         ];
 
+        // Discord hides guarded commands from members without the action's default permission
+        for (const command of commands) {
+            const action = COMMAND_ACTIONS[command.name];
+            if (action && ACTIONS[action].defaultPermission !== null) {
+                command.setDefaultMemberPermissions(ACTIONS[action].defaultPermission);
+            }
+        }
+
         const rest = new REST({ version: '10' }).setToken(this.config.token);
 
         try {
@@ -238,6 +759,13 @@ class XTSystemsDiscordBot {
     async handleMessage(message) {
         if (message.author.bot) return;
 
+        // Discussion in an issue's thread belongs on GitHub rather than in the monitored history
+        const threadLink = this.issueLinks.getByThread(message.channel.id);
+        if (threadLink) {
+            await this.mirrorThreadMessage(message, threadLink);
+            return;
+        }
+
         const channelId = message.channel.id;
 
         // Store conversation history
@@ -246,11 +774,15 @@ class XTSystemsDiscordBot {
         }
 
         const history = this.conversationHistory.get(channelId);
+        const { url, attachments, embeds } = captureMessage(message);
         history.push({
             author: message.author.username,
             content: message.content,
             timestamp: message.createdTimestamp,
-            messageId: message.id
+            messageId: message.id,
+            url,
+            attachments,
+            embeds
         });
 
         // Keep only the last 50 messages per channel
@@ -260,7 +792,7 @@ class XTSystemsDiscordBot {
 
         // Check if this channel is being monitored
         if (this.config.monitorChannels.includes(channelId) && this.config.autoCreateIssues) {
-            await this.analyzeMessageForIssues(message, history);
+            this.analysisScheduler.schedule(channelId, message);
         }
 
         // Check for bot mentions or direct commands
@@ -269,125 +801,83 @@ class XTSystemsDiscordBot {
         }
     }
 
-    async analyzeMessageForIssues(message, history) {
+    // messages is a burst from one channel; the suggestion replies to the last of them
+    async analyzeMessageForIssues(messages, history) {
         try {
-            const recentMessages = history.slice(-this.config.analysisThreshold);
-            const conversationContext = recentMessages.map(msg =>
-                `${msg.author}: ${msg.content}`
-            ).join('\n');
-
-            // Use AGiXT to analyze the conversation
-            const analysis = await this.analyzeWithAGiXT(conversationContext, message.content);
+            const message = messages[messages.length - 1];
+            const recentMessages = history
+                .filter(entry => entry.timestamp < messages[0].createdTimestamp)
+                .slice(-this.config.analysisThreshold);
+            const conversationContext = recentMessages.map(msg => this.formatForAnalysis(msg)).join('\n');
+            const reportMessages = messages.map(captureMessage);
+            const burst = reportMessages.length === 1
+                ? this.formatForAnalysis(reportMessages[0], { withAuthor: false })
+                : reportMessages.map(msg => this.formatForAnalysis(msg)).join('\n');
+
+            const analysis = await this.analyzeConversation({ context: conversationContext, message: burst }, {
+                channelId: message.channel.id,
+                parentId: message.channel.isThread?.() ? message.channel.parentId : undefined
+            });
 
             if (analysis && (analysis.shouldCreateIssue || analysis.shouldCreateFeature)) {
-                await this.suggestIssueCreation(message, analysis);
+                await this.suggestIssueCreation(message, analysis, reportMessages);
             }
         } catch (error) {
             logger.error('Error analyzing message for issues:', error);
         }
     }
 
-    async analyzeWithAGiXT(conversationContext, currentMessage) {
-        try {
-            const prompt = `
-Analyze the following Discord conversation and current message to determine if it contains:
-1. A bug report or issue that should be tracked
-2. A feature request or enhancement suggestion
-3. General discussion that doesn't need tracking
-
-Conversation context:
-${conversationContext}
-
-Current message: ${currentMessage}
-
-Please respond with a JSON object containing:
-{
-    "shouldCreateIssue": boolean,
-    "shouldCreateFeature": boolean,
-    "issueType": "bug" | "enhancement" | "documentation" | "question" | null,
-    "title": "suggested title" | null,
-    "description": "suggested description" | null,
-    "priority": "low" | "medium" | "high" | "critical" | null,
-    "confidence": number (0-100),
-    "reasoning": "explanation of decision"
-}
-
-Consider:
-- Bug indicators: "not working", "error", "broken", "crash", "issue", "problem"
-- Feature indicators: "would be nice", "suggest", "add", "implement", "feature request"
-- Only suggest creation if the confidence is above 70%
-`;
-
-            const response = await axios.post(`${this.config.agitxtApiUrl}/api/v1/chat`, {
-                agent_name: 'XTSystems-Analyzer',
-                user_input: prompt,
-                conversation_name: `discord-analysis-${Date.now()}`
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.config.agitxtApiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+    // "author: text [attached: crash.png]" for history entries and captured messages
+    formatForAnalysis(entry, { withAuthor = true } = {}) {
+        const text = [entry.content, summarizeAttachments(entry)].filter(Boolean).join(' ');
+        return withAuthor ? `${entry.author}: ${text}` : text;
+    }
 
-            if (response.data && response.data.response) {
-                try {
-                    return JSON.parse(response.data.response);
-                } catch (parseError) {
-                    logger.warn('Could not parse AGiXT response as JSON:', response.data.response);
+    // Analyzers are built per run so replaced clients (and runtime pipeline changes) take effect
+    createAnalyzer(name) {
+        switch (name) {
+            case 'keyword':
+                return new KeywordAnalyzer(this.keywordRules);
+            case 'agixt':
+                return new LLMAnalyzer('agixt', this.agitxtAPI, { limiter: this.llmLimiter });
+            case 'openai':
+                if (!this.openaiAPI) {
+                    logger.warn('The openai analyzer is in a pipeline but OPENAI_API_URL is not set; skipping it');
                     return null;
                 }
-            }
-        } catch (error) {
-            logger.error('Error calling AGiXT API:', error);
-
-            // Fallback to simple keyword analysis
-            return this.simpleKeywordAnalysis(currentMessage);
+                return new LLMAnalyzer('openai', this.openaiAPI, { limiter: this.llmLimiter });
+            default:
+                return null;
         }
-
-        return null;
     }
 
-    simpleKeywordAnalysis(message) {
-        const content = message.toLowerCase();
-        const hasIssueKeywords = this.issueKeywords.some(keyword => content.includes(keyword));
-        const hasFeatureKeywords = this.featureKeywords.some(keyword => content.includes(keyword));
-
-        if (hasIssueKeywords) {
-            return {
-                shouldCreateIssue: true,
-                shouldCreateFeature: false,
-                issueType: 'bug',
-                title: `Bug report from Discord: ${message.substring(0, 50)}...`,
-                description: message,
-                priority: 'medium',
-                confidence: 60,
-                reasoning: 'Keyword-based analysis detected issue keywords'
-            };
-        }
+    async runAnalyzers(names, input) {
+        const chain = new AnalyzerChain(
+            names.map(name => this.createAnalyzer(name)).filter(Boolean),
+            { conclusiveConfidence: this.config.analysisConclusiveConfidence }
+        );
+        return chain.analyze(input);
+    }
 
-        if (hasFeatureKeywords) {
-            return {
-                shouldCreateIssue: false,
-                shouldCreateFeature: true,
-                issueType: 'enhancement',
-                title: `Feature request from Discord: ${message.substring(0, 50)}...`,
-                description: message,
-                priority: 'low',
-                confidence: 60,
-                reasoning: 'Keyword-based analysis detected feature keywords'
-            };
-        }
+    // Runs the pipeline configured for the channel (or its parent, for threads)
+    async analyzeConversation(input, source = {}) {
+        return this.runAnalyzers(this.getAnalyzerPipeline(source), input);
+    }
 
-        return null;
+    // Every finding in a transcript chunk from the channel's pipeline; null when every analyzer failed
+    async findConversationIssues(lines, source = {}) {
+        const chain = new AnalyzerChain(this.getAnalyzerPipeline(source).map(name => this.createAnalyzer(name)).filter(Boolean));
+        return chain.findAll({ transcript: lines.join('\n'), lines });
     }
 
-    async suggestIssueCreation(message, analysis) {
+    // reportMessages are the captured messages the suggestion is about; their attachments go into the issue or ticket
+    async suggestIssueCreation(message, analysis, reportMessages = [captureMessage(message)]) {
         if (analysis.confidence < 70) return;
 
         const embed = new EmbedBuilder()
             .setColor(analysis.shouldCreateIssue ? 0xff0000 : 0x00ff00)
             .setTitle(`🤖 Potential ${analysis.shouldCreateIssue ? 'Issue' : 'Feature'} Detected`)
-            .setDescription(analysis.reasoning)
+            .setDescription(analysis.reasoning || null)
             .addFields(
                 { name: 'Suggested Title', value: analysis.title || 'No title suggested', inline: false },
                 { name: 'Type', value: analysis.issueType || 'Unknown', inline: true },
@@ -397,32 +887,81 @@ Consider:
             .setTimestamp()
             .setFooter({ text: 'XTSystems Bot', iconURL: this.client.user.displayAvatarURL() });
 
-        const createButton = new ButtonBuilder()
-            .setCustomId(`create_issue_${message.id}`)
-            .setLabel('Create Issue')
-            .setStyle(ButtonStyle.Primary)
-            .setEmoji('📝');
+        const source = {
+            channelId: message.channel.id,
+            parentId: message.channel.isThread?.() ? message.channel.parentId : undefined,
+            guildId: message.guildId
+        };
+
+        const openSuggestion = this.findOpenSuggestion(source.channelId, analysis);
+        if (openSuggestion) {
+            logger.info(`Not suggesting "${analysis.title}" in channel ${source.channelId}; suggestion ${openSuggestion} covers the same topic`);
+            return;
+        }
+
+        const target = this.getSuggestionTarget(source);
+        const buttons = [];
+
+        if (target !== 'xtsystems') {
+            buttons.push(new ButtonBuilder()
+                .setCustomId(`create_issue_${message.id}`)
+                .setLabel('Create Issue')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('📝'));
+        }
+
+        if (target !== 'github') {
+            buttons.push(new ButtonBuilder()
+                .setCustomId(`create_ticket_${message.id}`)
+                .setLabel('Create Ticket')
+                .setStyle(target === 'xtsystems' ? ButtonStyle.Primary : ButtonStyle.Secondary)
+                .setEmoji('🎫'));
+        }
 
-        const ignoreButton = new ButtonBuilder()
+        buttons.push(new ButtonBuilder()
             .setCustomId(`ignore_suggestion_${message.id}`)
             .setLabel('Ignore')
             .setStyle(ButtonStyle.Secondary)
-            .setEmoji('❌');
+            .setEmoji('❌'));
 
-        const row = new ActionRowBuilder().addComponents(createButton, ignoreButton);
+        const row = new ActionRowBuilder().addComponents(...buttons);
 
         await message.reply({ embeds: [embed], components: [row] });
 
-        // Store the analysis for later use
-        this.analysisCache = this.analysisCache || new Map();
-        this.analysisCache.set(message.id, analysis);
+        // Store the analysis so the buttons keep working after a restart
+        this.store.setEntry('pendingAnalyses', message.id, {
+            analysis,
+            ...source,
+            reportMessages,
+            createdAt: Date.now()
+        });
+        this.activityLog.recordSuggestion(message.id, { ...source, title: analysis.title });
+    }
+
+    // Returns the message ID of an unanswered suggestion in the channel about the same topic, if any
+    findOpenSuggestion(channelId, analysis) {
+        const open = this.store.entries('pendingAnalyses')
+            .filter(([, entry]) => entry.channelId === channelId && entry.analysis)
+            .map(([id, entry]) => ({ id, title: entry.analysis.title, body: entry.analysis.description }));
+
+        const [match] = findSimilarIssues({ title: analysis.title, body: analysis.description }, open, {
+            threshold: this.config.suggestionTopicThreshold,
+            limit: 1
+        });
+        return match?.issue.id || null;
     }
 
     async handleInteraction(interaction) {
-        if (interaction.isCommand()) {
+        if (interaction.isAutocomplete?.()) {
+            await this.handleAutocomplete(interaction);
+        } else if (interaction.isMessageContextMenuCommand?.()) {
+            await this.handleMessageContextMenu(interaction);
+        } else if (interaction.isCommand()) {
             await this.handleSlashCommand(interaction);
         } else if (interaction.isButton()) {
             await this.handleButtonInteraction(interaction);
+        } else if (interaction.isModalSubmit()) {
+            await this.handleModalSubmit(interaction);
         }
     }
 
@@ -430,25 +969,57 @@ Consider:
         const { commandName } = interaction;
 
         try {
+            const action = COMMAND_ACTIONS[commandName];
+            if (action && !(await this.ensurePermission(interaction, action, `/${commandName}`))) {
+                return;
+            }
+
             switch (commandName) {
                 case 'create-issue':
                     await this.createIssueCommand(interaction);
                     break;
+                case 'issue':
+                    await this.issueCommand(interaction);
+                    break;
                 case 'list-issues':
                     await this.listIssuesCommand(interaction);
                     break;
                 case 'close-issue':
                     await this.closeIssueCommand(interaction);
                     break;
+                case 'reopen-issue':
+                    await this.reopenIssueCommand(interaction);
+                    break;
+                case 'comment-issue':
+                    await this.commentIssueCommand(interaction);
+                    break;
+                case 'assign-issue':
+                    await this.assignIssueCommand(interaction);
+                    break;
+                case 'label-issue':
+                    await this.labelIssueCommand(interaction);
+                    break;
                 case 'analyze-conversation':
                     await this.analyzeConversationCommand(interaction);
                     break;
                 case 'toggle-monitoring':
                     await this.toggleMonitoringCommand(interaction);
                     break;
+                case 'suggestion-target':
+                    await this.suggestionTargetCommand(interaction);
+                    break;
+                case 'analyzer-pipeline':
+                    await this.analyzerPipelineCommand(interaction);
+                    break;
                 case 'link-repo':
                     await this.linkRepoCommand(interaction);
                     break;
+                case 'unlink-repo':
+                    await this.unlinkRepoCommand(interaction);
+                    break;
+                case 'list-repo-links':
+                    await this.listRepoLinksCommand(interaction);
+                    break;
                 case 'bot-status':
                     await this.botStatusCommand(interaction);
                     break;
@@ -467,6 +1038,15 @@ Consider:
                 case 'webhook-config':
                     await this.webhookConfigCommand(interaction);
                     break;
+                case 'notification-queue':
+                    await this.notificationQueueCommand(interaction);
+                    break;
+                case 'permissions':
+                    await this.permissionsCommand(interaction);
+                    break;
+                case 'digest':
+                    await this.digestCommand(interaction);
+                    break;
                 default:
                     await interaction.reply({ content: 'Unknown command!', ephemeral: true });
             }
@@ -483,208 +1063,1371 @@ Consider:
     }
 
     async createIssueCommand(interaction) {
-        await interaction.deferReply();
-
         const title = interaction.options.getString('title');
         const description = interaction.options.getString('description');
         const type = interaction.options.getString('type');
         const priority = interaction.options.getString('priority') || 'medium';
 
-        try {
-            const issueNumber = await this.createGitHubIssue(title, description, [type], priority, interaction.user.username);
+        // Anything left out is filled in on the form, which also has room for long descriptions
+        if (!title || !description || !type) {
+            await interaction.showModal(this.buildIssueModal('issue_modal_command', 'Create GitHub Issue', { title, description, type, priority }));
+            return;
+        }
 
-            const embed = new EmbedBuilder()
-                .setColor(0x00ff00)
-                .setTitle('✅ Issue Created Successfully')
-                .setDescription(`GitHub issue #${issueNumber} has been created.`)
-                .addFields(
-                    { name: 'Title', value: title, inline: false },
-                    { name: 'Type', value: type, inline: true },
-                    { name: 'Priority', value: priority, inline: true }
-                )
-                .setURL(`https://github.com/${this.config.repoOwner}/${this.config.repoName}/issues/${issueNumber}`)
-                .setTimestamp();
+        await interaction.deferReply();
 
-            await interaction.editReply({ embeds: [embed] });
+        const draft = {
+            title,
+            description,
+            labels: [type],
+            priority,
+            author: interaction.user.username,
+            authorId: interaction.user.id,
+            repository: this.resolveRepository(interaction),
+            channelId: interaction.channelId,
+            reportUrl: channelLink(interaction.channelId, interaction.guildId)
+        };
+
+        try {
+            await this.submitIssueDraft(interaction, draft);
         } catch (error) {
             logger.error('Error creating GitHub issue:', error);
-            await interaction.editReply({ content: 'Failed to create GitHub issue. Please check the logs for details.' });
+            await interaction.editReply({ content: `Failed to create GitHub issue. ${this.describeGitHubError(error)}` });
         }
     }
 
-    async createTicketCommand(interaction) {
-        await interaction.deferReply();
-
-        const title = interaction.options.getString('title');
-        const description = interaction.options.getString('description');
-        const priority = interaction.options.getString('priority') || 'Medium';
+    buildIssueModal(customId, title, values = {}) {
+        const titleInput = new TextInputBuilder()
+            .setCustomId('title')
+            .setStyle(TextInputStyle.Short)
+            .setMaxLength(ISSUE_TITLE_MAX_LENGTH)
+            .setRequired(true);
+
+        const descriptionInput = new TextInputBuilder()
+            .setCustomId('description')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(ISSUE_DESCRIPTION_MAX_LENGTH)
+            .setPlaceholder('What happened, steps to reproduce, expected behavior...')
+            .setRequired(true);
+
+        // Pre-filled values must fit the input limits
+        if (values.title) {
+            titleInput.setValue(values.title.substring(0, ISSUE_TITLE_MAX_LENGTH));
+        }
+        if (values.description) {
+            descriptionInput.setValue(values.description.substring(0, ISSUE_DESCRIPTION_MAX_LENGTH));
+        }
 
-        try {
-            const ticket = await this.createXTSystemsTicket(title, description, priority, interaction.user.username);
+        const selectMenu = (id, choices, selected) => new StringSelectMenuBuilder()
+            .setCustomId(id)
+            .addOptions(choices.map(({ name, value }) => ({ label: name, value, default: value === selected })));
+
+        return new ModalBuilder()
+            .setCustomId(customId)
+            .setTitle(title)
+            .addLabelComponents(
+                new LabelBuilder().setLabel('Title').setTextInputComponent(titleInput),
+                new LabelBuilder().setLabel('Description').setTextInputComponent(descriptionInput),
+                new LabelBuilder().setLabel('Type').setStringSelectMenuComponent(selectMenu('type', ISSUE_TYPES, values.type)),
+                new LabelBuilder().setLabel('Priority').setStringSelectMenuComponent(selectMenu('priority', ISSUE_PRIORITIES, values.priority || 'medium'))
+            );
+    }
 
-            const embed = new EmbedBuilder()
-                .setColor(0x00ff00)
-                .setTitle('🎫 Ticket Created Successfully')
-                .setDescription(`XTSystems ticket #${ticket.id} has been created.`)
-                .addFields(
-                    { name: 'Title', value: title, inline: false },
-                    { name: 'Priority', value: priority, inline: true },
-                    { name: 'Status', value: ticket.status || 'Open', inline: true }
-                )
-                .setTimestamp();
+    async handleModalSubmit(interaction) {
+        const { customId } = interaction;
 
-            await interaction.editReply({ embeds: [embed] });
+        try {
+            if (customId === 'issue_modal_command') {
+                await this.handleIssueModalSubmit(interaction, null);
+            } else if (customId.startsWith('issue_modal_suggestion_')) {
+                await this.handleIssueModalSubmit(interaction, customId.replace('issue_modal_suggestion_', ''));
+            } else if (customId.startsWith('issue_modal_context_')) {
+                await this.handleIssueModalSubmit(interaction, null, customId.replace('issue_modal_context_', ''));
+            } else if (customId.startsWith('ticket_modal_context_')) {
+                await this.handleTicketModalSubmit(interaction, customId.replace('ticket_modal_context_', ''));
+            } else if (customId.startsWith('issue_comment_modal_')) {
+                await this.handleIssueCommentModalSubmit(interaction, customId.replace('issue_comment_modal_', ''));
+            } else if (customId.startsWith('issue_label_modal_')) {
+                await this.handleIssueLabelModalSubmit(interaction, customId.replace('issue_label_modal_', ''));
+            } else if (customId.startsWith('issue_account_modal_')) {
+                await this.handleGitHubAccountModalSubmit(interaction, customId.replace('issue_account_modal_', ''));
+            }
         } catch (error) {
-            logger.error('Error creating XTSystems ticket:', error);
-            await interaction.editReply({ content: 'Failed to create XTSystems ticket. Please check the logs for details.' });
+            logger.error(`Error handling modal ${customId}:`, error);
+            const errorMessage = 'An error occurred while processing the form.';
+
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: errorMessage });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
         }
     }
 
-    async listIssuesCommand(interaction) {
-        await interaction.deferReply();
-
-        const limit = interaction.options.getInteger('limit') || 10;
+    // suggestionId is the message a suggestion was made for; contextReportId a "Create GitHub issue" context-menu report
+    async handleIssueModalSubmit(interaction, suggestionId, contextReportId = null) {
+        const { fields } = interaction;
+        const title = fields.getTextInputValue('title').trim();
+        const description = fields.getTextInputValue('description').trim();
+        const [type] = fields.getStringSelectValues('type');
+        const [priority = 'medium'] = fields.getStringSelectValues('priority');
+
+        const draft = {
+            title,
+            description,
+            labels: [type],
+            priority,
+            author: interaction.user.username,
+            authorId: interaction.user.id,
+            repository: this.resolveRepository(interaction),
+            channelId: interaction.channelId,
+            reportUrl: channelLink(interaction.channelId, interaction.guildId)
+        };
 
-        try {
-            const { stdout } = await execAsync(`gh issue list --repo ${this.config.repoOwner}/${this.config.repoName} --limit ${limit} --json number,title,state,labels,assignees`);
-            const issues = JSON.parse(stdout);
+        let pending = null;
+        if (suggestionId) {
+            await interaction.deferReply({ ephemeral: true });
 
-            if (issues.length === 0) {
-                await interaction.editReply({ content: 'No issues found in the repository.' });
+            pending = this.store.getEntry('pendingAnalyses', suggestionId);
+            if (!pending) {
+                await interaction.editReply({ content: 'This suggestion has already been handled or has expired.' });
                 return;
             }
+            // Claimed before anything reaches GitHub so a second submit, even one already in flight, can't file it again
+            this.store.deleteEntry('pendingAnalyses', suggestionId);
 
-            const embed = new EmbedBuilder()
-                .setColor(0x0099ff)
-                .setTitle(`📋 Recent Issues (${issues.length})`)
-                .setURL(`https://github.com/${this.config.repoOwner}/${this.config.repoName}/issues`)
-                .setTimestamp();
-
-            issues.slice(0, 10).forEach(issue => {
-                const labels = issue.labels.map(label => label.name).join(', ') || 'No labels';
-                const assignees = issue.assignees.map(assignee => assignee.login).join(', ') || 'Unassigned';
+            if (priority !== 'medium') {
+                draft.labels.push(priority);
+            }
+            Object.assign(draft, {
+                repository: this.resolveRepository(pending),
+                channelId: pending.channelId,
+                reportUrl: messageLink(pending.channelId, suggestionId, pending.guildId),
+                reportMessages: pending.reportMessages || [],
+                suggestionId,
+                suggestionMessage: { channelId: interaction.message.channelId, messageId: interaction.message.id }
+            });
+        } else if (contextReportId) {
+            const report = this.store.getEntry('contextReports', contextReportId);
+            if (!report) {
+                await interaction.reply({ content: 'This report has expired. Please use the command on the message again.', ephemeral: true });
+                return;
+            }
 
-                embed.addFields({
-                    name: `#${issue.number} - ${issue.title}`,
-                    value: `**State:** ${issue.state}\n**Labels:** ${labels}\n**Assignees:** ${assignees}`,
-                    inline: false
-                });
+            await interaction.deferReply();
+            if (priority !== 'medium') {
+                draft.labels.push(priority);
+            }
+            Object.assign(draft, {
+                repository: this.resolveRepository(report),
+                channelId: report.channelId,
+                reportUrl: report.reportUrl,
+                reportMessages: this.getContextReportMessages(report),
+                reportMessageId: report.messageId
             });
+            this.store.deleteEntry('contextReports', contextReportId);
+        } else {
+            await interaction.deferReply();
+        }
 
-            await interaction.editReply({ embeds: [embed] });
+        try {
+            await this.submitIssueDraft(interaction, draft);
         } catch (error) {
-            logger.error('Error listing GitHub issues:', error);
-            await interaction.editReply({ content: 'Failed to retrieve GitHub issues. Please check the logs for details.' });
+            logger.error('Error creating GitHub issue:', error);
+            // Let the suggestion be tried again unless the issue was already filed
+            if (pending && !draft.issueNumber) {
+                this.store.setEntry('pendingAnalyses', suggestionId, pending);
+            }
+            await interaction.editReply({ content: `Failed to create GitHub issue. ${this.describeGitHubError(error)}` });
         }
     }
 
-    async closeIssueCommand(interaction) {
+    // Offers likely duplicates first; otherwise files the issue and replies with the result
+    async submitIssueDraft(interaction, draft) {
+        const duplicates = await this.findDuplicateIssues(draft);
+        if (duplicates.length > 0) {
+            await this.promptForDuplicates(interaction, draft, duplicates);
+            return;
+        }
+
+        const issueNumber = await this.createIssueFromDraft(draft);
+        const reply = await interaction.editReply({ embeds: [this.buildIssueCreatedEmbed(draft, issueNumber)] });
+        const link = this.trackIssueReport(draft, issueNumber, reply?.id, { created: true });
+        await this.openIssueThread(link, draft, reply);
+    }
+
+    async createTicketCommand(interaction) {
         await interaction.deferReply();
 
-        const issueNumber = interaction.options.getInteger('number');
-        const comment = interaction.options.getString('comment') || `Closed via Discord by ${interaction.user.username}`;
+        const title = interaction.options.getString('title');
+        const description = interaction.options.getString('description');
+        const priority = interaction.options.getString('priority') || 'Medium';
 
         try {
-            await execAsync(`gh issue close ${issueNumber} --repo ${this.config.repoOwner}/${this.config.repoName} --comment "${comment}"`);
+            const ticket = await this.createXTSystemsTicket(title, description, priority, interaction.user.username);
+            const reply = await interaction.editReply({ embeds: [this.buildTicketCreatedEmbed(ticket, title, priority)] });
+            this.ticketLinks.track(ticket.id, { channelId: interaction.channelId, messageId: reply?.id, reporterId: interaction.user.id, title, priority });
+        } catch (error) {
+            logger.error('Error creating XTSystems ticket:', error);
+            await interaction.editReply({ content: 'Failed to create XTSystems ticket. Please check the logs for details.' });
+        }
+    }
+
+    buildTicketCreatedEmbed(ticket, title, priority) {
+        return new EmbedBuilder()
+            .setColor(0x00ff00)
+            .setTitle('🎫 Ticket Created Successfully')
+            .setDescription(`XTSystems ticket #${ticket.id} has been created.`)
+            .addFields(
+                { name: 'Title', value: title, inline: false },
+                { name: 'Priority', value: priority, inline: true },
+                { name: 'Status', value: ticket.status || 'Open', inline: true }
+            )
+            .setTimestamp();
+    }
+
+    async handleMessageContextMenu(interaction) {
+        const kind = Object.keys(CONTEXT_MENU_COMMANDS).find(key => CONTEXT_MENU_COMMANDS[key] === interaction.commandName);
+        if (!kind) return;
+
+        // Analysis can take longer than the 3 seconds Discord allows before a form must be shown,
+        // so the form opens from a button on the analysis result instead
+        await interaction.deferReply({ ephemeral: true });
+
+        const message = interaction.targetMessage;
+        const source = {
+            channelId: message.channelId,
+            parentId: message.channel?.isThread?.() ? message.channel.parentId : undefined,
+            guildId: interaction.guildId
+        };
+        const messages = await this.fetchSurroundingMessages(message);
+        const selected = messages.find(msg => msg.messageId === message.id);
+
+        let analysis = null;
+        try {
+            analysis = await this.analyzeConversation({
+                context: messages.filter(msg => msg !== selected).map(msg => this.formatForAnalysis(msg)).join('\n'),
+                message: this.formatForAnalysis(selected, { withAuthor: false })
+            }, source);
+        } catch (error) {
+            logger.warn(`Could not analyze message ${message.id} for the context menu: ${error.message}`);
+        }
+
+        const report = {
+            kind,
+            ...source,
+            messageId: message.id,
+            userId: interaction.user.id,
+            reportUrl: messageLink(source.channelId, message.id, source.guildId),
+            messages,
+            includeSurrounding: false,
+            analysis: analysis ? {
+                title: analysis.title,
+                description: analysis.description,
+                issueType: analysis.issueType,
+                priority: analysis.priority
+            } : null,
+            createdAt: Date.now()
+        };
+        this.store.setEntry('contextReports', interaction.id, report);
+
+        await interaction.editReply(this.buildContextReportReply(interaction.id, report));
+    }
+
+    // The selected message plus up to CONTEXT_MENU_SURROUNDING_MESSAGES before and after it, oldest first
+    async fetchSurroundingMessages(message) {
+        const selected = captureMessage(message);
+        const count = this.config.contextMenuSurroundingMessages;
+        if (count <= 0) return [selected];
+
+        try {
+            const fetched = await message.channel.messages.fetch({ around: message.id, limit: Math.min(100, count * 2 + 1) });
+            const surrounding = [...fetched.values()]
+                .filter(msg => msg.id !== message.id && !msg.author.bot)
+                .map(msg => ({ ...captureMessage(msg), timestamp: msg.createdTimestamp }));
+
+            return [...surrounding, { ...selected, timestamp: message.createdTimestamp }]
+                .sort((a, b) => a.timestamp - b.timestamp);
+        } catch (error) {
+            logger.warn(`Could not fetch messages around ${message.id}: ${error.message}`);
+            return [selected];
+        }
+    }
+
+    getContextReportMessages(report) {
+        return report.includeSurrounding ? report.messages : report.messages.filter(msg => msg.messageId === report.messageId);
+    }
+
+    buildContextReportReply(reportId, report) {
+        const isIssue = report.kind === 'issue';
+        const surroundingCount = report.messages.length - 1;
+
+        const embed = new EmbedBuilder()
+            .setColor(0x0099ff)
+            .setTitle(isIssue ? '📝 New GitHub Issue' : '🎫 New XTSystems Ticket')
+            .setDescription(`Review the details for the [selected message](${report.reportUrl}) before creating the ${isIssue ? 'issue' : 'ticket'}.`)
+            .addFields(
+                { name: 'Suggested Title', value: this.getContextReportTitle(report), inline: false },
+                { name: 'Priority', value: report.analysis?.priority || 'medium', inline: true },
+                {
+                    name: 'Includes',
+                    value: report.includeSurrounding ? `Selected message and ${surroundingCount} nearby` : 'Selected message only',
+                    inline: true
+                }
+            );
+
+        const buttons = [
+            new ButtonBuilder()
+                .setCustomId(`context_review_${reportId}`)
+                .setLabel(isIssue ? 'Review & Create Issue' : 'Review & Create Ticket')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('📝')
+        ];
+        if (surroundingCount > 0) {
+            buttons.push(new ButtonBuilder()
+                .setCustomId(`context_surrounding_${reportId}`)
+                .setLabel(report.includeSurrounding ? 'Only the Selected Message' : `Include ${surroundingCount} Nearby Messages`)
+                .setStyle(ButtonStyle.Secondary));
+        }
+
+        return { embeds: [embed], components: [new ActionRowBuilder().addComponents(...buttons)] };
+    }
+
+    getContextReportTitle(report) {
+        if (report.analysis?.title) return report.analysis.title;
+
+        const selected = report.messages.find(msg => msg.messageId === report.messageId);
+        const firstLine = (selected.content || '').split('\n')[0].trim();
+        return firstLine ? firstLine.substring(0, 100) : `Report from ${selected.author} on Discord`;
+    }
+
+    getContextReportDescription(report) {
+        const selected = report.messages.find(msg => msg.messageId === report.messageId);
+        const description = report.analysis?.description || this.formatForAnalysis(selected, { withAuthor: false });
+        if (!report.includeSurrounding) return description;
+
+        const transcript = report.messages.map(msg => `> **${msg.author}**: ${this.formatForAnalysis(msg, { withAuthor: false })}`);
+        return `${description}\n\nConversation on Discord:\n${transcript.join('\n')}`;
+    }
+
+    // Only the member who ran the command may use its buttons
+    async getContextReport(interaction, reportId) {
+        const report = this.store.getEntry('contextReports', reportId);
+        if (!report || report.userId !== interaction.user.id) {
+            await interaction.reply({ content: 'This report has expired. Please use the command on the message again.', ephemeral: true });
+            return null;
+        }
+        return report;
+    }
+
+    async handleContextReviewButton(interaction, reportId) {
+        const report = await this.getContextReport(interaction, reportId);
+        if (!report) return;
+
+        const values = {
+            title: this.getContextReportTitle(report),
+            description: this.getContextReportDescription(report),
+            type: report.analysis?.issueType || 'bug',
+            priority: report.analysis?.priority
+        };
+
+        await interaction.showModal(report.kind === 'issue'
+            ? this.buildIssueModal(`issue_modal_context_${reportId}`, 'Create GitHub Issue', values)
+            : this.buildTicketModal(`ticket_modal_context_${reportId}`, values));
+    }
+
+    async handleContextSurroundingButton(interaction, reportId) {
+        const report = await this.getContextReport(interaction, reportId);
+        if (!report) return;
+
+        const updated = { ...report, includeSurrounding: !report.includeSurrounding };
+        this.store.setEntry('contextReports', reportId, updated);
+        await interaction.update(this.buildContextReportReply(reportId, updated));
+    }
+
+    buildTicketModal(customId, values = {}) {
+        const titleInput = new TextInputBuilder()
+            .setCustomId('title')
+            .setStyle(TextInputStyle.Short)
+            .setMaxLength(ISSUE_TITLE_MAX_LENGTH)
+            .setRequired(true);
+
+        const descriptionInput = new TextInputBuilder()
+            .setCustomId('description')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(ISSUE_DESCRIPTION_MAX_LENGTH)
+            .setRequired(true);
+
+        if (values.title) {
+            titleInput.setValue(values.title.substring(0, ISSUE_TITLE_MAX_LENGTH));
+        }
+        if (values.description) {
+            descriptionInput.setValue(values.description.substring(0, ISSUE_DESCRIPTION_MAX_LENGTH));
+        }
+
+        const priorityMenu = new StringSelectMenuBuilder()
+            .setCustomId('priority')
+            .addOptions(ISSUE_PRIORITIES.map(({ name, value }) => ({ label: name, value, default: value === (values.priority || 'medium') })));
+
+        return new ModalBuilder()
+            .setCustomId(customId)
+            .setTitle('Create XTSystems Ticket')
+            .addLabelComponents(
+                new LabelBuilder().setLabel('Title').setTextInputComponent(titleInput),
+                new LabelBuilder().setLabel('Description').setTextInputComponent(descriptionInput),
+                new LabelBuilder().setLabel('Priority').setStringSelectMenuComponent(priorityMenu)
+            );
+    }
+
+    async handleTicketModalSubmit(interaction, reportId) {
+        const report = this.store.getEntry('contextReports', reportId);
+        if (!report) {
+            await interaction.reply({ content: 'This report has expired. Please use the command on the message again.', ephemeral: true });
+            return;
+        }
+        // Claimed before the ticket is created so submitting the form twice can't create two tickets
+        this.store.deleteEntry('contextReports', reportId);
+
+        await interaction.deferReply();
+
+        const { fields } = interaction;
+        const title = fields.getTextInputValue('title').trim();
+        const [selectedPriority] = fields.getStringSelectValues('priority');
+        const priority = this.toTicketPriority(selectedPriority);
+
+        let ticket = null;
+        try {
+            const details = await this.appendAttachments(fields.getTextInputValue('description').trim(), this.getContextReportMessages(report), 'plain');
+            ticket = await this.createXTSystemsTicket(
+                title,
+                `${details}\n\nReported on Discord: ${report.reportUrl}`,
+                priority,
+                interaction.user.username
+            );
+            this.ticketLinks.track(ticket.id, { channelId: report.channelId, messageId: report.messageId, reporterId: interaction.user.id, title, priority });
+
+            await interaction.editReply({ embeds: [this.buildTicketCreatedEmbed(ticket, title, priority)] });
+        } catch (error) {
+            logger.error('Error creating XTSystems ticket from message:', error);
+            if (!ticket) {
+                this.store.setEntry('contextReports', reportId, report);
+            }
+            await interaction.editReply({ content: 'Failed to create XTSystems ticket. Please check the logs for details.' });
+        }
+    }
+
+    async listIssuesCommand(interaction) {
+        // Only real logins go into the search query, where anything else could add qualifiers of its own
+        const people = {};
+        for (const name of ['assignee', 'author']) {
+            const value = interaction.options.getString(name);
+            people[name] = value ? normalizeUsername(value) : null;
+            if (value && !people[name]) {
+                await interaction.reply({ content: `❌ \`${name}\` must be a GitHub username.`, ephemeral: true });
+                return;
+            }
+        }
+
+        await interaction.deferReply();
+
+        const perPage = interaction.options.getInteger('limit') || 10;
+        const listing = {
+            repository: this.resolveRepository(interaction),
+            filters: {
+                state: interaction.options.getString('state') || 'open',
+                label: interaction.options.getString('label'),
+                ...people,
+                text: interaction.options.getString('search')
+            },
+            perPage,
+            compact: interaction.options.getBoolean('compact') ?? perPage > 10,
+            createdAt: Date.now()
+        };
+
+        try {
+            const { reply, pages } = await this.buildIssueListPage(interaction.id, listing, 1);
+            // Kept so the Previous/Next buttons can fetch other pages with the same filters
+            if (pages > 1) {
+                this.store.setEntry('issueListings', interaction.id, listing);
+            }
+            await interaction.editReply(reply);
+        } catch (error) {
+            logger.error('Error listing GitHub issues:', error);
+            await interaction.editReply({ content: `Failed to retrieve GitHub issues. ${this.describeGitHubError(error)}` });
+        }
+    }
+
+    // One page of an issue listing; the Previous/Next buttons carry the page they lead to
+    async buildIssueListPage(listingId, listing, page) {
+        const { repository, filters, perPage } = listing;
+        const { total, issues } = await this.githubAPI.searchIssues({ ...repository, ...filters, page, perPage });
+        const pages = Math.max(1, Math.ceil(Math.min(total, GITHUB_SEARCH_RESULT_LIMIT) / perPage));
+        const filterText = this.describeIssueFilters(filters);
+
+        if (total === 0) {
+            return {
+                reply: { content: `No issues found in ${formatRepository(repository)}${filterText ? ` matching ${filterText}` : ''}.`, embeds: [], components: [] },
+                pages
+            };
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(0x0099ff)
+            .setTitle(`📋 Issues in ${formatRepository(repository)} (${total})`)
+            .setURL(repositoryUrl(repository, '/issues'))
+            .setFooter({ text: `Page ${page} of ${pages}` })
+            .setTimestamp();
+
+        if (listing.compact) {
+            const lines = issues.map(issue => {
+                const labels = issue.labels.map(label => label.name).join(', ');
+                const assignees = issue.assignees.map(assignee => assignee.login).join(', ');
+                const title = issue.title.length > 80 ? `${issue.title.substring(0, 79)}…` : issue.title;
+                return `${issue.state === 'open' ? '🟢' : '🟣'} [#${issue.number}](${issue.html_url}) ${title}` +
+                    `${labels ? ` · ${labels}` : ''}${assignees ? ` · 👤 ${assignees}` : ''}`;
+            });
+            embed.setDescription(joinLines(filterText ? [`Filters: ${filterText}`, '', ...lines] : lines, 4096));
+        } else {
+            if (filterText) {
+                embed.setDescription(`Filters: ${filterText}`);
+            }
+            for (const issue of issues) {
+                const labels = issue.labels.map(label => label.name).join(', ') || 'No labels';
+                const assignees = issue.assignees.map(assignee => assignee.login).join(', ') || 'Unassigned';
+
+                embed.addFields({
+                    name: `#${issue.number} - ${issue.title}`.substring(0, 256),
+                    value: `**State:** ${issue.state}\n**Labels:** ${labels}\n**Assignees:** ${assignees}`,
+                    inline: false
+                });
+            }
+        }
+
+        const components = pages > 1 ? [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`issues_page_${listingId}_${page - 1}`)
+                .setLabel('Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('◀️')
+                .setDisabled(page <= 1),
+            new ButtonBuilder()
+                .setCustomId(`issues_page_${listingId}_${page + 1}`)
+                .setLabel('Next')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('▶️')
+                .setDisabled(page >= pages)
+        )] : [];
+
+        return { reply: { content: '', embeds: [embed], components }, pages };
+    }
+
+    // "state: all · label: bug · \"crash\"" for the filters that differ from the default
+    describeIssueFilters({ state, label, assignee, author, text }) {
+        return [
+            state !== 'open' ? `state: ${state}` : null,
+            label ? `label: ${label}` : null,
+            assignee ? `assignee: ${assignee}` : null,
+            author ? `author: ${author}` : null,
+            text ? `"${text}"` : null
+        ].filter(Boolean).join(' · ');
+    }
+
+    async handleIssuePageButton(interaction, listingId, page) {
+        const listing = this.store.getEntry('issueListings', listingId);
+        if (!listing) {
+            await interaction.reply({ content: 'This list has expired. Please run /list-issues again.', ephemeral: true });
+            return;
+        }
+
+        await interaction.deferUpdate();
+        try {
+            const { reply } = await this.buildIssueListPage(listingId, listing, page);
+            await interaction.editReply(reply);
+        } catch (error) {
+            logger.error(`Error loading page ${page} of issue listing ${listingId}:`, error);
+            await interaction.followUp({ content: `Failed to load page ${page}. ${this.describeGitHubError(error)}`, ephemeral: true });
+        }
+    }
+
+    async issueCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'view') {
+            await interaction.deferReply();
+
+            const issueNumber = interaction.options.getInteger('number');
+            const repository = this.resolveRepository(interaction);
+            try {
+                await interaction.editReply(await this.buildIssueView(repository, issueNumber));
+            } catch (error) {
+                logger.error(`Error showing issue #${issueNumber}:`, error);
+                await interaction.editReply({ content: `Failed to load issue #${issueNumber} from ${formatRepository(repository)}. ${this.describeGitHubError(error)}` });
+            }
+        }
+    }
+
+    // The /issue view reply; its buttons name the issue by a stored view ID so they work after restarts
+    async buildIssueView(repository, issueNumber) {
+        const issue = await this.githubAPI.getIssue({ ...repository, issueNumber });
+        const comments = issue.comments > 0
+            ? await this.githubAPI.listComments({ ...repository, issueNumber, total: issue.comments, limit: ISSUE_VIEW_COMMENTS })
+            : [];
+
+        const open = issue.state === 'open';
+        const body = (issue.body || '').replace(BOT_COMMENT_MARKER, '').trim();
+        const labels = issue.labels.map(label => label.name).join(', ') || 'No labels';
+        const assignees = issue.assignees.map(assignee => assignee.login).join(', ') || 'Unassigned';
+
+        const embed = new EmbedBuilder()
+            .setColor(open ? 0x2ea043 : 0x8957e5)
+            .setTitle(`#${issue.number} - ${issue.title}`.substring(0, 256))
+            .setURL(issue.html_url)
+            .setDescription(body.length > 1500 ? `${body.substring(0, 1500)}…` : body || '*No description provided.*')
+            .addFields(
+                { name: 'State', value: open ? '🟢 Open' : `🟣 Closed${issue.state_reason === 'not_planned' ? ' (not planned)' : ''}`, inline: true },
+                { name: 'Labels', value: labels, inline: true },
+                { name: 'Assignees', value: assignees, inline: true }
+            )
+            .setFooter({ text: `${formatRepository(repository)} · opened by ${issue.user.login} · ${issue.comments} comment${issue.comments === 1 ? '' : 's'}` })
+            .setTimestamp(new Date(issue.created_at));
+
+        if (comments.length > 0) {
+            const lines = comments.map(comment => {
+                const text = comment.body.replace(BOT_COMMENT_MARKER, '').trim().replace(/\s+/g, ' ');
+                const snippet = text.length > 200 ? `${text.substring(0, 200)}…` : text;
+                return `**${comment.user.login}** <t:${Math.floor(Date.parse(comment.created_at) / 1000)}:R>: ${snippet}`;
+            });
+            embed.addFields({ name: 'Latest Comments', value: joinLines(lines), inline: false });
+        }
+
+        const ref = this.rememberIssueView(repository, issue.number);
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`issue_comment_${ref}`)
+                .setLabel('Comment')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('💬'),
+            open
+                ? new ButtonBuilder().setCustomId(`issue_close_${ref}`).setLabel('Close').setStyle(ButtonStyle.Danger).setEmoji('🔒')
+                : new ButtonBuilder().setCustomId(`issue_reopen_${ref}`).setLabel('Reopen').setStyle(ButtonStyle.Success).setEmoji('🔓'),
+            new ButtonBuilder()
+                .setCustomId(`issue_assign_${ref}`)
+                .setLabel('Assign Me')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('🙋'),
+            new ButtonBuilder()
+                .setCustomId(`issue_label_${ref}`)
+                .setLabel('Add Label')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('🏷️')
+        );
+
+        return { content: '', embeds: [embed], components: [row] };
+    }
+
+    // Cached briefly so the label picker opens within Discord's three seconds
+    async getRepositoryLabels(repository) {
+        const key = formatRepository(repository).toLowerCase();
+        const cached = this.labelCache.get(key);
+        if (cached && Date.now() - cached.fetchedAt < LABEL_CACHE_TTL) {
+            return cached.labels;
+        }
+
+        const labels = (await this.githubAPI.listLabels(repository)).map(label => label.name);
+        this.labelCache.set(key, { labels, fetchedAt: Date.now() });
+        return labels;
+    }
+
+    // owner/repo#number can exceed Discord's 100-character custom IDs, so buttons carry a short ID instead
+    rememberIssueView(repository, issueNumber) {
+        const viewId = crypto.createHash('sha256').update(IssueLinks.key(repository, issueNumber)).digest('hex').substring(0, 16);
+        this.store.setEntry('issueViews', viewId, { owner: repository.owner, repo: repository.repo, issueNumber, shownAt: Date.now() });
+        return viewId;
+    }
+
+    // { repository, issueNumber } for a view ID; replies and returns null when the view has expired
+    async recallIssueView(interaction, viewId) {
+        const view = this.store.getEntry('issueViews', viewId);
+        if (!view) {
+            await interaction.reply({ content: 'This issue view has expired. Please run /issue view again.', ephemeral: true });
+            return null;
+        }
+        return { repository: { owner: view.owner, repo: view.repo }, issueNumber: view.issueNumber };
+    }
+
+    async handleIssueViewButton(interaction, action, ref) {
+        const view = await this.recallIssueView(interaction, ref);
+        if (!view) return;
+        const { repository, issueNumber } = view;
+
+        if (action === 'comment') {
+            const commentInput = new TextInputBuilder()
+                .setCustomId('comment')
+                .setStyle(TextInputStyle.Paragraph)
+                .setMaxLength(4000)
+                .setRequired(true);
+            await interaction.showModal(new ModalBuilder()
+                .setCustomId(`issue_comment_modal_${ref}`)
+                .setTitle(`Comment on #${issueNumber}`)
+                .addLabelComponents(new LabelBuilder().setLabel('Comment').setTextInputComponent(commentInput)));
+            return;
+        }
+
+        if (action === 'label') {
+            let labels;
+            try {
+                labels = await this.getRepositoryLabels(repository);
+            } catch (error) {
+                logger.error(`Error loading labels for ${formatRepository(repository)}:`, error);
+                await interaction.reply({ content: `Failed to load labels. ${this.describeGitHubError(error)}`, ephemeral: true });
+                return;
+            }
+            if (labels.length === 0) {
+                await interaction.reply({ content: `${formatRepository(repository)} has no labels.`, ephemeral: true });
+                return;
+            }
+
+            // Select menus hold 25 options; larger repositories get a text box checked against the real labels
+            const label = labels.length <= 25
+                ? new LabelBuilder().setLabel('Labels').setStringSelectMenuComponent(new StringSelectMenuBuilder()
+                    .setCustomId('labels')
+                    .setMinValues(1)
+                    .setMaxValues(labels.length)
+                    .addOptions(labels.map(name => ({ label: name, value: name }))))
+                : new LabelBuilder().setLabel('Labels (comma-separated)').setTextInputComponent(new TextInputBuilder()
+                    .setCustomId('labels')
+                    .setStyle(TextInputStyle.Short)
+                    .setRequired(true));
+            await interaction.showModal(new ModalBuilder()
+                .setCustomId(`issue_label_modal_${ref}`)
+                .setTitle(`Label #${issueNumber}`)
+                .addLabelComponents(label));
+            return;
+        }
+
+        if (action === 'assign' && !this.githubAccounts.get(interaction.user.id)) {
+            await interaction.showModal(this.buildGitHubAccountModal(`issue_account_modal_${ref}`));
+            return;
+        }
+
+        await interaction.deferUpdate();
+        await this.updateViewedIssue(interaction, repository, issueNumber, async () => {
+            const username = interaction.user.username;
+            if (action === 'close') {
+                await this.githubAPI.closeIssue({ ...repository, issueNumber, comment: `Closed via Discord by ${username}\n\n${BOT_COMMENT_MARKER}` });
+            } else if (action === 'reopen') {
+                await this.githubAPI.reopenIssue({ ...repository, issueNumber, comment: `Reopened via Discord by ${username}\n\n${BOT_COMMENT_MARKER}` });
+            } else {
+                await this.assignIssue(repository, issueNumber, this.githubAccounts.get(interaction.user.id), username);
+            }
+            logger.info(`${username} used "${action}" on ${formatRepository(repository)}#${issueNumber} from Discord`);
+        });
+    }
+
+    buildGitHubAccountModal(customId) {
+        const usernameInput = new TextInputBuilder()
+            .setCustomId('username')
+            .setStyle(TextInputStyle.Short)
+            .setMaxLength(40)
+            .setRequired(true);
+
+        return new ModalBuilder()
+            .setCustomId(customId)
+            .setTitle('Your GitHub Account')
+            .addLabelComponents(new LabelBuilder()
+                .setLabel('GitHub username')
+                .setDescription('Remembered for the next time you assign yourself')
+                .setTextInputComponent(usernameInput));
+    }
+
+    // Runs a change on an issue shown by /issue view, then redraws the view; the interaction must already be deferred
+    async updateViewedIssue(interaction, repository, issueNumber, change) {
+        try {
+            await change();
+            await interaction.editReply(await this.buildIssueView(repository, issueNumber));
+        } catch (error) {
+            logger.error(`Error updating ${formatRepository(repository)}#${issueNumber} from Discord:`, error);
+            await interaction.followUp({ content: `Failed to update issue #${issueNumber}. ${this.describeGitHubError(error)}`, ephemeral: true });
+        }
+    }
+
+    async handleIssueCommentModalSubmit(interaction, ref) {
+        const view = await this.recallIssueView(interaction, ref);
+        if (!view) return;
+        const { repository, issueNumber } = view;
+        const comment = interaction.fields.getTextInputValue('comment').trim();
+
+        await interaction.deferUpdate();
+        await this.updateViewedIssue(interaction, repository, issueNumber, async () => {
+            await this.commentOnIssue(repository, issueNumber, comment, interaction.member?.displayName || interaction.user.username);
+        });
+    }
+
+    async handleIssueLabelModalSubmit(interaction, ref) {
+        const view = await this.recallIssueView(interaction, ref);
+        if (!view) return;
+        const { repository, issueNumber } = view;
+        const labels = await this.getRepositoryLabels(repository);
+        // A select menu has values; the text box used for larger repositories has a comma-separated value
+        const field = interaction.fields.getField('labels');
+        const chosen = field.values || field.value.split(',').map(name => name.trim()).filter(Boolean);
+
+        // GitHub creates labels that don't exist yet; only use the repository's own
+        const known = chosen.map(name => labels.find(label => label.toLowerCase() === name.toLowerCase())).filter(Boolean);
+        const unknown = chosen.filter(name => !labels.some(label => label.toLowerCase() === name.toLowerCase()));
+        if (unknown.length > 0) {
+            await interaction.reply({ content: `❌ ${formatRepository(repository)} has no label named ${unknown.map(name => `\`${name}\``).join(', ')}.`, ephemeral: true });
+            return;
+        }
+
+        await interaction.deferUpdate();
+        await this.updateViewedIssue(interaction, repository, issueNumber, () =>
+            this.labelIssue(repository, issueNumber, { add: known }, interaction.user.username));
+    }
+
+    async handleGitHubAccountModalSubmit(interaction, ref) {
+        const view = await this.recallIssueView(interaction, ref);
+        if (!view) return;
+        const { repository, issueNumber } = view;
+
+        const username = normalizeUsername(interaction.fields.getTextInputValue('username'));
+        if (!username) {
+            await interaction.reply({ content: '❌ That is not a valid GitHub username.', ephemeral: true });
+            return;
+        }
+
+        await interaction.deferUpdate();
+        await this.updateViewedIssue(interaction, repository, issueNumber, async () => {
+            // Only remembered once GitHub confirms the account exists and can be assigned issues here
+            if (!(await this.githubAPI.canBeAssigned({ ...repository, login: username }))) {
+                throw new GitHubError(`${username} is not a GitHub user who can be assigned issues in ${formatRepository(repository)}.`, { status: 404, code: 'not_assignable' });
+            }
+            this.githubAccounts.link(interaction.user.id, username);
+            logger.info(`${interaction.user.username} (${interaction.user.id}) linked GitHub account ${username}`);
+
+            await this.assignIssue(repository, issueNumber, username, interaction.user.username);
+        });
+    }
+
+    async closeIssueCommand(interaction) {
+        await interaction.deferReply();
+
+        const issueNumber = interaction.options.getInteger('number');
+        const comment = interaction.options.getString('comment') || `Closed via Discord by ${interaction.user.username}`;
+        const repository = this.resolveRepository(interaction);
+
+        try {
+            await this.githubAPI.closeIssue({ ...repository, issueNumber, comment: `${comment}\n\n${BOT_COMMENT_MARKER}` });
 
             const embed = new EmbedBuilder()
                 .setColor(0xff9900)
                 .setTitle('🔒 Issue Closed')
                 .setDescription(`Issue #${issueNumber} has been closed.`)
                 .addFields({ name: 'Comment', value: comment, inline: false })
-                .setURL(`https://github.com/${this.config.repoOwner}/${this.config.repoName}/issues/${issueNumber}`)
+                .setURL(repositoryUrl(repository, `/issues/${issueNumber}`))
                 .setTimestamp();
 
             await interaction.editReply({ embeds: [embed] });
         } catch (error) {
             logger.error('Error closing GitHub issue:', error);
-            await interaction.editReply({ content: `Failed to close issue #${issueNumber}. Please check if the issue exists and you have permissions.` });
+            await interaction.editReply({ content: `Failed to close issue #${issueNumber} in ${formatRepository(repository)}. ${this.describeGitHubError(error)}` });
         }
     }
 
-    async analyzeConversationCommand(interaction) {
+    // Changes made from Discord leave a comment naming the member, since GitHub shows the bot's account
+    async commentOnIssue(repository, issueNumber, comment, author) {
+        await this.githubAPI.createComment({
+            ...repository,
+            issueNumber,
+            body: `**${author}** commented via Discord:\n\n${comment}\n\n${BOT_COMMENT_MARKER}`
+        });
+    }
+
+    async assignIssue(repository, issueNumber, login, username) {
+        await this.githubAPI.addAssignees({ ...repository, issueNumber, assignees: [login] });
+        await this.githubAPI.createComment({
+            ...repository,
+            issueNumber,
+            body: `Assigned to @${login} via Discord by ${username}\n\n${BOT_COMMENT_MARKER}`
+        });
+    }
+
+    // Returns the labels that were actually removed; removing one the issue doesn't have is skipped
+    async labelIssue(repository, issueNumber, { add = [], remove = [] }, username) {
+        if (add.length > 0) {
+            await this.githubAPI.addLabels({ ...repository, issueNumber, labels: add });
+        }
+        const removed = [];
+        for (const label of remove) {
+            if (await this.githubAPI.removeLabel({ ...repository, issueNumber, label })) {
+                removed.push(label);
+            }
+        }
+        if (add.length === 0 && removed.length === 0) return removed;
+
+        const changes = [
+            add.length > 0 ? `added ${add.map(label => `\`${label}\``).join(', ')}` : null,
+            removed.length > 0 ? `removed ${removed.map(label => `\`${label}\``).join(', ')}` : null
+        ].filter(Boolean).join(' and ');
+        await this.githubAPI.createComment({
+            ...repository,
+            issueNumber,
+            body: `Labels ${changes} via Discord by ${username}\n\n${BOT_COMMENT_MARKER}`
+        });
+        return removed;
+    }
+
+    // The repository's label with this name, ignoring case; null when it has none
+    async findRepositoryLabel(repository, name) {
+        const labels = await this.getRepositoryLabels(repository);
+        return labels.find(label => label.toLowerCase() === name.trim().toLowerCase()) || null;
+    }
+
+    async handleAutocomplete(interaction) {
+        const focused = interaction.options.getFocused(true);
+        if (interaction.commandName !== 'label-issue' || focused.name !== 'label') {
+            await interaction.respond([]);
+            return;
+        }
+
+        try {
+            const labels = await this.getRepositoryLabels(this.resolveRepository(interaction));
+            const query = focused.value.toLowerCase();
+            await interaction.respond(labels
+                .filter(label => label.toLowerCase().includes(query))
+                .slice(0, 25)
+                .map(label => ({ name: label, value: label })));
+        } catch (error) {
+            // An autocomplete can't show errors; the command reports them once it's run
+            logger.warn(`Could not load labels for autocomplete: ${error.message}`);
+            await interaction.respond([]);
+        }
+    }
+
+    async reopenIssueCommand(interaction) {
         await interaction.deferReply();
 
-        const messageCount = interaction.options.getInteger('messages') || 20;
-        const channelId = interaction.channel.id;
-        const history = this.conversationHistory.get(channelId) || [];
+        const issueNumber = interaction.options.getInteger('number');
+        const comment = interaction.options.getString('comment') || `Reopened via Discord by ${interaction.user.username}`;
+        const repository = this.resolveRepository(interaction);
 
-        if (history.length === 0) {
-            await interaction.editReply({ content: 'No conversation history found for this channel.' });
+        try {
+            await this.githubAPI.reopenIssue({ ...repository, issueNumber, comment: `${comment}\n\n${BOT_COMMENT_MARKER}` });
+
+            const embed = new EmbedBuilder()
+                .setColor(0x2ea043)
+                .setTitle('🔓 Issue Reopened')
+                .setDescription(`Issue #${issueNumber} has been reopened.`)
+                .addFields({ name: 'Comment', value: comment, inline: false })
+                .setURL(repositoryUrl(repository, `/issues/${issueNumber}`))
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error('Error reopening GitHub issue:', error);
+            await interaction.editReply({ content: `Failed to reopen issue #${issueNumber} in ${formatRepository(repository)}. ${this.describeGitHubError(error)}` });
+        }
+    }
+
+    async commentIssueCommand(interaction) {
+        await interaction.deferReply();
+
+        const issueNumber = interaction.options.getInteger('number');
+        const comment = interaction.options.getString('comment');
+        const repository = this.resolveRepository(interaction);
+
+        try {
+            await this.commentOnIssue(repository, issueNumber, comment, interaction.member?.displayName || interaction.user.username);
+
+            const embed = new EmbedBuilder()
+                .setColor(0x0099ff)
+                .setTitle('💬 Comment Added')
+                .setDescription(`Commented on issue #${issueNumber}.`)
+                .addFields({ name: 'Comment', value: comment.length > 1024 ? `${comment.substring(0, 1023)}…` : comment, inline: false })
+                .setURL(repositoryUrl(repository, `/issues/${issueNumber}`))
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error('Error commenting on GitHub issue:', error);
+            await interaction.editReply({ content: `Failed to comment on issue #${issueNumber} in ${formatRepository(repository)}. ${this.describeGitHubError(error)}` });
+        }
+    }
+
+    async assignIssueCommand(interaction) {
+        const issueNumber = interaction.options.getInteger('number');
+        const requested = interaction.options.getString('github-user');
+        const login = requested ? normalizeUsername(requested) : this.githubAccounts.get(interaction.user.id);
+        if (!login) {
+            await interaction.reply({
+                content: requested
+                    ? '❌ That is not a valid GitHub username.'
+                    : '❌ The bot doesn\'t know your GitHub username yet. Pass `github-user`, or use Assign Me on `/issue view` once.',
+                ephemeral: true
+            });
             return;
         }
 
-        const recentMessages = history.slice(-messageCount);
-        const conversationText = recentMessages.map(msg => `${msg.author}: ${msg.content}`).join('\n');
+        await interaction.deferReply();
+        const repository = this.resolveRepository(interaction);
 
         try {
-            const analysis = await this.analyzeWithAGiXT(conversationText, 'Analyze this entire conversation for potential issues or features.');
+            await this.assignIssue(repository, issueNumber, login, interaction.user.username);
 
             const embed = new EmbedBuilder()
-                .setColor(0x9966ff)
-                .setTitle('🔍 Conversation Analysis')
-                .setDescription(`Analyzed ${recentMessages.length} recent messages`)
+                .setColor(0x0099ff)
+                .setTitle('👤 Issue Assigned')
+                .setDescription(`Issue #${issueNumber} has been assigned to ${login}.`)
+                .setURL(repositoryUrl(repository, `/issues/${issueNumber}`))
                 .setTimestamp();
 
-            if (analysis && analysis.confidence > 50) {
-                embed.addFields(
-                    { name: 'Recommendation', value: analysis.shouldCreateIssue ? 'Create Issue' : analysis.shouldCreateFeature ? 'Create Feature' : 'No Action Needed', inline: true },
-                    { name: 'Confidence', value: `${analysis.confidence}%`, inline: true },
-                    { name: 'Type', value: analysis.issueType || 'N/A', inline: true },
-                    { name: 'Reasoning', value: analysis.reasoning || 'No specific reasoning provided', inline: false }
-                );
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error('Error assigning GitHub issue:', error);
+            await interaction.editReply({ content: `Failed to assign issue #${issueNumber} in ${formatRepository(repository)}. ${this.describeGitHubError(error)}` });
+        }
+    }
+
+    async labelIssueCommand(interaction) {
+        await interaction.deferReply();
 
-                if (analysis.title) {
-                    embed.addFields({ name: 'Suggested Title', value: analysis.title, inline: false });
-                }
+        const subcommand = interaction.options.getSubcommand();
+        const issueNumber = interaction.options.getInteger('number');
+        const name = interaction.options.getString('label');
+        const repository = this.resolveRepository(interaction);
+
+        try {
+            // GitHub would create a missing label on the fly; only use the repository's own
+            const label = await this.findRepositoryLabel(repository, name);
+            if (!label) {
+                await interaction.editReply({ content: `❌ ${formatRepository(repository)} has no label named \`${name}\`.` });
+                return;
+            }
+
+            const username = interaction.user.username;
+            let outcome;
+            if (subcommand === 'add') {
+                await this.labelIssue(repository, issueNumber, { add: [label] }, username);
+                outcome = `Added \`${label}\` to issue #${issueNumber}.`;
             } else {
-                embed.addFields({ name: 'Result', value: 'No significant issues or features detected in recent conversation.', inline: false });
+                const [removed] = await this.labelIssue(repository, issueNumber, { remove: [label] }, username);
+                outcome = removed ? `Removed \`${label}\` from issue #${issueNumber}.` : `Issue #${issueNumber} doesn't have the \`${label}\` label.`;
             }
 
+            const embed = new EmbedBuilder()
+                .setColor(0x0099ff)
+                .setTitle('🏷️ Labels Updated')
+                .setDescription(outcome)
+                .setURL(repositoryUrl(repository, `/issues/${issueNumber}`))
+                .setTimestamp();
+
             await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error('Error labeling GitHub issue:', error);
+            await interaction.editReply({ content: `Failed to update labels on issue #${issueNumber} in ${formatRepository(repository)}. ${this.describeGitHubError(error)}` });
+        }
+    }
+
+    async analyzeConversationCommand(interaction) {
+        const sinceOption = interaction.options.getString('since');
+        const sinceId = sinceOption ? parseMessageReference(sinceOption) : null;
+        if (sinceOption && !sinceId) {
+            await interaction.reply({ content: '❌ `since` must be a message ID or a message link.', ephemeral: true });
+            return;
+        }
+
+        await interaction.deferReply();
+
+        const hours = interaction.options.getNumber('hours');
+        const range = {
+            limit: interaction.options.getInteger('messages') || (hours || sinceId ? null : 50),
+            sinceTimestamp: hours ? Date.now() - hours * 60 * 60 * 1000 : null,
+            sinceId,
+            max: this.config.conversationMaxMessages
+        };
+
+        let entries;
+        try {
+            entries = await fetchChannelHistory(interaction.channel, range);
+        } catch (error) {
+            // e.g. no Read Message History permission; the in-memory buffer is better than nothing
+            logger.warn(`Could not fetch history for channel ${interaction.channel.id}, using recent messages instead: ${error.message}`);
+            entries = selectHistory(this.conversationHistory.get(interaction.channel.id) || [], range);
+        }
+
+        if (entries.length === 0) {
+            await interaction.editReply({ content: 'No messages found in that range.' });
+            return;
+        }
+
+        try {
+            const chunks = chunkMessages(entries.map(entry => this.formatForAnalysis(entry)), {
+                maxChars: this.config.conversationChunkChars
+            });
+            const results = [];
+            for (const chunk of chunks) {
+                results.push(await this.findConversationIssues(chunk, interaction));
+            }
+
+            if (results.every(result => result === null)) {
+                throw new Error('No analyzer could read the conversation');
+            }
+
+            const findings = mergeFindings(results.filter(Boolean).flat(), { threshold: this.config.suggestionTopicThreshold })
+                .filter(finding => (finding.shouldCreateIssue || finding.shouldCreateFeature) && finding.confidence > 50);
+
+            await interaction.editReply({ embeds: [this.buildConversationAnalysisEmbed(entries, chunks.length, findings)] });
         } catch (error) {
             logger.error('Error analyzing conversation:', error);
             await interaction.editReply({ content: 'Failed to analyze conversation. Please check the logs for details.' });
         }
     }
 
+    buildConversationAnalysisEmbed(entries, chunkCount, findings) {
+        const from = Math.floor(entries[0].timestamp / 1000);
+        const to = Math.floor(entries[entries.length - 1].timestamp / 1000);
+        const shown = findings.slice(0, 10);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x9966ff)
+            .setTitle('🔍 Conversation Analysis')
+            .setDescription(`Analyzed ${entries.length} messages from <t:${from}:f> to <t:${to}:f>` +
+                (chunkCount > 1 ? ` in ${chunkCount} parts` : ''))
+            .setTimestamp();
+
+        if (shown.length === 0) {
+            embed.addFields({ name: 'Result', value: 'No significant issues or features detected in this conversation.', inline: false });
+            return embed;
+        }
+
+        embed.addFields(shown.map((finding, index) => {
+            const kind = finding.shouldCreateIssue ? '🐛 Issue' : '✨ Feature';
+            const details = [finding.issueType || 'N/A', finding.priority || 'medium', `${finding.confidence}%`, finding.analyzer].filter(Boolean).join(' · ');
+            return {
+                name: `${index + 1}. ${kind}: ${finding.title || 'Untitled'}`.substring(0, 256),
+                value: `${details}\n${finding.reasoning || 'No specific reasoning provided'}`.substring(0, 1024),
+                inline: false
+            };
+        }));
+
+        if (findings.length > shown.length) {
+            embed.setFooter({ text: `${findings.length - shown.length} more not shown; narrow the range to see them` });
+        }
+        return embed;
+    }
+
     async toggleMonitoringCommand(interaction) {
         const channelId = interaction.channel.id;
         const isMonitored = this.config.monitorChannels.includes(channelId);
 
         if (isMonitored) {
             this.config.monitorChannels = this.config.monitorChannels.filter(id => id !== channelId);
-            await interaction.reply({ content: '🔕 Automatic monitoring disabled for this channel.', ephemeral: true });
         } else {
-            this.config.monitorChannels.push(channelId);
-            await interaction.reply({ content: '🔔 Automatic monitoring enabled for this channel.', ephemeral: true });
+            this.config.monitorChannels = [...this.config.monitorChannels, channelId];
         }
+        this.store.set('monitorChannels', this.config.monitorChannels);
+
+        await interaction.reply({
+            content: isMonitored ? '🔕 Automatic monitoring disabled for this channel.' : '🔔 Automatic monitoring enabled for this channel.',
+            ephemeral: true
+        });
 
-        // Update environment file (in a real implementation, you'd want to persist this properly)
         logger.info(`Channel ${channelId} monitoring toggled to: ${!isMonitored}`);
     }
 
+    // Channel setting first, then the parent channel for threads, then SUGGESTION_TARGET
+    getSuggestionTarget(source = {}) {
+        const { channelId } = source;
+        const parentId = source.parentId ?? (source.channel?.isThread?.() ? source.channel.parentId : undefined);
+        const setting = this.store.getEntry('suggestionTargets', channelId) ||
+            (parentId ? this.store.getEntry('suggestionTargets', parentId) : null);
+
+        return setting?.target || this.config.suggestionTarget;
+    }
+
+    async suggestionTargetCommand(interaction) {
+        const target = interaction.options.getString('target');
+        const channelId = interaction.channelId;
+        const describe = value => SUGGESTION_TARGETS.find(option => option.value === value).name;
+
+        if (!target) {
+            const current = this.getSuggestionTarget(interaction);
+            const isDefault = !this.store.getEntry('suggestionTargets', channelId);
+            await interaction.reply({
+                content: `Suggestions in this channel create: **${describe(current)}**${isDefault ? ' (bot default)' : ''}`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (target === 'default') {
+            this.store.deleteEntry('suggestionTargets', channelId);
+        } else {
+            this.store.setEntry('suggestionTargets', channelId, {
+                target,
+                guildId: interaction.guildId,
+                setBy: interaction.user.username,
+                updatedAt: new Date().toISOString()
+            });
+        }
+
+        const effective = this.getSuggestionTarget(interaction);
+        await interaction.reply({
+            content: `🎯 Suggestions in this channel will now create: **${describe(effective)}**${target === 'default' ? ' (bot default)' : ''}`,
+            ephemeral: true
+        });
+
+        logger.info(`Suggestion target for channel ${channelId} set to ${target} by ${interaction.user.username}`);
+    }
+
+    // Channel setting first, then the parent channel for threads, then ANALYZER_PIPELINE
+    getAnalyzerPipeline(source = {}) {
+        const { channelId } = source;
+        const parentId = source.parentId ?? (source.channel?.isThread?.() ? source.channel.parentId : undefined);
+        const setting = this.store.getEntry('channelAnalyzers', channelId) ||
+            (parentId ? this.store.getEntry('channelAnalyzers', parentId) : null);
+
+        return setting?.pipeline || this.config.analyzerPipeline;
+    }
+
+    async analyzerPipelineCommand(interaction) {
+        const spec = interaction.options.getString('pipeline');
+        const channelId = interaction.channelId;
+        const describe = pipeline => pipeline.map(name => `\`${name}\``).join(' → ');
+
+        if (!spec) {
+            const isDefault = !this.store.getEntry('channelAnalyzers', channelId);
+            await interaction.reply({
+                content: `Messages in this channel are analyzed by: ${describe(this.getAnalyzerPipeline(interaction))}${isDefault ? ' (bot default)' : ''}`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (spec.trim().toLowerCase() === 'default') {
+            this.store.deleteEntry('channelAnalyzers', channelId);
+        } else {
+            let pipeline;
+            try {
+                pipeline = parsePipeline(spec);
+            } catch (error) {
+                await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+                return;
+            }
+
+            if (pipeline.includes('openai') && !this.openaiAPI) {
+                await interaction.reply({ content: '❌ The `openai` analyzer needs OPENAI_API_URL to be configured.', ephemeral: true });
+                return;
+            }
+
+            this.store.setEntry('channelAnalyzers', channelId, {
+                pipeline,
+                guildId: interaction.guildId,
+                setBy: interaction.user.username,
+                updatedAt: new Date().toISOString()
+            });
+        }
+
+        const effective = this.getAnalyzerPipeline(interaction);
+        await interaction.reply({
+            content: `🧠 Messages in this channel will now be analyzed by: ${describe(effective)}`,
+            ephemeral: true
+        });
+
+        logger.info(`Analyzer pipeline for channel ${channelId} set to ${effective.join(',')} by ${interaction.user.username}`);
+    }
+
+    resolveRepository(source = {}) {
+        const parentId = source.parentId ?? (source.channel?.isThread?.() ? source.channel.parentId : undefined);
+
+        return this.repositoryLinks.resolve({
+            channelId: source.channelId,
+            parentId,
+            guildId: source.guildId
+        });
+    }
+
     async linkRepoCommand(interaction) {
-        const owner = interaction.options.getString('owner');
-        const repo = interaction.options.getString('repo');
+        const owner = interaction.options.getString('owner').trim();
+        const repo = interaction.options.getString('repo').trim();
+        const scope = interaction.options.getString('scope') || 'channel';
 
-        // Update configuration for this guild/channel
-        this.config.repoOwner = owner;
-        this.config.repoName = repo;
+        if (!RepositoryLinks.isValid(owner, repo)) {
+            await interaction.reply({ content: `❌ \`${owner}/${repo}\` is not a valid GitHub repository name.`, ephemeral: true });
+            return;
+        }
+
+        const targetId = scope === 'guild' ? interaction.guildId : interaction.channelId;
+        this.repositoryLinks.link(scope, targetId, owner, repo, {
+            guildId: interaction.guildId,
+            linkedBy: interaction.user.username
+        });
 
         const embed = new EmbedBuilder()
             .setColor(0x00ff00)
             .setTitle('🔗 Repository Linked')
-            .setDescription(`This channel is now linked to **${owner}/${repo}**`)
+            .setDescription(scope === 'guild'
+                ? `**${owner}/${repo}** is now the default repository for this server`
+                : `This channel is now linked to **${owner}/${repo}**`)
             .addFields(
                 { name: 'Owner', value: owner, inline: true },
-                { name: 'Repository', value: repo, inline: true }
+                { name: 'Repository', value: repo, inline: true },
+                { name: 'Scope', value: scope === 'guild' ? 'Server default' : 'This channel', inline: true }
             )
-            .setURL(`https://github.com/${owner}/${repo}`)
+            .setURL(repositoryUrl({ owner, repo }))
             .setTimestamp();
 
         await interaction.reply({ embeds: [embed] });
-        logger.info(`Channel ${interaction.channel.id} linked to repository ${owner}/${repo}`);
+        logger.info(`${scope === 'guild' ? 'Guild' : 'Channel'} ${targetId} linked to repository ${owner}/${repo}`);
+    }
+
+    async unlinkRepoCommand(interaction) {
+        const scope = interaction.options.getString('scope') || 'channel';
+        const targetId = scope === 'guild' ? interaction.guildId : interaction.channelId;
+        const removed = this.repositoryLinks.unlink(scope, targetId);
+
+        if (!removed) {
+            await interaction.reply({
+                content: scope === 'guild' ? 'This server has no default repository link.' : 'This channel has no repository link.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const repository = this.resolveRepository(interaction);
+        await interaction.reply({
+            content: `🔓 Repository link removed. This channel now uses **${formatRepository(repository)}** (${repository.source === 'default' ? 'bot default' : `${repository.source} link`}).`
+        });
+        logger.info(`${scope === 'guild' ? 'Guild' : 'Channel'} ${targetId} unlinked from its repository`);
+    }
+
+    async listRepoLinksCommand(interaction) {
+        const { guild, channels } = this.repositoryLinks.list(interaction.guildId);
+        const current = this.resolveRepository(interaction);
+        // The environment default, or a bot-wide link from an older state file when one is left
+        const botDefault = this.repositoryLinks.resolve();
+
+        const embed = new EmbedBuilder()
+            .setColor(0x0099ff)
+            .setTitle('🔗 Repository Links')
+            .addFields(
+                { name: 'This Channel', value: `${formatRepository(current)} (${current.source === 'default' ? 'bot default' : `${current.source} link`})`, inline: false },
+                { name: 'Server Default', value: guild ? formatRepository(guild) : 'Not set', inline: true },
+                { name: 'Bot Default', value: formatRepository(botDefault), inline: true }
+            )
+            .setTimestamp();
+
+        const channelText = channels
+            .map(link => `<#${link.channelId}> → ${formatRepository(link)}`)
+            .join('\n');
+
+        embed.addFields({
+            name: `Channel Links (${channels.length})`,
+            value: channelText ? channelText.substring(0, 1024) : 'No channel links',
+            inline: false
+        });
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
     }
 
     async botStatusCommand(interaction) {
@@ -698,9 +2441,11 @@ Consider:
                 { name: 'Status', value: '✅ Online', inline: true },
                 { name: 'Uptime', value: uptimeString, inline: true },
                 { name: 'Monitored Channels', value: this.config.monitorChannels.length.toString(), inline: true },
-                { name: 'Linked Repository', value: `${this.config.repoOwner}/${this.config.repoName}`, inline: false },
+                { name: 'Linked Repository', value: formatRepository(this.resolveRepository(interaction)), inline: false },
                 { name: 'Auto Create Issues', value: this.config.autoCreateIssues ? '✅ Enabled' : '❌ Disabled', inline: true },
                 { name: 'AGiXT Integration', value: this.config.agitxtApiUrl ? '✅ Configured' : '❌ Not Configured', inline: true },
+                { name: 'Analyzers', value: this.getAnalyzerPipeline(interaction).join(' → '), inline: true },
+                { name: 'LLM Parse Failures', value: this.describeParseFailures(), inline: true },
                 { name: 'XTSystems Integration', value: this.config.xtsystemsApiUrl ? '✅ Configured' : '❌ Not Configured', inline: true }
             )
             .setTimestamp();
@@ -708,59 +2453,401 @@ Consider:
         await interaction.reply({ embeds: [embed], ephemeral: true });
     }
 
-    async handleButtonInteraction(interaction) {
-        const [action, messageId] = interaction.customId.split('_');
+    describeParseFailures() {
+        const { failures, total } = this.analysisMetrics.parseFailures();
+        return total === 0 ? 'No LLM answers yet' : `${failures} of ${total} answers`;
+    }
+
+    async handleButtonInteraction(interaction) {
+        const { customId } = interaction;
+
+        try {
+            const action = ['create_issue_', 'create_ticket_', 'ignore_suggestion_'].some(prefix => customId.startsWith(prefix))
+                ? 'suggestions'
+                : ['approve_machine_', 'deny_machine_'].some(prefix => customId.startsWith(prefix)) ? 'machine-approval'
+                    : customId.startsWith('reminder_') ? 'reminders'
+                        : ['issue_close_', 'issue_reopen_'].some(prefix => customId.startsWith(prefix)) ? 'close-issue'
+                            : ['issue_comment_', 'issue_assign_', 'issue_label_'].some(prefix => customId.startsWith(prefix)) ? 'edit-issues' : null;
+            // Reporters pinged by a reminder may act on their own report without the reminders permission
+            const ownReminder = action === 'reminders' && this.isReminderReporter(customId.split('_')[2], interaction.user.id);
+            if (action && !ownReminder && !(await this.ensurePermission(interaction, action, customId))) {
+                return;
+            }
+
+            if (customId.startsWith('create_issue_')) {
+                await this.handleCreateIssueButton(interaction, customId.replace('create_issue_', ''));
+            } else if (customId.startsWith('create_ticket_')) {
+                await this.handleCreateTicketButton(interaction, customId.replace('create_ticket_', ''));
+            } else if (customId.startsWith('ignore_suggestion_')) {
+                await this.handleIgnoreButton(interaction, customId.replace('ignore_suggestion_', ''));
+            } else if (customId.startsWith('context_review_')) {
+                await this.handleContextReviewButton(interaction, customId.replace('context_review_', ''));
+            } else if (customId.startsWith('context_surrounding_')) {
+                await this.handleContextSurroundingButton(interaction, customId.replace('context_surrounding_', ''));
+            } else if (customId.startsWith('duplicate_comment_')) {
+                const [draftId, issueNumber] = customId.replace('duplicate_comment_', '').split('_');
+                await this.handleDuplicateCommentButton(interaction, draftId, parseInt(issueNumber));
+            } else if (customId.startsWith('duplicate_create_')) {
+                await this.handleDuplicateCreateButton(interaction, customId.replace('duplicate_create_', ''));
+            } else if (customId.startsWith('approve_machine_')) {
+                await this.handleMachineDecisionButton(interaction, 'approved', customId.replace('approve_machine_', ''));
+            } else if (customId.startsWith('deny_machine_')) {
+                await this.handleMachineDecisionButton(interaction, 'denied', customId.replace('deny_machine_', ''));
+            } else if (customId.startsWith('issues_page_')) {
+                const [listingId, page] = customId.replace('issues_page_', '').split('_');
+                await this.handleIssuePageButton(interaction, listingId, parseInt(page));
+            } else if (/^issue_(comment|close|reopen|assign|label)_/.test(customId)) {
+                // issue_<action>_<view ID>
+                const [, action, ...ref] = customId.split('_');
+                await this.handleIssueViewButton(interaction, action, ref.join('_'));
+            } else if (customId.startsWith('reminder_')) {
+                // reminder_<close|bump|snooze>_<reminder ID>
+                const [, action, reminderId] = customId.split('_');
+                await this.handleReminderButton(interaction, action, reminderId);
+            }
+        } catch (error) {
+            logger.error(`Error handling button ${customId}:`, error);
+            const errorMessage = { content: 'An error occurred while processing this button.', ephemeral: true };
+
+            // After deferUpdate the original message is the reply, so the error goes in a follow-up instead
+            if (interaction.deferred || interaction.replied) {
+                await interaction.followUp(errorMessage);
+            } else {
+                await interaction.reply(errorMessage);
+            }
+        }
+    }
+
+    async handleCreateIssueButton(interaction, messageId) {
+        const pending = this.store.getEntry('pendingAnalyses', messageId);
+        const analysis = pending?.analysis;
+        if (!analysis) {
+            await interaction.reply({ content: 'Analysis data not found. Please try creating the issue manually.', ephemeral: true });
+            return;
+        }
+
+        // Let the user correct the AI's suggestion before anything is filed
+        await interaction.showModal(this.buildIssueModal(`issue_modal_suggestion_${messageId}`, 'Review Suggested Issue', {
+            title: analysis.title,
+            // Reports that are mostly a screenshot or log have little text to suggest
+            description: analysis.description ||
+                (pending.reportMessages || []).map(msg => this.formatForAnalysis(msg, { withAuthor: false })).filter(Boolean).join('\n'),
+            type: analysis.issueType,
+            priority: analysis.priority
+        }));
+    }
+
+    async handleCreateTicketButton(interaction, messageId) {
+        await interaction.deferReply({ ephemeral: true });
+
+        const pending = this.store.getEntry('pendingAnalyses', messageId);
+        const analysis = pending?.analysis;
+        if (!analysis) {
+            await interaction.editReply({ content: 'Analysis data not found. Please try creating the ticket manually with /create-ticket.' });
+            return;
+        }
+        // Claimed before the API call so a second click, even one already in flight, can't file the ticket again
+        this.store.deleteEntry('pendingAnalyses', messageId);
+
+        let ticket = null;
+        try {
+            const details = await this.appendAttachments(analysis.description || analysis.title, pending.reportMessages, 'plain');
+            const description = `${details}\n\nReported on Discord: ${messageLink(pending.channelId, messageId, pending.guildId)}`;
+            ticket = await this.createXTSystemsTicket(
+                analysis.title,
+                description,
+                this.toTicketPriority(analysis.priority),
+                interaction.user.username
+            );
+            this.activityLog.resolveSuggestion(messageId, 'accepted');
+            this.ticketLinks.track(ticket.id, {
+                channelId: pending.channelId,
+                messageId,
+                reporterId: interaction.user.id,
+                title: analysis.title,
+                priority: this.toTicketPriority(analysis.priority)
+            });
+
+            const ticketUrl = this.ticketUrl(ticket.id);
+            const ticketLabel = ticketUrl ? `[#${ticket.id}](${ticketUrl})` : `#${ticket.id}`;
+
+            const updatedEmbed = EmbedBuilder.from(interaction.message.embeds[0])
+                .setColor(0x00ff00)
+                .setTitle('🎫 Ticket Created')
+                .addFields({ name: 'Ticket', value: ticketLabel, inline: true });
+            await interaction.message.edit({ embeds: [updatedEmbed], components: [] });
+
+            await interaction.editReply({ content: `🎫 XTSystems ticket ${ticketLabel} created successfully!` });
+        } catch (error) {
+            logger.error('Error creating ticket from button:', error);
+            // Let the suggestion be tried again unless the ticket was already filed
+            if (!ticket) {
+                this.store.setEntry('pendingAnalyses', messageId, pending);
+            }
+            await interaction.editReply({ content: 'Failed to create XTSystems ticket. Please check the logs for details.' });
+        }
+    }
+
+    // AGiXT suggests lowercase GitHub-style priorities; XTSystems expects Low/Medium/High/Critical
+    toTicketPriority(priority) {
+        const match = ISSUE_PRIORITIES.find(({ value }) => value === String(priority || '').toLowerCase());
+        return match ? match.name : 'Medium';
+    }
+
+    ticketUrl(ticketId) {
+        return this.config.xtsystemsWebUrl ? `${this.config.xtsystemsWebUrl.replace(/\/$/, '')}/tickets/${ticketId}` : null;
+    }
+
+    // Open issues in the draft's repository that look like the same report; a failed lookup never blocks creation
+    async findDuplicateIssues(draft) {
+        if (!this.config.duplicateDetection) return [];
+
+        const { repository } = draft;
+        try {
+            const issues = await this.githubAPI.listIssues({
+                owner: repository.owner,
+                repo: repository.repo,
+                state: 'open',
+                limit: DUPLICATE_SEARCH_LIMIT
+            });
+
+            return findSimilarIssues({ title: draft.title, body: draft.description }, issues, {
+                threshold: this.config.duplicateThreshold
+            });
+        } catch (error) {
+            logger.warn(`Duplicate check in ${formatRepository(repository)} failed, continuing without it: ${error.message}`);
+            return [];
+        }
+    }
+
+    async promptForDuplicates(interaction, draft, duplicates) {
+        // Keep the report until the user picks an option, so the buttons survive a restart
+        const draftId = interaction.id;
+        this.store.setEntry('issueDrafts', draftId, { ...draft, createdAt: Date.now() });
+
+        const embed = new EmbedBuilder()
+            .setColor(0xff9900)
+            .setTitle('🔍 Possible Duplicate Issues')
+            .setDescription(`Open issues in ${formatRepository(draft.repository)} look similar to **${draft.title}**. Add this report to one of them, or create a new issue anyway.`)
+            .addFields(duplicates.map(({ issue, score }) => ({
+                name: `#${issue.number} (${Math.round(score * 100)}% similar)`,
+                value: `[${issue.title.substring(0, 200)}](${issue.html_url})`,
+                inline: false
+            })))
+            .setTimestamp();
+
+        const commentButtons = duplicates.map(({ issue }) => new ButtonBuilder()
+            .setCustomId(`duplicate_comment_${draftId}_${issue.number}`)
+            .setLabel(`Comment on #${issue.number} instead`)
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('💬'));
+
+        const createButton = new ButtonBuilder()
+            .setCustomId(`duplicate_create_${draftId}`)
+            .setLabel('Create anyway')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('📝');
+
+        const row = new ActionRowBuilder().addComponents(...commentButtons, createButton);
+
+        await interaction.editReply({ embeds: [embed], components: [row] });
+        logger.info(`Found ${duplicates.length} possible duplicate(s) of "${draft.title}" in ${formatRepository(draft.repository)}`);
+    }
+
+    // Takes the draft out of the store if this user may resolve it, otherwise replies and returns null.
+    // Nothing is awaited before the claim, so a double click can't act on it twice; callers put it back on failure
+    async claimIssueDraft(interaction, draftId) {
+        const draft = this.store.getEntry('issueDrafts', draftId);
+
+        if (!draft) {
+            await interaction.reply({ content: 'This report has already been handled or has expired.', ephemeral: true });
+            return null;
+        }
+
+        if (draft.authorId && draft.authorId !== interaction.user.id) {
+            await interaction.reply({ content: 'Only the person who reported this can choose what happens to it.', ephemeral: true });
+            return null;
+        }
+
+        this.store.deleteEntry('issueDrafts', draftId);
+        return draft;
+    }
+
+    async handleDuplicateCommentButton(interaction, draftId, issueNumber) {
+        const draft = await this.claimIssueDraft(interaction, draftId);
+        if (!draft) return;
+
+        await interaction.deferUpdate();
+        const { repository } = draft;
+
+        let commented = false;
+        try {
+            await this.githubAPI.createComment({
+                owner: repository.owner,
+                repo: repository.repo,
+                issueNumber,
+                body: `${await this.appendAttachments(draft.description, draft.reportMessages)}\n\n---\n*Also reported via Discord by ${draft.author}: ${draft.title}*\n*[View the report on Discord](${draft.reportUrl})*\n\n${BOT_COMMENT_MARKER}`
+            });
+            commented = true;
+            logger.info(`Added Discord report "${draft.title}" to ${formatRepository(repository)}#${issueNumber} instead of creating a duplicate`);
+
+            await interaction.editReply({
+                content: `💬 Added this report to issue #${issueNumber} in ${formatRepository(repository)}. [View Issue](${repositoryUrl(repository, `/issues/${issueNumber}`)})`,
+                embeds: [],
+                components: []
+            });
+            this.trackIssueReport(draft, issueNumber, interaction.message.id);
+            await this.completeSuggestion(draft, issueNumber, '🔗 Added to Existing Issue');
+        } catch (error) {
+            logger.error(`Error commenting on issue #${issueNumber}:`, error);
+            if (!commented) {
+                this.store.setEntry('issueDrafts', draftId, draft);
+            }
+            await interaction.followUp({ content: `Failed to comment on issue #${issueNumber}. ${this.describeGitHubError(error)}`, ephemeral: true });
+        }
+    }
+
+    async handleDuplicateCreateButton(interaction, draftId) {
+        const draft = await this.claimIssueDraft(interaction, draftId);
+        if (!draft) return;
+
+        await interaction.deferUpdate();
 
-        if (action === 'create' && messageId.startsWith('issue')) {
-            await this.handleCreateIssueButton(interaction, messageId.replace('issue_', ''));
-        } else if (action === 'ignore' && messageId.startsWith('suggestion')) {
-            await this.handleIgnoreButton(interaction);
+        try {
+            const issueNumber = await this.createIssueFromDraft(draft);
+
+            await interaction.editReply({ content: '', embeds: [this.buildIssueCreatedEmbed(draft, issueNumber)], components: [] });
+            const link = this.trackIssueReport(draft, issueNumber, interaction.message.id, { created: true });
+            await this.openIssueThread(link, draft, interaction.message);
+        } catch (error) {
+            logger.error('Error creating GitHub issue:', error);
+            // The report can be tried again unless the issue was filed before the failure
+            if (!draft.issueNumber) {
+                this.store.setEntry('issueDrafts', draftId, draft);
+            }
+            await interaction.followUp({ content: `Failed to create GitHub issue. ${this.describeGitHubError(error)}`, ephemeral: true });
         }
     }
 
-    async handleCreateIssueButton(interaction, messageId) {
-        await interaction.deferReply({ ephemeral: true });
+    // Records the issue number on the draft, so a caller handling a later failure knows the issue exists
+    async createIssueFromDraft(draft) {
+        const issueNumber = await this.createGitHubIssue(
+            draft.title,
+            await this.appendAttachments(draft.description, draft.reportMessages),
+            draft.labels,
+            draft.priority,
+            draft.author,
+            draft.repository,
+            draft.reportUrl
+        );
+        draft.issueNumber = issueNumber;
+
+        await this.completeSuggestion(draft, issueNumber, '✅ Issue Created');
+        return issueNumber;
+    }
 
-        const analysis = this.analysisCache?.get(messageId);
-        if (!analysis) {
-            await interaction.editReply({ content: 'Analysis data not found. Please try creating the issue manually.' });
-            return;
-        }
+    // Remember where the report lives so GitHub activity on the issue can be mirrored back to it
+    trackIssueReport(draft, issueNumber, messageId, { created = false } = {}) {
+        return this.issueLinks.track(draft.repository, issueNumber, {
+            channelId: draft.suggestionMessage?.channelId || draft.channelId,
+            messageId: draft.suggestionMessage?.messageId || messageId,
+            reporterId: draft.authorId,
+            title: draft.title
+        }, { labels: created ? draft.labels : [] });
+    }
+
+    // Start a thread for discussing the new issue; reports from a message thread off that message, commands off the reply
+    async openIssueThread(link, draft, replyMessage) {
+        if (!this.config.issueThreads) return;
 
         try {
-            const labels = [analysis.issueType];
-            if (analysis.priority && analysis.priority !== 'medium') {
-                labels.push(analysis.priority);
+            let message = replyMessage;
+            const reportMessageId = draft.suggestionId || draft.reportMessageId;
+            if (reportMessageId) {
+                const channel = await this.client.channels.fetch(draft.channelId);
+                message = await channel.messages.fetch(reportMessageId);
             }
 
-            const issueNumber = await this.createGitHubIssue(
-                analysis.title,
-                analysis.description,
-                labels,
-                analysis.priority,
-                interaction.user.username
-            );
+            // Threads can't be nested, and a message can only have one thread
+            if (!message?.startThread || message.channel?.isThread?.() || message.hasThread) return;
 
-            await interaction.editReply({
-                content: `✅ Issue #${issueNumber} created successfully! [View Issue](https://github.com/${this.config.repoOwner}/${this.config.repoName}/issues/${issueNumber})`
+            const thread = await message.startThread({
+                name: `#${link.issueNumber} ${draft.title}`.substring(0, 100),
+                autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+                reason: `Discussion for GitHub issue #${link.issueNumber}`
             });
+            this.issueLinks.attachThread(link, thread.id);
+
+            const issueUrl = repositoryUrl(draft.repository, `/issues/${link.issueNumber}`);
+            await thread.send({ content: `🧵 Messages in this thread are added as comments on [#${link.issueNumber}](${issueUrl}), and new comments from GitHub are posted here.` });
+            logger.info(`Opened thread ${thread.id} for ${formatRepository(draft.repository)}#${link.issueNumber}`);
+        } catch (error) {
+            logger.warn(`Could not open a thread for issue #${link.issueNumber}: ${error.message}`);
+        }
+    }
+
+    async mirrorThreadMessage(message, link) {
+        const attachments = [...message.attachments.values()].map(attachment => `📎 [${attachment.name}](${attachment.url})`);
+        if (!message.content && attachments.length === 0) return;
+
+        const author = message.member?.displayName || message.author.username;
+        const body = [
+            `**${author}** wrote on [Discord](${message.url}):`,
+            '',
+            message.content,
+            ...attachments,
+            '',
+            BOT_COMMENT_MARKER
+        ].join('\n');
+
+        try {
+            await this.githubAPI.createComment({ owner: link.owner, repo: link.repo, issueNumber: link.issueNumber, body });
+            logger.info(`Mirrored thread message ${message.id} to ${link.owner}/${link.repo}#${link.issueNumber}`);
+        } catch (error) {
+            logger.error(`Error mirroring thread message ${message.id} to GitHub:`, error);
+            await message.react('⚠️').catch(() => {});
+        }
+    }
 
-            // Update the original message
-            const originalMessage = await interaction.channel.messages.fetch(messageId);
-            const updatedEmbed = EmbedBuilder.from(originalMessage.embeds[0])
+    buildIssueCreatedEmbed(draft, issueNumber) {
+        return new EmbedBuilder()
+            .setColor(0x00ff00)
+            .setTitle('✅ Issue Created Successfully')
+            .setDescription(`GitHub issue #${issueNumber} has been created.`)
+            .addFields(
+                { name: 'Title', value: draft.title, inline: false },
+                { name: 'Type', value: draft.labels[0] || 'Unknown', inline: true },
+                { name: 'Priority', value: draft.priority || 'medium', inline: true }
+            )
+            .setURL(repositoryUrl(draft.repository, `/issues/${issueNumber}`))
+            .setTimestamp();
+    }
+
+    // Reflect the outcome on the suggestion embed the report came from, if any
+    async completeSuggestion(draft, issueNumber, title) {
+        if (!draft.suggestionId) return;
+
+        this.store.deleteEntry('pendingAnalyses', draft.suggestionId);
+        this.activityLog.resolveSuggestion(draft.suggestionId, 'accepted');
+
+        try {
+            const channel = await this.client.channels.fetch(draft.suggestionMessage.channelId);
+            const suggestion = await channel.messages.fetch(draft.suggestionMessage.messageId);
+            const updatedEmbed = EmbedBuilder.from(suggestion.embeds[0])
                 .setColor(0x00ff00)
-                .setTitle('✅ Issue Created')
+                .setTitle(title)
                 .addFields({ name: 'Issue Number', value: `#${issueNumber}`, inline: true });
 
-            await originalMessage.edit({ embeds: [updatedEmbed], components: [] });
+            await suggestion.edit({ embeds: [updatedEmbed], components: [] });
         } catch (error) {
-            logger.error('Error creating issue from button:', error);
-            await interaction.editReply({ content: 'Failed to create issue. Please try again or create it manually.' });
+            logger.warn(`Could not update suggestion message ${draft.suggestionMessage.messageId}: ${error.message}`);
         }
     }
 
-    async handleIgnoreButton(interaction) {
+    async handleIgnoreButton(interaction, messageId) {
         await interaction.deferUpdate();
+        this.store.deleteEntry('pendingAnalyses', messageId);
+        this.activityLog.resolveSuggestion(messageId, 'ignored');
 
         const updatedEmbed = EmbedBuilder.from(interaction.message.embeds[0])
             .setColor(0x999999)
@@ -769,21 +2856,20 @@ Consider:
         await interaction.editReply({ embeds: [updatedEmbed], components: [] });
     }
 
-    async createGitHubIssue(title, body, labels = [], priority = 'medium', author = 'Discord Bot') {
+    async createGitHubIssue(title, body, labels = [], priority = 'medium', author = 'Discord Bot', repository = this.resolveRepository(), reportUrl = null) {
         try {
-            const issueBody = `${body}\n\n---\n*Created via Discord by ${author}*\n*Priority: ${priority}*`;
-
-            const command = `gh issue create --repo ${this.config.repoOwner}/${this.config.repoName} --title "${title}" --body "${issueBody}"`;
-
-            if (labels.length > 0) {
-                command += ` --label "${labels.join(',')}"`;
-            }
-
-            const { stdout } = await execAsync(command);
-            const issueUrl = stdout.trim();
-            const issueNumber = issueUrl.split('/').pop();
+            const reportLine = reportUrl ? `\n*[View the report on Discord](${reportUrl})*` : '';
+            const issueBody = `${body}\n\n---\n*Created via Discord by ${author}*\n*Priority: ${priority}*${reportLine}`;
+
+            const issueNumber = await this.githubAPI.createIssue({
+                owner: repository.owner,
+                repo: repository.repo,
+                title,
+                body: issueBody,
+                labels
+            });
 
-            logger.info(`Created GitHub issue #${issueNumber}: ${title}`);
+            logger.info(`Created GitHub issue ${formatRepository(repository)}#${issueNumber}: ${title}`);
             return issueNumber;
         } catch (error) {
             logger.error('Error creating GitHub issue:', error);
@@ -791,6 +2877,31 @@ Consider:
         }
     }
 
+    // Adds the report's attachments and link embeds; style is 'markdown' for GitHub or 'plain' for XTSystems
+    async appendAttachments(text, reportMessages = [], style = 'markdown') {
+        if (!reportMessages || reportMessages.length === 0) return text;
+
+        const logs = await loadTextLogs(reportMessages, (url, maxBytes) => this.fetchAttachmentText(url, maxBytes), {
+            maxBytes: this.config.attachmentInlineMaxBytes
+        });
+        const section = formatAttachments(reportMessages, { logs, style });
+        return section ? `${text}\n\n${section}` : text;
+    }
+
+    async fetchAttachmentText(url, maxBytes) {
+        const response = await axios.get(url, {
+            responseType: 'text',
+            transformResponse: data => data,
+            maxContentLength: maxBytes,
+            timeout: 10000
+        });
+        return response.data;
+    }
+
+    describeGitHubError(error) {
+        return error instanceof GitHubError ? error.message : 'Please check the logs for details.';
+    }
+
     async createXTSystemsTicket(title, description, priority = 'Medium', author = 'Discord Bot') {
         try {
             const ticketData = {
@@ -802,15 +2913,10 @@ Consider:
                 created_by: author
             };
 
-            const response = await axios.post(`${this.config.xtsystemsApiUrl}/v1/tickets`, ticketData, {
-                headers: {
-                    'Authorization': `Bearer ${this.config.xtsystemsApiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+            const ticket = await this.xtsystemsAPI.createTicket(ticketData);
 
-            logger.info(`Created XTSystems ticket #${response.data.id}: ${title}`);
-            return response.data;
+            logger.info(`Created XTSystems ticket #${ticket.id}: ${title}`);
+            return ticket;
         } catch (error) {
             logger.error('Error creating XTSystems ticket:', error);
             throw error;
@@ -833,8 +2939,8 @@ Consider:
             .setTitle('🤖 XTSystems Discord Bot Help')
             .setDescription('I monitor conversations and help manage GitHub issues and XTSystems tickets.')
             .addFields(
-                { name: 'Slash Commands', value: '`/create-issue` - Create a GitHub issue\n`/create-ticket` - Create an XTSystems ticket\n`/list-issues` - List recent issues\n`/close-issue` - Close an issue\n`/analyze-conversation` - Analyze recent chat\n`/toggle-monitoring` - Enable/disable auto monitoring\n`/link-repo` - Link channel to repository\n`/bot-status` - Check bot status', inline: false },
-                { name: 'Auto Features', value: '• Monitors conversations for potential issues\n• Suggests creating GitHub issues/tickets\n• Uses AGiXT AI for intelligent analysis\n• Integrates with XTSystems API', inline: false },
+                { name: 'Slash Commands', value: '`/create-issue` - Create a GitHub issue\n`/create-ticket` - Create an XTSystems ticket\n`/issue view` - Show an issue and act on it\n`/list-issues` - List and search issues\n`/close-issue` / `/reopen-issue` - Close or reopen an issue\n`/comment-issue`, `/assign-issue`, `/label-issue` - Edit an issue\n`/analyze-conversation` - Analyze channel history\n`/toggle-monitoring` - Enable/disable auto monitoring\n`/suggestion-target` - Choose issues, tickets or both for suggestions\n`/analyzer-pipeline` - Choose the analyzers for a channel\n`/digest` - Schedule daily or weekly digests\n`/link-repo` - Link channel or server to a repository\n`/unlink-repo` - Remove a repository link\n`/list-repo-links` - Show repository links\n`/bot-status` - Check bot status', inline: false },
+                { name: 'Auto Features', value: '• Monitors conversations for potential issues\n• Suggests creating GitHub issues/tickets\n• Analyzes with keyword rules, AGiXT or a local LLM\n• Integrates with XTSystems API', inline: false },
                 { name: 'Direct Commands', value: 'Mention me or use `!xt help` for this help message\n`!xt status` for quick status check', inline: false }
             )
             .setTimestamp()
@@ -848,10 +2954,11 @@ Consider:
             .setColor(0x00ff00)
             .setTitle('🤖 Quick Status')
             .addFields(
-                { name: 'Repository', value: `${this.config.repoOwner}/${this.config.repoName}`, inline: true },
+                { name: 'Repository', value: formatRepository(this.resolveRepository(message)), inline: true },
                 { name: 'Monitoring', value: this.config.monitorChannels.includes(message.channel.id) ? '✅ On' : '❌ Off', inline: true },
                 { name: 'Auto Issues', value: this.config.autoCreateIssues ? '✅ On' : '❌ Off', inline: true }
-                    .setTimestamp();
+            )
+            .setTimestamp();
 
         await message.reply({ embeds: [embed] });
     }
@@ -870,12 +2977,17 @@ Consider:
         });
         this.app.use(limiter);
 
-        // Body parsing middleware
-        this.app.use(express.json({ limit: '10mb' }));
-        this.app.use(express.raw({ type: 'application/json', limit: '10mb' }));
+        // Body parsing middleware; the raw bytes are kept because signatures are computed over them
+        this.app.use(express.json({
+            limit: '10mb',
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
+            }
+        }));
 
         // Webhook verification middleware
         this.app.use(this.config.webhookPath, this.verifyWebhookSignature.bind(this));
+        this.app.use(this.config.githubWebhookPath, this.verifyGitHubSignature.bind(this));
 
         // Health check endpoint
         this.app.get('/health', (req, res) => {
@@ -883,24 +2995,43 @@ Consider:
                 status: 'ok',
                 service: 'xtsystems-discord-bot',
                 timestamp: new Date().toISOString(),
-                discord: this.client.isReady() ? 'connected' : 'disconnected'
+                discord: this.client.isReady() ? 'connected' : 'disconnected',
+                analysis: this.analysisMetrics.snapshot()
             });
         });
 
         // XTSystems webhook endpoint
         this.app.post(this.config.webhookPath, this.handleXTSystemsWebhook.bind(this));
 
+        // GitHub webhook endpoint (issue lifecycle sync)
+        this.app.post(this.config.githubWebhookPath, this.handleGitHubWebhook.bind(this));
+
         // Webhook management endpoints
         this.app.get('/webhooks/config', this.getWebhookConfig.bind(this));
         this.app.post('/webhooks/register', this.registerWebhookInXTSystems.bind(this));
 
-        // Start the webhook server
+    }
+
+    startWebhookServer() {
+        if (this.config.webhookSecret === DEFAULT_WEBHOOK_SECRET) {
+            logger.error('WEBHOOK_SECRET is not set (still "default-secret"); refusing to start the webhook server');
+            return;
+        }
+
         this.webhookServer = this.app.listen(this.config.webhookPort, () => {
             logger.info(`Webhook server listening on port ${this.config.webhookPort}`);
             logger.info(`XTSystems webhook endpoint: http://localhost:${this.config.webhookPort}${this.config.webhookPath}`);
+            if (this.config.githubWebhookSecrets.length > 0) {
+                logger.info(`GitHub webhook endpoint: http://localhost:${this.config.webhookPort}${this.config.githubWebhookPath}`);
+            }
         });
     }
 
+    getWebhookSecrets() {
+        return [this.config.webhookSecret, ...this.config.webhookPreviousSecrets]
+            .filter(secret => secret && secret !== DEFAULT_WEBHOOK_SECRET);
+    }
+
     verifyWebhookSignature(req, res, next) {
         const signature = req.headers['x-xtsystems-signature'];
         const timestamp = req.headers['x-xtsystems-timestamp'];
@@ -910,24 +3041,27 @@ Consider:
             return res.status(401).json({ error: 'Missing signature or timestamp' });
         }
 
-        // Check timestamp to prevent replay attacks (5 minute window)
-        const timestampDiff = Math.abs(Date.now() - parseInt(timestamp));
-        if (timestampDiff > 5 * 60 * 1000) {
+        if (!req.rawBody) {
+            logger.warn('Webhook delivery without a JSON body');
+            return res.status(415).json({ error: 'Expected an application/json body' });
+        }
+
+        // Check timestamp to prevent replay attacks
+        const timestampDiff = Math.abs(Date.now() - timestampToMillis(timestamp));
+        if (!(timestampDiff <= WEBHOOK_TIMESTAMP_TOLERANCE)) {
             logger.warn('Webhook timestamp too old');
             return res.status(401).json({ error: 'Timestamp too old' });
         }
 
-        // Verify signature
-        const body = JSON.stringify(req.body);
-        const expectedSignature = crypto
-            .createHmac('sha256', this.config.webhookSecret)
-            .update(timestamp + body)
-            .digest('hex');
-
-        if (signature !== `sha256=${expectedSignature}`) {
+        // Verify signature over the exact bytes that were sent
+        const secretIndex = matchSignature(signature, this.getWebhookSecrets(), timestamp, req.rawBody);
+        if (secretIndex === -1) {
             logger.warn('Invalid webhook signature');
             return res.status(401).json({ error: 'Invalid signature' });
         }
+        if (secretIndex > 0) {
+            logger.warn('Webhook delivery signed with a previous secret; update the webhook in XTSystems to use WEBHOOK_SECRET');
+        }
 
         next();
     }
@@ -935,45 +3069,32 @@ Consider:
     async handleXTSystemsWebhook(req, res) {
         try {
             const { event_type, data, timestamp, company_id } = req.body;
+            const deliveryId = DeliveryTracker.deliveryId(req.headers, req.rawBody || req.body);
 
-            logger.info(`Received XTSystems webhook: ${event_type}`, { company_id, timestamp });
+            logger.info(`Received XTSystems webhook: ${event_type}`, { company_id, timestamp, deliveryId });
 
-            // Process different event types
-            switch (event_type) {
-                case 'ticket.created':
-                    await this.handleTicketCreated(data);
-                    break;
-                case 'ticket.updated':
-                    await this.handleTicketUpdated(data);
-                    break;
-                case 'ticket.closed':
-                    await this.handleTicketClosed(data);
-                    break;
-                case 'asset.created':
-                    await this.handleAssetCreated(data);
-                    break;
-                case 'asset.updated':
-                    await this.handleAssetUpdated(data);
-                    break;
-                case 'user.created':
-                    await this.handleUserCreated(data);
-                    break;
-                case 'company.created':
-                    await this.handleCompanyCreated(data);
-                    break;
-                case 'machine.registered':
-                    await this.handleMachineRegistered(data);
-                    break;
-                case 'machine.approved':
-                    await this.handleMachineApproved(data);
-                    break;
-                case 'alert.triggered':
-                    await this.handleAlertTriggered(data);
-                    break;
-                default:
-                    logger.warn(`Unknown webhook event type: ${event_type}`);
+            const definition = getEventDefinition(event_type);
+            if (!definition) {
+                logger.warn(`Unknown webhook event type: ${event_type}`);
+                res.status(200).json({ success: true, message: `Event type ${event_type} is not supported and was ignored` });
+                return;
+            }
+
+            const { duplicate, previous } = this.webhookDeliveries.begin(deliveryId, { eventType: event_type });
+            if (duplicate) {
+                logger.info(`Ignoring duplicate XTSystems webhook delivery ${deliveryId} (${previous.status})`);
+                res.status(200).json({ success: true, duplicate: true, message: 'Delivery already received' });
+                return;
+            }
+
+            if (this.config.webhookAsyncProcessing) {
+                // Acknowledge right away so XTSystems isn't kept waiting on Discord
+                res.status(202).json({ success: true, message: 'Webhook accepted for processing' });
+                this.processWebhookEvent(deliveryId, definition, data).catch(() => {});
+                return;
             }
 
+            await this.processWebhookEvent(deliveryId, definition, data);
             res.status(200).json({ success: true, message: 'Webhook processed successfully' });
         } catch (error) {
             logger.error('Error processing XTSystems webhook:', error);
@@ -981,6 +3102,192 @@ Consider:
         }
     }
 
+    async processWebhookEvent(deliveryId, definition, data) {
+        try {
+            await this[definition.handler](data || {});
+            this.webhookDeliveries.complete(deliveryId);
+        } catch (error) {
+            // Failed deliveries stay retryable so the sender's next attempt is processed again
+            this.webhookDeliveries.fail(deliveryId, error);
+            logger.error(`Error handling webhook delivery ${deliveryId}:`, error);
+            throw error;
+        }
+    }
+
+    verifyGitHubSignature(req, res, next) {
+        if (this.config.githubWebhookSecrets.length === 0) {
+            logger.warn('GitHub webhook received but GITHUB_WEBHOOK_SECRET is not set');
+            return res.status(503).json({ error: 'GitHub webhook sync is not configured' });
+        }
+
+        const signature = req.headers['x-hub-signature-256'];
+        if (!signature) {
+            logger.warn('Missing GitHub webhook signature');
+            return res.status(401).json({ error: 'Missing signature' });
+        }
+
+        if (!req.rawBody) {
+            logger.warn('GitHub webhook delivery without a JSON body (set the content type to application/json)');
+            return res.status(415).json({ error: 'Expected an application/json body' });
+        }
+
+        const secretIndex = matchSignature(signature, this.config.githubWebhookSecrets, req.rawBody);
+        if (secretIndex === -1) {
+            logger.warn('Invalid GitHub webhook signature');
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+        if (secretIndex > 0) {
+            logger.warn('GitHub webhook delivery signed with a previous secret; update the webhook in GitHub to use the first GITHUB_WEBHOOK_SECRET');
+        }
+
+        next();
+    }
+
+    async handleGitHubWebhook(req, res) {
+        const event = req.headers['x-github-event'];
+
+        try {
+            if (event === 'ping') {
+                logger.info(`GitHub webhook ping received for ${req.body.repository?.full_name || 'an organization'}`);
+                res.status(200).json({ success: true, message: 'pong' });
+                return;
+            }
+
+            if (!GITHUB_SYNC_EVENTS.includes(event)) {
+                res.status(200).json({ success: true, message: `Event ${event} is not synced and was ignored` });
+                return;
+            }
+
+            const deliveryId = DeliveryTracker.deliveryId(req.headers, req.rawBody || req.body, GITHUB_DELIVERY_HEADER);
+            const { duplicate } = this.githubDeliveries.begin(deliveryId, { eventType: `${event}.${req.body.action}` });
+            if (duplicate) {
+                logger.info(`Ignoring duplicate GitHub webhook delivery ${deliveryId}`);
+                res.status(200).json({ success: true, duplicate: true, message: 'Delivery already received' });
+                return;
+            }
+
+            try {
+                await this.syncGitHubIssueEvent(event, req.body);
+                this.githubDeliveries.complete(deliveryId);
+            } catch (error) {
+                this.githubDeliveries.fail(deliveryId, error);
+                throw error;
+            }
+
+            res.status(200).json({ success: true, message: 'Webhook processed successfully' });
+        } catch (error) {
+            logger.error('Error processing GitHub webhook:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    async syncGitHubIssueEvent(event, payload) {
+        const { action, issue, repository } = payload;
+
+        // issue_comment is also sent for pull request comments
+        if (!issue || issue.pull_request || !repository) return;
+
+        let link = this.issueLinks.get({ owner: repository.owner.login, repo: repository.name }, issue.number);
+        if (!link) return;
+
+        // Reminders skip closed issues without asking GitHub
+        if (event === 'issues' && (action === 'closed' || action === 'reopened')) {
+            link = this.issueLinks.update(link, { state: issue.state });
+        }
+
+        logger.info(`Syncing GitHub ${event}.${action} for ${repository.full_name}#${issue.number} to Discord`);
+
+        // The labels the bot applied at creation come back as "labeled" events; don't announce those
+        let announce = true;
+        if (event === 'issues' && action === 'labeled' && link.pendingLabels.includes(payload.label.name)) {
+            link = this.issueLinks.update(link, { pendingLabels: link.pendingLabels.filter(label => label !== payload.label.name) });
+            announce = false;
+        }
+
+        // Comments are posted in full in the issue's thread instead of being announced in the channel
+        const toThread = Boolean(link.threadId) && event === 'issue_comment';
+        const activity = announce && !toThread ? this.describeGitHubActivity(event, payload) : null;
+
+        if (toThread && action === 'created' && !payload.comment.body.includes(BOT_COMMENT_MARKER)) {
+            this.postCommentToThread(link, payload);
+        }
+
+        for (const report of link.reports) {
+            await this.refreshIssueReport(report, issue);
+
+            if (activity) {
+                this.notificationQueue.enqueue(report.channelId, {
+                    content: report.reporterId ? `<@${report.reporterId}> ${activity}` : activity,
+                    allowedMentions: { users: report.reporterId ? [report.reporterId] : [] },
+                    reply: report.messageId ? { messageReference: report.messageId, failIfNotExists: false } : undefined
+                }, { eventType: `github.${event}.${action}` });
+            }
+        }
+    }
+
+    postCommentToThread(link, { comment, sender }) {
+        const mentions = [...new Set(link.reports.map(report => report.reporterId).filter(Boolean))];
+        const header = `💬 **${sender?.login || 'someone'}** [commented on GitHub](${comment.html_url}):`;
+        const body = comment.body.length > 1800 ? `${comment.body.substring(0, 1800)}…` : comment.body;
+
+        this.notificationQueue.enqueue(link.threadId, {
+            content: `${mentions.map(id => `<@${id}>`).join(' ')} ${header}\n${body}`.trim(),
+            allowedMentions: { users: mentions }
+        }, { eventType: 'github.issue_comment.created' });
+    }
+
+    // One-line summary of the change for the reporter, or null when it isn't worth a notification
+    describeGitHubActivity(event, payload) {
+        const { action, issue, sender } = payload;
+        const issueLink = `[#${issue.number}](${issue.html_url})`;
+        const actor = `**${sender?.login || 'someone'}**`;
+
+        if (event === 'issue_comment') {
+            const { comment } = payload;
+            if (action !== 'created' || comment.body.includes(BOT_COMMENT_MARKER)) return null;
+
+            const excerpt = comment.body.length > 300 ? `${comment.body.substring(0, 300)}…` : comment.body;
+            return `💬 ${actor} [commented](${comment.html_url}) on ${issueLink}:\n${excerpt.split('\n').map(line => `> ${line}`).join('\n')}`;
+        }
+
+        switch (action) {
+            case 'closed':
+                return `🔒 ${issueLink} was closed by ${actor}${issue.state_reason === 'not_planned' ? ' as not planned' : ''}.`;
+            case 'reopened':
+                return `🔓 ${issueLink} was reopened by ${actor}.`;
+            case 'labeled':
+                return `🏷️ ${actor} added the \`${payload.label.name}\` label to ${issueLink}.`;
+            case 'unlabeled':
+                return `🏷️ ${actor} removed the \`${payload.label.name}\` label from ${issueLink}.`;
+            default:
+                return null;
+        }
+    }
+
+    // Show the issue's current GitHub state on the Discord message the report started from
+    async refreshIssueReport(report, issue) {
+        if (!report.messageId) return;
+
+        try {
+            const channel = await this.client.channels.fetch(report.channelId);
+            const message = await channel.messages.fetch(report.messageId);
+            const syncedFields = ['GitHub Status', 'Labels', 'Comments'];
+            const fields = (message.embeds[0].fields || []).filter(field => !syncedFields.includes(field.name));
+            const labels = issue.labels.map(label => `\`${label.name}\``).join(' ');
+
+            const embed = EmbedBuilder.from(message.embeds[0]).setFields(
+                ...fields,
+                { name: 'GitHub Status', value: issue.state === 'closed' ? `🔴 Closed${issue.state_reason === 'not_planned' ? ' (not planned)' : ''}` : '🟢 Open', inline: true },
+                { name: 'Labels', value: labels || 'None', inline: true },
+                { name: 'Comments', value: String(issue.comments), inline: true }
+            );
+
+            await message.edit({ embeds: [embed] });
+        } catch (error) {
+            logger.warn(`Could not update Discord message ${report.messageId} for GitHub issue #${issue.number}: ${error.message}`);
+        }
+    }
+
     async handleTicketCreated(ticketData) {
         const embed = new EmbedBuilder()
             .setColor(0x00ff00)
@@ -1037,13 +3344,26 @@ Consider:
         await this.sendWebhookNotification('ticket_closed', embed, ticketData);
     }
 
+    async handleWebhookTest(testData) {
+        logger.info('Received XTSystems test webhook', { webhook_id: testData.webhook_id });
+
+        const embed = new EmbedBuilder()
+            .setColor(0x0099ff)
+            .setTitle('🧪 Test Webhook Received')
+            .setDescription(testData.message || 'XTSystems webhook connectivity test')
+            .setTimestamp()
+            .setFooter({ text: 'XTSystems', iconURL: this.client.user.displayAvatarURL() });
+
+        await this.sendWebhookNotification('webhook_test', embed, testData);
+    }
+
     async handleAssetCreated(assetData) {
         const embed = new EmbedBuilder()
             .setColor(0x0099ff)
             .setTitle('💻 New Asset Created')
             .setDescription(`Asset "${assetData.name}" has been created`)
             .addFields(
-                { name: 'Asset ID', value: assetData.id.toString(), inline: true },
+                { name: 'Asset ID', value: String(assetData.id ?? 'Unknown'), inline: true },
                 { name: 'Name', value: assetData.name, inline: true },
                 { name: 'Type', value: assetData.asset_type || 'Unknown', inline: true }
             )
@@ -1057,6 +3377,74 @@ Consider:
         await this.sendWebhookNotification('asset_created', embed, assetData);
     }
 
+    async handleAssetUpdated(assetData) {
+        const embed = new EmbedBuilder()
+            .setColor(0x0077cc)
+            .setTitle('🔧 Asset Updated')
+            .setDescription(`Asset "${assetData.name || assetData.id}" has been updated`)
+            .addFields(
+                { name: 'Asset ID', value: String(assetData.id ?? 'Unknown'), inline: true },
+                { name: 'Name', value: assetData.name || 'Unknown', inline: true },
+                { name: 'Status', value: assetData.status || 'Unknown', inline: true }
+            )
+            .setTimestamp()
+            .setFooter({ text: 'XTSystems', iconURL: this.client.user.displayAvatarURL() });
+
+        if (assetData.updated_by) {
+            embed.addFields({ name: 'Updated By', value: assetData.updated_by, inline: true });
+        }
+
+        // XTSystems sends changed fields as { field: { old, new } } when available
+        if (assetData.changes && Object.keys(assetData.changes).length > 0) {
+            const changes = Object.entries(assetData.changes)
+                .map(([field, change]) => `**${field}:** ${change?.old ?? '—'} → ${change?.new ?? '—'}`)
+                .join('\n');
+            embed.addFields({ name: 'Changes', value: changes.substring(0, 1000), inline: false });
+        }
+
+        await this.sendWebhookNotification('asset_updated', embed, assetData);
+    }
+
+    async handleUserCreated(userData) {
+        const embed = new EmbedBuilder()
+            .setColor(0x9966ff)
+            .setTitle('👤 New User Created')
+            .setDescription(`User "${userData.username || userData.email || userData.id}" has been created`)
+            .addFields(
+                { name: 'Username', value: userData.username || 'Unknown', inline: true },
+                { name: 'Role', value: userData.role || 'User', inline: true },
+                { name: 'Company', value: userData.company_name || 'Unknown', inline: true }
+            )
+            .setTimestamp()
+            .setFooter({ text: 'XTSystems', iconURL: this.client.user.displayAvatarURL() });
+
+        if (userData.created_by) {
+            embed.addFields({ name: 'Created By', value: userData.created_by, inline: true });
+        }
+
+        await this.sendWebhookNotification('user_created', embed, userData);
+    }
+
+    async handleCompanyCreated(companyData) {
+        const embed = new EmbedBuilder()
+            .setColor(0x00cc99)
+            .setTitle('🏢 New Company Created')
+            .setDescription(`Company "${companyData.name || companyData.id}" has been created`)
+            .addFields(
+                { name: 'Company ID', value: String(companyData.id ?? 'Unknown'), inline: true },
+                { name: 'Name', value: companyData.name || 'Unknown', inline: true },
+                { name: 'Created By', value: companyData.created_by || 'Unknown', inline: true }
+            )
+            .setTimestamp()
+            .setFooter({ text: 'XTSystems', iconURL: this.client.user.displayAvatarURL() });
+
+        if (companyData.description) {
+            embed.addFields({ name: 'Description', value: companyData.description.substring(0, 1000), inline: false });
+        }
+
+        await this.sendWebhookNotification('company_created', embed, companyData);
+    }
+
     async handleMachineRegistered(machineData) {
         const embed = new EmbedBuilder()
             .setColor(0xff9900)
@@ -1084,9 +3472,153 @@ Consider:
             .setStyle(ButtonStyle.Danger)
             .setEmoji('❌');
 
-        const row = new ActionRowBuilder().addComponents(approveButton, denyButton);
+        const row = new ActionRowBuilder().addComponents(approveButton, denyButton);
+
+        // Message references are added as each queued copy is delivered, so the decision can be reflected on all of them
+        this.store.setEntry('machineRegistrations', String(machineData.id), {
+            machineId: String(machineData.id),
+            hostname: machineData.hostname,
+            status: 'pending',
+            messages: [],
+            registeredAt: new Date().toISOString()
+        });
+
+        await this.sendWebhookNotification('machine_registered', embed, machineData, [row], { machineId: String(machineData.id) });
+    }
+
+    async handleMachineApproved(machineData) {
+        const machineId = String(machineData.id);
+        const record = this.store.getEntry('machineRegistrations', machineId);
+        const approvedBy = machineData.approved_by || 'XTSystems';
+
+        if (record && record.messages.length > 0) {
+            if (record.status === 'approved') {
+                logger.info(`Machine ${machineId} approval already reflected in Discord`);
+                return;
+            }
+            if (record.status === 'denied') {
+                logger.warn(`Machine ${machineId} was denied in Discord by ${record.decidedBy.username} but approved in XTSystems by ${approvedBy}`);
+            }
+
+            const updated = this.recordMachineDecision(machineId, 'approved', { id: null, username: approvedBy }, 'xtsystems');
+            await this.refreshMachineMessages(updated);
+            return;
+        }
+
+        // Approved outside of Discord with no pending request on record
+        const embed = new EmbedBuilder()
+            .setColor(0x00ff00)
+            .setTitle('🖥️ Machine Approved')
+            .setDescription(`Machine "${machineData.hostname || machineId}" has been approved`)
+            .addFields(
+                { name: 'Hostname', value: machineData.hostname || 'Unknown', inline: true },
+                { name: 'IP Address', value: machineData.ip_address || 'Unknown', inline: true },
+                { name: 'Approved By', value: approvedBy, inline: true }
+            )
+            .setTimestamp()
+            .setFooter({ text: 'XTSystems', iconURL: this.client.user.displayAvatarURL() });
+
+        await this.sendWebhookNotification('machine_approved', embed, machineData);
+    }
+
+    async handleMachineDecisionButton(interaction, status, machineId) {
+        const action = status === 'approved' ? 'approve' : 'deny';
+
+        const record = this.store.getEntry('machineRegistrations', machineId);
+        if (record && record.status !== 'pending') {
+            await interaction.reply({ content: `This machine was already ${record.status} by ${record.decidedBy.username}.`, ephemeral: true });
+            return;
+        }
+        if (this.machineDecisionsInFlight.has(machineId)) {
+            await interaction.reply({ content: 'A decision for this machine is already being processed.', ephemeral: true });
+            return;
+        }
+
+        this.machineDecisionsInFlight.add(machineId);
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const decidedBy = interaction.user.username;
+            if (status === 'approved') {
+                await this.xtsystemsAPI.approveMachine(machineId, { decidedBy });
+            } else {
+                await this.xtsystemsAPI.denyMachine(machineId, { decidedBy });
+            }
+
+            const updated = this.recordMachineDecision(
+                machineId,
+                status,
+                { id: interaction.user.id, username: decidedBy },
+                'discord',
+                interaction.message
+            );
+            await this.refreshMachineMessages(updated);
+
+            logger.info(`Machine ${machineId} ${status} by ${decidedBy} (${interaction.user.id})`);
+            await interaction.editReply({ content: `${status === 'approved' ? '✅' : '❌'} Machine ${updated.hostname || machineId} ${status}.` });
+        } catch (error) {
+            logger.error(`Error trying to ${action} machine ${machineId}:`, error);
+            await interaction.editReply({ content: `Failed to ${action} machine: ${error.message}` });
+        } finally {
+            this.machineDecisionsInFlight.delete(machineId);
+        }
+    }
+
+    recordMachineDecision(machineId, status, decidedBy, source, message = null) {
+        const record = this.store.getEntry('machineRegistrations', machineId) || {
+            machineId,
+            hostname: null,
+            messages: []
+        };
+
+        // Requests posted before decisions were tracked are only known through the clicked message
+        if (message && !record.messages.some(ref => ref.messageId === message.id)) {
+            record.messages.push({ channelId: message.channelId, messageId: message.id });
+        }
+        if (!record.hostname && message?.embeds?.[0]) {
+            record.hostname = message.embeds[0].fields?.find(field => field.name === 'Hostname')?.value || null;
+        }
+
+        return this.store.setEntry('machineRegistrations', machineId, {
+            ...record,
+            status,
+            decidedBy,
+            source,
+            decidedAt: new Date().toISOString()
+        });
+    }
+
+    buildMachineOutcomeEmbed(sourceEmbed, record) {
+        const approved = record.status === 'approved';
+        const decidedAt = Math.floor(new Date(record.decidedAt).getTime() / 1000);
+        const fields = (sourceEmbed.fields || []).filter(field => !['Status', 'Decided At'].includes(field.name));
+
+        return EmbedBuilder.from(sourceEmbed)
+            .setColor(approved ? 0x00ff00 : 0xff0000)
+            .setTitle(approved ? '🖥️ Machine Approved' : '🖥️ Machine Denied')
+            .setFields(
+                ...fields,
+                {
+                    name: 'Status',
+                    value: `${approved ? '✅ Approved' : '❌ Denied'} by ${record.decidedBy.username}${record.source === 'xtsystems' ? ' (in XTSystems)' : ''}`,
+                    inline: true
+                },
+                { name: 'Decided At', value: `<t:${decidedAt}:f>`, inline: true }
+            );
+    }
 
-        await this.sendWebhookNotification('machine_registered', embed, machineData, [row]);
+    async refreshMachineMessages(record) {
+        for (const ref of record.messages) {
+            try {
+                const channel = await this.client.channels.fetch(ref.channelId);
+                const message = await channel.messages.fetch(ref.messageId);
+                const embed = this.buildMachineOutcomeEmbed(message.embeds[0], record);
+
+                await message.edit({ embeds: [embed], components: [] });
+            } catch (error) {
+                logger.error(`Failed to update machine registration message ${ref.messageId} in channel ${ref.channelId}:`, error);
+            }
+        }
     }
 
     async handleAlertTriggered(alertData) {
@@ -1106,57 +3638,333 @@ Consider:
             embed.addFields({ name: 'Details', value: alertData.details.substring(0, 1000), inline: false });
         }
 
+        this.activityLog.recordAlert({
+            alertType: alertData.alert_type,
+            severity: alertData.severity,
+            source: alertData.source,
+            message: alertData.message
+        });
         await this.sendWebhookNotification('alert_triggered', embed, alertData);
     }
 
-    async sendWebhookNotification(eventType, embed, data, components = []) {
-        try {
-            // Get configured channels for this event type
-            const channels = this.config.discordWebhookChannels[eventType] ||
-                this.config.discordWebhookChannels['default'] ||
-                this.config.monitorChannels;
+    scheduleReminders() {
+        if (this.config.staleIssueDays <= 0 && this.config.unattendedTicketDays <= 0) return;
 
-            if (!channels || channels.length === 0) {
-                logger.warn(`No Discord channels configured for event type: ${eventType}`);
-                return;
+        if (!cron.validate(this.config.reminderSchedule)) {
+            logger.error(`REMINDER_SCHEDULE "${this.config.reminderSchedule}" is not a valid cron expression; reminders are off`);
+            return;
+        }
+
+        this.reminderTask = cron.schedule(this.config.reminderSchedule, async () => {
+            try {
+                await this.sendReminders();
+            } catch (error) {
+                logger.error('Error sending reminders:', error);
+            }
+        }, this.config.digestTimezone ? { timezone: this.config.digestTimezone } : {});
+    }
+
+    // Reminds about stale issues and unattended tickets; one failed lookup doesn't stop the rest
+    async sendReminders(now = Date.now()) {
+        let sent = 0;
+
+        if (this.config.staleIssueDays > 0) {
+            const staleAfter = this.config.staleIssueDays * DAY;
+
+            for (const [key, link] of this.store.entries('issueLinks')) {
+                // Reminders go to where the issue was reported; a link without reports has nowhere to go
+                if (link.state === 'closed' || !link.reports?.length) continue;
+
+                try {
+                    const issue = await this.githubAPI.getIssue({ owner: link.owner, repo: link.repo, issueNumber: link.issueNumber });
+                    if (issue.state !== 'open') {
+                        this.issueLinks.update(link, { state: issue.state });
+                        continue;
+                    }
+                    if (!isDue({ ...link, lastActivityAt: Date.parse(issue.updated_at) }, staleAfter, now)) continue;
+
+                    this.remindStaleIssue(key, link, issue, now);
+                    this.issueLinks.update(link, { remindedAt: now });
+                    sent++;
+                } catch (error) {
+                    logger.warn(`Could not check ${formatRepository(link)}#${link.issueNumber} for a reminder: ${error.message}`);
+                }
             }
+        }
+
+        if (this.config.unattendedTicketDays > 0) {
+            const staleAfter = this.config.unattendedTicketDays * DAY;
 
-            for (const channelId of channels) {
+            for (const link of this.ticketLinks.all()) {
                 try {
-                    const channel = await this.client.channels.fetch(channelId);
-                    if (channel) {
-                        const messageOptions = { embeds: [embed] };
-                        if (components.length > 0) {
-                            messageOptions.components = components;
-                        }
-                        await channel.send(messageOptions);
-                        logger.info(`Sent webhook notification to channel ${channelId} for event ${eventType}`);
+                    const ticket = await this.xtsystemsAPI.getTicket(link.ticketId);
+                    // Someone picked it up; nothing left to follow
+                    if (String(ticket.status || '').toLowerCase() !== 'open' || ticket.notes?.length > 0) {
+                        this.ticketLinks.remove(link.ticketId);
+                        continue;
                     }
+                    if (!isDue({ ...link, lastActivityAt: link.createdAt }, staleAfter, now)) continue;
+
+                    this.remindUnattendedTicket(link, ticket, now);
+                    this.ticketLinks.update(link, { remindedAt: now });
+                    sent++;
                 } catch (error) {
-                    logger.error(`Failed to send notification to channel ${channelId}:`, error);
+                    logger.warn(`Could not check ticket #${link.ticketId} for a reminder: ${error.message}`);
+                }
+            }
+        }
+
+        if (sent > 0) {
+            logger.info(`Sent ${sent} reminder(s) about stale issues and tickets`);
+        }
+        return sent;
+    }
+
+    remindStaleIssue(key, link, issue, now) {
+        const [report] = link.reports;
+        const updatedAt = Date.parse(issue.updated_at);
+
+        const embed = new EmbedBuilder()
+            .setColor(0xff9900)
+            .setTitle('⏰ Stale Issue')
+            .setDescription(`[#${issue.number} ${issue.title}](${issue.html_url}) has had no activity on GitHub for ${Math.floor((now - updatedAt) / DAY)} days.`)
+            .addFields(
+                { name: 'Repository', value: formatRepository(link), inline: true },
+                { name: 'Priority', value: this.getIssuePriority(issue), inline: true },
+                { name: 'Last Activity', value: `<t:${Math.floor(updatedAt / 1000)}:R>`, inline: true }
+            )
+            .setTimestamp(now);
+
+        this.sendReminder(report, link.reports.map(({ reporterId }) => reporterId), embed, 'issue', key);
+    }
+
+    remindUnattendedTicket(link, ticket, now) {
+        const ticketUrl = this.ticketUrl(link.ticketId);
+
+        const embed = new EmbedBuilder()
+            .setColor(0xff9900)
+            .setTitle('⏰ Unattended Ticket')
+            .setDescription(`Ticket ${ticketUrl ? `[#${link.ticketId}](${ticketUrl})` : `#${link.ticketId}`} has been Open with no notes for ${Math.floor((now - link.createdAt) / DAY)} days.`)
+            .addFields(
+                { name: 'Title', value: ticket.title || link.title || 'Untitled', inline: false },
+                { name: 'Priority', value: ticket.priority || link.priority || 'Medium', inline: true },
+                { name: 'Opened', value: `<t:${Math.floor(link.createdAt / 1000)}:R>`, inline: true }
+            )
+            .setTimestamp(now);
+
+        this.sendReminder(link, [link.reporterId], embed, 'ticket', link.ticketId);
+    }
+
+    // Replies to the original report, pinging REMINDER_ROLE_ID when set and the reporters otherwise
+    sendReminder({ channelId, messageId }, reporterIds, embed, kind, ref) {
+        const roleId = this.config.reminderRoleId;
+        const users = roleId ? [] : [...new Set(reporterIds.filter(Boolean))];
+        const mentions = roleId ? `<@&${roleId}>` : users.map(id => `<@${id}>`).join(' ');
+
+        // Issue link keys can be longer than a custom ID allows, so the buttons carry a short stored ID
+        const reminderId = this.rememberReminder(kind, ref, reporterIds);
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`reminder_close_${reminderId}`)
+                .setLabel('Close')
+                .setStyle(ButtonStyle.Danger)
+                .setEmoji('🔒'),
+            new ButtonBuilder()
+                .setCustomId(`reminder_bump_${reminderId}`)
+                .setLabel('Bump Priority')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('⬆️'),
+            new ButtonBuilder()
+                .setCustomId(`reminder_snooze_${reminderId}`)
+                .setLabel(`Snooze ${this.config.reminderSnoozeDays} Days`)
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('💤')
+        );
+
+        this.notificationQueue.enqueue(channelId, {
+            content: mentions || undefined,
+            allowedMentions: roleId ? { roles: [roleId] } : { users },
+            embeds: [embed.toJSON()],
+            components: [row.toJSON()],
+            reply: messageId ? { messageReference: messageId, failIfNotExists: false } : undefined
+        }, { eventType: `reminder.${kind}` });
+    }
+
+    // The same issue or ticket always gets the same ID, so repeated reminders share one entry
+    rememberReminder(kind, ref, reporterIds = []) {
+        const reminderId = crypto.createHash('sha256').update(`${kind}:${ref}`).digest('hex').substring(0, 16);
+        this.store.setEntry('reminders', reminderId, {
+            kind,
+            ref,
+            reporterIds: [...new Set(reporterIds.filter(Boolean))],
+            sentAt: Date.now()
+        });
+        return reminderId;
+    }
+
+    isReminderReporter(reminderId, userId) {
+        return Boolean(this.store.getEntry('reminders', reminderId)?.reporterIds?.includes(userId));
+    }
+
+    // The issue link or ticket link a reminder is about; null once it's no longer followed up
+    findReminded(kind, ref) {
+        return kind === 'issue' ? this.issueLinks.getByKey(ref) : this.ticketLinks.get(ref);
+    }
+
+    // Priority labels are only added for non-medium priorities
+    getIssuePriority(issue) {
+        const labels = issue.labels.map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+        return ISSUE_PRIORITIES.map(({ value }) => value).find(priority => priority !== 'medium' && labels.includes(priority)) || 'medium';
+    }
+
+    async handleReminderButton(interaction, action, reminderId) {
+        await interaction.deferReply({ ephemeral: true });
+
+        const { kind, ref } = this.store.getEntry('reminders', reminderId) || {};
+        const link = kind ? this.findReminded(kind, ref) : null;
+        if (!link) {
+            await interaction.editReply({ content: 'This issue or ticket is no longer being followed up.' });
+            return;
+        }
+
+        const label = kind === 'issue' ? `${formatRepository(link)}#${link.issueNumber}` : `ticket #${link.ticketId}`;
+        try {
+            let outcome;
+            if (action === 'close') {
+                await this.closeReminded(kind, link, interaction.user.username);
+                outcome = `🔒 Closed ${label}`;
+            } else if (action === 'bump') {
+                const priority = kind === 'issue' ? await this.bumpIssuePriority(link) : await this.bumpTicketPriority(link);
+                outcome = priority ? `⬆️ Raised ${label} to ${priority} priority` : `${label} already has the highest priority`;
+            } else {
+                const snoozedUntil = Date.now() + this.config.reminderSnoozeDays * DAY;
+                if (kind === 'issue') {
+                    this.issueLinks.update(link, { snoozedUntil });
+                } else {
+                    this.ticketLinks.update(link, { snoozedUntil });
                 }
+                outcome = `💤 Snoozed ${label} until <t:${Math.floor(snoozedUntil / 1000)}:D>`;
             }
+
+            logger.info(`${interaction.user.username} used "${action}" on the reminder for ${label}`);
+            const updatedEmbed = EmbedBuilder.from(interaction.message.embeds[0])
+                .setColor(0x999999)
+                .addFields({ name: 'Outcome', value: `${outcome} by ${interaction.user.username}`, inline: false });
+            await interaction.message.edit({ embeds: [updatedEmbed], components: [] });
+            await interaction.editReply({ content: outcome });
         } catch (error) {
-            logger.error('Error sending webhook notification:', error);
+            logger.error(`Error handling the ${action} reminder button for ${label}:`, error);
+            const detail = kind === 'issue' ? this.describeGitHubError(error) : error.message;
+            await interaction.editReply({ content: `Failed to ${action} ${label}. ${detail}` });
+        }
+    }
+
+    async closeReminded(kind, link, username) {
+        if (kind === 'issue') {
+            await this.githubAPI.closeIssue({
+                owner: link.owner,
+                repo: link.repo,
+                issueNumber: link.issueNumber,
+                comment: `Closed as stale via Discord by ${username}\n\n${BOT_COMMENT_MARKER}`,
+                reason: 'not_planned'
+            });
+            this.issueLinks.update(link, { state: 'closed' });
+        } else {
+            await this.xtsystemsAPI.updateTicket(link.ticketId, { status: 'Closed' });
+            this.ticketLinks.remove(link.ticketId);
+        }
+    }
+
+    // Returns the new priority, or null when the issue is already critical
+    async bumpIssuePriority(link) {
+        const repository = { owner: link.owner, repo: link.repo };
+        const issue = await this.githubAPI.getIssue({ ...repository, issueNumber: link.issueNumber });
+        const current = this.getIssuePriority(issue);
+        const next = nextPriority(current, ISSUE_PRIORITIES.map(({ value }) => value));
+        if (!next) return null;
+
+        if (current !== 'medium') {
+            await this.githubAPI.removeLabel({ ...repository, issueNumber: link.issueNumber, label: current });
+        }
+        if (next !== 'medium') {
+            // Not announced when GitHub sends the "labeled" event back
+            this.issueLinks.update(link, { pendingLabels: [...link.pendingLabels, next] });
+            await this.githubAPI.addLabels({ ...repository, issueNumber: link.issueNumber, labels: [next] });
+        }
+        return next;
+    }
+
+    async bumpTicketPriority(link) {
+        const ticket = await this.xtsystemsAPI.getTicket(link.ticketId);
+        const next = nextPriority(ticket.priority || link.priority || 'Medium', ISSUE_PRIORITIES.map(({ name }) => name));
+        if (!next) return null;
+
+        await this.xtsystemsAPI.updateTicket(link.ticketId, { priority: next });
+        this.ticketLinks.update(link, { priority: next });
+        return next;
+    }
+
+    async sendWebhookNotification(eventType, embed, data, components = [], context = null) {
+        const channels = this.getNotificationChannels(eventType);
+
+        if (!channels || channels.length === 0) {
+            logger.warn(`No Discord channels configured for event type: ${eventType}`);
+            return [];
+        }
+
+        // Notifications go through the persistent queue so they survive Discord outages and restarts
+        const payload = { embeds: [embed.toJSON()] };
+        if (components.length > 0) {
+            payload.components = components.map(row => row.toJSON());
+        }
+
+        return channels.map(channelId => this.notificationQueue.enqueue(channelId, payload, { eventType, context }));
+    }
+
+    async deliverNotification(item) {
+        const channel = await this.client.channels.fetch(item.channelId);
+        // Categories and forum channels can't take messages, and retrying won't change that
+        if (typeof channel?.send !== 'function') {
+            throw Object.assign(new Error(`Channel ${item.channelId} cannot receive messages`), { permanent: true });
+        }
+        return channel.send(item.payload);
+    }
+
+    async handleNotificationDelivered(item, message) {
+        const machineId = item.context?.machineId;
+        if (!machineId) return;
+
+        const record = this.store.getEntry('machineRegistrations', machineId);
+        if (!record) return;
+
+        record.messages.push({ channelId: message.channelId, messageId: message.id });
+        this.store.setEntry('machineRegistrations', machineId, record);
+
+        // Decided while this copy was still queued
+        if (record.status !== 'pending') {
+            await message.edit({ embeds: [this.buildMachineOutcomeEmbed(message.embeds[0], record)], components: [] });
+        }
+    }
+
+    getNotificationChannels(eventType) {
+        const mappings = this.config.discordWebhookChannels;
+        const definition = Object.values(WEBHOOK_EVENTS).find(event => event.channelKey === eventType);
+
+        // Most specific mapping wins: event, then event category, then default
+        for (const key of [eventType, definition?.category, 'default']) {
+            if (key && mappings[key]) {
+                return [].concat(mappings[key]);
+            }
         }
+
+        return this.config.monitorChannels;
     }
 
     async getWebhookConfig(req, res) {
         try {
             const config = {
                 webhook_url: `${req.protocol}://${req.get('host')}${this.config.webhookPath}`,
-                supported_events: [
-                    'ticket.created',
-                    'ticket.updated',
-                    'ticket.closed',
-                    'asset.created',
-                    'asset.updated',
-                    'user.created',
-                    'company.created',
-                    'machine.registered',
-                    'machine.approved',
-                    'alert.triggered'
-                ],
+                supported_events: SUPPORTED_EVENTS,
                 discord_channels: this.config.discordWebhookChannels,
                 security: {
                     signature_header: 'x-xtsystems-signature',
@@ -1174,12 +3982,22 @@ Consider:
 
     async registerWebhookInXTSystems(req, res) {
         try {
-            const { webhook_url, events, company_id } = req.body;
+            const { webhook_url, events, company_id } = req.body || {};
+
+            if (events !== undefined && (!Array.isArray(events) || events.some(event => typeof event !== 'string'))) {
+                return res.status(400).json({ error: 'events must be a list of event names', supported_events: SUPPORTED_EVENTS });
+            }
+            if (events) {
+                const { invalid } = partitionEvents(events);
+                if (invalid.length > 0) {
+                    return res.status(400).json({ error: 'Unsupported events', details: invalid, supported_events: SUPPORTED_EVENTS });
+                }
+            }
 
             // Register webhook in XTSystems
             const webhookData = {
                 url: webhook_url || `${req.protocol}://${req.get('host')}${this.config.webhookPath}`,
-                events: events || ['ticket.created', 'ticket.updated', 'ticket.closed'],
+                events: events || SUPPORTED_EVENTS,
                 active: true,
                 secret: this.config.webhookSecret,
                 headers: {
@@ -1221,10 +4039,10 @@ Consider:
             .setColor(0x00ff00)
             .setTitle('🔗 Webhook Server Status')
             .addFields(
-                { name: 'Server Status', value: this.webhookServer ? '✅ Running' : '❌ Stopped', inline: true },
+                { name: 'Server Status', value: this.webhookServer ? '✅ Running' : this.config.webhookSecret === DEFAULT_WEBHOOK_SECRET ? '❌ Stopped (WEBHOOK_SECRET not set)' : '❌ Stopped', inline: true },
                 { name: 'Port', value: this.config.webhookPort.toString(), inline: true },
                 { name: 'Endpoint', value: this.config.webhookPath, inline: true },
-                { name: 'Secret Configured', value: this.config.webhookSecret !== 'default-secret' ? '✅ Yes' : '⚠️ Using Default', inline: true }
+                { name: 'Secret Configured', value: this.config.webhookSecret !== DEFAULT_WEBHOOK_SECRET ? '✅ Yes' : '⚠️ Using Default', inline: true }
             )
             .setTimestamp();
 
@@ -1242,10 +4060,16 @@ Consider:
         await interaction.deferReply();
 
         const events = interaction.options.getString('events');
-        const eventList = events ? events.split(',').map(e => e.trim()) : [
-            'ticket.created', 'ticket.updated', 'ticket.closed',
-            'asset.created', 'machine.registered', 'alert.triggered'
-        ];
+        const { valid: eventList, invalid } = events
+            ? partitionEvents(events.split(',').map(e => e.trim()).filter(Boolean))
+            : { valid: SUPPORTED_EVENTS, invalid: [] };
+
+        if (invalid.length > 0 || eventList.length === 0) {
+            await interaction.editReply({
+                content: `Unsupported events: ${invalid.join(', ') || 'none given'}.\nSupported events: ${SUPPORTED_EVENTS.join(', ')}`
+            });
+            return;
+        }
 
         try {
             const webhookUrl = `http://localhost:${this.config.webhookPort}${this.config.webhookPath}`;
@@ -1377,7 +4201,8 @@ Consider:
             .addFields(
                 { name: 'Webhook Port', value: this.config.webhookPort.toString(), inline: true },
                 { name: 'Webhook Path', value: this.config.webhookPath, inline: true },
-                { name: 'Secret Set', value: this.config.webhookSecret !== 'default-secret' ? '✅ Yes' : '⚠️ Default', inline: true }
+                { name: 'Secret Set', value: this.config.webhookSecret !== DEFAULT_WEBHOOK_SECRET ? '✅ Yes' : '⚠️ Default', inline: true },
+                { name: 'Previous Secrets', value: this.config.webhookPreviousSecrets.length > 0 ? `${this.config.webhookPreviousSecrets.length} still accepted` : 'None', inline: true }
             )
             .setTimestamp();
 
@@ -1393,21 +4218,375 @@ Consider:
             embed.addFields({ name: 'Channel Mappings', value: 'None configured - using monitor channels', inline: false });
         }
 
-        // Show supported events
-        const supportedEvents = [
-            'ticket.created', 'ticket.updated', 'ticket.closed',
-            'asset.created', 'asset.updated', 'user.created',
-            'company.created', 'machine.registered', 'machine.approved',
-            'alert.triggered'
-        ];
+        // Show supported events and where each one is routed
+        const routing = Object.entries(WEBHOOK_EVENTS)
+            .map(([event, definition]) => {
+                const channels = this.getNotificationChannels(definition.channelKey);
+                return `**${event}** → ${channels.length > 0 ? channels.map(id => `<#${id}>`).join(', ') : 'not routed'}`;
+            })
+            .join('\n');
 
-        embed.addFields({ name: 'Supported Events', value: supportedEvents.join(', '), inline: false });
+        embed.addFields({ name: 'Supported Events', value: routing.substring(0, 1024), inline: false });
 
         await interaction.editReply({ embeds: [embed] });
     }
 
+    async notificationQueueCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'retry') {
+            const id = interaction.options.getString('id');
+            const requeued = this.notificationQueue.retry(id);
+
+            if (requeued.length === 0) {
+                await interaction.reply({ content: id ? `No failed notification with ID \`${id}\`.` : 'There are no failed notifications to retry.', ephemeral: true });
+                return;
+            }
+
+            logger.info(`${interaction.user.username} requeued ${requeued.length} failed notification(s)`);
+            await interaction.reply({ content: `🔁 Requeued ${requeued.length} notification(s): ${requeued.map(item => `\`${item.id}\``).join(', ')}`, ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'drop') {
+            const id = interaction.options.getString('id');
+            const dropped = this.notificationQueue.drop(id);
+
+            if (dropped.length === 0) {
+                await interaction.reply({ content: id ? `No failed notification with ID \`${id}\`.` : 'There are no failed notifications to discard.', ephemeral: true });
+                return;
+            }
+
+            logger.info(`${interaction.user.username} discarded ${dropped.length} failed notification(s)`);
+            await interaction.reply({ content: `🗑️ Discarded ${dropped.length} notification(s)`, ephemeral: true });
+            return;
+        }
+
+        const pending = this.notificationQueue.pending();
+        const deadLetters = this.notificationQueue.deadLetters();
+
+        const embed = new EmbedBuilder()
+            .setColor(deadLetters.length > 0 ? 0xff9900 : 0x00ff00)
+            .setTitle('📬 Notification Queue')
+            .addFields(
+                { name: 'Pending', value: pending.length.toString(), inline: true },
+                { name: 'Failed', value: deadLetters.length.toString(), inline: true },
+                { name: 'Discord', value: this.client.isReady() ? '✅ Connected' : '❌ Not ready', inline: true }
+            )
+            .setTimestamp();
+
+        if (pending.length > 0) {
+            const waiting = pending.slice(0, 10)
+                .map(item => `\`${item.id}\` <#${item.channelId}> ${item.eventType || ''} — attempt ${item.attempts}, next <t:${Math.ceil(item.nextAttemptAt / 1000)}:R>${item.lastError ? `\n  ↳ ${item.lastError.substring(0, 100)}` : ''}`)
+                .join('\n');
+            embed.addFields({ name: 'Waiting', value: waiting.substring(0, 1024), inline: false });
+        }
+
+        if (deadLetters.length > 0) {
+            const failed = deadLetters.slice(-10)
+                .map(item => `\`${item.id}\` <#${item.channelId}> ${item.eventType || ''} — ${item.attempts} attempt(s)\n  ↳ ${(item.lastError || 'Unknown error').substring(0, 100)}`)
+                .join('\n');
+            embed.addFields({ name: 'Failed (use /notification-queue retry or drop)', value: failed.substring(0, 1024), inline: false });
+        }
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    async digestCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const channelId = interaction.options.getChannel('channel')?.id || interaction.channelId;
+        const digest = this.store.getEntry('digests', channelId);
+        const describeSections = sections => sections.map(section => DIGEST_SECTIONS[section].description.toLowerCase()).join(', ');
+
+        if (subcommand === 'list') {
+            const digests = this.store.entries('digests').filter(([, entry]) => entry.guildId === interaction.guildId);
+            const lines = digests.map(([id, entry]) =>
+                `<#${id}> — ${describeSchedule(entry)}: ${entry.sections.join(', ')}${entry.lastSentAt ? ` (last sent <t:${Math.floor(entry.lastSentAt / 1000)}:R>)` : ''}`);
+
+            await interaction.reply({
+                content: lines.length > 0 ? `📰 Scheduled digests${this.config.digestTimezone ? ` (${this.config.digestTimezone})` : ''}:\n${lines.join('\n')}` : 'No digests are scheduled in this server. Use `/digest schedule` to add one.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (subcommand === 'schedule') {
+            const time = parseTime(interaction.options.getString('time') || '09:00');
+            if (!time) {
+                await interaction.reply({ content: '❌ `time` must be a time of day such as 09:00 or 17:30.', ephemeral: true });
+                return;
+            }
+
+            const updated = {
+                sections: Object.keys(DIGEST_SECTIONS),
+                ...digest,
+                guildId: interaction.guildId,
+                frequency: interaction.options.getString('frequency'),
+                time: `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`,
+                weekday: interaction.options.getString('weekday') || digest?.weekday || 'monday',
+                updatedBy: interaction.user.username
+            };
+            this.store.setEntry('digests', channelId, updated);
+            this.digestScheduler.set(channelId, updated);
+
+            logger.info(`${interaction.user.username} scheduled a ${updated.frequency} digest for channel ${channelId}`);
+            await interaction.reply({
+                content: `📰 <#${channelId}> will get a digest ${describeSchedule(updated)}${this.config.digestTimezone ? ` (${this.config.digestTimezone})` : ''} covering ${describeSections(updated.sections)}.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (subcommand === 'now') {
+            await interaction.deferReply({ ephemeral: true });
+            const period = interaction.options.getString('period') || digest?.frequency || 'daily';
+            await this.postDigest(channelId, digest || { guildId: interaction.guildId, sections: Object.keys(DIGEST_SECTIONS) }, period);
+            await interaction.editReply({ content: `📰 Digest for the last ${period === 'weekly' ? 'week' : 'day'} posted to <#${channelId}>.` });
+            return;
+        }
+
+        if (!digest) {
+            await interaction.reply({ content: `No digest is scheduled for <#${channelId}>. Use \`/digest schedule\` first.`, ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'off') {
+            this.store.deleteEntry('digests', channelId);
+            this.digestScheduler.remove(channelId);
+
+            logger.info(`${interaction.user.username} turned off the digest for channel ${channelId}`);
+            await interaction.reply({ content: `🔕 <#${channelId}> will no longer get digests.`, ephemeral: true });
+            return;
+        }
+
+        // contents: options left out keep their current setting
+        const sections = Object.keys(DIGEST_SECTIONS)
+            .filter(section => interaction.options.getBoolean(section) ?? digest.sections.includes(section));
+        if (sections.length === 0) {
+            await interaction.reply({ content: '❌ A digest needs at least one section.', ephemeral: true });
+            return;
+        }
+
+        this.store.setEntry('digests', channelId, { ...digest, sections });
+        await interaction.reply({ content: `📰 The digest for <#${channelId}> now covers ${describeSections(sections)}.`, ephemeral: true });
+    }
+
+    // Queues the digest for the last day or week ('daily' / 'weekly') to the channel
+    async postDigest(channelId, digest, period = digest.frequency) {
+        const until = Date.now();
+        const embed = await this.buildDigestEmbed(digest, { since: until - PERIODS[period], until, period });
+        return this.notificationQueue.enqueue(channelId, { embeds: [embed.toJSON()] }, { eventType: 'digest' });
+    }
+
+    async postScheduledDigest(channelId) {
+        const digest = this.store.getEntry('digests', channelId);
+        if (!digest) return;
+
+        await this.postDigest(channelId, digest);
+        this.store.setEntry('digests', channelId, { ...digest, lastSentAt: Date.now() });
+    }
+
+    // A section that can't be loaded is reported in its field instead of failing the whole digest
+    async buildDigestEmbed(digest, { since, until, period }) {
+        const embed = new EmbedBuilder()
+            .setColor(0x0099ff)
+            .setTitle(`📰 ${period === 'weekly' ? 'Weekly' : 'Daily'} Digest`)
+            .setDescription(`<t:${Math.floor(since / 1000)}:f> – <t:${Math.floor(until / 1000)}:f>`)
+            .setTimestamp(until);
+
+        const builders = {
+            issues: () => this.describeIssueActivity(digest.guildId, since),
+            tickets: () => this.describeOpenTickets(),
+            alerts: () => this.describeAlerts(since),
+            suggestions: () => this.describeSuggestionOutcomes(digest.guildId, since)
+        };
+
+        for (const [section, { title }] of Object.entries(DIGEST_SECTIONS)) {
+            if (!digest.sections.includes(section)) continue;
+
+            let value;
+            try {
+                value = await builders[section]();
+            } catch (error) {
+                logger.warn(`Could not build the ${section} section of a digest: ${error.message}`);
+                value = `⚠️ Could not load: ${error.message}`;
+            }
+            embed.addFields({ name: title, value: value.substring(0, 1024), inline: false });
+        }
+
+        return embed;
+    }
+
+    // Every repository linked in the guild, or the default repository when none are
+    getDigestRepositories(guildId) {
+        const { guild, channels } = this.repositoryLinks.list(guildId);
+        const repositories = new Map();
+
+        for (const link of [guild, ...channels].filter(Boolean)) {
+            repositories.set(formatRepository(link).toLowerCase(), { owner: link.owner, repo: link.repo });
+        }
+        return repositories.size > 0 ? [...repositories.values()] : [this.resolveRepository({ guildId })];
+    }
+
+    async describeIssueActivity(guildId, since) {
+        const lines = [];
+
+        for (const repository of this.getDigestRepositories(guildId)) {
+            try {
+                const issues = await this.githubAPI.listIssues({ ...repository, state: 'all', since: new Date(since).toISOString(), limit: DIGEST_ISSUE_LIMIT });
+                const { opened, closed } = summarizeIssueActivity(issues, since);
+                const capped = issues.length >= DIGEST_ISSUE_LIMIT ? ` (counted from the first ${DIGEST_ISSUE_LIMIT} issues updated)` : '';
+
+                lines.push(`**${formatRepository(repository)}**: ${opened.length} opened, ${closed.length} closed${capped}`);
+                lines.push(...opened.map(issue => `🆕 [#${issue.number}](${issue.html_url}) ${issue.title}`));
+                lines.push(...closed.map(issue => `✅ [#${issue.number}](${issue.html_url}) ${issue.title}`));
+            } catch (error) {
+                logger.warn(`Could not list issues in ${formatRepository(repository)} for a digest: ${error.message}`);
+                lines.push(`**${formatRepository(repository)}**: ⚠️ ${this.describeGitHubError(error)}`);
+            }
+        }
+
+        return joinLines(lines);
+    }
+
+    async describeOpenTickets() {
+        const tickets = await this.xtsystemsAPI.listTickets({ status: 'open' });
+        if (tickets.length === 0) return 'No open tickets';
+
+        const priorities = ISSUE_PRIORITIES.map(({ name }) => name).reverse();
+        const groups = groupByPriority(tickets, priorities, ticket => ticket.priority);
+        const counts = [...groups].filter(([, items]) => items.length > 0).map(([priority, items]) => `${priority}: ${items.length}`);
+        const urgent = [...groups.get('Critical'), ...groups.get('High')].map(ticket => {
+            const url = this.ticketUrl(ticket.id);
+            return `• ${url ? `[#${ticket.id}](${url})` : `#${ticket.id}`} ${ticket.title} (${ticket.priority})`;
+        });
+
+        return joinLines([counts.join(' · '), ...urgent]);
+    }
+
+    async describeAlerts(since) {
+        const alerts = this.activityLog.alertsSince(since);
+        if (alerts.length === 0) return 'No alerts';
+
+        const groups = groupByPriority(alerts, ['Critical', 'High', 'Medium', 'Low'], alert => alert.severity);
+        const counts = [...groups].filter(([, items]) => items.length > 0).map(([severity, items]) => `${severity}: ${items.length}`);
+        const latest = alerts.slice().reverse().map(alert =>
+            `• <t:${Math.floor(alert.at / 1000)}:R> **${alert.alertType || 'Alert'}** (${alert.severity || 'Medium'})${alert.message ? `: ${alert.message.substring(0, 100)}` : ''}`);
+
+        return joinLines([counts.join(' · '), ...latest]);
+    }
+
+    async describeSuggestionOutcomes(guildId, since) {
+        const counts = this.activityLog.suggestionOutcomesSince(since, { guildId });
+        if (counts.posted === 0) return 'No suggestions posted';
+
+        const decided = counts.accepted + counts.ignored;
+        return `Posted: ${counts.posted} · Accepted: ${counts.accepted} · Ignored: ${counts.ignored} · Unanswered: ${counts.pending}` +
+            (decided > 0 ? `\n${Math.round((counts.accepted / decided) * 100)}% of answered suggestions were accepted` : '');
+    }
+
+    addActionChoices(option) {
+        return option.setName('action')
+            .setDescription('Command or button action')
+            .setRequired(true)
+            .addChoices(...Object.entries(ACTIONS).map(([value, { description }]) => ({ name: description, value })));
+    }
+
+    // Replies with the denial and returns false when the user may not perform the action
+    async ensurePermission(interaction, action, attempted) {
+        if (this.permissions.can(action, { member: interaction.member, userId: interaction.user.id })) {
+            return true;
+        }
+
+        const { description } = ACTIONS[action];
+        logger.warn(`User ${interaction.user.username} (${interaction.user.id}) was denied ${attempted} (${action}) in channel ${interaction.channelId}`);
+        await interaction.reply({
+            content: `🚫 You do not have permission to ${description.charAt(0).toLowerCase()}${description.slice(1)}.`,
+            ephemeral: true
+        });
+        return false;
+    }
+
+    describeGrants(action) {
+        const { roles, users } = this.permissions.grants(action);
+
+        if (roles.length === 0 && users.length === 0) {
+            const { defaultPermission } = ACTIONS[action];
+            if (defaultPermission === null) return 'Everyone (default)';
+
+            const name = Object.keys(PermissionFlagsBits).find(key => PermissionFlagsBits[key] === defaultPermission);
+            return `Members with ${name.replace(/([a-z])([A-Z])/g, '$1 $2')} (default)`;
+        }
+
+        // Roles from MACHINE_APPROVER_ROLES may be names rather than IDs
+        return [
+            ...roles.map(role => /^\d+$/.test(role) ? `<@&${role}>` : `@${role}`),
+            ...users.map(id => `<@${id}>`)
+        ].join(', ');
+    }
+
+    async permissionsCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            const embed = new EmbedBuilder()
+                .setColor(0x0099ff)
+                .setTitle('🔐 Bot Permissions')
+                .setDescription('Server administrators can always perform every action.')
+                .addFields(Object.entries(ACTIONS).map(([action, { description }]) => ({
+                    name: description,
+                    value: this.describeGrants(action),
+                    inline: false
+                })))
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        const action = interaction.options.getString('action');
+        const { description } = ACTIONS[action];
+
+        if (subcommand === 'reset') {
+            this.permissions.reset(action);
+            logger.info(`${interaction.user.username} reset permissions for ${action}`);
+            await interaction.reply({ content: `🔄 **${description}** is back to the default: ${this.describeGrants(action)}`, ephemeral: true });
+            return;
+        }
+
+        const role = interaction.options.getRole('role');
+        const user = interaction.options.getUser('user');
+        if (!role && !user) {
+            await interaction.reply({ content: 'Choose a role or a member.', ephemeral: true });
+            return;
+        }
+
+        const target = { roleId: role?.id, userId: user?.id };
+        if (subcommand === 'grant') {
+            this.permissions.grant(action, target);
+        } else if (!this.permissions.revoke(action, target)) {
+            await interaction.reply({ content: `That role or member was not granted **${description}**.`, ephemeral: true });
+            return;
+        }
+
+        logger.info(`${interaction.user.username} ${subcommand === 'grant' ? 'granted' : 'revoked'} ${action} for ${[role && `role ${role.id}`, user && `user ${user.id}`].filter(Boolean).join(' and ')}`);
+        await interaction.reply({
+            content: `${subcommand === 'grant' ? '✅' : '➖'} **${description}** is now allowed for: ${this.describeGrants(action)}`,
+            ephemeral: true,
+            allowedMentions: { parse: [] }
+        });
+    }
+
     async start() {
         try {
+            await this.loadState();
+            this.notificationQueue.start();
+            for (const [channelId, digest] of this.store.entries('digests')) {
+                this.digestScheduler.set(channelId, digest);
+            }
+            this.scheduleReminders();
+            await this.registerCommands();
+            this.startWebhookServer();
             await this.client.login(this.config.token);
             logger.info('XTSystems Discord Bot started successfully');
         } catch (error) {
@@ -1415,18 +4594,44 @@ Consider:
             process.exit(1);
         }
     }
-}
 
-// Error handling
-process.on('unhandledRejection', (error) => {
-    logger.error('Unhandled promise rejection:', error);
-});
+    async shutdown() {
+        logger.info('Shutting down XTSystems Discord Bot');
 
-process.on('uncaughtException', (error) => {
-    logger.error('Uncaught exception:', error);
-    process.exit(1);
-});
+        if (this.webhookServer) {
+            this.webhookServer.close();
+        }
+        this.notificationQueue.stop();
+        this.analysisScheduler.stop();
+        this.digestScheduler.stop();
+        this.reminderTask?.stop();
+        await this.store.flush();
+        await this.client.destroy();
+    }
+}
+
+if (require.main === module) {
+    // Error handling
+    process.on('unhandledRejection', (error) => {
+        logger.error('Unhandled promise rejection:', error);
+    });
+
+    process.on('uncaughtException', (error) => {
+        logger.error('Uncaught exception:', error);
+        process.exit(1);
+    });
+
+    // Start the bot
+    const bot = new XTSystemsDiscordBot();
+    bot.start();
+
+    // Flush persisted state before the container stops
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, async () => {
+            await bot.shutdown();
+            process.exit(0);
+        });
+    }
+}
 
-// Start the bot
-const bot = new XTSystemsDiscordBot();
-bot.start();
+module.exports = { XTSystemsDiscordBot };
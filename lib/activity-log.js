@@ -0,0 +1,81 @@
+/**
+ * Activity Log
+ *
+ * Keeps a short history of things that only pass through the bot, so
+ * digests can report on them later: XTSystems alerts it announced and what
+ * became of each suggestion it posted (accepted, ignored or left
+ * unanswered). Entries older than the retention period are pruned.
+ */
+
+const crypto = require('crypto');
+
+const ALERT_COLLECTION = 'alertHistory';
+const SUGGESTION_COLLECTION = 'suggestionHistory';
+
+const SUGGESTION_OUTCOMES = ['pending', 'accepted', 'ignored'];
+
+class ActivityLog {
+    constructor(store, { retention = 35 * 24 * 60 * 60 * 1000 } = {}) {
+        this.store = store;
+        this.retention = retention;
+    }
+
+    recordAlert({ alertType, severity, source, message }) {
+        const id = crypto.randomUUID();
+        this.store.setEntry(ALERT_COLLECTION, id, {
+            alertType: alertType || null,
+            severity: severity || null,
+            source: source || null,
+            message: message || null,
+            at: Date.now()
+        });
+        return id;
+    }
+
+    // suggestionId is the message ID of the suggestion, as in pendingAnalyses
+    recordSuggestion(suggestionId, { channelId, guildId, title }) {
+        this.store.setEntry(SUGGESTION_COLLECTION, suggestionId, {
+            channelId,
+            guildId: guildId || null,
+            title: title || null,
+            outcome: 'pending',
+            postedAt: Date.now(),
+            decidedAt: null
+        });
+    }
+
+    // Only the first decision counts; returns false for unknown or already decided suggestions
+    resolveSuggestion(suggestionId, outcome) {
+        const entry = this.store.getEntry(SUGGESTION_COLLECTION, suggestionId);
+        if (!entry || entry.outcome !== 'pending' || !SUGGESTION_OUTCOMES.includes(outcome)) return false;
+
+        this.store.setEntry(SUGGESTION_COLLECTION, suggestionId, { ...entry, outcome, decidedAt: Date.now() });
+        return true;
+    }
+
+    alertsSince(timestamp) {
+        return this.store.entries(ALERT_COLLECTION)
+            .map(([, alert]) => alert)
+            .filter(alert => alert.at >= timestamp)
+            .sort((a, b) => a.at - b.at);
+    }
+
+    // Counts by outcome for suggestions posted since the timestamp, optionally in one guild
+    suggestionOutcomesSince(timestamp, { guildId } = {}) {
+        const counts = { posted: 0, accepted: 0, ignored: 0, pending: 0 };
+
+        for (const [, entry] of this.store.entries(SUGGESTION_COLLECTION)) {
+            if (entry.postedAt < timestamp || (guildId && entry.guildId && entry.guildId !== guildId)) continue;
+            counts.posted++;
+            counts[entry.outcome]++;
+        }
+        return counts;
+    }
+
+    prune(now = Date.now()) {
+        return this.store.prune(ALERT_COLLECTION, alert => now - alert.at > this.retention) +
+            this.store.prune(SUGGESTION_COLLECTION, entry => now - entry.postedAt > this.retention);
+    }
+}
+
+module.exports = { ActivityLog };
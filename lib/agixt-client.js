@@ -0,0 +1,74 @@
+/**
+ * AGiXT API Client
+ *
+ * Sends analysis prompts to an AGiXT agent. The agent name and prompt
+ * templates come from configuration (AGIXT_AGENT_NAME, ANALYSIS_PROMPT_FILE,
+ * CONVERSATION_PROMPT_FILE).
+ * A corrective re-prompt continues the same AGiXT conversation, so the agent
+ * sees the answer it is asked to fix.
+ */
+
+const axios = require('axios');
+const { DEFAULT_ANALYSIS_PROMPT, DEFAULT_CONVERSATION_PROMPT, renderPrompt, requestAnalysis } = require('./analysis-prompt');
+
+class AGiXTClient {
+    constructor({
+        apiUrl,
+        apiKey,
+        agentName = 'XTSystems-Analyzer',
+        prompt = DEFAULT_ANALYSIS_PROMPT,
+        conversationPrompt = DEFAULT_CONVERSATION_PROMPT,
+        timeout = 60000,
+        metrics
+    }) {
+        this.agentName = agentName;
+        this.prompt = prompt;
+        this.conversationPrompt = conversationPrompt;
+        this.metrics = metrics;
+        this.http = axios.create({
+            baseURL: apiUrl,
+            timeout,
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    async chat(userInput, conversationName = `discord-analysis-${Date.now()}`) {
+        const response = await this.http.post('/api/v1/chat', {
+            agent_name: this.agentName,
+            user_input: userInput,
+            conversation_name: conversationName
+        });
+
+        if (!response.data || typeof response.data.response !== 'string') {
+            throw new Error('AGiXT returned an empty response');
+        }
+        return response.data.response;
+    }
+
+    // AGiXT keeps the conversation history itself, so only the newest message is sent
+    sender() {
+        const conversationName = `discord-analysis-${Date.now()}`;
+        return messages => this.chat(messages[messages.length - 1].content, conversationName);
+    }
+
+    async analyzeConversation(context, message) {
+        return requestAnalysis(this.sender(), renderPrompt(this.prompt, { context, message }), {
+            analyzer: 'agixt',
+            metrics: this.metrics
+        });
+    }
+
+    // Every distinct bug or feature in a transcript, as a list of analyses
+    async findIssues(conversation) {
+        return requestAnalysis(this.sender(), renderPrompt(this.conversationPrompt, { conversation }), {
+            analyzer: 'agixt',
+            metrics: this.metrics,
+            expect: 'findings'
+        });
+    }
+}
+
+module.exports = { AGiXTClient };
@@ -0,0 +1,41 @@
+/**
+ * Analysis Metrics
+ *
+ * Counts how LLM analyzer answers turned out (valid, coerced, invalid,
+ * repaired by the re-prompt, failed) per analyzer since the bot started,
+ * so models that keep producing unusable output can be spotted from
+ * /health and /bot-status.
+ */
+
+class AnalysisMetrics {
+    constructor() {
+        this.since = new Date().toISOString();
+        this.counts = {};
+    }
+
+    record(analyzer = 'unknown', outcome) {
+        const counts = this.counts[analyzer] || (this.counts[analyzer] = {});
+        counts[outcome] = (counts[outcome] || 0) + 1;
+    }
+
+    // Answers that needed the re-prompt or were dropped, out of all answers
+    parseFailures() {
+        let failures = 0;
+        let total = 0;
+
+        for (const counts of Object.values(this.counts)) {
+            failures += (counts.invalid_parse || 0) + (counts.invalid_schema || 0);
+            total += (counts.valid || 0) + (counts.coerced || 0) + (counts.invalid_parse || 0) + (counts.invalid_schema || 0);
+        }
+        return { failures, total };
+    }
+
+    snapshot() {
+        return {
+            since: this.since,
+            analyzers: JSON.parse(JSON.stringify(this.counts))
+        };
+    }
+}
+
+module.exports = { AnalysisMetrics };
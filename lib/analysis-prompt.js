@@ -0,0 +1,348 @@
+/**
+ * Analysis Prompt
+ *
+ * The prompt sent to LLM analyzers and the parsing of their answers. The
+ * template can be replaced with ANALYSIS_PROMPT_FILE; `{{context}}` and
+ * `{{message}}` are substituted with the recent conversation and the
+ * message being analyzed.
+ *
+ * Models rarely answer with bare JSON, so the first JSON object is extracted
+ * from the reply (fences and surrounding prose are ignored), every field is
+ * validated and near-misses such as "85%" or "Feature Request" are coerced.
+ * An answer that still can't be used gets one corrective re-prompt.
+ *
+ * Whole conversations use a second template (CONVERSATION_PROMPT_FILE,
+ * `{{conversation}}` placeholder) that asks for every distinct finding.
+ */
+
+const fs = require('fs');
+const logger = require('./logger');
+
+const ISSUE_TYPES = ['bug', 'enhancement', 'documentation', 'question'];
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+const ISSUE_TYPE_ALIASES = {
+    'bug report': 'bug',
+    'defect': 'bug',
+    'feature': 'enhancement',
+    'feature request': 'enhancement',
+    'improvement': 'enhancement',
+    'docs': 'documentation',
+    'doc': 'documentation',
+    'support': 'question'
+};
+
+const PRIORITY_ALIASES = {
+    'minor': 'low',
+    'normal': 'medium',
+    'moderate': 'medium',
+    'major': 'high',
+    'urgent': 'critical',
+    'blocker': 'critical'
+};
+
+const DEFAULT_ANALYSIS_PROMPT = `
+Analyze the following Discord conversation and current message to determine if it contains:
+1. A bug report or issue that should be tracked
+2. A feature request or enhancement suggestion
+3. General discussion that doesn't need tracking
+
+Conversation context:
+{{context}}
+
+Current message: {{message}}
+
+Please respond with a JSON object containing:
+{
+    "shouldCreateIssue": boolean,
+    "shouldCreateFeature": boolean,
+    "issueType": "bug" | "enhancement" | "documentation" | "question" | null,
+    "title": "suggested title" | null,
+    "description": "suggested description" | null,
+    "priority": "low" | "medium" | "high" | "critical" | null,
+    "confidence": number (0-100),
+    "reasoning": "explanation of decision"
+}
+
+Consider:
+- Bug indicators: "not working", "error", "broken", "crash", "issue", "problem"
+- Feature indicators: "would be nice", "suggest", "add", "implement", "feature request"
+- Only suggest creation if the confidence is above 70%
+`;
+
+const DEFAULT_CONVERSATION_PROMPT = `
+List every distinct bug report and feature request in the following Discord conversation.
+Leave out general discussion, questions that were answered and repeats of an item already listed.
+
+Conversation:
+{{conversation}}
+
+Please respond with a JSON object containing a "findings" array, one entry per bug or feature:
+{
+    "findings": [
+        {
+            "shouldCreateIssue": boolean,
+            "shouldCreateFeature": boolean,
+            "issueType": "bug" | "enhancement" | "documentation" | "question" | null,
+            "title": "suggested title",
+            "description": "suggested description",
+            "priority": "low" | "medium" | "high" | "critical" | null,
+            "confidence": number (0-100),
+            "reasoning": "explanation of decision"
+        }
+    ]
+}
+
+Respond with {"findings": []} when there is nothing to track.
+`;
+
+function loadPrompt(filePath, defaultPrompt = DEFAULT_ANALYSIS_PROMPT) {
+    return filePath ? fs.readFileSync(filePath, 'utf8') : defaultPrompt;
+}
+
+function renderPrompt(template, { context, message, conversation }) {
+    return template
+        .replace(/\{\{\s*context\s*\}\}/g, () => context || '(no earlier messages)')
+        .replace(/\{\{\s*message\s*\}\}/g, () => message)
+        .replace(/\{\{\s*conversation\s*\}\}/g, () => conversation);
+}
+
+class AnalysisError extends Error {
+    // kind is 'parse' when no JSON object was found and 'schema' when its fields are invalid
+    constructor(kind, message, { answer, problems = [] } = {}) {
+        super(message);
+        this.name = 'AnalysisError';
+        this.kind = kind;
+        this.answer = answer;
+        this.problems = problems;
+    }
+}
+
+// Returns the first balanced {...} (or [...] with arrays) in the text that parses as JSON
+function extractJson(text, { arrays = false } = {}) {
+    const source = String(text ?? '');
+    const opening = arrays ? /[{[]/g : /\{/g;
+
+    for (let match = opening.exec(source); match; match = opening.exec(source)) {
+        const start = match.index;
+        let depth = 0;
+        let inString = false;
+
+        for (let i = start; i < source.length; i++) {
+            const char = source[i];
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                depth++;
+            } else if ((char === '}' || char === ']') && --depth === 0) {
+                try {
+                    return JSON.parse(source.slice(start, i + 1));
+                } catch (error) {
+                    break;
+                }
+            }
+        }
+    }
+
+    return undefined;
+}
+
+function isBlank(value) {
+    return value === undefined || value === null ||
+        (typeof value === 'string' && ['', 'null', 'none', 'n/a'].includes(value.trim().toLowerCase()));
+}
+
+// Each coerce* returns { value } or { problem }, and sets coerced when the input was a near-miss
+function coerceBoolean(value, field) {
+    if (typeof value === 'boolean') return { value };
+    if (isBlank(value)) return { value: false, coerced: value !== undefined };
+    if (value === 1 || value === 0) return { value: value === 1, coerced: true };
+
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes'].includes(text)) return { value: true, coerced: true };
+    if (['false', 'no'].includes(text)) return { value: false, coerced: true };
+    return { problem: `${field} must be true or false` };
+}
+
+function coerceEnum(value, field, allowed, aliases) {
+    if (isBlank(value)) return { value: null, coerced: value !== undefined && value !== null };
+
+    const text = String(value).trim().toLowerCase();
+    if (allowed.includes(text)) return { value: text, coerced: text !== value };
+    if (aliases[text]) return { value: aliases[text], coerced: true };
+    return { problem: `${field} must be one of ${allowed.join(', ')} or null` };
+}
+
+function coerceConfidence(value) {
+    let number = value;
+    let coerced = false;
+
+    if (typeof value === 'string' && /^\s*\d+(\.\d+)?\s*%?\s*$/.test(value)) {
+        number = parseFloat(value);
+        coerced = true;
+    }
+    if (typeof number !== 'number' || Number.isNaN(number)) {
+        return { problem: 'confidence must be a number from 0 to 100' };
+    }
+    // A fraction such as 0.85 means 85%
+    if (number > 0 && number < 1) {
+        number *= 100;
+        coerced = true;
+    }
+    if (number < 0 || number > 100) {
+        return { problem: 'confidence must be a number from 0 to 100' };
+    }
+
+    const rounded = Math.round(number);
+    return { value: rounded, coerced: coerced || rounded !== number };
+}
+
+function coerceText(value, field) {
+    if (isBlank(value)) return { value: null, coerced: value !== undefined && value !== null };
+    if (typeof value === 'string') return { value: value.trim(), coerced: value.trim() !== value };
+    if (typeof value === 'number') return { value: String(value), coerced: true };
+    return { problem: `${field} must be a string or null` };
+}
+
+// Returns { analysis, coerced } or throws an AnalysisError listing every invalid field
+function validateAnalysis(raw, answer) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new AnalysisError('schema', 'Analyzer response is not a JSON object', { answer, problems: ['the answer must be a JSON object'] });
+    }
+
+    const results = {
+        shouldCreateIssue: coerceBoolean(raw.shouldCreateIssue, 'shouldCreateIssue'),
+        shouldCreateFeature: coerceBoolean(raw.shouldCreateFeature, 'shouldCreateFeature'),
+        issueType: coerceEnum(raw.issueType, 'issueType', ISSUE_TYPES, ISSUE_TYPE_ALIASES),
+        title: coerceText(raw.title, 'title'),
+        description: coerceText(raw.description, 'description'),
+        priority: coerceEnum(raw.priority, 'priority', PRIORITIES, PRIORITY_ALIASES),
+        confidence: coerceConfidence(raw.confidence),
+        reasoning: coerceText(raw.reasoning, 'reasoning')
+    };
+
+    const problems = Object.values(results).filter(result => result.problem).map(result => result.problem);
+    if (problems.length > 0) {
+        throw new AnalysisError('schema', `Analyzer response has invalid fields: ${problems.join('; ')}`, { answer, problems });
+    }
+
+    const analysis = {};
+    for (const [field, result] of Object.entries(results)) {
+        analysis[field] = result.value;
+    }
+    return { analysis, coerced: Object.values(results).some(result => result.coerced) };
+}
+
+function parseAnalysis(text) {
+    const raw = extractJson(text);
+    if (raw === undefined) {
+        throw new AnalysisError('parse', `Analyzer response contains no JSON object: ${String(text).substring(0, 200)}`, {
+            answer: text,
+            problems: ['the answer did not contain a JSON object']
+        });
+    }
+    return validateAnalysis(raw, text);
+}
+
+// Accepts {"findings": [...]}, a bare array, or a single analysis object
+function parseFindings(text) {
+    const raw = extractJson(text, { arrays: true });
+    if (raw === undefined) {
+        throw new AnalysisError('parse', `Analyzer response contains no JSON: ${String(text).substring(0, 200)}`, {
+            answer: text,
+            problems: ['the answer did not contain a JSON object']
+        });
+    }
+
+    const entries = Array.isArray(raw) ? raw : Array.isArray(raw.findings) ? raw.findings : [raw];
+    const findings = [];
+    const problems = [];
+    let coerced = !Array.isArray(raw.findings);
+
+    entries.forEach((entry, index) => {
+        try {
+            const result = validateAnalysis(entry, text);
+            findings.push(result.analysis);
+            coerced = coerced || result.coerced;
+        } catch (error) {
+            problems.push(...error.problems.map(problem => `findings[${index}]: ${problem}`));
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new AnalysisError('schema', `Analyzer response has invalid findings: ${problems.join('; ')}`, { answer: text, problems });
+    }
+    return { findings, coerced };
+}
+
+const PARSERS = {
+    analysis: text => {
+        const { analysis, coerced } = parseAnalysis(text);
+        return { value: analysis, coerced };
+    },
+    findings: text => {
+        const { findings, coerced } = parseFindings(text);
+        return { value: findings, coerced };
+    }
+};
+
+function correctionPrompt(error) {
+    return `Your previous answer could not be used: ${error.problems.join('; ')}.
+Reply again with only the JSON object described above and no other text. issueType must be one of ${ISSUE_TYPES.join(', ')} or null, priority one of ${PRIORITIES.join(', ')} or null, and confidence a number from 0 to 100.`;
+}
+
+/**
+ * Sends the prompt and parses the answer (expect 'analysis' for one object or 'findings'
+ * for a list), re-prompting once when it can't be used.
+ * send(messages) receives the chat so far ([{ role, content }]) and resolves to the reply text.
+ * Outcomes are recorded as 'valid', 'coerced', 'invalid_parse' / 'invalid_schema' (first
+ * answer unusable), 'repaired' (the re-prompt fixed it) and 'failed'.
+ */
+async function requestAnalysis(send, prompt, { analyzer, metrics, expect = 'analysis' } = {}) {
+    const parse = PARSERS[expect];
+    const record = outcome => metrics?.record(analyzer, outcome);
+    const messages = [{ role: 'user', content: prompt }];
+    const answer = await send(messages);
+
+    try {
+        const { value, coerced } = parse(answer);
+        record(coerced ? 'coerced' : 'valid');
+        return value;
+    } catch (error) {
+        if (!(error instanceof AnalysisError)) throw error;
+        record(`invalid_${error.kind}`);
+        logger.warn(`Re-prompting the ${analyzer || 'LLM'} analyzer: ${error.message}`);
+
+        try {
+            const retry = await send([
+                ...messages,
+                { role: 'assistant', content: String(answer) },
+                { role: 'user', content: correctionPrompt(error) }
+            ]);
+            const { value } = parse(retry);
+            record('repaired');
+            return value;
+        } catch (retryError) {
+            record('failed');
+            throw retryError;
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_ANALYSIS_PROMPT,
+    DEFAULT_CONVERSATION_PROMPT,
+    ISSUE_TYPES,
+    PRIORITIES,
+    AnalysisError,
+    loadPrompt,
+    renderPrompt,
+    extractJson,
+    validateAnalysis,
+    parseAnalysis,
+    parseFindings,
+    requestAnalysis
+};
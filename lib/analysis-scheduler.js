@@ -0,0 +1,71 @@
+/**
+ * Analysis Scheduler
+ *
+ * Debounces conversation analysis per channel. Messages are collected into
+ * a burst and analyzed together once the channel has been quiet for the
+ * debounce delay, so a bug report typed over several messages is analyzed
+ * once instead of once per message. A channel that never goes quiet is
+ * still analyzed after maxWait. Bursts of the same channel are analyzed one
+ * after another, never concurrently.
+ */
+
+const logger = require('./logger');
+
+class AnalysisScheduler {
+    constructor({ run, delay = 10000, maxWait = 60000 }) {
+        this.run = run;
+        this.delay = delay;
+        this.maxWait = maxWait;
+        this.bursts = new Map();
+        this.running = new Map();
+    }
+
+    schedule(key, item) {
+        const burst = this.bursts.get(key) || { items: [], startedAt: Date.now(), timer: null };
+        burst.items.push(item);
+        clearTimeout(burst.timer);
+
+        const wait = Math.min(this.delay, Math.max(0, burst.startedAt + this.maxWait - Date.now()));
+        burst.timer = setTimeout(() => this.flush(key), wait);
+        if (burst.timer.unref) {
+            burst.timer.unref();
+        }
+
+        this.bursts.set(key, burst);
+    }
+
+    // Analyzes the channel's burst now; resolves once it (and any earlier burst) has been analyzed
+    flush(key) {
+        const burst = this.bursts.get(key);
+        if (!burst) return this.running.get(key) || Promise.resolve();
+
+        clearTimeout(burst.timer);
+        this.bursts.delete(key);
+
+        const previous = this.running.get(key) || Promise.resolve();
+        const current = previous
+            .then(() => this.run(key, burst.items))
+            .catch(error => logger.error(`Error analyzing messages in ${key}:`, error))
+            .finally(() => {
+                if (this.running.get(key) === current) {
+                    this.running.delete(key);
+                }
+            });
+
+        this.running.set(key, current);
+        return current;
+    }
+
+    pending(key) {
+        return this.bursts.get(key)?.items.length || 0;
+    }
+
+    stop() {
+        for (const burst of this.bursts.values()) {
+            clearTimeout(burst.timer);
+        }
+        this.bursts.clear();
+    }
+}
+
+module.exports = { AnalysisScheduler };
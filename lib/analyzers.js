@@ -0,0 +1,232 @@
+/**
+ * Conversation Analyzers
+ *
+ * An analyzer looks at a message and the conversation before it and returns
+ * an analysis ({ shouldCreateIssue, shouldCreateFeature, issueType, title,
+ * description, priority, confidence, reasoning }) or null when it has no
+ * opinion. Analyzers run as a chain: the first result at or above the
+ * conclusive confidence wins, so cheap keyword rules can settle obvious
+ * cases and an LLM is only asked when they are inconclusive.
+ *
+ * findAll() does the same for a whole transcript and returns every distinct
+ * finding. There the LLMs go first, since they read the conversation as a
+ * whole; keyword rules only score it line by line.
+ */
+
+const fs = require('fs');
+const logger = require('./logger');
+const { findSimilarIssues } = require('./issue-similarity');
+
+const ANALYZER_NAMES = ['keyword', 'agixt', 'openai'];
+
+// Keyword matches alone are only a hint, so they stay below the default conclusive confidence
+const DEFAULT_KEYWORD_RULES = [
+    {
+        name: 'chit-chat',
+        pattern: '^\\s*(hi|hello|hey|thanks|thank you|thx|ok|okay|lol|gm|gn)[\\s!.]*$',
+        type: 'ignore',
+        confidence: 90
+    },
+    {
+        name: 'issue keywords',
+        pattern: 'bug|issue|problem|error|broken|not working|failed|crash|exception',
+        type: 'bug',
+        priority: 'medium',
+        confidence: 60
+    },
+    {
+        name: 'feature keywords',
+        pattern: 'feature|enhancement|improvement|suggest|add|implement|would be nice|request',
+        type: 'enhancement',
+        priority: 'low',
+        confidence: 60
+    }
+];
+
+const TITLE_PREFIXES = {
+    bug: 'Bug report from Discord',
+    enhancement: 'Feature request from Discord',
+    documentation: 'Documentation issue from Discord',
+    question: 'Question from Discord'
+};
+
+class KeywordAnalyzer {
+    constructor(rules = DEFAULT_KEYWORD_RULES) {
+        this.name = 'keyword';
+        this.rules = rules.map(rule => ({ ...rule, regex: new RegExp(rule.pattern, rule.flags ?? 'i') }));
+    }
+
+    // Rules match `text` when given (e.g. a whole transcript whose `message` is an instruction for LLMs)
+    async analyze({ message, text = message }) {
+        const rule = this.rules.find(candidate => candidate.regex.test(text));
+        if (!rule) return null;
+
+        if (rule.type === 'ignore') {
+            return {
+                shouldCreateIssue: false,
+                shouldCreateFeature: false,
+                issueType: null,
+                title: null,
+                description: null,
+                priority: null,
+                confidence: rule.confidence,
+                reasoning: `Keyword-based analysis matched the "${rule.name}" rule; nothing to track`
+            };
+        }
+
+        const isFeature = rule.type === 'enhancement';
+        return {
+            shouldCreateIssue: !isFeature,
+            shouldCreateFeature: isFeature,
+            issueType: rule.type,
+            title: `${TITLE_PREFIXES[rule.type] || 'Report from Discord'}: ${text.substring(0, 50)}...`,
+            description: text,
+            priority: rule.priority || 'medium',
+            confidence: rule.confidence,
+            reasoning: `Keyword-based analysis detected ${isFeature ? 'feature' : 'issue'} keywords (${rule.name})`
+        };
+    }
+
+    // One finding per line that matches an issue or feature rule
+    async findAll({ lines }) {
+        const findings = [];
+        for (const line of lines) {
+            const analysis = await this.analyze({ message: line });
+            if (analysis && (analysis.shouldCreateIssue || analysis.shouldCreateFeature)) {
+                findings.push(analysis);
+            }
+        }
+        return findings;
+    }
+}
+
+// Any client with analyzeConversation(context, message), e.g. AGiXTClient or OpenAICompatibleClient
+class LLMAnalyzer {
+    // limiter (a ConcurrencyLimiter) caps requests in flight across all analyzers sharing it
+    constructor(name, client, { limiter } = {}) {
+        this.name = name;
+        this.client = client;
+        this.limiter = limiter;
+        this.readsTranscripts = true;
+    }
+
+    run(request) {
+        return this.limiter ? this.limiter.run(request) : request();
+    }
+
+    async analyze({ context, message }) {
+        return this.run(() => this.client.analyzeConversation(context, message));
+    }
+
+    async findAll({ transcript }) {
+        return this.run(() => this.client.findIssues(transcript));
+    }
+}
+
+class AnalyzerChain {
+    constructor(analyzers, { conclusiveConfidence = 80 } = {}) {
+        this.analyzers = analyzers;
+        this.conclusiveConfidence = conclusiveConfidence;
+    }
+
+    // Returns the first conclusive result, otherwise the most confident one (or null)
+    async analyze(input) {
+        let best = null;
+
+        for (const analyzer of this.analyzers) {
+            let result;
+            try {
+                result = await analyzer.analyze(input);
+            } catch (error) {
+                logger.warn(`The ${analyzer.name} analyzer failed, trying the next one: ${error.message}`);
+                continue;
+            }
+
+            if (!result) continue;
+
+            const analysis = { ...result, analyzer: analyzer.name };
+            if (analysis.confidence >= this.conclusiveConfidence) {
+                return analysis;
+            }
+            if (!best || analysis.confidence > best.confidence) {
+                best = analysis;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Findings for a transcript ({ transcript, lines }) from the first analyzer that answers,
+     * trying LLMs before keyword rules. An empty list is an answer; null means every analyzer failed.
+     */
+    async findAll(input) {
+        const ordered = [
+            ...this.analyzers.filter(analyzer => analyzer.readsTranscripts),
+            ...this.analyzers.filter(analyzer => !analyzer.readsTranscripts)
+        ];
+
+        for (const analyzer of ordered) {
+            try {
+                const findings = await analyzer.findAll(input);
+                return findings.map(finding => ({ ...finding, analyzer: analyzer.name }));
+            } catch (error) {
+                logger.warn(`The ${analyzer.name} analyzer failed, trying the next one: ${error.message}`);
+            }
+        }
+
+        return null;
+    }
+}
+
+// Drops findings about the same topic (e.g. found again in an overlapping chunk), keeping the most confident
+function mergeFindings(findings, { threshold = 0.45 } = {}) {
+    const merged = [];
+
+    for (const finding of [...findings].sort((a, b) => b.confidence - a.confidence)) {
+        const [match] = findSimilarIssues(
+            { title: finding.title, body: finding.description },
+            merged.map(kept => ({ title: kept.title, body: kept.description })),
+            { threshold, limit: 1 }
+        );
+        if (!match) merged.push(finding);
+    }
+
+    return merged;
+}
+
+// "keyword, agixt" -> ['keyword', 'agixt']; throws on unknown analyzer names
+function parsePipeline(spec) {
+    const names = String(spec || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    const unknown = names.filter(name => !ANALYZER_NAMES.includes(name));
+    if (names.length === 0 || unknown.length > 0) {
+        throw new Error(`Invalid analyzer pipeline "${spec}"; use a comma-separated list of: ${ANALYZER_NAMES.join(', ')}`);
+    }
+
+    return [...new Set(names)];
+}
+
+function loadKeywordRules(filePath) {
+    if (!filePath) return DEFAULT_KEYWORD_RULES;
+
+    const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(rules)) {
+        throw new Error(`${filePath} must contain a JSON array of keyword rules`);
+    }
+    return rules;
+}
+
+module.exports = {
+    ANALYZER_NAMES,
+    DEFAULT_KEYWORD_RULES,
+    KeywordAnalyzer,
+    LLMAnalyzer,
+    AnalyzerChain,
+    mergeFindings,
+    parsePipeline,
+    loadKeywordRules
+};
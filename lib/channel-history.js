@@ -0,0 +1,108 @@
+/**
+ * Channel History
+ *
+ * Reads a channel's history from Discord for /analyze-conversation, by
+ * message count, time range or "since message X", and splits long
+ * transcripts into chunks an analyzer can take in one prompt. The bot's
+ * in-memory buffer only covers the last few messages seen since it started.
+ */
+
+const { captureMessage } = require('./report-attachments');
+
+// Discord returns at most 100 messages per request
+const PAGE_SIZE = 100;
+
+// Message ID from a raw snowflake or a message link; null when it's neither
+function parseMessageReference(value) {
+    const match = String(value || '').trim().match(/^(?:https?:\/\/\S+\/channels\/(?:\d+|@me)\/\d+\/)?(\d{17,20})\/?$/);
+    return match ? match[1] : null;
+}
+
+// Snowflakes grow with time, but exceed Number precision
+function isAtOrAfter(messageId, sinceId) {
+    return BigInt(messageId) >= BigInt(sinceId);
+}
+
+function toEntry(message) {
+    return { ...captureMessage(message), timestamp: message.createdTimestamp };
+}
+
+/**
+ * Pages backwards from the newest message until `limit` messages are collected or the
+ * range (sinceTimestamp in ms, or sinceId, inclusive) is covered, never past `max`.
+ * Bot messages are skipped, but count towards `maxScanned` so a channel of mostly bot
+ * posts isn't read back to its first message. Returns captured messages, oldest first.
+ */
+async function fetchChannelHistory(channel, { limit, sinceTimestamp, sinceId, max = 500, maxScanned = max * 4 } = {}) {
+    const wanted = Math.min(limit || max, max);
+    const inRange = message => (!sinceTimestamp || message.createdTimestamp >= sinceTimestamp) &&
+        (!sinceId || isAtOrAfter(message.id, sinceId));
+    const entries = [];
+    let scanned = 0;
+    let before;
+
+    while (entries.length < wanted && scanned < maxScanned) {
+        const page = [...(await channel.messages.fetch({ limit: PAGE_SIZE, ...(before ? { before } : {}) })).values()]
+            .sort((a, b) => b.createdTimestamp - a.createdTimestamp);
+        scanned += page.length;
+
+        for (const message of page) {
+            if (!inRange(message)) return entries.reverse();
+            if (message.author?.bot) continue;
+
+            entries.push(toEntry(message));
+            if (entries.length >= wanted) break;
+        }
+
+        if (page.length < PAGE_SIZE) break;
+        before = page[page.length - 1].id;
+    }
+
+    return entries.reverse();
+}
+
+// The same selection applied to already captured history (e.g. the in-memory buffer)
+function selectHistory(entries, { limit, sinceTimestamp, sinceId, max = 500 } = {}) {
+    const selected = entries.filter(entry =>
+        (!sinceTimestamp || entry.timestamp >= sinceTimestamp) &&
+        (!sinceId || isAtOrAfter(entry.messageId, sinceId)));
+
+    return selected.slice(-Math.min(limit || max, max));
+}
+
+/**
+ * Splits transcript lines into chunks of at most maxChars. Each chunk repeats the last
+ * `overlap` lines of the one before, so an exchange cut at the boundary is still seen whole.
+ */
+function chunkMessages(lines, { maxChars = 8000, overlap = 2 } = {}) {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+
+    for (const fullLine of lines) {
+        const line = fullLine.length > maxChars ? `${fullLine.substring(0, maxChars - 3)}...` : fullLine;
+
+        if (current.length > 0 && size + line.length + 1 > maxChars) {
+            chunks.push(current);
+            current = current.slice(-overlap);
+            size = current.reduce((total, kept) => total + kept.length + 1, 0);
+            // Drop the repeated lines if they leave no room for the new one
+            while (current.length > 0 && size + line.length + 1 > maxChars) {
+                size -= current.shift().length + 1;
+            }
+        }
+
+        current.push(line);
+        size += line.length + 1;
+    }
+
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+}
+
+module.exports = {
+    parseMessageReference,
+    fetchChannelHistory,
+    selectHistory,
+    chunkMessages
+};
@@ -0,0 +1,40 @@
+/**
+ * Concurrency Limiter
+ *
+ * Runs at most `max` tasks at a time; the rest wait in order. Used to cap
+ * how many LLM analysis requests are in flight across all channels.
+ */
+
+class ConcurrencyLimiter {
+    constructor(max = 2) {
+        this.max = max;
+        this.active = 0;
+        this.queue = [];
+    }
+
+    get waiting() {
+        return this.queue.length;
+    }
+
+    async run(task) {
+        if (this.active < this.max) {
+            this.active++;
+        } else {
+            // The finishing task hands its slot straight to us, so active stays unchanged
+            await new Promise(resolve => this.queue.push(resolve));
+        }
+
+        try {
+            return await task();
+        } finally {
+            const next = this.queue.shift();
+            if (next) {
+                next();
+            } else {
+                this.active--;
+            }
+        }
+    }
+}
+
+module.exports = { ConcurrencyLimiter };
@@ -0,0 +1,90 @@
+/**
+ * Webhook Delivery Tracker
+ *
+ * Remembers recently seen webhook deliveries so retries from the sender are
+ * acknowledged without being processed twice. Deliveries are identified by
+ * the sender's delivery ID header (X-XTSystems-Delivery, or X-GitHub-Delivery
+ * for GitHub) when present, otherwise by a hash of the payload (XTSystems
+ * builds the payload once and re-sends it unchanged on retry, while the
+ * signature and timestamp headers change per attempt).
+ */
+
+const crypto = require('crypto');
+
+const DELIVERY_HEADER = 'x-xtsystems-delivery';
+
+class DeliveryTracker {
+    constructor(store, { ttl = 24 * 60 * 60 * 1000, collection = 'webhookDeliveries' } = {}) {
+        this.store = store;
+        this.ttl = ttl;
+        this.collection = collection;
+    }
+
+    static deliveryId(headers, payload, header = DELIVERY_HEADER) {
+        const headerId = headers[header];
+        if (headerId) {
+            return `id:${headerId}`;
+        }
+
+        const body = Buffer.isBuffer(payload) ? payload : JSON.stringify(payload);
+        return `sha256:${crypto.createHash('sha256').update(body).digest('hex')}`;
+    }
+
+    // Returns { duplicate: true, previous } for deliveries already processed or in progress
+    begin(id, meta = {}) {
+        this.prune();
+
+        const previous = this.store.getEntry(this.collection, id);
+        if (previous && previous.status !== 'failed') {
+            this.store.setEntry(this.collection, id, {
+                ...previous,
+                duplicates: (previous.duplicates || 0) + 1,
+                lastSeenAt: Date.now()
+            });
+            return { duplicate: true, previous };
+        }
+
+        this.store.setEntry(this.collection, id, {
+            ...meta,
+            status: 'processing',
+            attempts: (previous?.attempts || 0) + 1,
+            receivedAt: Date.now()
+        });
+        return { duplicate: false, previous: previous || null };
+    }
+
+    complete(id) {
+        this.updateStatus(id, { status: 'processed', completedAt: Date.now() });
+    }
+
+    fail(id, error) {
+        this.updateStatus(id, { status: 'failed', error: error?.message || String(error), failedAt: Date.now() });
+    }
+
+    updateStatus(id, changes) {
+        const entry = this.store.getEntry(this.collection, id);
+        if (entry) {
+            this.store.setEntry(this.collection, id, { ...entry, ...changes });
+        }
+    }
+
+    // Deliveries still "processing" when the bot stopped never finished; let the next retry through
+    recoverInterrupted() {
+        let recovered = 0;
+
+        for (const [id, entry] of this.store.entries(this.collection)) {
+            if (entry.status === 'processing') {
+                this.fail(id, 'Interrupted by restart');
+                recovered++;
+            }
+        }
+
+        return recovered;
+    }
+
+    prune(now = Date.now()) {
+        return this.store.prune(this.collection, entry => now - (entry.lastSeenAt || entry.receivedAt) > this.ttl);
+    }
+}
+
+module.exports = { DeliveryTracker, DELIVERY_HEADER };
@@ -0,0 +1,139 @@
+/**
+ * Scheduled Digests
+ *
+ * Daily or weekly summaries posted to a channel: GitHub issues opened and
+ * closed in the linked repositories, open XTSystems tickets by priority,
+ * alerts announced during the period and what became of the bot's
+ * suggestions. Digest settings live in the `digests` collection, keyed by
+ * channel; DigestScheduler turns them into node-cron jobs.
+ */
+
+const cron = require('node-cron');
+const logger = require('./logger');
+
+const COLLECTION = 'digests';
+
+const DIGEST_SECTIONS = {
+    issues: { title: '📋 GitHub Issues', description: 'GitHub issues opened and closed' },
+    tickets: { title: '🎫 Open Tickets', description: 'Open XTSystems tickets by priority' },
+    alerts: { title: '🚨 Alerts', description: 'Alerts triggered' },
+    suggestions: { title: '🤖 Suggestions', description: 'Suggestions accepted and ignored' }
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const PERIODS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// "9:30" or "09:30" -> { hour: 9, minute: 30 }; null when it isn't a time of day
+function parseTime(value) {
+    const match = String(value || '').trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    return match ? { hour: parseInt(match[1]), minute: parseInt(match[2]) } : null;
+}
+
+function cronExpression({ frequency, time, weekday }) {
+    const { hour, minute } = parseTime(time);
+    const day = frequency === 'weekly' ? WEEKDAYS.indexOf(weekday) : '*';
+    return `${minute} ${hour} * * ${day}`;
+}
+
+// "daily at 09:00" / "weekly on Monday at 09:00"
+function describeSchedule({ frequency, time, weekday }) {
+    if (frequency === 'weekly') {
+        return `weekly on ${weekday.charAt(0).toUpperCase()}${weekday.slice(1)} at ${time}`;
+    }
+    return `daily at ${time}`;
+}
+
+// Issues created or closed since the timestamp, from a list of issues updated since then
+function summarizeIssueActivity(issues, since) {
+    const after = date => date && Date.parse(date) >= since;
+    return {
+        opened: issues.filter(issue => after(issue.created_at)),
+        closed: issues.filter(issue => issue.state === 'closed' && after(issue.closed_at))
+    };
+}
+
+// Map of priority -> items in the order given; unrecognised priorities go under 'Other'
+function groupByPriority(items, priorities, priorityOf) {
+    const groups = new Map(priorities.map(priority => [priority, []]));
+    for (const item of items) {
+        const known = priorities.find(priority => priority.toLowerCase() === String(priorityOf(item) || '').toLowerCase());
+        const key = known || 'Other';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+    return groups;
+}
+
+// Joins whole lines up to Discord's embed field limit, noting how many were left out
+function joinLines(lines, limit = 1024) {
+    const kept = [];
+    let length = 0;
+
+    for (const [index, line] of lines.entries()) {
+        const more = `…and ${lines.length - index} more`;
+        const remaining = index < lines.length - 1 ? more.length + 1 : 0;
+        if (length + line.length + remaining > limit) {
+            kept.push(more);
+            break;
+        }
+        kept.push(line);
+        length += line.length + 1;
+    }
+    return kept.join('\n');
+}
+
+class DigestScheduler {
+    // run(channelId) posts the digest; schedule defaults to node-cron's and can be replaced in tests
+    constructor({ run, timezone, schedule = cron.schedule }) {
+        this.run = run;
+        this.timezone = timezone;
+        this.cronSchedule = schedule;
+        this.tasks = new Map();
+    }
+
+    set(channelId, digest) {
+        this.remove(channelId);
+
+        const options = this.timezone ? { timezone: this.timezone } : {};
+        const task = this.cronSchedule(cronExpression(digest), async () => {
+            try {
+                await this.run(channelId);
+            } catch (error) {
+                logger.error(`Scheduled digest for channel ${channelId} failed:`, error);
+            }
+        }, options);
+        this.tasks.set(channelId, task);
+    }
+
+    remove(channelId) {
+        const task = this.tasks.get(channelId);
+        if (task) {
+            task.stop();
+            this.tasks.delete(channelId);
+        }
+    }
+
+    stop() {
+        for (const channelId of [...this.tasks.keys()]) {
+            this.remove(channelId);
+        }
+    }
+}
+
+module.exports = {
+    COLLECTION,
+    DIGEST_SECTIONS,
+    WEEKDAYS,
+    PERIODS,
+    parseTime,
+    cronExpression,
+    describeSchedule,
+    summarizeIssueActivity,
+    groupByPriority,
+    joinLines,
+    DigestScheduler
+};
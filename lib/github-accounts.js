@@ -0,0 +1,38 @@
+/**
+ * GitHub Accounts
+ *
+ * Which GitHub user each Discord member is, so buttons such as "Assign me"
+ * can act for them. Members are asked for their username the first time
+ * it's needed; the answer is kept in the `githubAccounts` collection.
+ */
+
+const COLLECTION = 'githubAccounts';
+
+// GitHub usernames: letters, digits and single hyphens, not at either end, at most 39 characters
+const USERNAME_PATTERN = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+
+// "@octocat " -> "octocat"; null when it can't be a GitHub username
+function normalizeUsername(value) {
+    const username = String(value || '').trim().replace(/^@/, '');
+    return USERNAME_PATTERN.test(username) ? username : null;
+}
+
+class GitHubAccounts {
+    constructor(store) {
+        this.store = store;
+    }
+
+    get(userId) {
+        return this.store.getEntry(COLLECTION, userId)?.login || null;
+    }
+
+    link(userId, login) {
+        this.store.setEntry(COLLECTION, userId, { login, linkedAt: Date.now() });
+    }
+
+    unlink(userId) {
+        return this.store.deleteEntry(COLLECTION, userId);
+    }
+}
+
+module.exports = { GitHubAccounts, normalizeUsername };
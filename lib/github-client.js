@@ -0,0 +1,290 @@
+/**
+ * GitHub API Client
+ *
+ * Thin wrapper around @octokit/rest for the issue operations the bot needs.
+ * Requests are authenticated with GITHUB_TOKEN, API failures are mapped to
+ * GitHubError with a message that is safe to show in Discord, and the client
+ * tracks the rate limit headers so it stops calling GitHub once the quota is
+ * exhausted instead of piling up 403s.
+ */
+
+const { Octokit } = require('@octokit/rest');
+const logger = require('./logger');
+
+// Warn once the remaining request quota drops below this
+const RATE_LIMIT_WARNING_THRESHOLD = 100;
+
+// GitHub issue search qualifiers; only these are taken out of free text, so words like "TypeError:" are kept
+const SEARCH_QUALIFIERS = [
+    'repo', 'org', 'user', 'is', 'in', 'state', 'type', 'label', 'author', 'assignee', 'no', 'mentions',
+    'commenter', 'involves', 'team', 'milestone', 'project', 'created', 'updated', 'closed', 'merged',
+    'comments', 'interactions', 'reactions', 'reason', 'linked', 'archived', 'language', 'status', 'head',
+    'base', 'draft', 'review', 'reviewed-by', 'review-requested', 'user-review-requested',
+    'team-review-requested', 'sort', 'sha'
+];
+const SEARCH_QUALIFIER_PATTERN = new RegExp(`(^|\\s)-?(?:${SEARCH_QUALIFIERS.join('|')}):("[^"]*"|\\S*)`, 'gi');
+
+class GitHubError extends Error {
+    constructor(message, { status = null, code = 'github_error', resetAt = null, cause } = {}) {
+        super(message);
+        this.name = 'GitHubError';
+        this.status = status;
+        this.code = code;
+        this.resetAt = resetAt;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+}
+
+class GitHubClient {
+    constructor({ token, baseUrl, userAgent = 'XTSystems-Discord-Bot/1.0', octokit } = {}) {
+        this.octokit = octokit || new Octokit({
+            auth: token,
+            baseUrl,
+            userAgent,
+            log: {
+                debug: () => {},
+                info: () => {},
+                warn: (message) => logger.warn(`GitHub: ${message}`),
+                error: (message) => logger.error(`GitHub: ${message}`)
+            }
+        });
+        this.rateLimit = null;
+
+        this.octokit.hook.wrap('request', async (request, options) => {
+            this.assertWithinRateLimit();
+
+            try {
+                const response = await request(options);
+                this.updateRateLimit(response.headers);
+                return response;
+            } catch (error) {
+                if (error.response) {
+                    this.updateRateLimit(error.response.headers);
+                }
+                throw this.mapError(error);
+            }
+        });
+    }
+
+    updateRateLimit(headers = {}) {
+        if (headers['x-ratelimit-remaining'] === undefined) return;
+
+        this.rateLimit = {
+            limit: parseInt(headers['x-ratelimit-limit']),
+            remaining: parseInt(headers['x-ratelimit-remaining']),
+            resetAt: new Date(parseInt(headers['x-ratelimit-reset']) * 1000)
+        };
+
+        if (this.rateLimit.remaining < RATE_LIMIT_WARNING_THRESHOLD) {
+            logger.warn(`GitHub API rate limit low: ${this.rateLimit.remaining}/${this.rateLimit.limit} remaining until ${this.rateLimit.resetAt.toISOString()}`);
+        }
+    }
+
+    assertWithinRateLimit() {
+        if (!this.rateLimit || this.rateLimit.remaining > 0) return;
+
+        if (this.rateLimit.resetAt > new Date()) {
+            throw new GitHubError(
+                `GitHub API rate limit exceeded, resets at ${this.rateLimit.resetAt.toISOString()}`,
+                { status: 403, code: 'rate_limited', resetAt: this.rateLimit.resetAt }
+            );
+        }
+    }
+
+    mapError(error) {
+        if (error instanceof GitHubError) return error;
+
+        const status = error.status;
+        const headers = error.response?.headers || {};
+        const apiMessage = error.response?.data?.message || error.message;
+
+        if (status === 429 || (status === 403 && (headers['x-ratelimit-remaining'] === '0' || /rate limit/i.test(apiMessage)))) {
+            const resetAt = headers['x-ratelimit-reset']
+                ? new Date(parseInt(headers['x-ratelimit-reset']) * 1000)
+                : new Date(Date.now() + (parseInt(headers['retry-after']) || 60) * 1000);
+            return new GitHubError(`GitHub API rate limit exceeded, resets at ${resetAt.toISOString()}`, {
+                status, code: 'rate_limited', resetAt, cause: error
+            });
+        }
+
+        switch (status) {
+            case 401:
+                return new GitHubError('GitHub authentication failed. Check GITHUB_TOKEN.', { status, code: 'unauthorized', cause: error });
+            case 403:
+                return new GitHubError(`GitHub denied access: ${apiMessage}`, { status, code: 'forbidden', cause: error });
+            case 404:
+                return new GitHubError('Repository or issue not found (or the token cannot access it).', { status, code: 'not_found', cause: error });
+            case 410:
+                return new GitHubError('Issues are disabled for this repository.', { status, code: 'gone', cause: error });
+            case 422: {
+                const details = (error.response?.data?.errors || [])
+                    .map(item => item.message || `${item.field} ${item.code}`)
+                    .join(', ');
+                return new GitHubError(`GitHub rejected the request: ${details || apiMessage}`, { status, code: 'validation_failed', cause: error });
+            }
+            default:
+                return new GitHubError(
+                    status ? `GitHub API error (${status}): ${apiMessage}` : `Could not reach GitHub: ${error.message}`,
+                    { status: status || null, code: status ? 'github_error' : 'network_error', cause: error }
+                );
+        }
+    }
+
+    async createIssue({ owner, repo, title, body, labels = [], assignees = [] }) {
+        const { data } = await this.octokit.rest.issues.create({
+            owner,
+            repo,
+            title,
+            body,
+            labels: labels.filter(Boolean),
+            assignees
+        });
+
+        return data.number;
+    }
+
+    async getIssue({ owner, repo, issueNumber }) {
+        const { data } = await this.octokit.rest.issues.get({ owner, repo, issue_number: issueNumber });
+        return data;
+    }
+
+    // since (ISO 8601) only returns issues updated at or after that time
+    async listIssues({ owner, repo, state = 'open', labels, since, limit = 30 }) {
+        const issues = [];
+        const params = {
+            owner,
+            repo,
+            state,
+            per_page: Math.min(Math.max(limit, 1), 100)
+        };
+        if (labels && labels.length > 0) {
+            params.labels = labels.join(',');
+        }
+        if (since) {
+            params.since = since;
+        }
+
+        // The issues endpoint also returns pull requests; keep paging until enough real issues are collected
+        for await (const response of this.octokit.paginate.iterator(this.octokit.rest.issues.listForRepo, params)) {
+            issues.push(...response.data.filter(issue => !issue.pull_request));
+            if (issues.length >= limit) break;
+        }
+
+        return issues.slice(0, limit);
+    }
+
+    /**
+     * One page of the repository's issues matching the filters and free text, newest first,
+     * via the search API (which leaves out pull requests and reports a total). Returns { total, issues }.
+     * assignee 'none' finds unassigned issues; assignee and author must already be valid logins.
+     */
+    async searchIssues({ owner, repo, state = 'open', label, assignee, author, text, page = 1, perPage = 10 }) {
+        const qualifiers = [`repo:${owner}/${repo}`, 'is:issue'];
+        if (state !== 'all') {
+            qualifiers.push(`is:${state}`);
+        }
+        if (label) {
+            qualifiers.push(`label:"${label.replace(/"/g, '')}"`);
+        }
+        if (assignee) {
+            qualifiers.push(assignee === 'none' ? 'no:assignee' : `assignee:${assignee}`);
+        }
+        if (author) {
+            qualifiers.push(`author:${author}`);
+        }
+        // Qualifiers typed into the free text (e.g. another repo:) would widen the search beyond this repository
+        const words = text ? text.replace(SEARCH_QUALIFIER_PATTERN, ' ').replace(/\s+/g, ' ').trim() : '';
+        if (words) {
+            qualifiers.push(words);
+        }
+
+        const { data } = await this.octokit.rest.search.issuesAndPullRequests({
+            q: qualifiers.join(' '),
+            sort: 'created',
+            order: 'desc',
+            per_page: perPage,
+            page
+        });
+        return { total: data.total_count, issues: data.items };
+    }
+
+    async createComment({ owner, repo, issueNumber, body }) {
+        const { data } = await this.octokit.rest.issues.createComment({ owner, repo, issue_number: issueNumber, body });
+        return data;
+    }
+
+    async closeIssue({ owner, repo, issueNumber, comment, reason = 'completed' }) {
+        if (comment) {
+            await this.createComment({ owner, repo, issueNumber, body: comment });
+        }
+
+        const { data } = await this.octokit.rest.issues.update({
+            owner,
+            repo,
+            issue_number: issueNumber,
+            state: 'closed',
+            state_reason: reason
+        });
+        return data;
+    }
+
+    // The latest `limit` comments, oldest first; total is the issue's comment count, which says where the last page is
+    async listComments({ owner, repo, issueNumber, total, limit = 3 }) {
+        const perPage = 100;
+        const comments = [];
+        for (let page = Math.max(1, Math.ceil(total / perPage)); page >= 1 && comments.length < limit; page--) {
+            const { data } = await this.octokit.rest.issues.listComments({ owner, repo, issue_number: issueNumber, per_page: perPage, page });
+            comments.unshift(...data);
+        }
+        return comments.slice(-limit);
+    }
+
+    async reopenIssue({ owner, repo, issueNumber, comment }) {
+        if (comment) {
+            await this.createComment({ owner, repo, issueNumber, body: comment });
+        }
+
+        const { data } = await this.octokit.rest.issues.update({ owner, repo, issue_number: issueNumber, state: 'open' });
+        return data;
+    }
+
+    async addAssignees({ owner, repo, issueNumber, assignees }) {
+        const { data } = await this.octokit.rest.issues.addAssignees({ owner, repo, issue_number: issueNumber, assignees });
+        return data;
+    }
+
+    // False when GitHub has no such user or they can't be assigned issues in this repository
+    async canBeAssigned({ owner, repo, login }) {
+        try {
+            await this.octokit.rest.issues.checkUserCanBeAssigned({ owner, repo, assignee: login });
+            return true;
+        } catch (error) {
+            if (error.status === 404) return false;
+            throw error;
+        }
+    }
+
+    async listLabels({ owner, repo }) {
+        return this.octokit.paginate(this.octokit.rest.issues.listLabelsForRepo, { owner, repo, per_page: 100 });
+    }
+
+    async addLabels({ owner, repo, issueNumber, labels }) {
+        const { data } = await this.octokit.rest.issues.addLabels({ owner, repo, issue_number: issueNumber, labels });
+        return data;
+    }
+
+    async removeLabel({ owner, repo, issueNumber, label }) {
+        try {
+            await this.octokit.rest.issues.removeLabel({ owner, repo, issue_number: issueNumber, name: label });
+            return true;
+        } catch (error) {
+            // Removing a label the issue doesn't have is not an error for our purposes
+            if (error.code === 'not_found') return false;
+            throw error;
+        }
+    }
+}
+
+module.exports = { GitHubClient, GitHubError };
@@ -0,0 +1,76 @@
+/**
+ * Issue Links
+ *
+ * Remembers which Discord reports each GitHub issue came from: the channel,
+ * the message showing the issue and the member who reported it. GitHub
+ * activity on a linked issue is reflected back on those messages and
+ * announced to the reporters. An issue can collect several reports when
+ * later reporters add theirs to it instead of filing a duplicate. Issues
+ * can also have a Discord thread whose messages are mirrored as comments.
+ */
+
+const COLLECTION = 'issueLinks';
+const THREAD_COLLECTION = 'issueThreads';
+
+// Appended to comments the bot posts so they are not mirrored back to Discord
+const BOT_COMMENT_MARKER = '<!-- xtsystems-discord-bot -->';
+
+class IssueLinks {
+    constructor(store) {
+        this.store = store;
+    }
+
+    static key(repository, issueNumber) {
+        // GitHub owner and repository names are case-insensitive
+        return `${repository.owner}/${repository.repo}#${issueNumber}`.toLowerCase();
+    }
+
+    get(repository, issueNumber) {
+        return this.store.getEntry(COLLECTION, IssueLinks.key(repository, issueNumber)) || null;
+    }
+
+    // Adds a Discord report to the issue; labels are the ones the bot applied when creating it
+    track(repository, issueNumber, { channelId, messageId, reporterId, title }, { labels = [] } = {}) {
+        const existing = this.get(repository, issueNumber);
+        const report = { channelId, messageId, reporterId, reportedAt: Date.now() };
+
+        const link = existing
+            ? { ...existing, reports: [...existing.reports, report] }
+            : {
+                owner: repository.owner,
+                repo: repository.repo,
+                issueNumber,
+                title,
+                // GitHub sends a "labeled" event for each of these right after creation
+                pendingLabels: labels,
+                reports: [report],
+                createdAt: Date.now()
+            };
+
+        this.store.setEntry(COLLECTION, IssueLinks.key(repository, issueNumber), link);
+        return link;
+    }
+
+    // key as returned by IssueLinks.key(), e.g. from a button's custom ID
+    getByKey(key) {
+        return this.store.getEntry(COLLECTION, key) || null;
+    }
+
+    getByThread(threadId) {
+        const entry = this.store.getEntry(THREAD_COLLECTION, threadId);
+        return entry ? this.store.getEntry(COLLECTION, entry.key) || null : null;
+    }
+
+    attachThread(link, threadId) {
+        this.store.setEntry(THREAD_COLLECTION, threadId, { key: IssueLinks.key(link, link.issueNumber) });
+        return this.update(link, { threadId });
+    }
+
+    update(link, changes) {
+        const updated = { ...link, ...changes };
+        this.store.setEntry(COLLECTION, IssueLinks.key(link, link.issueNumber), updated);
+        return updated;
+    }
+}
+
+module.exports = { IssueLinks, BOT_COMMENT_MARKER };
@@ -0,0 +1,74 @@
+/**
+ * Issue Similarity
+ *
+ * Scores how closely a new report matches existing GitHub issues so likely
+ * duplicates can be offered before another issue is filed. Titles carry most
+ * of the weight; bodies only break ties, since issue templates and the
+ * "Created via Discord" footer make bodies look alike across unrelated issues.
+ */
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'from', 'when', 'what', 'where', 'which', 'while',
+    'are', 'was', 'were', 'has', 'have', 'had', 'not', 'but', 'can', 'cannot', 'could', 'would',
+    'should', 'will', 'does', 'did', 'doesn', 'don', 'isn', 'into', 'onto', 'there', 'their',
+    'then', 'than', 'them', 'they', 'its', 'our', 'you', 'your', 'all', 'any', 'some', 'after',
+    'before', 'again', 'also', 'just', 'only', 'very', 'too', 'get', 'got', 'getting', 'how', 'why'
+]);
+
+const TITLE_WEIGHT = 0.7;
+
+function stem(word) {
+    if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+    if (/(?:sh|ch|x|ss)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+function tokenize(text) {
+    const words = (text || '')
+        .toLowerCase()
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/https?:\/\/\S+/g, ' ')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+        .map(stem);
+
+    return new Set(words);
+}
+
+// Sørensen–Dice coefficient of two token sets
+function overlap(left, right) {
+    if (left.size === 0 || right.size === 0) return 0;
+
+    let shared = 0;
+    for (const token of left) {
+        if (right.has(token)) shared++;
+    }
+    return (2 * shared) / (left.size + right.size);
+}
+
+// Drops the footer the bot appends to issues it creates
+function stripFooter(body) {
+    return (body || '').split('\n---\n')[0];
+}
+
+function similarity(report, issue) {
+    const titleScore = overlap(tokenize(report.title), tokenize(issue.title));
+    const bodyScore = overlap(
+        tokenize(`${report.title} ${stripFooter(report.body)}`),
+        tokenize(`${issue.title} ${stripFooter(issue.body)}`)
+    );
+
+    return TITLE_WEIGHT * titleScore + (1 - TITLE_WEIGHT) * bodyScore;
+}
+
+// Returns [{ issue, score }] for issues at or above the threshold, best match first
+function findSimilarIssues(report, issues, { threshold = 0.45, limit = 3 } = {}) {
+    return issues
+        .map(issue => ({ issue, score: similarity(report, issue) }))
+        .filter(match => match.score >= threshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+module.exports = { tokenize, similarity, findSimilarIssues };
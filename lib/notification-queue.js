@@ -0,0 +1,236 @@
+/**
+ * Outbound Notification Queue
+ *
+ * Persists Discord notifications before they are sent so nothing is lost
+ * while Discord is rate limiting, the gateway is reconnecting or the bot is
+ * not ready yet. Items are delivered in order per channel, retried with
+ * exponential backoff, and moved to a dead-letter collection once they fail
+ * permanently or run out of attempts. Dead letters are kept for a while (and
+ * only the most recent ones) so they can be retried or dropped by hand.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const QUEUE_COLLECTION = 'notificationQueue';
+const DEAD_LETTER_COLLECTION = 'notificationDeadLetters';
+
+class NotificationQueue {
+    constructor(store, {
+        send,
+        isReady = () => true,
+        isPermanentError = () => false,
+        onDelivered = () => {},
+        maxAttempts = 8,
+        baseDelay = 2000,
+        maxDelay = 10 * 60 * 1000,
+        pollInterval = 1000,
+        deadLetterTTL = 30 * 24 * 60 * 60 * 1000,
+        maxDeadLetters = 500
+    }) {
+        this.store = store;
+        this.send = send;
+        this.isReady = isReady;
+        this.isPermanentError = isPermanentError;
+        this.onDelivered = onDelivered;
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.pollInterval = pollInterval;
+        this.deadLetterTTL = deadLetterTTL;
+        this.maxDeadLetters = maxDeadLetters;
+        this.activeChannels = new Map();
+        this.timer = null;
+        this.sequence = 0;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        // Continue numbering after items restored from the state file
+        this.sequence = Math.max(0, ...this.store.entries(QUEUE_COLLECTION).map(([, item]) => item.seq));
+        this.timer = setInterval(() => this.process(), this.pollInterval);
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+        this.process();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    enqueue(channelId, payload, { eventType = null, context = null } = {}) {
+        const item = {
+            id: crypto.randomBytes(4).toString('hex'),
+            seq: ++this.sequence,
+            channelId,
+            eventType,
+            payload,
+            context,
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            createdAt: Date.now(),
+            lastError: null
+        };
+
+        this.store.setEntry(QUEUE_COLLECTION, item.id, item);
+        this.process();
+        return item;
+    }
+
+    pending() {
+        return this.store.entries(QUEUE_COLLECTION)
+            .map(([, item]) => item)
+            .sort((a, b) => a.seq - b.seq);
+    }
+
+    deadLetters() {
+        return this.store.entries(DEAD_LETTER_COLLECTION)
+            .map(([, item]) => item)
+            .sort((a, b) => a.failedAt - b.failedAt);
+    }
+
+    // Oldest item per channel; later items wait behind it to keep channel order
+    heads() {
+        const heads = new Map();
+        for (const item of this.pending()) {
+            if (!heads.has(item.channelId)) {
+                heads.set(item.channelId, item);
+            }
+        }
+        return [...heads.values()];
+    }
+
+    // Starts delivery for every channel whose head item is due; resolves once all running deliveries finish
+    process() {
+        if (!this.isReady()) return Promise.resolve();
+
+        const now = Date.now();
+        for (const item of this.heads()) {
+            if (item.nextAttemptAt <= now && !this.activeChannels.has(item.channelId)) {
+                const delivery = this.deliverChannel(item.channelId)
+                    .finally(() => this.activeChannels.delete(item.channelId));
+                this.activeChannels.set(item.channelId, delivery);
+            }
+        }
+
+        return Promise.all(this.activeChannels.values());
+    }
+
+    async deliverChannel(channelId) {
+        // Drain the channel in order until it is empty or its head has to wait for a retry
+        let item = this.heads().find(head => head.channelId === channelId);
+        while (item && item.nextAttemptAt <= Date.now() && this.isReady()) {
+            const delivered = await this.attempt(item);
+            if (!delivered) break;
+            item = this.heads().find(head => head.channelId === channelId);
+        }
+    }
+
+    async attempt(item) {
+        const attempts = item.attempts + 1;
+
+        try {
+            const message = await this.send(item);
+            this.store.deleteEntry(QUEUE_COLLECTION, item.id);
+            logger.info(`Delivered queued notification ${item.id} to channel ${item.channelId}${item.eventType ? ` for event ${item.eventType}` : ''}`);
+
+            try {
+                await this.onDelivered(item, message);
+            } catch (error) {
+                logger.error(`Error in delivery callback for notification ${item.id}:`, error);
+            }
+            return true;
+        } catch (error) {
+            const lastError = error.message || String(error);
+
+            if (this.isPermanentError(error) || attempts >= this.maxAttempts) {
+                this.moveToDeadLetters({ ...item, attempts, lastError });
+                logger.error(`Notification ${item.id} to channel ${item.channelId} moved to dead letters after ${attempts} attempt(s): ${lastError}`);
+                // Later items for the channel may still be deliverable
+                return true;
+            }
+
+            const delay = this.backoff(attempts);
+            this.store.setEntry(QUEUE_COLLECTION, item.id, {
+                ...item,
+                attempts,
+                lastError,
+                nextAttemptAt: Date.now() + delay
+            });
+            logger.warn(`Notification ${item.id} to channel ${item.channelId} failed (attempt ${attempts}/${this.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${lastError}`);
+            return false;
+        }
+    }
+
+    backoff(attempts) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempts - 1));
+        // Up to 20% jitter so retries for many channels don't line up
+        return Math.round(delay * (1 + Math.random() * 0.2));
+    }
+
+    moveToDeadLetters(item) {
+        this.store.deleteEntry(QUEUE_COLLECTION, item.id);
+        this.store.setEntry(DEAD_LETTER_COLLECTION, item.id, { ...item, failedAt: Date.now() });
+        this.pruneDeadLetters();
+    }
+
+    // Forget dead letters older than deadLetterTTL, then all but the newest maxDeadLetters; returns how many were removed
+    pruneDeadLetters(now = Date.now()) {
+        const expired = this.store.prune(DEAD_LETTER_COLLECTION, item => now - item.failedAt > this.deadLetterTTL);
+        const remaining = this.deadLetters();
+        const excess = remaining.slice(0, Math.max(0, remaining.length - this.maxDeadLetters));
+        for (const item of excess) {
+            this.store.deleteEntry(DEAD_LETTER_COLLECTION, item.id);
+        }
+        return expired + excess.length;
+    }
+
+    // Discard dead letters (all of them when no id is given); returns the discarded items
+    drop(id = null) {
+        const items = id
+            ? [this.store.getEntry(DEAD_LETTER_COLLECTION, id)].filter(Boolean)
+            : this.deadLetters();
+
+        for (const item of items) {
+            this.store.deleteEntry(DEAD_LETTER_COLLECTION, item.id);
+        }
+        return items;
+    }
+
+    // Requeue dead letters (all of them when no id is given); returns the requeued items
+    retry(id = null) {
+        const items = id
+            ? [this.store.getEntry(DEAD_LETTER_COLLECTION, id)].filter(Boolean)
+            : this.deadLetters();
+
+        const requeued = items.map(item => {
+            this.store.deleteEntry(DEAD_LETTER_COLLECTION, item.id);
+            const { failedAt, ...rest } = item;
+            const retried = { ...rest, seq: ++this.sequence, attempts: 0, nextAttemptAt: Date.now() };
+            this.store.setEntry(QUEUE_COLLECTION, retried.id, retried);
+            return retried;
+        });
+
+        if (requeued.length > 0) {
+            this.process();
+        }
+        return requeued;
+    }
+
+    // Make waiting items due now, e.g. once the gateway is back
+    retryPendingNow() {
+        for (const item of this.pending()) {
+            if (item.nextAttemptAt > Date.now()) {
+                this.store.setEntry(QUEUE_COLLECTION, item.id, { ...item, nextAttemptAt: Date.now() });
+            }
+        }
+        return this.process();
+    }
+}
+
+module.exports = { NotificationQueue };
@@ -0,0 +1,65 @@
+/**
+ * OpenAI-Compatible API Client
+ *
+ * Sends analysis prompts to any endpoint implementing the OpenAI chat
+ * completions API, such as a local Ollama, LM Studio or vLLM server.
+ */
+
+const axios = require('axios');
+const { DEFAULT_ANALYSIS_PROMPT, DEFAULT_CONVERSATION_PROMPT, renderPrompt, requestAnalysis } = require('./analysis-prompt');
+
+class OpenAICompatibleClient {
+    constructor({
+        apiUrl,
+        apiKey,
+        model,
+        prompt = DEFAULT_ANALYSIS_PROMPT,
+        conversationPrompt = DEFAULT_CONVERSATION_PROMPT,
+        timeout = 60000,
+        metrics
+    }) {
+        this.model = model;
+        this.prompt = prompt;
+        this.conversationPrompt = conversationPrompt;
+        this.metrics = metrics;
+
+        const headers = { 'Content-Type': 'application/json' };
+        // Local servers usually don't need a key
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+        this.http = axios.create({ baseURL: apiUrl, timeout, headers });
+    }
+
+    // messages is a prompt string or a [{ role, content }] chat
+    async complete(messages) {
+        const response = await this.http.post('/chat/completions', {
+            model: this.model,
+            messages: typeof messages === 'string' ? [{ role: 'user', content: messages }] : messages,
+            temperature: 0
+        });
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('Chat completion returned no message content');
+        }
+        return content;
+    }
+
+    async analyzeConversation(context, message) {
+        return requestAnalysis(messages => this.complete(messages), renderPrompt(this.prompt, { context, message }), {
+            analyzer: 'openai',
+            metrics: this.metrics
+        });
+    }
+
+    async findIssues(conversation) {
+        return requestAnalysis(messages => this.complete(messages), renderPrompt(this.conversationPrompt, { conversation }), {
+            analyzer: 'openai',
+            metrics: this.metrics,
+            expect: 'findings'
+        });
+    }
+}
+
+module.exports = { OpenAICompatibleClient };
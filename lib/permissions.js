@@ -0,0 +1,161 @@
+/**
+ * Permissions
+ *
+ * Decides who may run the bot's configuration and destructive commands and
+ * use its buttons. Each action can be granted at runtime to Discord roles
+ * and user IDs; once an action has grants, only those roles and users (and
+ * server administrators) may perform it. Actions without grants fall back to
+ * a default Discord permission, which is also registered as the command's
+ * default member permission, or are open to everyone when they have none.
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+
+const COLLECTION = 'permissionGrants';
+
+const ACTIONS = {
+    'close-issue': {
+        description: 'Close GitHub issues',
+        defaultPermission: PermissionFlagsBits.ManageMessages
+    },
+    'edit-issues': {
+        description: 'Comment on, assign and label GitHub issues',
+        defaultPermission: PermissionFlagsBits.ManageMessages
+    },
+    'link-repo': {
+        description: 'Link or unlink GitHub repositories',
+        defaultPermission: PermissionFlagsBits.ManageGuild
+    },
+    'toggle-monitoring': {
+        description: 'Turn channel monitoring on or off',
+        defaultPermission: PermissionFlagsBits.ManageChannels
+    },
+    'suggestion-target': {
+        description: 'Change what suggestions create in a channel',
+        defaultPermission: PermissionFlagsBits.ManageChannels
+    },
+    'analyzer-pipeline': {
+        description: 'Change which analyzers check a channel',
+        defaultPermission: PermissionFlagsBits.ManageChannels
+    },
+    'reminders': {
+        description: 'Close, bump or snooze reminded issues and tickets',
+        defaultPermission: PermissionFlagsBits.ManageMessages
+    },
+    'digest': {
+        description: 'Schedule and post digests',
+        defaultPermission: PermissionFlagsBits.ManageChannels
+    },
+    'register-webhook': {
+        description: 'Register or test the XTSystems webhook',
+        defaultPermission: PermissionFlagsBits.ManageGuild
+    },
+    'notification-queue': {
+        description: 'Inspect, retry and discard queued notifications',
+        defaultPermission: PermissionFlagsBits.ManageGuild
+    },
+    'permissions': {
+        description: 'Manage bot permissions',
+        defaultPermission: PermissionFlagsBits.ManageGuild
+    },
+    'suggestions': {
+        description: 'Create or ignore detected suggestions',
+        defaultPermission: PermissionFlagsBits.ManageMessages
+    },
+    'machine-approval': {
+        description: 'Approve or deny machine registrations',
+        defaultPermission: PermissionFlagsBits.ManageGuild
+    }
+};
+
+// Slash commands guarded by an action; commands not listed are open to everyone
+const COMMAND_ACTIONS = {
+    'close-issue': 'close-issue',
+    'reopen-issue': 'close-issue',
+    'comment-issue': 'edit-issues',
+    'assign-issue': 'edit-issues',
+    'label-issue': 'edit-issues',
+    'link-repo': 'link-repo',
+    'unlink-repo': 'link-repo',
+    'toggle-monitoring': 'toggle-monitoring',
+    'suggestion-target': 'suggestion-target',
+    'analyzer-pipeline': 'analyzer-pipeline',
+    'digest': 'digest',
+    'register-webhook': 'register-webhook',
+    'test-webhook': 'register-webhook',
+    'notification-queue': 'notification-queue',
+    'permissions': 'permissions'
+};
+
+class Permissions {
+    // Grants from the environment (e.g. MACHINE_APPROVER_ROLES) always apply in addition to runtime grants
+    constructor(store, { grants = {} } = {}) {
+        this.store = store;
+        this.envGrants = grants;
+    }
+
+    grants(action) {
+        const runtime = this.store.getEntry(COLLECTION, action) || {};
+        const env = this.envGrants[action] || {};
+
+        return {
+            roles: [...new Set([...(env.roles || []), ...(runtime.roles || [])])],
+            users: [...new Set([...(env.users || []), ...(runtime.users || [])])]
+        };
+    }
+
+    // Roles may be given by ID or, for grants from the environment, by name
+    can(action, { member, userId }) {
+        const definition = ACTIONS[action];
+        if (!definition) return false;
+
+        if (member?.permissions?.has(PermissionFlagsBits.Administrator)) return true;
+
+        const { roles, users } = this.grants(action);
+        if (roles.length > 0 || users.length > 0) {
+            return users.includes(userId) ||
+                Boolean(member?.roles?.cache?.some(role => roles.includes(role.id) || roles.includes(role.name)));
+        }
+
+        if (definition.defaultPermission === null) return true;
+        return member?.permissions?.has(definition.defaultPermission) || false;
+    }
+
+    grant(action, { roleId, userId }) {
+        const current = this.store.getEntry(COLLECTION, action) || { roles: [], users: [] };
+        const updated = {
+            roles: roleId && !current.roles.includes(roleId) ? [...current.roles, roleId] : current.roles,
+            users: userId && !current.users.includes(userId) ? [...current.users, userId] : current.users
+        };
+
+        this.store.setEntry(COLLECTION, action, updated);
+        return updated;
+    }
+
+    // Returns false when the role or user had no runtime grant for the action
+    revoke(action, { roleId, userId }) {
+        const current = this.store.getEntry(COLLECTION, action);
+        if (!current) return false;
+
+        const updated = {
+            roles: current.roles.filter(id => id !== roleId),
+            users: current.users.filter(id => id !== userId)
+        };
+        if (updated.roles.length === current.roles.length && updated.users.length === current.users.length) {
+            return false;
+        }
+
+        if (updated.roles.length === 0 && updated.users.length === 0) {
+            this.store.deleteEntry(COLLECTION, action);
+        } else {
+            this.store.setEntry(COLLECTION, action, updated);
+        }
+        return true;
+    }
+
+    reset(action) {
+        return this.store.deleteEntry(COLLECTION, action);
+    }
+}
+
+module.exports = { Permissions, ACTIONS, COMMAND_ACTIONS };
@@ -0,0 +1,62 @@
+/**
+ * Stale Reminders
+ *
+ * Follow-ups for reports filed from Discord that nobody has picked up:
+ * GitHub issues with no activity for a while and XTSystems tickets still
+ * Open without notes. TicketLinks remembers where each ticket was reported
+ * (issues already have IssueLinks), and isDue decides when a report needs
+ * a reminder, allowing for snoozes and reminders already sent.
+ */
+
+const TICKET_COLLECTION = 'ticketLinks';
+
+class TicketLinks {
+    constructor(store) {
+        this.store = store;
+    }
+
+    track(ticketId, { channelId, messageId, reporterId, title, priority }) {
+        return this.store.setEntry(TICKET_COLLECTION, String(ticketId), {
+            ticketId: String(ticketId),
+            channelId,
+            messageId: messageId || null,
+            reporterId: reporterId || null,
+            title,
+            priority: priority || null,
+            createdAt: Date.now()
+        });
+    }
+
+    get(ticketId) {
+        return this.store.getEntry(TICKET_COLLECTION, String(ticketId)) || null;
+    }
+
+    all() {
+        return this.store.entries(TICKET_COLLECTION).map(([, link]) => link);
+    }
+
+    update(link, changes) {
+        const updated = { ...link, ...changes };
+        this.store.setEntry(TICKET_COLLECTION, link.ticketId, updated);
+        return updated;
+    }
+
+    remove(ticketId) {
+        return this.store.deleteEntry(TICKET_COLLECTION, String(ticketId));
+    }
+}
+
+// Due once there's been no activity for staleAfter, then again every staleAfter; never while snoozed
+function isDue({ lastActivityAt, remindedAt, snoozedUntil }, staleAfter, now = Date.now()) {
+    if (snoozedUntil && now < snoozedUntil) return false;
+    if (now - lastActivityAt < staleAfter) return false;
+    return !remindedAt || now - remindedAt >= staleAfter;
+}
+
+// The priority after `current` in `order` (lowest first); null when it's already the highest or unknown
+function nextPriority(current, order) {
+    const index = order.findIndex(priority => priority.toLowerCase() === String(current || '').toLowerCase());
+    return index === -1 || index === order.length - 1 ? null : order[index + 1];
+}
+
+module.exports = { TicketLinks, isDue, nextPriority };
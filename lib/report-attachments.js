@@ -0,0 +1,146 @@
+/**
+ * Report Attachments
+ *
+ * Captures what a Discord message carries besides its text (attachments and
+ * link embeds) and renders it for GitHub issues and XTSystems tickets.
+ * Images are shown, other files are linked, and small text logs are copied
+ * into the report itself, since Discord's attachment links expire.
+ */
+
+const TEXT_EXTENSIONS = ['.log', '.txt', '.json', '.yaml', '.yml', '.xml', '.csv', '.md', '.ini', '.conf', '.trace', '.out'];
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+
+// GitHub rejects issue bodies over 65536 characters; leave room for the description and footer
+const MAX_INLINE_TOTAL = 48 * 1024;
+
+// Serializable summary of a Discord message, stored with suggestions and in the conversation history
+function captureMessage(message) {
+    return {
+        messageId: message.id,
+        author: message.author?.username,
+        url: message.url,
+        content: message.content || '',
+        attachments: [...(message.attachments?.values() || [])].map(attachment => ({
+            name: attachment.name,
+            url: attachment.url,
+            contentType: attachment.contentType || null,
+            size: attachment.size || 0
+        })),
+        embeds: (message.embeds || [])
+            .filter(embed => embed.title || embed.url || embed.description)
+            .map(embed => ({
+                title: embed.title || null,
+                url: embed.url || null,
+                description: embed.description ? embed.description.substring(0, 300) : null
+            }))
+    };
+}
+
+function extension(name) {
+    const dot = (name || '').lastIndexOf('.');
+    return dot === -1 ? '' : name.slice(dot).toLowerCase();
+}
+
+function isImage(attachment) {
+    return Boolean(attachment.contentType?.startsWith('image/')) || IMAGE_EXTENSIONS.includes(extension(attachment.name));
+}
+
+function isTextLog(attachment) {
+    return Boolean(attachment.contentType?.startsWith('text/')) ||
+        Boolean(attachment.contentType?.startsWith('application/json')) ||
+        TEXT_EXTENSIONS.includes(extension(attachment.name));
+}
+
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+}
+
+/**
+ * Downloads text logs small enough to inline; returns Map(url -> text).
+ * fetchText(url, maxBytes) resolves to the file's text. Failed downloads are linked instead.
+ */
+async function loadTextLogs(messages, fetchText, { maxBytes = 16 * 1024 } = {}) {
+    const logs = new Map();
+    let total = 0;
+
+    for (const attachment of messages.flatMap(message => message.attachments || [])) {
+        if (!isTextLog(attachment) || attachment.size > maxBytes || total + attachment.size > MAX_INLINE_TOTAL) continue;
+
+        try {
+            const text = await fetchText(attachment.url, maxBytes);
+            logs.set(attachment.url, text);
+            total += attachment.size;
+        } catch (error) {
+            // Still linked below
+        }
+    }
+
+    return logs;
+}
+
+// Longest run of backticks in the text plus one, so logs containing ``` can't end the block early
+function fenceFor(text) {
+    const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(longest + 1);
+}
+
+/**
+ * Renders the attachments and embeds of the captured messages, or '' when there are none.
+ * style 'markdown' is for GitHub (images embedded); 'plain' is for XTSystems tickets.
+ */
+function formatAttachments(messages, { logs = new Map(), style = 'markdown' } = {}) {
+    const lines = [];
+
+    for (const message of messages || []) {
+        for (const attachment of message.attachments || []) {
+            const label = `${attachment.name} (${formatSize(attachment.size)})`;
+            if (style === 'plain') {
+                lines.push(`- ${label}: ${attachment.url}`);
+            } else if (isImage(attachment)) {
+                lines.push(`![${attachment.name}](${attachment.url})`);
+            } else {
+                lines.push(`- 📎 [${attachment.name}](${attachment.url}) (${formatSize(attachment.size)})`);
+            }
+
+            const text = logs.get(attachment.url);
+            if (text !== undefined) {
+                const fence = fenceFor(text);
+                lines.push('', style === 'plain' ? `${attachment.name}:` : `<details><summary>${attachment.name}</summary>\n`,
+                    fence, text.trimEnd(), fence, style === 'plain' ? '' : '\n</details>', '');
+            }
+        }
+
+        for (const embed of message.embeds || []) {
+            const title = embed.title || embed.url;
+            if (style === 'plain') {
+                lines.push(`- Link: ${title}${embed.url && embed.url !== title ? ` (${embed.url})` : ''}`);
+            } else {
+                lines.push(`- 🔗 ${embed.url ? `[${title}](${embed.url})` : title}${embed.description ? `: ${embed.description}` : ''}`);
+            }
+        }
+    }
+
+    if (lines.length === 0) return '';
+    return `${style === 'plain' ? 'Attachments:' : '### Attachments'}\n\n${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}`;
+}
+
+// Short note on attachments for analysis prompts and as a fallback description
+function summarizeAttachments(message) {
+    const names = (message.attachments || []).map(attachment => attachment.name);
+    const links = (message.embeds || []).map(embed => embed.title || embed.url);
+    return [
+        names.length > 0 ? `[attached: ${names.join(', ')}]` : '',
+        links.length > 0 ? `[linked: ${links.join(', ')}]` : ''
+    ].filter(Boolean).join(' ');
+}
+
+module.exports = {
+    captureMessage,
+    isImage,
+    isTextLog,
+    loadTextLogs,
+    formatAttachments,
+    summarizeAttachments
+};
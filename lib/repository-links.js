@@ -0,0 +1,95 @@
+/**
+ * Repository Links
+ *
+ * Maps Discord channels and guilds to GitHub repositories. A repository is
+ * resolved from the most specific link available: the channel itself, the
+ * parent channel (for threads), the guild default and finally the
+ * REPO_OWNER/REPO_NAME environment fallback.
+ */
+
+// GitHub owner and repository naming rules
+const OWNER_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/;
+const REPO_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+const SCOPES = {
+    channel: 'channelRepositories',
+    guild: 'guildRepositories'
+};
+
+class RepositoryLinks {
+    constructor(store, fallback) {
+        this.store = store;
+        this.fallback = fallback;
+    }
+
+    static isValid(owner, repo) {
+        return OWNER_PATTERN.test(owner || '') && REPO_PATTERN.test(repo || '') && repo !== '.' && repo !== '..';
+    }
+
+    link(scope, id, owner, repo, { guildId, linkedBy } = {}) {
+        if (!SCOPES[scope]) {
+            throw new Error(`Unknown link scope: ${scope}`);
+        }
+        if (!RepositoryLinks.isValid(owner, repo)) {
+            throw new Error(`Invalid repository name: ${owner}/${repo}`);
+        }
+
+        return this.store.setEntry(SCOPES[scope], id, {
+            owner,
+            repo,
+            guildId: guildId || null,
+            linkedBy: linkedBy || null,
+            linkedAt: new Date().toISOString()
+        });
+    }
+
+    unlink(scope, id) {
+        if (!SCOPES[scope]) {
+            throw new Error(`Unknown link scope: ${scope}`);
+        }
+        return this.store.deleteEntry(SCOPES[scope], id);
+    }
+
+    get(scope, id) {
+        return id ? this.store.getEntry(SCOPES[scope], id) : undefined;
+    }
+
+    resolve({ channelId, parentId, guildId } = {}) {
+        const candidates = [
+            ['channel', this.get('channel', channelId)],
+            ['channel', this.get('channel', parentId)],
+            ['guild', this.get('guild', guildId)]
+        ];
+
+        for (const [source, link] of candidates) {
+            if (link) {
+                return { owner: link.owner, repo: link.repo, source };
+            }
+        }
+
+        const { owner, repo } = this.fallback();
+        return { owner, repo, source: 'default' };
+    }
+
+    list(guildId) {
+        const channels = this.store.entries(SCOPES.channel)
+            .filter(([, link]) => !guildId || !link.guildId || link.guildId === guildId)
+            .map(([channelId, link]) => ({ channelId, ...link }));
+        const guild = this.get('guild', guildId);
+
+        return {
+            guild: guild ? { guildId, ...guild } : null,
+            channels
+        };
+    }
+}
+
+function formatRepository(repository) {
+    return `${repository.owner}/${repository.repo}`;
+}
+
+function repositoryUrl(repository, suffix = '') {
+    return `https://github.com/${repository.owner}/${repository.repo}${suffix}`;
+}
+
+module.exports = { RepositoryLinks, formatRepository, repositoryUrl };
@@ -0,0 +1,165 @@
+/**
+ * Persistent State Store
+ *
+ * Keeps the state the bot learns at runtime (monitored channels, repository
+ * links, pending suggestions, ...) in a JSON file so it survives restarts.
+ * Writes are debounced and serialized, and go through a temporary file so a
+ * crash mid-write never leaves a truncated state file behind.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+// Numbers temp files, so stores sharing a state file never write to the same one
+let tempFileCounter = 0;
+
+class StateStore {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.saveDelay = options.saveDelay ?? 250;
+        this.data = {};
+        this.loaded = false;
+        this.saveTimer = null;
+        this.writeChain = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const contents = await fs.readFile(this.filePath, 'utf8');
+            this.data = contents.trim() ? JSON.parse(contents) : {};
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.data = {};
+            } else if (error instanceof SyntaxError) {
+                // Keep the unreadable file around for inspection instead of overwriting it
+                const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+                await fs.rename(this.filePath, backupPath);
+                logger.error(`State file ${this.filePath} is not valid JSON, moved to ${backupPath}`);
+                this.data = {};
+            } else {
+                throw error;
+            }
+        }
+
+        this.loaded = true;
+        logger.info(`Loaded persistent state from ${this.filePath}`);
+        return this;
+    }
+
+    has(key) {
+        return Object.prototype.hasOwnProperty.call(this.data, key);
+    }
+
+    get(key, defaultValue) {
+        return this.has(key) ? this.data[key] : defaultValue;
+    }
+
+    set(key, value) {
+        this.data[key] = value;
+        this.scheduleSave();
+        return value;
+    }
+
+    update(key, updater, defaultValue) {
+        return this.set(key, updater(this.get(key, defaultValue)));
+    }
+
+    delete(key) {
+        if (this.has(key)) {
+            delete this.data[key];
+            this.scheduleSave();
+        }
+    }
+
+    // Collections are plain objects keyed by id (e.g. pendingAnalyses -> messageId -> entry)
+    getEntry(collection, id) {
+        const entries = this.get(collection, {});
+        return entries[id];
+    }
+
+    setEntry(collection, id, value) {
+        const entries = this.get(collection, {});
+        entries[id] = value;
+        this.set(collection, entries);
+        return value;
+    }
+
+    deleteEntry(collection, id) {
+        const entries = this.get(collection, {});
+        if (Object.prototype.hasOwnProperty.call(entries, id)) {
+            delete entries[id];
+            this.set(collection, entries);
+            return true;
+        }
+        return false;
+    }
+
+    entries(collection) {
+        return Object.entries(this.get(collection, {}));
+    }
+
+    // Remove collection entries for which the predicate returns true
+    prune(collection, predicate) {
+        const entries = this.get(collection, {});
+        let removed = 0;
+
+        for (const [id, value] of Object.entries(entries)) {
+            if (predicate(value, id)) {
+                delete entries[id];
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            this.set(collection, entries);
+        }
+        return removed;
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.saveDelay);
+
+        if (this.saveTimer.unref) {
+            this.saveTimer.unref();
+        }
+    }
+
+    save() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        const snapshot = JSON.stringify(this.data, null, 2);
+        this.writeChain = this.writeChain
+            .then(() => this.writeFile(snapshot))
+            .catch(error => {
+                logger.error(`Failed to persist state to ${this.filePath}:`, error);
+            });
+
+        return this.writeChain;
+    }
+
+    async writeFile(contents) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        const tempPath = `${this.filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+        await fs.writeFile(tempPath, contents, 'utf8');
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    async flush() {
+        if (this.saveTimer) {
+            await this.save();
+        }
+        return this.writeChain;
+    }
+}
+
+module.exports = { StateStore };
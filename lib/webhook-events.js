@@ -0,0 +1,106 @@
+/**
+ * XTSystems Webhook Event Registry
+ *
+ * Single source of truth for the XTSystems events the bot understands. Each
+ * entry names the bot method that handles it, the DISCORD_WEBHOOK_CHANNELS
+ * key used to route its notifications, and the category key that is tried
+ * before the `default` mapping.
+ */
+
+const WEBHOOK_EVENTS = {
+    'ticket.created': {
+        handler: 'handleTicketCreated',
+        channelKey: 'ticket_created',
+        category: 'tickets',
+        description: 'New ticket notifications'
+    },
+    'ticket.updated': {
+        handler: 'handleTicketUpdated',
+        channelKey: 'ticket_updated',
+        category: 'tickets',
+        description: 'Ticket status changes and new notes'
+    },
+    'ticket.closed': {
+        handler: 'handleTicketClosed',
+        channelKey: 'ticket_closed',
+        category: 'tickets',
+        description: 'Ticket resolution'
+    },
+    'asset.created': {
+        handler: 'handleAssetCreated',
+        channelKey: 'asset_created',
+        category: 'assets',
+        description: 'New asset registrations'
+    },
+    'asset.updated': {
+        handler: 'handleAssetUpdated',
+        channelKey: 'asset_updated',
+        category: 'assets',
+        description: 'Asset property or status changes'
+    },
+    'user.created': {
+        handler: 'handleUserCreated',
+        channelKey: 'user_created',
+        category: 'users',
+        description: 'New user accounts'
+    },
+    'company.created': {
+        handler: 'handleCompanyCreated',
+        channelKey: 'company_created',
+        category: 'companies',
+        description: 'New companies'
+    },
+    'machine.registered': {
+        handler: 'handleMachineRegistered',
+        channelKey: 'machine_registered',
+        category: 'machines',
+        description: 'Machine approval requests'
+    },
+    'machine.approved': {
+        handler: 'handleMachineApproved',
+        channelKey: 'machine_approved',
+        category: 'machines',
+        description: 'Machine registration approved'
+    },
+    'alert.triggered': {
+        handler: 'handleAlertTriggered',
+        channelKey: 'alert_triggered',
+        category: 'alerts',
+        description: 'System alerts and monitoring'
+    }
+};
+
+// Sent by XTSystems' "test webhook" endpoint; handled but never subscribed to
+const INTERNAL_EVENTS = {
+    'webhook.test': {
+        handler: 'handleWebhookTest',
+        channelKey: 'webhook_test',
+        category: null,
+        description: 'Connectivity test'
+    }
+};
+
+const SUPPORTED_EVENTS = Object.keys(WEBHOOK_EVENTS);
+
+function getEventDefinition(eventType) {
+    return WEBHOOK_EVENTS[eventType] || INTERNAL_EVENTS[eventType] || null;
+}
+
+// Split a user-provided event list into known and unknown event names
+function partitionEvents(events) {
+    const valid = [];
+    const invalid = [];
+
+    for (const event of events) {
+        (WEBHOOK_EVENTS[event] ? valid : invalid).push(event);
+    }
+
+    return { valid, invalid };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    SUPPORTED_EVENTS,
+    getEventDefinition,
+    partitionEvents
+};
@@ -0,0 +1,57 @@
+/**
+ * Webhook Signature Helpers
+ *
+ * HMAC-SHA256 signatures in the `sha256=<hex>` format used by both XTSystems
+ * and GitHub. Signatures are always computed over the exact bytes received
+ * and compared in constant time. Several secrets can be active at once so a
+ * secret can be rotated without rejecting deliveries signed with the old one.
+ */
+
+const crypto = require('crypto');
+
+function computeSignature(secret, ...parts) {
+    const hmac = crypto.createHmac('sha256', secret);
+    for (const part of parts) {
+        hmac.update(part);
+    }
+    return `sha256=${hmac.digest('hex')}`;
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a, 'utf8');
+    const right = Buffer.from(b, 'utf8');
+
+    // timingSafeEqual requires equal lengths; the length itself is not secret
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Returns the index of the secret that produced the signature, or -1
+function matchSignature(signature, secrets, ...parts) {
+    if (typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+        return -1;
+    }
+
+    return secrets.findIndex(secret => safeEqual(signature, computeSignature(secret, ...parts)));
+}
+
+// Accepts Unix timestamps in seconds or milliseconds
+function timestampToMillis(timestamp) {
+    const value = Number(timestamp);
+    if (!Number.isFinite(value)) return NaN;
+    return value < 1e12 ? value * 1000 : value;
+}
+
+function parseSecrets(...values) {
+    return values
+        .filter(Boolean)
+        .flatMap(value => value.split(','))
+        .map(secret => secret.trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    computeSignature,
+    matchSignature,
+    timestampToMillis,
+    parseSecrets
+};
@@ -0,0 +1,81 @@
+/**
+ * XTSystems API Client
+ *
+ * Wraps the XTSystems REST endpoints used by the bot. Failed requests are
+ * rethrown as XTSystemsError carrying the HTTP status and the API's `detail`
+ * message so callers can show something meaningful in Discord.
+ */
+
+const axios = require('axios');
+
+class XTSystemsError extends Error {
+    constructor(message, { status = null, cause } = {}) {
+        super(message);
+        this.name = 'XTSystemsError';
+        this.status = status;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+}
+
+class XTSystemsClient {
+    constructor({ apiUrl, apiKey, timeout = 15000 }) {
+        this.http = axios.create({
+            baseURL: apiUrl,
+            timeout,
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    async request(method, url, data) {
+        try {
+            const response = await this.http.request({ method, url, data });
+            return response.data;
+        } catch (error) {
+            const status = error.response?.status || null;
+            const detail = error.response?.data?.detail;
+            const message = typeof detail === 'string' ? detail : error.message;
+            throw new XTSystemsError(
+                status ? `XTSystems API error (${status}): ${message}` : `Could not reach XTSystems: ${message}`,
+                { status, cause: error }
+            );
+        }
+    }
+
+    async createTicket(ticketData) {
+        return this.request('post', '/v1/tickets', ticketData);
+    }
+
+    async getTicket(ticketId) {
+        return this.request('get', `/v1/tickets/${encodeURIComponent(ticketId)}`);
+    }
+
+    async updateTicket(ticketId, changes) {
+        return this.request('patch', `/v1/tickets/${encodeURIComponent(ticketId)}`, changes);
+    }
+
+    async listTickets({ status } = {}) {
+        const query = status ? `?${new URLSearchParams({ status })}` : '';
+        const data = await this.request('get', `/v1/tickets${query}`);
+        return Array.isArray(data) ? data : data?.tickets || [];
+    }
+
+    async approveMachine(machineId, { decidedBy } = {}) {
+        return this.request('post', `/v1/machines/${encodeURIComponent(machineId)}/approve`, {
+            approved_by: decidedBy
+        });
+    }
+
+    async denyMachine(machineId, { decidedBy, reason } = {}) {
+        return this.request('post', `/v1/machines/${encodeURIComponent(machineId)}/deny`, {
+            denied_by: decidedBy,
+            reason: reason || null
+        });
+    }
+}
+
+module.exports = { XTSystemsClient, XTSystemsError };
@@ -50,23 +50,6 @@ check_requirements() {
         exit 1
     fi
     
-    # Check GitHub CLI
-    if command -v gh &> /dev/null; then
-        GH_VERSION=$(gh --version | head -n1)
-        print_status "GitHub CLI is installed: $GH_VERSION"
-        
-        # Check if authenticated
-        if gh auth status &> /dev/null; then
-            print_status "GitHub CLI is authenticated"
-        else
-            print_warning "GitHub CLI is not authenticated. Run 'gh auth login' after setup."
-        fi
-    else
-        print_error "GitHub CLI is not installed. Please install GitHub CLI first."
-        echo "Visit: https://cli.github.com/"
-        exit 1
-    fi
-    
     echo ""
 }
 
@@ -189,7 +172,7 @@ main() {
     print_header "Setup Complete!"
     print_status "Next steps:"
     echo "  1. Edit the .env file with your configuration"
-    echo "  2. Authenticate with GitHub CLI: gh auth login"
+    echo "  2. Set GITHUB_TOKEN to a token with access to your repositories"
     echo "  3. Test the bot: npm run dev"
     echo "  4. Deploy to production: npm start"
     echo ""
@@ -0,0 +1,124 @@
+const { extractJson, parseAnalysis, parseFindings, requestAnalysis, AnalysisError } = require('../lib/analysis-prompt');
+const { AnalysisMetrics } = require('../lib/analysis-metrics');
+
+const validAnswer = JSON.stringify({
+    shouldCreateIssue: true,
+    shouldCreateFeature: false,
+    issueType: 'bug',
+    title: 'Upload fails',
+    description: 'Uploads over 10MB fail',
+    priority: 'high',
+    confidence: 88,
+    reasoning: 'Reports an error'
+});
+
+describe('Analysis parsing', () => {
+    test('should extract the JSON object from fences and surrounding prose', () => {
+        const answer = 'Here is my analysis:\n```json\n{"title": "Braces } in \\"strings\\"", "nested": {"ok": true}}\n```\nLet me know!';
+
+        expect(extractJson(answer)).toEqual({ title: 'Braces } in "strings"', nested: { ok: true } });
+        expect(extractJson('{not json} but {"later": 1}')).toEqual({ later: 1 });
+        expect(extractJson('no object here')).toBeUndefined();
+    });
+
+    test('should coerce near-miss values', () => {
+        const { analysis, coerced } = parseAnalysis(JSON.stringify({
+            shouldCreateIssue: 'false',
+            shouldCreateFeature: 'yes',
+            issueType: 'Feature Request',
+            title: ' Dark mode ',
+            priority: 'Urgent',
+            confidence: 0.9,
+            reasoning: 'N/A',
+            extra: 'dropped'
+        }));
+
+        expect(coerced).toBe(true);
+        expect(analysis).toEqual({
+            shouldCreateIssue: false,
+            shouldCreateFeature: true,
+            issueType: 'enhancement',
+            title: 'Dark mode',
+            description: null,
+            priority: 'critical',
+            confidence: 90,
+            reasoning: null
+        });
+    });
+
+    test('should report every invalid field', () => {
+        const answer = JSON.stringify({ shouldCreateIssue: 'maybe', issueType: 'outage', priority: 'p1', confidence: 150 });
+
+        expect(() => parseAnalysis(answer)).toThrow(AnalysisError);
+        try {
+            parseAnalysis(answer);
+        } catch (error) {
+            expect(error.kind).toBe('schema');
+            expect(error.problems).toHaveLength(4);
+        }
+    });
+
+    test('should accept "85%" confidence without flagging valid answers as coerced', () => {
+        expect(parseAnalysis(validAnswer).coerced).toBe(false);
+        expect(parseAnalysis(validAnswer.replace('88', '"85%"')).analysis.confidence).toBe(85);
+    });
+});
+
+describe('Findings parsing', () => {
+    test('should accept a findings object, a bare array or a single analysis', () => {
+        expect(parseFindings(`{"findings": [${validAnswer}]}`)).toMatchObject({ findings: [{ title: 'Upload fails' }], coerced: false });
+        expect(parseFindings(`Found these:\n[${validAnswer}, ${validAnswer}]`).findings).toHaveLength(2);
+        expect(parseFindings(validAnswer)).toMatchObject({ findings: [{ title: 'Upload fails' }], coerced: true });
+        expect(parseFindings('{"findings": []}').findings).toEqual([]);
+    });
+
+    test('should name the finding each problem belongs to', () => {
+        expect(() => parseFindings(`{"findings": [${validAnswer}, {"confidence": "high"}]}`)).toThrow('findings[1]: ');
+        expect(() => parseFindings('nothing to report')).toThrow(AnalysisError);
+    });
+
+    test('should keep extractJson to objects unless arrays are asked for', () => {
+        expect(extractJson('[1] {"a": 1}')).toEqual({ a: 1 });
+        expect(extractJson('[1] {"a": 1}', { arrays: true })).toEqual([1]);
+    });
+});
+
+describe('requestAnalysis', () => {
+    test('should re-prompt once with the invalid answer and record the repair', async () => {
+        const metrics = new AnalysisMetrics();
+        const send = jest.fn()
+            .mockResolvedValueOnce('I think this is a bug with high confidence.')
+            .mockResolvedValueOnce(`Sorry! ${validAnswer}`);
+
+        const analysis = await requestAnalysis(send, 'PROMPT', { analyzer: 'openai', metrics });
+
+        expect(analysis.title).toBe('Upload fails');
+        expect(send).toHaveBeenCalledTimes(2);
+        const retryMessages = send.mock.calls[1][0];
+        expect(retryMessages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+        expect(retryMessages[2].content).toContain('did not contain a JSON object');
+        expect(metrics.snapshot().analyzers.openai).toEqual({ invalid_parse: 1, repaired: 1 });
+    });
+
+    test('should give up after the corrective re-prompt', async () => {
+        const metrics = new AnalysisMetrics();
+        const send = jest.fn().mockResolvedValue('{"confidence": "high"}');
+
+        await expect(requestAnalysis(send, 'PROMPT', { analyzer: 'agixt', metrics })).rejects.toThrow('invalid fields');
+
+        expect(send).toHaveBeenCalledTimes(2);
+        expect(metrics.snapshot().analyzers.agixt).toEqual({ invalid_schema: 1, failed: 1 });
+        expect(metrics.parseFailures()).toEqual({ failures: 1, total: 1 });
+    });
+
+    test('should re-prompt for findings lists too', async () => {
+        const send = jest.fn()
+            .mockResolvedValueOnce('{"findings": [{"confidence": "high"}]}')
+            .mockResolvedValueOnce(`{"findings": [${validAnswer}]}`);
+
+        const findings = await requestAnalysis(send, 'PROMPT', { analyzer: 'openai', expect: 'findings' });
+
+        expect(findings).toHaveLength(1);
+        expect(send.mock.calls[1][0][2].content).toContain('findings[0]');
+    });
+});
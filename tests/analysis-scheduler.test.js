@@ -0,0 +1,67 @@
+const { AnalysisScheduler } = require('../lib/analysis-scheduler');
+
+describe('AnalysisScheduler', () => {
+    let run;
+    let scheduler;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        run = jest.fn().mockResolvedValue();
+        scheduler = new AnalysisScheduler({ run, delay: 1000, maxWait: 5000 });
+    });
+
+    afterEach(() => {
+        scheduler.stop();
+        jest.useRealTimers();
+    });
+
+    test('should analyze a burst once it settles', async () => {
+        scheduler.schedule('c1', 'first');
+        jest.advanceTimersByTime(800);
+        scheduler.schedule('c1', 'second');
+        jest.advanceTimersByTime(800);
+
+        expect(run).not.toHaveBeenCalled();
+        expect(scheduler.pending('c1')).toBe(2);
+
+        jest.advanceTimersByTime(200);
+        await Promise.resolve();
+
+        expect(run).toHaveBeenCalledWith('c1', ['first', 'second']);
+        expect(scheduler.pending('c1')).toBe(0);
+    });
+
+    test('should not wait longer than maxWait in a busy channel', async () => {
+        for (let i = 0; i < 10; i++) {
+            scheduler.schedule('c1', i);
+            jest.advanceTimersByTime(600);
+        }
+        await Promise.resolve();
+
+        expect(run).toHaveBeenCalledTimes(1);
+        expect(run.mock.calls[0][1]).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    });
+
+    test('should keep channels separate and analyze each channel serially', async () => {
+        jest.useRealTimers();
+        const order = [];
+        let release;
+        run.mockImplementation(async (key, items) => {
+            order.push(`start ${key} ${items}`);
+            if (items[0] === 'a') await new Promise(resolve => { release = resolve; });
+            order.push(`end ${key} ${items}`);
+        });
+
+        scheduler.schedule('c1', 'a');
+        scheduler.schedule('c2', 'x');
+        const first = scheduler.flush('c1');
+        const other = scheduler.flush('c2');
+        scheduler.schedule('c1', 'b');
+        const second = scheduler.flush('c1');
+        await other;
+        release();
+        await Promise.all([first, second]);
+
+        expect(order).toEqual(['start c1 a', 'start c2 x', 'end c2 x', 'end c1 a', 'start c1 b', 'end c1 b']);
+    });
+});
@@ -0,0 +1,114 @@
+const { KeywordAnalyzer, LLMAnalyzer, AnalyzerChain, mergeFindings, parsePipeline } = require('../lib/analyzers');
+const { renderPrompt } = require('../lib/analysis-prompt');
+
+const analyzer = (name, result) => ({
+    name,
+    analyze: typeof result === 'function' ? result : jest.fn().mockResolvedValue(result)
+});
+
+describe('Analyzers', () => {
+    describe('KeywordAnalyzer', () => {
+        const keyword = new KeywordAnalyzer();
+
+        test('should settle greetings without flagging them', async () => {
+            const result = await keyword.analyze({ message: 'Thanks!' });
+
+            expect(result.shouldCreateIssue).toBe(false);
+            expect(result.confidence).toBeGreaterThanOrEqual(80);
+        });
+
+        test('should flag bug keywords below the conclusive confidence', async () => {
+            const result = await keyword.analyze({ message: 'Export is broken again' });
+
+            expect(result).toMatchObject({ shouldCreateIssue: true, issueType: 'bug', confidence: 60 });
+        });
+
+        test('should match custom rules against the transcript when given', async () => {
+            const docs = new KeywordAnalyzer([{ name: 'docs', pattern: 'readme', type: 'documentation', confidence: 70 }]);
+
+            const result = await docs.analyze({ message: 'Analyze this', text: 'The README is outdated' });
+
+            expect(result).toMatchObject({ shouldCreateIssue: true, issueType: 'documentation', description: 'The README is outdated' });
+            expect(await docs.analyze({ message: 'All good' })).toBeNull();
+        });
+    });
+
+    describe('AnalyzerChain', () => {
+        test('should stop at the first conclusive result', async () => {
+            const llm = analyzer('llm', { shouldCreateIssue: true, confidence: 90 });
+            const chain = new AnalyzerChain([analyzer('rules', { shouldCreateIssue: false, confidence: 95 }), llm]);
+
+            const result = await chain.analyze({ message: 'hi' });
+
+            expect(result).toMatchObject({ analyzer: 'rules', confidence: 95 });
+            expect(llm.analyze).not.toHaveBeenCalled();
+        });
+
+        test('should return the most confident result when nothing is conclusive', async () => {
+            const chain = new AnalyzerChain([
+                analyzer('rules', { shouldCreateIssue: true, confidence: 60 }),
+                analyzer('llm', { shouldCreateIssue: true, confidence: 75 }),
+                analyzer('empty', null)
+            ]);
+
+            expect(await chain.analyze({ message: 'broken' })).toMatchObject({ analyzer: 'llm', confidence: 75 });
+        });
+
+        test('should skip analyzers that fail', async () => {
+            const chain = new AnalyzerChain([
+                analyzer('llm', jest.fn().mockRejectedValue(new Error('timeout'))),
+                analyzer('rules', { shouldCreateIssue: true, confidence: 60 })
+            ]);
+
+            expect(await chain.analyze({ message: 'broken' })).toMatchObject({ analyzer: 'rules' });
+        });
+    });
+
+    describe('Finding everything in a transcript', () => {
+        const finding = (title, confidence, extra = {}) => ({ shouldCreateIssue: true, title, description: title, confidence, ...extra });
+
+        test('should ask LLMs before keyword rules, and accept an empty answer', async () => {
+            const client = { findIssues: jest.fn().mockResolvedValue([]) };
+            const chain = new AnalyzerChain([new KeywordAnalyzer(), new LLMAnalyzer('agixt', client)]);
+
+            const findings = await chain.findAll({ transcript: 'jdoe: upload is broken', lines: ['jdoe: upload is broken'] });
+
+            expect(findings).toEqual([]);
+            expect(client.findIssues).toHaveBeenCalledWith('jdoe: upload is broken');
+        });
+
+        test('should fall back to keyword rules line by line when the LLMs fail', async () => {
+            const client = { findIssues: jest.fn().mockRejectedValue(new Error('timeout')) };
+            const chain = new AnalyzerChain([new LLMAnalyzer('agixt', client), new KeywordAnalyzer()]);
+
+            const findings = await chain.findAll({ lines: ['hello', 'upload is broken', 'please add dark mode'] });
+
+            expect(findings.map(result => [result.analyzer, result.issueType])).toEqual([['keyword', 'bug'], ['keyword', 'enhancement']]);
+            expect(await new AnalyzerChain([new LLMAnalyzer('agixt', client)]).findAll({ lines: [] })).toBeNull();
+        });
+
+        test('should merge findings about the same topic, keeping the most confident', () => {
+            const merged = mergeFindings([
+                finding('Export crashes on large files', 70),
+                finding('Add a dark mode theme', 80),
+                finding('Exports crash for large files', 90, { analyzer: 'agixt' })
+            ]);
+
+            expect(merged.map(result => [result.title, result.confidence])).toEqual([
+                ['Exports crash for large files', 90],
+                ['Add a dark mode theme', 80]
+            ]);
+        });
+    });
+
+    test('should parse pipelines and reject unknown analyzers', () => {
+        expect(parsePipeline(' Keyword, openai,keyword ')).toEqual(['keyword', 'openai']);
+        expect(() => parsePipeline('keyword,gpt')).toThrow('Invalid analyzer pipeline');
+        expect(() => parsePipeline('')).toThrow('Invalid analyzer pipeline');
+    });
+
+    test('should substitute the conversation into the prompt template', () => {
+        expect(renderPrompt('Context: {{context}} / Message: {{ message }}', { context: '', message: 'It costs $1' }))
+            .toBe('Context: (no earlier messages) / Message: It costs $1');
+    });
+});
@@ -1,4 +1,13 @@
-const { XTSystemsDiscordBot } = require('./index');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { PermissionFlagsBits } = require('discord.js');
+const { REST } = require('@discordjs/rest');
+const { computeSignature } = require('../lib/webhook-signature');
+
+const { XTSystemsDiscordBot } = require('../index');
+const { WEBHOOK_EVENTS, SUPPORTED_EVENTS } = require('../lib/webhook-events');
 
 // Test configuration
 const testConfig = {
@@ -10,24 +19,38 @@ const testConfig = {
 // Mock functions for testing
 const mockGitHubAPI = {
     createIssue: jest.fn(),
+    getIssue: jest.fn(),
     listIssues: jest.fn(),
-    closeIssue: jest.fn()
+    closeIssue: jest.fn(),
+    addLabels: jest.fn(),
+    removeLabel: jest.fn(),
+    searchIssues: jest.fn(),
+    createComment: jest.fn(),
+    listComments: jest.fn(),
+    reopenIssue: jest.fn(),
+    addAssignees: jest.fn(),
+    canBeAssigned: jest.fn(),
+    listLabels: jest.fn()
 };
 
 const mockXTSystemsAPI = {
     createTicket: jest.fn(),
+    getTicket: jest.fn(),
     updateTicket: jest.fn(),
     listTickets: jest.fn()
 };
 
 const mockAGiXTAPI = {
-    analyzeConversation: jest.fn()
+    analyzeConversation: jest.fn(),
+    findIssues: jest.fn()
 };
 
 describe('XTSystems Discord Bot', () => {
     let bot;
 
     beforeEach(() => {
+        // Keep state written during tests out of the working tree, one directory per bot
+        process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'xtsystems-bot-test-'));
         bot = new XTSystemsDiscordBot();
         // Mock external APIs
         bot.githubAPI = mockGitHubAPI;
@@ -35,8 +58,10 @@ describe('XTSystems Discord Bot', () => {
         bot.agitxtAPI = mockAGiXTAPI;
     });
 
-    afterEach(() => {
+    afterEach(async () => {
         jest.clearAllMocks();
+        await bot.store.flush();
+        fs.rmSync(bot.config.dataDir, { recursive: true, force: true });
     });
 
     describe('Message Analysis', () => {
@@ -55,7 +80,7 @@ describe('XTSystems Discord Bot', () => {
                 reasoning: 'Message contains bug indicators'
             });
 
-            const analysis = await bot.analyzeWithAGiXT('', testMessage.content);
+            const analysis = await bot.runAnalyzers(['agixt', 'keyword'], { context: '', message: testMessage.content });
 
             expect(analysis.shouldCreateIssue).toBe(true);
             expect(analysis.issueType).toBe('bug');
@@ -77,7 +102,7 @@ describe('XTSystems Discord Bot', () => {
                 reasoning: 'Message contains feature request indicators'
             });
 
-            const analysis = await bot.analyzeWithAGiXT('', testMessage.content);
+            const analysis = await bot.runAnalyzers(['agixt', 'keyword'], { context: '', message: testMessage.content });
 
             expect(analysis.shouldCreateFeature).toBe(true);
             expect(analysis.issueType).toBe('enhancement');
@@ -89,7 +114,7 @@ describe('XTSystems Discord Bot', () => {
 
             mockAGiXTAPI.analyzeConversation.mockRejectedValue(new Error('API Error'));
 
-            const analysis = await bot.analyzeWithAGiXT('', testMessage);
+            const analysis = await bot.runAnalyzers(['agixt', 'keyword'], { context: '', message: testMessage });
 
             expect(analysis).toBeDefined();
             expect(analysis.shouldCreateIssue).toBe(true);
@@ -126,6 +151,43 @@ describe('XTSystems Discord Bot', () => {
         });
     });
 
+    describe('Legacy Repository Link', () => {
+        beforeEach(() => {
+            bot.store.load = jest.fn();
+            bot.store.scheduleSave = jest.fn();
+            bot.store.set('repository', { owner: 'acme', repo: 'legacy' });
+        });
+
+        test('should move the bot-wide link to the guild default', async () => {
+            bot.config.guildId = 'g1';
+
+            await bot.loadState();
+
+            expect(bot.repositoryLinks.get('guild', 'g1')).toMatchObject({ owner: 'acme', repo: 'legacy' });
+            expect(bot.store.has('repository')).toBe(false);
+        });
+
+        test('should keep it as the fallback when there is no guild to move it to', async () => {
+            bot.config.guildId = undefined;
+
+            await bot.loadState();
+
+            expect(bot.store.get('repository')).toEqual({ owner: 'acme', repo: 'legacy' });
+            expect(bot.resolveRepository({ channelId: 'c1' })).toMatchObject({ owner: 'acme', repo: 'legacy', source: 'default' });
+        });
+
+        test('should list the kept link as the bot default', async () => {
+            bot.config.guildId = undefined;
+            await bot.loadState();
+            const interaction = { guildId: 'g1', channelId: 'c1', channel: { id: 'c1' }, reply: jest.fn() };
+
+            await bot.listRepoLinksCommand(interaction);
+
+            const { fields } = interaction.reply.mock.calls[0][0].embeds[0].data;
+            expect(fields.find(field => field.name === 'Bot Default').value).toBe('acme/legacy');
+        });
+    });
+
     describe('XTSystems Integration', () => {
         test('should create XTSystems ticket successfully', async () => {
             const ticketData = {
@@ -193,6 +255,1857 @@ describe('XTSystems Discord Bot', () => {
         });
     });
 
+    describe('Issue Form', () => {
+        const modalValues = modal => Object.fromEntries(modal.toJSON().components.map(({ component }) => [
+            component.custom_id,
+            component.options ? component.options.find(option => option.default)?.value : component.value
+        ]));
+
+        const createModalSubmit = (customId, values) => ({
+            customId,
+            channelId: 'c1',
+            guildId: 'g1',
+            user: { id: 'u1', username: 'reporter' },
+            message: { id: 'suggestion-1', channelId: 'c1' },
+            fields: {
+                getTextInputValue: jest.fn(id => values[id]),
+                getStringSelectValues: jest.fn(id => [values[id]])
+            },
+            deferReply: jest.fn(),
+            editReply: jest.fn()
+        });
+
+        beforeEach(() => {
+            bot.githubAPI = {
+                listIssues: jest.fn().mockResolvedValue([]),
+                createIssue: jest.fn().mockResolvedValue(101)
+            };
+            bot.completeSuggestion = jest.fn();
+        });
+
+        test('should open the form when /create-issue has no description', async () => {
+            const interaction = {
+                options: {
+                    getString: jest.fn(name => ({ title: 'Export is slow', type: 'bug' })[name] || null)
+                },
+                showModal: jest.fn(),
+                deferReply: jest.fn()
+            };
+
+            await bot.createIssueCommand(interaction);
+
+            expect(interaction.deferReply).not.toHaveBeenCalled();
+            expect(bot.githubAPI.createIssue).not.toHaveBeenCalled();
+            const [modal] = interaction.showModal.mock.calls[0];
+            expect(modal.data.custom_id).toBe('issue_modal_command');
+            expect(modalValues(modal)).toEqual({ title: 'Export is slow', description: undefined, type: 'bug', priority: 'medium' });
+        });
+
+        test('should pre-fill the form with the suggested issue', async () => {
+            bot.store.setEntry('pendingAnalyses', 'msg-1', {
+                analysis: { title: 'Login fails', description: 'x'.repeat(5000), issueType: 'bug', priority: 'high' },
+                channelId: 'c1',
+                guildId: 'g1'
+            });
+            const interaction = { customId: 'create_issue_msg-1', user: { id: 'u1', username: 'reporter' }, member: { permissions: { has: () => true } }, showModal: jest.fn(), reply: jest.fn() };
+
+            await bot.handleButtonInteraction(interaction);
+
+            const [modal] = interaction.showModal.mock.calls[0];
+            expect(modal.data.custom_id).toBe('issue_modal_suggestion_msg-1');
+            expect(modalValues(modal)).toMatchObject({ title: 'Login fails', type: 'bug', priority: 'high' });
+            expect(modalValues(modal).description).toHaveLength(4000);
+        });
+
+        test('should create the suggested issue with the edited values', async () => {
+            bot.store.setEntry('pendingAnalyses', 'msg-2', { analysis: { title: 'Login fails' }, channelId: 'c1', guildId: 'g1' });
+            const interaction = createModalSubmit('issue_modal_suggestion_msg-2', {
+                title: ' Login fails after password reset ',
+                description: 'Steps: reset password, log in',
+                type: 'bug',
+                priority: 'critical'
+            });
+
+            await bot.handleInteraction({ ...interaction, isCommand: () => false, isButton: () => false, isModalSubmit: () => true });
+
+            expect(bot.githubAPI.createIssue).toHaveBeenCalledWith(expect.objectContaining({
+                title: 'Login fails after password reset',
+                body: expect.stringContaining('Steps: reset password, log in'),
+                labels: ['bug', 'critical']
+            }));
+            expect(bot.completeSuggestion).toHaveBeenCalledWith(
+                expect.objectContaining({ suggestionId: 'msg-2', suggestionMessage: { channelId: 'c1', messageId: 'suggestion-1' } }),
+                101,
+                '✅ Issue Created'
+            );
+        });
+
+        test('should file one issue when the suggestion form is submitted twice at once', async () => {
+            bot.store.setEntry('pendingAnalyses', 'msg-3', { analysis: { title: 'Login fails' }, channelId: 'c1', guildId: 'g1' });
+            const values = { title: 'Login fails', description: 'Steps', type: 'bug', priority: 'medium' };
+            const first = createModalSubmit('issue_modal_suggestion_msg-3', values);
+            const second = createModalSubmit('issue_modal_suggestion_msg-3', values);
+
+            await Promise.all([bot.handleModalSubmit(first), bot.handleModalSubmit(second)]);
+
+            expect(bot.githubAPI.createIssue).toHaveBeenCalledTimes(1);
+            expect(second.editReply).toHaveBeenCalledWith({ content: expect.stringContaining('already been handled') });
+        });
+
+        test('should let the suggestion be submitted again when GitHub fails', async () => {
+            bot.store.setEntry('pendingAnalyses', 'msg-4', { analysis: { title: 'Login fails' }, channelId: 'c1', guildId: 'g1' });
+            bot.githubAPI.createIssue.mockRejectedValue(new Error('GitHub is down'));
+            const interaction = createModalSubmit('issue_modal_suggestion_msg-4', { title: 'Login fails', description: 'Steps', type: 'bug', priority: 'medium' });
+
+            await bot.handleModalSubmit(interaction);
+
+            expect(bot.store.getEntry('pendingAnalyses', 'msg-4')).toBeTruthy();
+        });
+
+        test('should not create anything for a suggestion that was already handled', async () => {
+            const interaction = createModalSubmit('issue_modal_suggestion_gone', { title: 'A', description: 'B', type: 'bug', priority: 'low' });
+
+            await bot.handleModalSubmit(interaction);
+
+            expect(bot.githubAPI.createIssue).not.toHaveBeenCalled();
+            expect(interaction.editReply).toHaveBeenCalledWith({ content: expect.stringContaining('already been handled') });
+        });
+    });
+
+    describe('Ticket Suggestions', () => {
+        const analysis = { shouldCreateIssue: true, title: 'Printer offline', description: 'Office printer is offline', issueType: 'bug', priority: 'critical', confidence: 90, reasoning: 'Outage' };
+
+        const createMessage = (channel = { id: 'c1' }) => ({
+            id: 'msg-1',
+            guildId: 'g1',
+            channel,
+            reply: jest.fn()
+        });
+
+        const buttonIds = message => message.reply.mock.calls[0][0].components[0].components.map(button => button.data.custom_id);
+
+        beforeEach(() => {
+            bot.client.user = { displayAvatarURL: () => 'https://example.com/avatar.png' };
+        });
+
+        test('should offer both issue and ticket creation by default', async () => {
+            const message = createMessage();
+
+            await bot.suggestIssueCreation(message, analysis);
+
+            expect(buttonIds(message)).toEqual(['create_issue_msg-1', 'create_ticket_msg-1', 'ignore_suggestion_msg-1']);
+        });
+
+        test('should follow the channel target, including from threads', async () => {
+            const interaction = { channelId: 'support', guildId: 'g1', user: { username: 'admin' }, options: { getString: () => 'xtsystems' }, reply: jest.fn() };
+            await bot.suggestionTargetCommand(interaction);
+
+            const message = createMessage({ id: 'thread-1', parentId: 'support', isThread: () => true });
+            await bot.suggestIssueCreation(message, analysis);
+
+            expect(buttonIds(message)).toEqual(['create_ticket_msg-1', 'ignore_suggestion_msg-1']);
+            expect(bot.getSuggestionTarget({ channelId: 'general' })).toBe('both');
+        });
+
+        test('should create a ticket with the mapped priority and link it in the embed', async () => {
+            bot.config.xtsystemsWebUrl = 'https://xt.example.com/';
+            bot.xtsystemsAPI = { createTicket: jest.fn().mockResolvedValue({ id: 314, status: 'Open' }) };
+            bot.store.setEntry('pendingAnalyses', 'msg-1', { analysis, channelId: 'c1', guildId: 'g1' });
+            const interaction = {
+                customId: 'create_ticket_msg-1',
+                user: { username: 'helpdesk' },
+                member: { permissions: { has: () => true } },
+                message: { embeds: [{ title: '🤖 Potential Issue Detected' }], edit: jest.fn() },
+                deferReply: jest.fn(),
+                editReply: jest.fn()
+            };
+
+            await bot.handleButtonInteraction(interaction);
+
+            expect(bot.xtsystemsAPI.createTicket).toHaveBeenCalledWith(expect.objectContaining({
+                title: 'Printer offline',
+                priority: 'Critical',
+                description: expect.stringContaining('https://discord.com/channels/g1/c1/msg-1')
+            }));
+            const [{ embeds, components }] = interaction.message.edit.mock.calls[0];
+            expect(embeds[0].data.fields).toContainEqual({ name: 'Ticket', value: '[#314](https://xt.example.com/tickets/314)', inline: true });
+            expect(components).toEqual([]);
+            expect(bot.store.getEntry('pendingAnalyses', 'msg-1')).toBeUndefined();
+        });
+
+        test('should map unknown priorities to Medium', () => {
+            expect(bot.toTicketPriority('HIGH')).toBe('High');
+            expect(bot.toTicketPriority(null)).toBe('Medium');
+            expect(bot.toTicketPriority('urgent')).toBe('Medium');
+        });
+    });
+
+    describe('Duplicate Detection', () => {
+        const openIssues = [
+            { number: 12, title: 'App crashes when uploading large files', body: 'Upload over 100MB crashes the app', html_url: 'https://github.com/DevXT-LLC/xtsystems/issues/12' },
+            { number: 13, title: 'Add dark mode to the dashboard', body: null, html_url: 'https://github.com/DevXT-LLC/xtsystems/issues/13' }
+        ];
+
+        const createCommandInteraction = () => ({
+            id: 'i1',
+            channelId: 'c1',
+            guildId: 'g1',
+            options: {
+                getString: jest.fn()
+                    .mockReturnValueOnce('Crash when uploading a large file')
+                    .mockReturnValueOnce('The app closes as soon as the upload starts')
+                    .mockReturnValueOnce('bug')
+                    .mockReturnValueOnce(null)
+            },
+            user: { id: 'u1', username: 'reporter' },
+            deferReply: jest.fn(),
+            editReply: jest.fn()
+        });
+
+        const createButtonInteraction = (customId, userId = 'u1') => ({
+            customId,
+            user: { id: userId, username: 'reporter' },
+            reply: jest.fn(),
+            deferUpdate: jest.fn(),
+            editReply: jest.fn(),
+            followUp: jest.fn()
+        });
+
+        beforeEach(() => {
+            bot.githubAPI = {
+                listIssues: jest.fn().mockResolvedValue(openIssues),
+                createIssue: jest.fn().mockResolvedValue(99),
+                createComment: jest.fn().mockResolvedValue({})
+            };
+        });
+
+        test('should offer likely duplicates instead of creating a new issue', async () => {
+            const interaction = createCommandInteraction();
+
+            await bot.createIssueCommand(interaction);
+
+            expect(bot.githubAPI.createIssue).not.toHaveBeenCalled();
+            const { embeds, components } = interaction.editReply.mock.calls[0][0];
+            expect(embeds[0].data.fields.map(field => field.name)).toEqual([expect.stringContaining('#12')]);
+            expect(components[0].components.map(button => button.data.custom_id)).toEqual([
+                'duplicate_comment_i1_12',
+                'duplicate_create_i1'
+            ]);
+            expect(bot.store.getEntry('issueDrafts', 'i1')).toMatchObject({ title: 'Crash when uploading a large file', labels: ['bug'] });
+        });
+
+        test('should append the report to the chosen duplicate', async () => {
+            await bot.createIssueCommand(createCommandInteraction());
+            const interaction = createButtonInteraction('duplicate_comment_i1_12');
+
+            await bot.handleButtonInteraction(interaction);
+
+            expect(bot.githubAPI.createComment).toHaveBeenCalledWith(expect.objectContaining({
+                issueNumber: 12,
+                body: expect.stringContaining('Also reported via Discord by reporter')
+            }));
+            expect(bot.githubAPI.createIssue).not.toHaveBeenCalled();
+            expect(bot.store.getEntry('issueDrafts', 'i1')).toBeUndefined();
+        });
+
+        test('should create the issue anyway when asked, but only for the reporter', async () => {
+            await bot.createIssueCommand(createCommandInteraction());
+            const stranger = createButtonInteraction('duplicate_create_i1', 'u2');
+            const reporter = createButtonInteraction('duplicate_create_i1');
+
+            await bot.handleButtonInteraction(stranger);
+            await bot.handleButtonInteraction(reporter);
+
+            expect(stranger.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+            expect(bot.githubAPI.createIssue).toHaveBeenCalledTimes(1);
+            expect(bot.githubAPI.createIssue).toHaveBeenCalledWith(expect.objectContaining({ title: 'Crash when uploading a large file' }));
+        });
+
+        test('should file one issue when "Create anyway" is clicked twice at once', async () => {
+            await bot.createIssueCommand(createCommandInteraction());
+
+            await Promise.all([
+                bot.handleButtonInteraction(createButtonInteraction('duplicate_create_i1')),
+                bot.handleButtonInteraction(createButtonInteraction('duplicate_create_i1'))
+            ]);
+
+            expect(bot.githubAPI.createIssue).toHaveBeenCalledTimes(1);
+            expect(bot.store.getEntry('issueDrafts', 'i1')).toBeUndefined();
+        });
+
+        test('should keep the report when creating it anyway fails', async () => {
+            await bot.createIssueCommand(createCommandInteraction());
+            bot.githubAPI.createIssue.mockRejectedValueOnce(new Error('Service unavailable'));
+            const interaction = createButtonInteraction('duplicate_create_i1');
+
+            await bot.handleButtonInteraction(interaction);
+
+            expect(interaction.followUp).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+            expect(bot.store.getEntry('issueDrafts', 'i1')).toMatchObject({ title: 'Crash when uploading a large file' });
+        });
+
+        test('should report an error from a button instead of leaving it unanswered', async () => {
+            jest.spyOn(bot, 'handleDuplicateCreateButton').mockRejectedValue(new Error('Unexpected'));
+            const fresh = createButtonInteraction('duplicate_create_i1');
+            const deferred = { ...createButtonInteraction('duplicate_create_i1'), deferred: true };
+
+            await bot.handleButtonInteraction(fresh);
+            await bot.handleButtonInteraction(deferred);
+
+            expect(fresh.reply).toHaveBeenCalledWith({ content: 'An error occurred while processing this button.', ephemeral: true });
+            expect(deferred.followUp).toHaveBeenCalledWith({ content: 'An error occurred while processing this button.', ephemeral: true });
+            expect(deferred.reply).not.toHaveBeenCalled();
+        });
+
+        test('should still create the issue when the duplicate lookup fails', async () => {
+            bot.githubAPI.listIssues.mockRejectedValue(new Error('Service unavailable'));
+            const interaction = createCommandInteraction();
+
+            await bot.createIssueCommand(interaction);
+
+            expect(bot.githubAPI.createIssue).toHaveBeenCalled();
+            expect(interaction.editReply.mock.calls[0][0].embeds[0].data.title).toContain('Issue Created Successfully');
+        });
+    });
+
+    describe('Machine Approval', () => {
+        const createButtonInteraction = (customId, { allowed = true } = {}) => ({
+            customId,
+            user: { id: 'u1', username: 'admin' },
+            member: { permissions: { has: jest.fn().mockReturnValue(allowed) } },
+            message: {
+                id: 'm1',
+                channelId: 'c1',
+                embeds: [{ title: '🖥️ New Machine Registered', fields: [{ name: 'Hostname', value: 'web-01' }] }]
+            },
+            reply: jest.fn(),
+            deferReply: jest.fn(),
+            editReply: jest.fn()
+        });
+
+        beforeEach(() => {
+            bot.xtsystemsAPI = {
+                approveMachine: jest.fn().mockResolvedValue({}),
+                denyMachine: jest.fn().mockResolvedValue({})
+            };
+            bot.refreshMachineMessages = jest.fn();
+        });
+
+        test('should approve a machine and record who decided', async () => {
+            const interaction = createButtonInteraction('approve_machine_55');
+
+            await bot.handleButtonInteraction(interaction);
+
+            expect(bot.xtsystemsAPI.approveMachine).toHaveBeenCalledWith('55', { decidedBy: 'admin' });
+            expect(bot.store.getEntry('machineRegistrations', '55')).toMatchObject({
+                status: 'approved',
+                hostname: 'web-01',
+                decidedBy: { id: 'u1', username: 'admin' },
+                messages: [{ channelId: 'c1', messageId: 'm1' }]
+            });
+            expect(bot.refreshMachineMessages).toHaveBeenCalled();
+        });
+
+        test('should refuse members without an authorized role', async () => {
+            const interaction = createButtonInteraction('deny_machine_56', { allowed: false });
+
+            await bot.handleButtonInteraction(interaction);
+
+            expect(bot.xtsystemsAPI.denyMachine).not.toHaveBeenCalled();
+            expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+        });
+
+        test('should reconcile a machine.approved webhook with the Discord message', async () => {
+            bot.store.setEntry('machineRegistrations', '57', {
+                machineId: '57', hostname: 'db-01', status: 'pending', messages: [{ channelId: 'c1', messageId: 'm2' }]
+            });
+
+            await bot.handleMachineApproved({ id: 57, hostname: 'db-01', approved_by: 'ops' });
+
+            expect(bot.store.getEntry('machineRegistrations', '57')).toMatchObject({
+                status: 'approved', source: 'xtsystems', decidedBy: { username: 'ops' }
+            });
+            expect(bot.refreshMachineMessages).toHaveBeenCalled();
+        });
+    });
+
+    describe('Notification Delivery', () => {
+        beforeEach(() => {
+            bot.client.isReady = () => true;
+        });
+
+        test('should give up at once on channels that are gone, unreachable or not text', async () => {
+            const channels = {
+                deleted: Promise.reject(Object.assign(new Error('Unknown Channel'), { code: 10003 })),
+                category: Promise.resolve({ id: 'category' }),
+                locked: Promise.resolve({ send: jest.fn().mockRejectedValue(Object.assign(new Error('Missing Permissions'), { code: 50013 })) })
+            };
+            channels.deleted.catch(() => {});
+            bot.client.channels.fetch = jest.fn(id => channels[id]);
+
+            for (const channelId of Object.keys(channels)) {
+                bot.notificationQueue.enqueue(channelId, { content: 'Hello' });
+            }
+            await bot.notificationQueue.process();
+
+            expect(bot.notificationQueue.pending()).toHaveLength(0);
+            expect(bot.notificationQueue.deadLetters().map(item => [item.channelId, item.attempts])).toEqual(
+                expect.arrayContaining([['deleted', 1], ['category', 1], ['locked', 1]])
+            );
+        });
+    });
+
+    describe('Webhook Events', () => {
+        const createResponse = () => {
+            const res = { status: jest.fn(), json: jest.fn() };
+            res.status.mockReturnValue(res);
+            return res;
+        };
+
+        beforeEach(() => {
+            bot.client.user = { displayAvatarURL: () => 'https://example.com/avatar.png' };
+            bot.sendWebhookNotification = jest.fn().mockResolvedValue([]);
+        });
+
+        test('should have a handler for every supported event', () => {
+            SUPPORTED_EVENTS.forEach(event => {
+                expect(typeof bot[WEBHOOK_EVENTS[event].handler]).toBe('function');
+            });
+        });
+
+        test.each([
+            ['asset.updated', { id: 1, name: 'Laptop', changes: { status: { old: 'Active', new: 'Retired' } } }, 'asset_updated'],
+            ['user.created', { id: 2, username: 'jdoe', company_name: 'Acme' }, 'user_created'],
+            ['company.created', { id: 3, name: 'Acme' }, 'company_created'],
+            ['machine.approved', { id: 4, hostname: 'web-01' }, 'machine_approved']
+        ])('should process %s deliveries', async (eventType, data, channelKey) => {
+            const res = createResponse();
+
+            await bot.handleXTSystemsWebhook({ headers: {}, body: { event_type: eventType, data } }, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(bot.sendWebhookNotification).toHaveBeenCalledWith(channelKey, expect.anything(), data);
+        });
+
+        test('should acknowledge duplicate deliveries without reprocessing them', async () => {
+            const request = { headers: { 'x-xtsystems-delivery': 'd-1' }, body: { event_type: 'user.created', data: { id: 9 } } };
+            const first = createResponse();
+            const retry = createResponse();
+
+            await bot.handleXTSystemsWebhook(request, first);
+            await bot.handleXTSystemsWebhook(request, retry);
+
+            expect(bot.sendWebhookNotification).toHaveBeenCalledTimes(1);
+            expect(retry.status).toHaveBeenCalledWith(200);
+            expect(retry.json).toHaveBeenCalledWith(expect.objectContaining({ duplicate: true }));
+        });
+
+        test('should acknowledge before processing in async mode', async () => {
+            bot.config.webhookAsyncProcessing = true;
+            const res = createResponse();
+
+            await bot.handleXTSystemsWebhook({ headers: {}, body: { event_type: 'company.created', data: { id: 10 } } }, res);
+
+            expect(res.status).toHaveBeenCalledWith(202);
+            await new Promise(resolve => setImmediate(resolve));
+            expect(bot.sendWebhookNotification).toHaveBeenCalledWith('company_created', expect.anything(), { id: 10 });
+        });
+
+        test('should route notifications by event, then category, then default', () => {
+            bot.config.discordWebhookChannels = { asset_created: ['a1'], assets: ['a2'], default: 'd1' };
+
+            expect(bot.getNotificationChannels('asset_created')).toEqual(['a1']);
+            expect(bot.getNotificationChannels('asset_updated')).toEqual(['a2']);
+            expect(bot.getNotificationChannels('user_created')).toEqual(['d1']);
+        });
+    });
+
+    describe('Webhook Registration', () => {
+        const createResponse = () => {
+            const res = { json: jest.fn() };
+            res.status = jest.fn(() => res);
+            return res;
+        };
+
+        test('should reject events that aren\'t a list of event names', async () => {
+            for (const events of ['user.created', { user: true }, [1]]) {
+                const res = createResponse();
+                await bot.registerWebhookInXTSystems({ body: { events } }, res);
+
+                expect(res.status).toHaveBeenCalledWith(400);
+                expect(res.json.mock.calls[0][0].error).toBe('events must be a list of event names');
+            }
+
+            const res = createResponse();
+            await bot.registerWebhookInXTSystems({ body: { events: ['user.created', 'made.up'] } }, res);
+            expect(res.json.mock.calls[0][0]).toMatchObject({ error: 'Unsupported events', details: ['made.up'] });
+        });
+    });
+
+    describe('Webhook Signature Verification', () => {
+        let server;
+        let port;
+
+        const deliver = (body, { secret = 'current-secret', timestamp = String(Math.floor(Date.now() / 1000)), signature } = {}) => new Promise((resolve, reject) => {
+            const request = http.request({
+                host: '127.0.0.1',
+                port,
+                path: bot.config.webhookPath,
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    'x-xtsystems-timestamp': timestamp,
+                    'x-xtsystems-signature': signature || computeSignature(secret, timestamp, body)
+                }
+            }, response => {
+                response.resume();
+                response.on('end', () => resolve(response.statusCode));
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+
+        beforeEach(done => {
+            bot.config.webhookSecret = 'current-secret';
+            bot.config.webhookPreviousSecrets = ['old-secret'];
+            bot.client.user = { displayAvatarURL: () => 'https://example.com/avatar.png' };
+            bot.sendWebhookNotification = jest.fn().mockResolvedValue([]);
+
+            server = bot.app.listen(0, '127.0.0.1', () => {
+                port = server.address().port;
+                done();
+            });
+        });
+
+        afterEach(done => {
+            server.close(done);
+        });
+
+        test('should verify the signature over the raw bytes as sent', async () => {
+            // Spacing and key order differ from what JSON.stringify would produce
+            const body = '{ "data": {"id": 1, "name" : "Acme"},\n  "event_type": "company.created" }';
+
+            expect(await deliver(body)).toBe(200);
+            expect(bot.sendWebhookNotification).toHaveBeenCalled();
+        });
+
+        test('should accept deliveries signed with a previous secret during rotation', async () => {
+            expect(await deliver('{"event_type":"user.created","data":{"id":2}}', { secret: 'old-secret' })).toBe(200);
+        });
+
+        test('should reject invalid signatures and stale timestamps', async () => {
+            const body = '{"event_type":"user.created","data":{"id":3}}';
+
+            expect(await deliver(body, { secret: 'wrong-secret' })).toBe(401);
+            expect(await deliver(body, { signature: 'sha256=short' })).toBe(401);
+            expect(await deliver(body, { timestamp: String(Math.floor(Date.now() / 1000) - 3600) })).toBe(401);
+            expect(bot.sendWebhookNotification).not.toHaveBeenCalled();
+        });
+
+        test('should refuse to start the webhook server with the default secret', () => {
+            bot.config.webhookSecret = 'default-secret';
+            bot.app.listen = jest.fn();
+
+            bot.startWebhookServer();
+
+            expect(bot.app.listen).not.toHaveBeenCalled();
+            expect(bot.webhookServer).toBeUndefined();
+        });
+    });
+
+    describe('GitHub Issue Sync', () => {
+        const repository = { owner: { login: 'DevXT-LLC' }, name: 'xtsystems', full_name: 'DevXT-LLC/xtsystems' };
+        const issue = (changes = {}) => ({
+            number: 42,
+            html_url: 'https://github.com/DevXT-LLC/xtsystems/issues/42',
+            state: 'open',
+            labels: [{ name: 'bug' }],
+            comments: 0,
+            ...changes
+        });
+
+        let server;
+        let port;
+
+        const deliver = (event, body, { secret = 'github-secret', delivery = 'g-1' } = {}) => new Promise((resolve, reject) => {
+            const request = http.request({
+                host: '127.0.0.1',
+                port,
+                path: bot.config.githubWebhookPath,
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    'x-github-event': event,
+                    'x-github-delivery': delivery,
+                    'x-hub-signature-256': computeSignature(secret, body)
+                }
+            }, response => {
+                response.resume();
+                response.on('end', () => resolve(response.statusCode));
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+
+        beforeEach(done => {
+            bot.config.githubWebhookSecrets = ['github-secret'];
+            bot.notificationQueue.enqueue = jest.fn();
+            bot.refreshIssueReport = jest.fn();
+            bot.issueLinks.track({ owner: 'DevXT-LLC', repo: 'xtsystems' }, 42, {
+                channelId: 'c1', messageId: 'm1', reporterId: 'u1', title: 'Crash on upload'
+            }, { labels: ['bug'] });
+
+            server = bot.app.listen(0, '127.0.0.1', () => {
+                port = server.address().port;
+                done();
+            });
+        });
+
+        afterEach(done => {
+            server.close(done);
+        });
+
+        test('should notify the reporter when a linked issue is closed', async () => {
+            const body = JSON.stringify({ action: 'closed', issue: issue({ state: 'closed' }), repository, sender: { login: 'maintainer' } });
+
+            expect(await deliver('issues', body)).toBe(200);
+            expect(await deliver('issues', body)).toBe(200);
+
+            expect(bot.refreshIssueReport).toHaveBeenCalledTimes(1);
+            expect(bot.refreshIssueReport).toHaveBeenCalledWith(expect.objectContaining({ messageId: 'm1' }), expect.objectContaining({ state: 'closed' }));
+            expect(bot.notificationQueue.enqueue).toHaveBeenCalledWith('c1', expect.objectContaining({
+                content: expect.stringContaining('<@u1> 🔒 [#42]'),
+                reply: { messageReference: 'm1', failIfNotExists: false }
+            }), { eventType: 'github.issues.closed' });
+        });
+
+        test('should reject deliveries with an invalid signature', async () => {
+            const body = JSON.stringify({ action: 'closed', issue: issue(), repository });
+
+            expect(await deliver('issues', body, { secret: 'wrong-secret' })).toBe(401);
+            bot.config.githubWebhookSecrets = [];
+            expect(await deliver('issues', body, { delivery: 'g-2' })).toBe(503);
+            expect(bot.refreshIssueReport).not.toHaveBeenCalled();
+        });
+
+        test('should mirror comments but not the ones the bot posted', async () => {
+            await bot.syncGitHubIssueEvent('issue_comment', {
+                action: 'created', issue: issue(), repository, sender: { login: 'maintainer' },
+                comment: { body: 'Fixed in 1.2.3', html_url: 'https://github.com/DevXT-LLC/xtsystems/issues/42#issuecomment-1' }
+            });
+            await bot.syncGitHubIssueEvent('issue_comment', {
+                action: 'created', issue: issue(), repository, sender: { login: 'bot' },
+                comment: { body: 'Closed via Discord\n\n<!-- xtsystems-discord-bot -->', html_url: 'https://github.com/x' }
+            });
+
+            expect(bot.refreshIssueReport).toHaveBeenCalledTimes(2);
+            expect(bot.notificationQueue.enqueue).toHaveBeenCalledTimes(1);
+            expect(bot.notificationQueue.enqueue.mock.calls[0][1].content).toContain('> Fixed in 1.2.3');
+        });
+
+        test('should not announce the labels applied when the issue was created', async () => {
+            const labeled = name => ({ action: 'labeled', label: { name }, issue: issue(), repository, sender: { login: 'maintainer' } });
+
+            await bot.syncGitHubIssueEvent('issues', labeled('bug'));
+            await bot.syncGitHubIssueEvent('issues', labeled('needs-triage'));
+            await bot.syncGitHubIssueEvent('issues', { ...labeled('bug'), issue: issue({ number: 7 }) });
+
+            expect(bot.notificationQueue.enqueue).toHaveBeenCalledTimes(1);
+            expect(bot.notificationQueue.enqueue.mock.calls[0][1].content).toContain('`needs-triage`');
+        });
+    });
+
+    describe('Permissions', () => {
+        const createMember = ({ permissions = [], roles = [] } = {}) => ({
+            permissions: { has: jest.fn(flag => permissions.includes(flag)) },
+            roles: { cache: roles }
+        });
+
+        const createCommand = (commandName, member, userId = 'u1') => ({
+            commandName,
+            member,
+            channelId: 'c1',
+            user: { id: userId, username: 'member' },
+            options: { getString: jest.fn(), getInteger: jest.fn() },
+            reply: jest.fn(),
+            deferReply: jest.fn(),
+            editReply: jest.fn()
+        });
+
+        beforeEach(() => {
+            bot.githubAPI = { closeIssue: jest.fn().mockResolvedValue({}) };
+        });
+
+        test('should fall back to the default Discord permission', async () => {
+            const denied = createCommand('close-issue', createMember());
+            const allowed = createCommand('close-issue', createMember({ permissions: [PermissionFlagsBits.ManageMessages] }));
+
+            await bot.handleSlashCommand(denied);
+            await bot.handleSlashCommand(allowed);
+
+            expect(denied.reply).toHaveBeenCalledWith({ content: '🚫 You do not have permission to close GitHub issues.', ephemeral: true });
+            expect(bot.githubAPI.closeIssue).toHaveBeenCalledTimes(1);
+        });
+
+        test('should keep suggestion and issue-editing buttons to moderators by default', () => {
+            const member = createMember();
+            const moderator = createMember({ permissions: [PermissionFlagsBits.ManageMessages] });
+
+            for (const action of ['suggestions', 'edit-issues']) {
+                expect(bot.permissions.can(action, { member, userId: 'u1' })).toBe(false);
+                expect(bot.permissions.can(action, { member: moderator, userId: 'u1' })).toBe(true);
+            }
+        });
+
+        test('should restrict an action to granted roles and users once it has grants', () => {
+            bot.permissions.grant('close-issue', { roleId: 'triage' });
+            bot.permissions.grant('close-issue', { userId: 'u9' });
+            const moderator = createMember({ permissions: [PermissionFlagsBits.ManageMessages] });
+
+            expect(bot.permissions.can('close-issue', { member: moderator, userId: 'u1' })).toBe(false);
+            expect(bot.permissions.can('close-issue', { member: createMember({ roles: [{ id: 'triage', name: 'Triage' }] }), userId: 'u1' })).toBe(true);
+            expect(bot.permissions.can('close-issue', { member: createMember(), userId: 'u9' })).toBe(true);
+            expect(bot.permissions.can('close-issue', { member: createMember({ permissions: [PermissionFlagsBits.Administrator] }), userId: 'u1' })).toBe(true);
+
+            expect(bot.permissions.revoke('close-issue', { roleId: 'triage' })).toBe(true);
+            expect(bot.permissions.revoke('close-issue', { roleId: 'triage' })).toBe(false);
+            expect(bot.permissions.grants('close-issue')).toEqual({ roles: [], users: ['u9'] });
+        });
+
+        test('should guard suggestion buttons once the action is restricted', async () => {
+            bot.permissions.grant('suggestions', { roleId: 'support' });
+            const interaction = { customId: 'ignore_suggestion_m1', member: createMember(), user: { id: 'u1', username: 'member' }, reply: jest.fn(), deferUpdate: jest.fn() };
+
+            await bot.handleButtonInteraction(interaction);
+
+            expect(interaction.deferUpdate).not.toHaveBeenCalled();
+            expect(interaction.reply).toHaveBeenCalledWith({ content: '🚫 You do not have permission to create or ignore detected suggestions.', ephemeral: true });
+        });
+
+        test('should keep accepting machine approver roles from the environment', () => {
+            bot.config.machineApproverRoles = ['Ops'];
+            bot.permissions.envGrants['machine-approval'] = { roles: bot.config.machineApproverRoles };
+
+            expect(bot.permissions.can('machine-approval', { member: createMember({ roles: [{ id: 'r1', name: 'Ops' }] }), userId: 'u1' })).toBe(true);
+            expect(bot.permissions.can('machine-approval', { member: createMember({ permissions: [PermissionFlagsBits.ManageGuild] }), userId: 'u1' })).toBe(false);
+        });
+    });
+
+    describe('Issue Threads', () => {
+        const repository = { owner: 'DevXT-LLC', repo: 'xtsystems' };
+        const draft = { title: 'Crash on upload', repository, channelId: 'c1', authorId: 'u1', labels: ['bug'] };
+
+        const createLink = () => bot.issueLinks.track(repository, 42, { channelId: 'c1', messageId: 'm1', reporterId: 'u1', title: 'Crash on upload' });
+
+        beforeEach(() => {
+            bot.githubAPI = { createComment: jest.fn().mockResolvedValue({}) };
+            bot.notificationQueue.enqueue = jest.fn();
+            bot.refreshIssueReport = jest.fn();
+        });
+
+        test('should open a thread on the reply for a new issue', async () => {
+            const thread = { id: 't1', send: jest.fn() };
+            const reply = { channel: { isThread: () => false }, startThread: jest.fn().mockResolvedValue(thread) };
+
+            await bot.openIssueThread(createLink(), draft, reply);
+
+            expect(reply.startThread).toHaveBeenCalledWith(expect.objectContaining({ name: '#42 Crash on upload' }));
+            expect(thread.send).toHaveBeenCalled();
+            expect(bot.issueLinks.getByThread('t1')).toMatchObject({ issueNumber: 42, threadId: 't1' });
+        });
+
+        test('should not nest threads when the issue was filed from a thread', async () => {
+            const reply = { channel: { isThread: () => true }, startThread: jest.fn() };
+
+            await bot.openIssueThread(createLink(), draft, reply);
+
+            expect(reply.startThread).not.toHaveBeenCalled();
+        });
+
+        test('should mirror thread messages to GitHub with attribution', async () => {
+            bot.issueLinks.attachThread(createLink(), 't1');
+            bot.analyzeMessageForIssues = jest.fn();
+            const message = {
+                id: 'dm1',
+                url: 'https://discord.com/channels/g1/t1/dm1',
+                content: 'Still happens on 1.2.0',
+                author: { bot: false, username: 'jdoe' },
+                member: { displayName: 'Jane' },
+                channel: { id: 't1' },
+                attachments: new Map([['a1', { name: 'log.txt', url: 'https://cdn.example.com/log.txt' }]]),
+                mentions: { has: () => false }
+            };
+
+            await bot.handleMessage(message);
+
+            expect(bot.githubAPI.createComment).toHaveBeenCalledWith({
+                owner: 'DevXT-LLC',
+                repo: 'xtsystems',
+                issueNumber: 42,
+                body: expect.stringMatching(/^\*\*Jane\*\* wrote on \[Discord\]\(https:\/\/discord\.com\/channels\/g1\/t1\/dm1\):\n\nStill happens on 1\.2\.0\n📎 \[log\.txt\]/)
+            });
+            expect(bot.githubAPI.createComment.mock.calls[0][0].body).toContain('<!-- xtsystems-discord-bot -->');
+            expect(bot.conversationHistory.has('t1')).toBe(false);
+        });
+
+        test('should post GitHub comments into the thread instead of the channel', async () => {
+            bot.issueLinks.attachThread(createLink(), 't1');
+            const payload = comment => ({
+                action: 'created',
+                issue: { number: 42, html_url: 'https://github.com/DevXT-LLC/xtsystems/issues/42', state: 'open', labels: [], comments: 1 },
+                repository: { owner: { login: 'DevXT-LLC' }, name: 'xtsystems', full_name: 'DevXT-LLC/xtsystems' },
+                sender: { login: 'maintainer' },
+                comment: { body: comment, html_url: 'https://github.com/DevXT-LLC/xtsystems/issues/42#issuecomment-2' }
+            });
+
+            await bot.syncGitHubIssueEvent('issue_comment', payload('Can you share the log?'));
+            await bot.syncGitHubIssueEvent('issue_comment', payload('**Jane** wrote on Discord\n\n<!-- xtsystems-discord-bot -->'));
+
+            expect(bot.notificationQueue.enqueue).toHaveBeenCalledTimes(1);
+            expect(bot.notificationQueue.enqueue).toHaveBeenCalledWith('t1', {
+                content: expect.stringContaining('<@u1> 💬 **maintainer** [commented on GitHub]'),
+                allowedMentions: { users: ['u1'] }
+            }, { eventType: 'github.issue_comment.created' });
+        });
+    });
+
+    describe('Analyzer Pipeline', () => {
+        const createCommand = pipeline => ({
+            channelId: 'support',
+            guildId: 'g1',
+            user: { username: 'admin' },
+            options: { getString: () => pipeline },
+            reply: jest.fn()
+        });
+
+        test('should ask the LLM only when keyword rules are inconclusive', async () => {
+            mockAGiXTAPI.analyzeConversation.mockResolvedValue({ shouldCreateIssue: true, issueType: 'bug', confidence: 90 });
+
+            const greeting = await bot.analyzeConversation({ context: '', message: 'hello!' }, { channelId: 'general' });
+            const report = await bot.analyzeConversation({ context: '', message: 'Uploads fail with an error' }, { channelId: 'general' });
+
+            expect(greeting).toMatchObject({ analyzer: 'keyword', shouldCreateIssue: false });
+            expect(report).toMatchObject({ analyzer: 'agixt', confidence: 90 });
+            expect(mockAGiXTAPI.analyzeConversation).toHaveBeenCalledTimes(1);
+        });
+
+        test('should use the channel pipeline, including from threads', async () => {
+            const interaction = createCommand('keyword');
+            await bot.analyzerPipelineCommand(interaction);
+
+            const analysis = await bot.analyzeConversation({ context: '', message: 'Uploads fail with an error' }, { channelId: 'thread-1', parentId: 'support' });
+
+            expect(analysis).toMatchObject({ analyzer: 'keyword', confidence: 60 });
+            expect(mockAGiXTAPI.analyzeConversation).not.toHaveBeenCalled();
+            expect(bot.getAnalyzerPipeline({ channelId: 'general' })).toEqual(['keyword', 'agixt']);
+        });
+
+        test('should reject unknown and unconfigured analyzers', async () => {
+            const unknown = createCommand('keyword,gpt4');
+            const unconfigured = createCommand('openai');
+
+            await bot.analyzerPipelineCommand(unknown);
+            await bot.analyzerPipelineCommand(unconfigured);
+
+            expect(unknown.reply.mock.calls[0][0].content).toContain('Invalid analyzer pipeline');
+            expect(unconfigured.reply.mock.calls[0][0].content).toContain('OPENAI_API_URL');
+            expect(bot.store.getEntry('channelAnalyzers', 'support')).toBeUndefined();
+        });
+    });
+
+    describe('Batched Analysis', () => {
+        const createMessage = (id, content, createdTimestamp) => ({
+            id,
+            content,
+            createdTimestamp,
+            guildId: 'g1',
+            author: { bot: false, username: 'jdoe' },
+            channel: { id: 'busy' },
+            mentions: { has: () => false },
+            reply: jest.fn()
+        });
+
+        beforeEach(() => {
+            bot.config.monitorChannels = ['busy'];
+            bot.config.autoCreateIssues = true;
+            bot.client.user = { displayAvatarURL: () => 'https://example.com/avatar.png' };
+        });
+
+        afterEach(() => bot.analysisScheduler.stop());
+
+        test('should analyze a multi-message report once, replying to its last message', async () => {
+            mockAGiXTAPI.analyzeConversation.mockResolvedValue({ shouldCreateIssue: true, title: 'Export crashes on large files', confidence: 90 });
+            bot.conversationHistory.set('busy', [{ author: 'jdoe', content: 'morning all', timestamp: 1000, messageId: 'm0' }]);
+            const messages = [
+                createMessage('m1', 'export is broken', 2000),
+                createMessage('m2', 'it crashes on files over 10MB', 3000)
+            ];
+
+            await bot.handleMessage(messages[0]);
+            await bot.handleMessage(messages[1]);
+            await bot.analysisScheduler.flush('busy');
+
+            const [context, burst] = mockAGiXTAPI.analyzeConversation.mock.calls[0];
+            expect(context).toBe('jdoe: morning all');
+            expect(burst).toBe('jdoe: export is broken\njdoe: it crashes on files over 10MB');
+            expect(mockAGiXTAPI.analyzeConversation).toHaveBeenCalledTimes(1);
+            expect(messages[1].reply).toHaveBeenCalledTimes(1);
+            expect(messages[0].reply).not.toHaveBeenCalled();
+        });
+
+        test('should not suggest a topic that already has an open suggestion in the channel', async () => {
+            bot.store.setEntry('pendingAnalyses', 'm1', {
+                analysis: { title: 'Export crashes on large files', description: 'Export crashes' },
+                channelId: 'busy',
+                createdAt: Date.now()
+            });
+            const repeat = createMessage('m2', 'export still crashing', 3000);
+            const unrelated = createMessage('m3', 'dark mode please', 4000);
+
+            await bot.suggestIssueCreation(repeat, { shouldCreateIssue: true, title: 'Exports crash for large files', confidence: 85 });
+            await bot.suggestIssueCreation(unrelated, { shouldCreateFeature: true, title: 'Add a dark mode theme', confidence: 85 });
+
+            expect(repeat.reply).not.toHaveBeenCalled();
+            expect(unrelated.reply).toHaveBeenCalledTimes(1);
+            expect(bot.findOpenSuggestion('other-channel', { title: 'Export crashes on large files' })).toBeNull();
+        });
+    });
+
+    describe('Report Attachments', () => {
+        const screenshot = { name: 'crash.png', url: 'https://cdn.example.com/crash.png', contentType: 'image/png', size: 2048 };
+        const log = { name: 'upload.log', url: 'https://cdn.example.com/upload.log', contentType: 'text/plain', size: 64 };
+
+        beforeEach(() => {
+            bot.fetchAttachmentText = jest.fn().mockResolvedValue('TypeError: size is undefined');
+            bot.store.setEntry('pendingAnalyses', 'msg-9', {
+                analysis: { title: 'Upload crashes', description: '', issueType: 'bug', priority: 'high' },
+                channelId: 'c1',
+                guildId: 'g1',
+                reportMessages: [{ messageId: 'msg-9', author: 'jdoe', content: '', attachments: [screenshot, log], embeds: [] }]
+            });
+        });
+
+        test('should keep attachments in the conversation history', async () => {
+            await bot.handleMessage({
+                id: 'm1',
+                content: '',
+                url: 'https://discord.com/channels/g1/c1/m1',
+                author: { bot: false, username: 'jdoe' },
+                channel: { id: 'c1' },
+                attachments: new Map([['a1', screenshot]]),
+                embeds: [],
+                mentions: { has: () => false }
+            });
+
+            expect(bot.conversationHistory.get('c1')[0].attachments).toEqual([screenshot]);
+            expect(bot.formatForAnalysis(bot.conversationHistory.get('c1')[0])).toBe('jdoe: [attached: crash.png]');
+        });
+
+        test('should describe screenshot-only reports in the form and file attachments with a jump link', async () => {
+            const button = { customId: 'create_issue_msg-9', user: { id: 'u1', username: 'jdoe' }, member: { permissions: { has: () => true } }, showModal: jest.fn() };
+            await bot.handleButtonInteraction(button);
+            const descriptionInput = button.showModal.mock.calls[0][0].components[1].toJSON().component;
+            expect(descriptionInput.value).toBe('[attached: crash.png, upload.log]');
+
+            bot.config.duplicateDetection = false;
+            bot.config.issueThreads = false;
+            bot.githubAPI = { createIssue: jest.fn().mockResolvedValue(7) };
+            bot.completeSuggestion = jest.fn();
+            await bot.createIssueFromDraft({
+                title: 'Upload crashes',
+                description: 'Crashes on upload',
+                labels: ['bug'],
+                priority: 'high',
+                author: 'jdoe',
+                repository: { owner: 'DevXT-LLC', repo: 'xtsystems' },
+                reportUrl: 'https://discord.com/channels/g1/c1/msg-9',
+                reportMessages: bot.store.getEntry('pendingAnalyses', 'msg-9').reportMessages
+            });
+
+            const { body } = bot.githubAPI.createIssue.mock.calls[0][0];
+            expect(body).toContain('![crash.png](https://cdn.example.com/crash.png)');
+            expect(body).toContain('TypeError: size is undefined');
+            expect(body).toContain('*[View the report on Discord](https://discord.com/channels/g1/c1/msg-9)*');
+        });
+
+        test('should list attachments in tickets', async () => {
+            bot.xtsystemsAPI = { createTicket: jest.fn().mockResolvedValue({ id: 5 }) };
+            const interaction = {
+                customId: 'create_ticket_msg-9',
+                user: { username: 'helpdesk' },
+                member: { permissions: { has: () => true } },
+                message: { embeds: [{ title: '🤖 Potential Issue Detected' }], edit: jest.fn() },
+                deferReply: jest.fn(),
+                editReply: jest.fn()
+            };
+
+            await bot.handleButtonInteraction(interaction);
+
+            const { description } = bot.xtsystemsAPI.createTicket.mock.calls[0][0];
+            expect(description).toContain('Attachments:');
+            expect(description).toContain('- crash.png (2 KB): https://cdn.example.com/crash.png');
+            expect(description).toContain('Reported on Discord: https://discord.com/channels/g1/c1/msg-9');
+        });
+
+        test('should file one ticket when the button is clicked twice at once', async () => {
+            let resolveTicket;
+            bot.xtsystemsAPI = { createTicket: jest.fn(() => new Promise(resolve => { resolveTicket = resolve; })) };
+            const click = () => ({
+                customId: 'create_ticket_msg-9',
+                user: { username: 'helpdesk' },
+                member: { permissions: { has: () => true } },
+                message: { embeds: [{ title: '🤖 Potential Issue Detected' }], edit: jest.fn() },
+                deferReply: jest.fn(),
+                editReply: jest.fn()
+            });
+            const first = click();
+            const second = click();
+
+            const clicks = Promise.all([bot.handleButtonInteraction(first), bot.handleButtonInteraction(second)]);
+            await new Promise(resolve => setImmediate(resolve));
+            resolveTicket({ id: 5 });
+            await clicks;
+
+            expect(bot.xtsystemsAPI.createTicket).toHaveBeenCalledTimes(1);
+            expect(second.editReply.mock.calls[0][0].content).toContain('Analysis data not found');
+        });
+
+        test('should let the suggestion be retried when the ticket fails', async () => {
+            bot.xtsystemsAPI = { createTicket: jest.fn().mockRejectedValue(new Error('XTSystems is down')) };
+            const interaction = {
+                customId: 'create_ticket_msg-9',
+                user: { username: 'helpdesk' },
+                member: { permissions: { has: () => true } },
+                message: { embeds: [{ title: '🤖 Potential Issue Detected' }], edit: jest.fn() },
+                deferReply: jest.fn(),
+                editReply: jest.fn()
+            };
+
+            await bot.handleButtonInteraction(interaction);
+
+            expect(bot.store.getEntry('pendingAnalyses', 'msg-9')).toBeTruthy();
+        });
+    });
+
+    describe('Message Context Menu', () => {
+        const createDiscordMessage = (id, content, createdTimestamp, username = 'jdoe') => ({
+            id,
+            content,
+            createdTimestamp,
+            url: `https://discord.com/channels/g1/c1/${id}`,
+            author: { bot: false, username },
+            attachments: new Map(),
+            embeds: []
+        });
+
+        const target = {
+            ...createDiscordMessage('m2', 'Export times out after 30s', 2000),
+            channelId: 'c1',
+            channel: {
+                messages: {
+                    fetch: jest.fn().mockResolvedValue(new Map([
+                        ['m3', createDiscordMessage('m3', 'same here with CSV', 3000, 'alex')],
+                        ['m1', createDiscordMessage('m1', 'anyone exporting today?', 1000, 'alex')],
+                        ['m2', createDiscordMessage('m2', 'Export times out after 30s', 2000)],
+                        ['b1', { ...createDiscordMessage('b1', 'bot chatter', 2500), author: { bot: true, username: 'bot' } }]
+                    ]))
+                }
+            }
+        };
+
+        const runCommand = async commandName => {
+            const interaction = {
+                id: 'i1',
+                commandName,
+                guildId: 'g1',
+                targetMessage: target,
+                user: { id: 'u1', username: 'jdoe' },
+                isMessageContextMenuCommand: () => true,
+                deferReply: jest.fn(),
+                editReply: jest.fn()
+            };
+            await bot.handleInteraction(interaction);
+            return interaction;
+        };
+
+        const createButton = customId => ({ customId, user: { id: 'u1', username: 'jdoe' }, showModal: jest.fn(), update: jest.fn(), reply: jest.fn() });
+
+        const createModalSubmit = (customId, values) => ({
+            customId,
+            user: { id: 'u1', username: 'jdoe' },
+            fields: {
+                getTextInputValue: jest.fn(id => values[id]),
+                getStringSelectValues: jest.fn(id => [values[id]])
+            },
+            reply: jest.fn(),
+            deferReply: jest.fn(),
+            editReply: jest.fn().mockResolvedValue({ id: 'reply-1' })
+        });
+
+        beforeEach(() => {
+            bot.config.issueThreads = false;
+            mockAGiXTAPI.analyzeConversation.mockResolvedValue({ shouldCreateIssue: true, title: 'CSV export times out', issueType: 'bug', priority: 'high', confidence: 90 });
+        });
+
+        test('should analyze the selected message with its neighbours as context', async () => {
+            const interaction = await runCommand('Create GitHub issue');
+
+            expect(interaction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+            expect(mockAGiXTAPI.analyzeConversation).toHaveBeenCalledWith('alex: anyone exporting today?\nalex: same here with CSV', 'Export times out after 30s');
+            const [{ embeds, components }] = interaction.editReply.mock.calls[0];
+            expect(embeds[0].data.fields[0]).toEqual({ name: 'Suggested Title', value: 'CSV export times out', inline: false });
+            expect(components[0].components.map(button => button.data.custom_id)).toEqual(['context_review_i1', 'context_surrounding_i1']);
+        });
+
+        test('should open the issue form with the nearby messages once included', async () => {
+            await runCommand('Create GitHub issue');
+            const toggle = createButton('context_surrounding_i1');
+            await bot.handleButtonInteraction(toggle);
+            const review = createButton('context_review_i1');
+            await bot.handleButtonInteraction(review);
+
+            expect(toggle.update.mock.calls[0][0].components[0].components[1].data.label).toBe('Only the Selected Message');
+            const [modal] = review.showModal.mock.calls[0];
+            const { components } = modal.toJSON();
+            expect(modal.data.custom_id).toBe('issue_modal_context_i1');
+            expect(components[0].component.value).toBe('CSV export times out');
+            expect(components[1].component.value).toBe('Export times out after 30s\n\nConversation on Discord:\n' +
+                '> **alex**: anyone exporting today?\n> **jdoe**: Export times out after 30s\n> **alex**: same here with CSV');
+        });
+
+        test('should create the issue with a link to the selected message', async () => {
+            bot.config.duplicateDetection = false;
+            bot.githubAPI = { createIssue: jest.fn().mockResolvedValue(55) };
+            await runCommand('Create GitHub issue');
+
+            const submit = createModalSubmit('issue_modal_context_i1', { title: 'CSV export times out', description: 'Times out', type: 'bug', priority: 'high' });
+            await bot.handleModalSubmit(submit);
+
+            expect(bot.githubAPI.createIssue).toHaveBeenCalledWith(expect.objectContaining({
+                title: 'CSV export times out',
+                labels: ['bug', 'high'],
+                body: expect.stringContaining('*[View the report on Discord](https://discord.com/channels/g1/c1/m2)*')
+            }));
+            expect(bot.store.getEntry('contextReports', 'i1')).toBeUndefined();
+        });
+
+        test('should create a ticket from the ticket form', async () => {
+            bot.xtsystemsAPI = { createTicket: jest.fn().mockResolvedValue({ id: 8, status: 'Open' }) };
+            await runCommand('Create XTSystems ticket');
+
+            const review = createButton('context_review_i1');
+            await bot.handleButtonInteraction(review);
+            expect(review.showModal.mock.calls[0][0].data.custom_id).toBe('ticket_modal_context_i1');
+
+            const submit = createModalSubmit('ticket_modal_context_i1', { title: 'CSV export times out', description: 'Times out', priority: 'critical' });
+            await bot.handleModalSubmit(submit);
+
+            expect(bot.xtsystemsAPI.createTicket).toHaveBeenCalledWith(expect.objectContaining({
+                title: 'CSV export times out',
+                priority: 'Critical',
+                description: expect.stringContaining('Reported on Discord: https://discord.com/channels/g1/c1/m2')
+            }));
+        });
+
+        test('should create one ticket when the ticket form is submitted twice at once', async () => {
+            bot.xtsystemsAPI = { createTicket: jest.fn().mockResolvedValue({ id: 8, status: 'Open' }) };
+            await runCommand('Create XTSystems ticket');
+            const values = { title: 'CSV export times out', description: 'Times out', priority: 'high' };
+            const second = createModalSubmit('ticket_modal_context_i1', values);
+
+            await Promise.all([
+                bot.handleModalSubmit(createModalSubmit('ticket_modal_context_i1', values)),
+                bot.handleModalSubmit(second)
+            ]);
+
+            expect(bot.xtsystemsAPI.createTicket).toHaveBeenCalledTimes(1);
+            expect(second.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringContaining('expired') }));
+        });
+
+        test('should keep the report when the ticket can\'t be created', async () => {
+            bot.xtsystemsAPI = { createTicket: jest.fn().mockRejectedValue(new Error('XTSystems is down')) };
+            await runCommand('Create XTSystems ticket');
+
+            await bot.handleModalSubmit(createModalSubmit('ticket_modal_context_i1', { title: 'CSV export times out', description: 'Times out', priority: 'high' }));
+
+            expect(bot.store.getEntry('contextReports', 'i1')).toBeTruthy();
+        });
+
+        test('should only let the member who ran the command use its buttons', async () => {
+            await runCommand('Create GitHub issue');
+            const other = { ...createButton('context_review_i1'), user: { id: 'u2', username: 'other' } };
+
+            await bot.handleButtonInteraction(other);
+
+            expect(other.showModal).not.toHaveBeenCalled();
+            expect(other.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+        });
+    });
+
+    describe('Conversation History Analysis', () => {
+        const createDiscordMessage = (n, content) => ({
+            id: String(1100000000000000000n + BigInt(n)),
+            content,
+            createdTimestamp: n * 1000,
+            author: { bot: false, username: 'jdoe' },
+            attachments: new Map(),
+            embeds: []
+        });
+
+        const createInteraction = ({ messages, hours, since, fetch } = {}) => ({
+            channel: { id: 'support', messages: { fetch } },
+            channelId: 'support',
+            options: {
+                getInteger: () => messages ?? null,
+                getNumber: () => hours ?? null,
+                getString: () => since ?? null
+            },
+            reply: jest.fn(),
+            deferReply: jest.fn(),
+            editReply: jest.fn()
+        });
+
+        test('should list every distinct finding from fetched history', async () => {
+            const history = [
+                createDiscordMessage(1, 'export crashes on big files'),
+                createDiscordMessage(2, 'also, dark mode would be nice')
+            ];
+            const fetch = jest.fn().mockResolvedValue(new Map(history.map(message => [message.id, message])));
+            mockAGiXTAPI.findIssues.mockResolvedValue([
+                { shouldCreateIssue: true, issueType: 'bug', title: 'Export crashes on large files', confidence: 85 },
+                { shouldCreateFeature: true, issueType: 'enhancement', title: 'Add a dark mode theme', confidence: 75 },
+                { shouldCreateIssue: true, title: 'Maybe slow', confidence: 30 }
+            ]);
+            const interaction = createInteraction({ messages: 10, fetch });
+
+            await bot.analyzeConversationCommand(interaction);
+
+            expect(mockAGiXTAPI.findIssues).toHaveBeenCalledWith('jdoe: export crashes on big files\njdoe: also, dark mode would be nice');
+            const embed = interaction.editReply.mock.calls[0][0].embeds[0].toJSON();
+            expect(embed.description).toMatch(/^Analyzed 2 messages from <t:1:f> to <t:2:f>$/);
+            expect(embed.fields.map(field => field.name)).toEqual([
+                '1. 🐛 Issue: Export crashes on large files',
+                '2. ✨ Feature: Add a dark mode theme'
+            ]);
+            expect(embed.fields[0].value).toContain('85% · agixt');
+        });
+
+        test('should fall back to the in-memory history when Discord refuses the fetch', async () => {
+            bot.conversationHistory.set('support', [
+                { author: 'jdoe', content: 'old', timestamp: 1000, messageId: '1100000000000000001' },
+                { author: 'jdoe', content: 'login is broken', timestamp: 2000, messageId: '1100000000000000002' }
+            ]);
+            mockAGiXTAPI.findIssues.mockResolvedValue([]);
+            const interaction = createInteraction({ since: '1100000000000000002', fetch: jest.fn().mockRejectedValue(new Error('Missing Access')) });
+
+            await bot.analyzeConversationCommand(interaction);
+
+            expect(mockAGiXTAPI.findIssues).toHaveBeenCalledWith('jdoe: login is broken');
+            expect(interaction.editReply.mock.calls[0][0].embeds[0].toJSON().fields[0].name).toBe('Result');
+        });
+
+        test('should reject a since value that is not a message', async () => {
+            const interaction = createInteraction({ since: 'last week' });
+
+            await bot.analyzeConversationCommand(interaction);
+
+            expect(interaction.reply.mock.calls[0][0].content).toContain('message ID or a message link');
+            expect(interaction.deferReply).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Digests', () => {
+        const createCommand = (subcommand, options = {}) => ({
+            channelId: 'reports',
+            guildId: 'g1',
+            user: { username: 'admin' },
+            options: {
+                getSubcommand: () => subcommand,
+                getChannel: () => null,
+                getString: name => options[name] ?? null,
+                getBoolean: name => options[name] ?? null
+            },
+            reply: jest.fn(),
+            deferReply: jest.fn(),
+            editReply: jest.fn()
+        });
+
+        beforeEach(() => {
+            bot.digestScheduler.cronSchedule = jest.fn(() => ({ stop: jest.fn() }));
+        });
+
+        afterEach(() => bot.digestScheduler.stop());
+
+        test('should schedule, change and turn off a channel digest', async () => {
+            await bot.digestCommand(createCommand('schedule', { frequency: 'weekly', time: '8:30', weekday: 'friday' }));
+            await bot.digestCommand(createCommand('contents', { tickets: false, alerts: false }));
+
+            expect(bot.store.getEntry('digests', 'reports')).toMatchObject({
+                guildId: 'g1',
+                frequency: 'weekly',
+                time: '08:30',
+                weekday: 'friday',
+                sections: ['issues', 'suggestions']
+            });
+            expect(bot.digestScheduler.cronSchedule.mock.calls[0][0]).toBe('30 8 * * 5');
+
+            const invalid = createCommand('schedule', { frequency: 'daily', time: 'noon' });
+            await bot.digestCommand(invalid);
+            expect(invalid.reply.mock.calls[0][0].content).toContain('time of day');
+
+            await bot.digestCommand(createCommand('off'));
+            expect(bot.store.getEntry('digests', 'reports')).toBeUndefined();
+            expect(bot.digestScheduler.tasks.size).toBe(0);
+        });
+
+        test('should only offer text channels and say when issue counts are capped', async () => {
+            const put = jest.spyOn(REST.prototype, 'put').mockResolvedValue([]);
+            await bot.registerCommands();
+            const digest = put.mock.calls[0][1].body.find(command => command.name === 'digest').toJSON();
+            put.mockRestore();
+            const channelOptions = digest.options.flatMap(subcommand => subcommand.options.filter(option => option.name === 'channel'));
+            expect(channelOptions.map(option => option.channel_types)).toEqual(Array(4).fill([0, 5, 11, 12, 10]));
+
+            const now = Date.now();
+            mockGitHubAPI.listIssues.mockResolvedValue(Array.from({ length: 500 }, (_, index) => ({
+                number: index + 1, title: 'Bug', html_url: 'https://github.com/acme/app/issues/1', state: 'open', created_at: new Date(now).toISOString()
+            })));
+
+            const summary = await bot.describeIssueActivity('g1', now - 3600000);
+
+            expect(summary.split('\n')[0]).toMatch(/: 500 opened, 0 closed \(counted from the first 500 issues updated\)$/);
+        });
+
+        test('should post a digest on demand covering every section', async () => {
+            const now = Date.now();
+            mockGitHubAPI.listIssues.mockResolvedValue([
+                { number: 7, title: 'Export crashes', html_url: 'https://github.com/acme/app/issues/7', state: 'open', created_at: new Date(now - 3600000).toISOString() },
+                { number: 3, title: 'Old bug', html_url: 'https://github.com/acme/app/issues/3', state: 'closed', created_at: '2020-01-01T00:00:00Z', closed_at: new Date(now - 7200000).toISOString() }
+            ]);
+            mockXTSystemsAPI.listTickets.mockResolvedValue([
+                { id: 11, title: 'Server down', priority: 'Critical' },
+                { id: 12, title: 'Printer', priority: 'Low' }
+            ]);
+            bot.activityLog.recordAlert({ alertType: 'disk_space', severity: 'High', message: 'Disk 95% full' });
+            bot.activityLog.recordSuggestion('s1', { channelId: 'reports', guildId: 'g1', title: 'Crash' });
+            bot.activityLog.recordSuggestion('s2', { channelId: 'reports', guildId: 'g1', title: 'Dark mode' });
+            bot.activityLog.resolveSuggestion('s1', 'accepted');
+            bot.activityLog.resolveSuggestion('s2', 'ignored');
+            const enqueue = jest.spyOn(bot.notificationQueue, 'enqueue').mockReturnValue({ id: 'n1' });
+
+            await bot.digestCommand(createCommand('now'));
+
+            expect(mockGitHubAPI.listIssues).toHaveBeenCalledWith(expect.objectContaining({ state: 'all', since: expect.any(String) }));
+            expect(mockXTSystemsAPI.listTickets).toHaveBeenCalledWith({ status: 'open' });
+            const [channelId, payload, { eventType }] = enqueue.mock.calls[0];
+            expect([channelId, eventType]).toEqual(['reports', 'digest']);
+            const [embed] = payload.embeds;
+            expect(embed.title).toBe('📰 Daily Digest');
+            const fields = Object.fromEntries(embed.fields.map(field => [field.name, field.value]));
+            expect(fields['📋 GitHub Issues']).toContain('1 opened, 1 closed');
+            expect(fields['📋 GitHub Issues']).toContain('🆕 [#7](https://github.com/acme/app/issues/7) Export crashes');
+            expect(fields['🎫 Open Tickets']).toMatch(/^Critical: 1 · Low: 1\n• #11 Server down/);
+            expect(fields['🚨 Alerts']).toContain('**disk_space** (High): Disk 95% full');
+            expect(fields['🤖 Suggestions']).toContain('Accepted: 1 · Ignored: 1');
+        });
+
+        test('should note a section that fails without dropping the digest', async () => {
+            mockXTSystemsAPI.listTickets.mockRejectedValue(new Error('XTSystems API error (503): maintenance'));
+            jest.spyOn(bot.notificationQueue, 'enqueue').mockReturnValue({ id: 'n1' });
+
+            const embed = (await bot.buildDigestEmbed({ guildId: 'g1', sections: ['tickets', 'alerts'] }, { since: 0, until: Date.now(), period: 'weekly' })).toJSON();
+
+            expect(embed.fields.map(field => field.value)).toEqual(['⚠️ Could not load: XTSystems API error (503): maintenance', 'No alerts']);
+        });
+    });
+
+    describe('Stale Reminders', () => {
+        const DAY = 24 * 60 * 60 * 1000;
+        const now = Date.parse('2026-10-19T09:00:00Z');
+        const repository = { owner: 'acme', repo: 'app' };
+
+        beforeEach(() => {
+            bot.config.staleIssueDays = 14;
+            bot.config.unattendedTicketDays = 3;
+            bot.issueLinks.track(repository, 7, { channelId: 'support', messageId: 'm7', reporterId: 'u1', title: 'Export crashes' });
+            bot.issueLinks.track(repository, 8, { channelId: 'support', messageId: 'm8', reporterId: 'u2', title: 'Fresh' });
+        });
+
+        const issue = (number, updatedAt, labels = []) => ({
+            number,
+            title: `Issue ${number}`,
+            html_url: `https://github.com/acme/app/issues/${number}`,
+            state: 'open',
+            updated_at: new Date(updatedAt).toISOString(),
+            labels: labels.map(name => ({ name }))
+        });
+
+        const createButton = (customId) => ({
+            customId,
+            user: { id: 'admin', username: 'admin' },
+            member: { permissions: { has: () => true } },
+            message: { embeds: [{ title: '⏰ Stale Issue' }], edit: jest.fn() },
+            deferReply: jest.fn(),
+            editReply: jest.fn(),
+            reply: jest.fn()
+        });
+
+        test('should remind about stale issues and unattended tickets once per period', async () => {
+            mockGitHubAPI.getIssue.mockImplementation(async ({ issueNumber }) =>
+                issueNumber === 7 ? issue(7, now - 20 * DAY) : issue(8, now - DAY));
+            bot.ticketLinks.track(42, { channelId: 'helpdesk', messageId: 'm42', reporterId: 'u3', title: 'Printer', priority: 'Low' });
+            bot.ticketLinks.update(bot.ticketLinks.get(42), { createdAt: now - 4 * DAY });
+            bot.ticketLinks.track(43, { channelId: 'helpdesk', title: 'Answered' });
+            mockXTSystemsAPI.getTicket.mockImplementation(async id => id === '42'
+                ? { id: 42, title: 'Printer', status: 'Open', priority: 'Low', notes: [] }
+                : { id: 43, status: 'Open', notes: [{ content: 'On it' }] });
+            const enqueue = jest.spyOn(bot.notificationQueue, 'enqueue').mockReturnValue({ id: 'n1' });
+
+            expect(await bot.sendReminders(now)).toBe(2);
+            expect(await bot.sendReminders(now + DAY)).toBe(0);
+
+            const [[issueChannel, issuePayload, { eventType }], [ticketChannel, ticketPayload]] = enqueue.mock.calls;
+            expect([issueChannel, eventType]).toEqual(['support', 'reminder.issue']);
+            expect(issuePayload).toMatchObject({ content: '<@u1>', allowedMentions: { users: ['u1'] }, reply: { messageReference: 'm7' } });
+            expect(issuePayload.embeds[0].description).toContain('no activity on GitHub for 20 days');
+            const customIds = issuePayload.components[0].components.map(button => button.custom_id);
+            const reminderId = customIds[0].replace('reminder_close_', '');
+            expect(customIds).toEqual([`reminder_close_${reminderId}`, `reminder_bump_${reminderId}`, `reminder_snooze_${reminderId}`]);
+            expect(bot.store.getEntry('reminders', reminderId)).toMatchObject({ kind: 'issue', ref: 'acme/app#7' });
+            expect(ticketChannel).toBe('helpdesk');
+            expect(ticketPayload.embeds[0].title).toBe('⏰ Unattended Ticket');
+            expect(bot.ticketLinks.get(43)).toBeNull();
+        });
+
+        test('should skip issue links without reports', async () => {
+            bot.config.unattendedTicketDays = 0;
+            bot.issueLinks.update(bot.issueLinks.get(repository, 7), { reports: [] });
+            bot.issueLinks.update(bot.issueLinks.get(repository, 8), { reports: undefined });
+            const enqueue = jest.spyOn(bot.notificationQueue, 'enqueue');
+
+            expect(await bot.sendReminders(now)).toBe(0);
+            expect(mockGitHubAPI.getIssue).not.toHaveBeenCalled();
+            expect(enqueue).not.toHaveBeenCalled();
+        });
+
+        test('should keep reminder button IDs short for long repository names', async () => {
+            const longRepository = { owner: 'a-very-long-organization-name-for-testing', repo: 'an-equally-long-repository-name-for-testing' };
+            bot.config.unattendedTicketDays = 0;
+            bot.store.delete('issueLinks');
+            bot.issueLinks.track(longRepository, 123456, { channelId: 'support', messageId: 'm1', reporterId: 'u1', title: 'Long' });
+            mockGitHubAPI.getIssue.mockResolvedValue(issue(123456, now - 20 * DAY));
+            const enqueue = jest.spyOn(bot.notificationQueue, 'enqueue').mockReturnValue({ id: 'n1' });
+
+            await bot.sendReminders(now);
+
+            const customIds = enqueue.mock.calls[0][1].components[0].components.map(button => button.custom_id);
+            expect(customIds.every(customId => customId.length <= 100)).toBe(true);
+        });
+
+        test('should ping the configured role instead of reporters', async () => {
+            bot.config.reminderRoleId = 'triage';
+            bot.config.unattendedTicketDays = 0;
+            mockGitHubAPI.getIssue.mockResolvedValue(issue(7, now - 20 * DAY));
+            const enqueue = jest.spyOn(bot.notificationQueue, 'enqueue').mockReturnValue({ id: 'n1' });
+
+            await bot.sendReminders(now);
+
+            expect(enqueue.mock.calls[0][1]).toMatchObject({ content: '<@&triage>', allowedMentions: { roles: ['triage'] } });
+        });
+
+        test('should bump, snooze and close from the reminder buttons', async () => {
+            mockGitHubAPI.getIssue.mockResolvedValue(issue(7, now - 20 * DAY, ['bug', 'high']));
+
+            const issueReminder = bot.rememberReminder('issue', 'acme/app#7');
+            const bump = createButton(`reminder_bump_${issueReminder}`);
+            await bot.handleButtonInteraction(bump);
+            expect(mockGitHubAPI.removeLabel).toHaveBeenCalledWith({ ...repository, issueNumber: 7, label: 'high' });
+            expect(mockGitHubAPI.addLabels).toHaveBeenCalledWith({ ...repository, issueNumber: 7, labels: ['critical'] });
+            expect(bump.editReply.mock.calls[0][0].content).toContain('to critical priority');
+            expect(bump.message.edit.mock.calls[0][0].components).toEqual([]);
+
+            await bot.handleButtonInteraction(createButton(`reminder_snooze_${issueReminder}`));
+            expect(bot.issueLinks.get(repository, 7).snoozedUntil).toBeGreaterThan(Date.now() + 6 * DAY);
+
+            bot.ticketLinks.track(42, { channelId: 'helpdesk', title: 'Printer' });
+            await bot.handleButtonInteraction(createButton(`reminder_close_${bot.rememberReminder('ticket', '42')}`));
+            expect(mockXTSystemsAPI.updateTicket).toHaveBeenCalledWith('42', { status: 'Closed' });
+            expect(bot.ticketLinks.get(42)).toBeNull();
+        });
+
+        test('should let reporters use their own reminder without the reminders permission', async () => {
+            const reminderId = bot.rememberReminder('issue', 'acme/app#7', ['u1']);
+            const withoutPermission = (userId) => ({
+                ...createButton(`reminder_snooze_${reminderId}`),
+                user: { id: userId, username: userId },
+                member: { permissions: { has: () => false }, roles: { cache: new Map() } }
+            });
+            const stranger = withoutPermission('u9');
+            const reporter = withoutPermission('u1');
+
+            await bot.handleButtonInteraction(stranger);
+            expect(stranger.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringContaining('🚫') }));
+            expect(bot.issueLinks.get(repository, 7).snoozedUntil).toBeUndefined();
+
+            await bot.handleButtonInteraction(reporter);
+            expect(reporter.reply).not.toHaveBeenCalled();
+            expect(bot.issueLinks.get(repository, 7).snoozedUntil).toBeGreaterThan(Date.now());
+        });
+
+        test('should say when a reminder is no longer followed up', async () => {
+            const unknown = createButton('reminder_close_0123456789abcdef');
+            await bot.handleButtonInteraction(unknown);
+
+            expect(unknown.editReply).toHaveBeenCalledWith({ content: 'This issue or ticket is no longer being followed up.' });
+            expect(mockGitHubAPI.closeIssue).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Issue Listing', () => {
+        const issues = count => Array.from({ length: count }, (_, index) => ({
+            number: index + 1,
+            title: `Issue ${index + 1}`,
+            html_url: `https://github.com/acme/app/issues/${index + 1}`,
+            state: 'open',
+            labels: [{ name: 'bug' }],
+            assignees: []
+        }));
+
+        const createInteraction = ({ strings = {}, limit = null, compact = null } = {}) => ({
+            id: 'list1',
+            channelId: 'support',
+            options: {
+                getString: name => strings[name] ?? null,
+                getInteger: () => limit,
+                getBoolean: () => compact
+            },
+            deferReply: jest.fn(),
+            editReply: jest.fn()
+        });
+
+        const createButton = (customId) => ({
+            customId,
+            user: { id: 'u1', username: 'member' },
+            member: { permissions: { has: () => true } },
+            deferUpdate: jest.fn(),
+            editReply: jest.fn(),
+            followUp: jest.fn(),
+            reply: jest.fn()
+        });
+
+        test('should pass filters to the search and page through results', async () => {
+            mockGitHubAPI.searchIssues.mockResolvedValue({ total: 23, issues: issues(10) });
+            const interaction = createInteraction({ strings: { state: 'all', label: 'bug', assignee: '@octocat', search: 'crash' } });
+
+            await bot.listIssuesCommand(interaction);
+
+            expect(mockGitHubAPI.searchIssues).toHaveBeenCalledWith(expect.objectContaining({
+                state: 'all', label: 'bug', assignee: 'octocat', text: 'crash', page: 1, perPage: 10
+            }));
+            const reply = interaction.editReply.mock.calls[0][0];
+            expect(reply.embeds[0].data.fields).toHaveLength(10);
+            expect(reply.embeds[0].data.description).toBe('Filters: state: all · label: bug · assignee: octocat · "crash"');
+            expect(reply.embeds[0].data.footer.text).toBe('Page 1 of 3');
+            const [previous, next] = reply.components[0].components.map(button => button.data);
+            expect([previous.custom_id, previous.disabled]).toEqual(['issues_page_list1_0', true]);
+            expect([next.custom_id, next.disabled]).toEqual(['issues_page_list1_2', false]);
+
+            mockGitHubAPI.searchIssues.mockResolvedValue({ total: 23, issues: issues(3) });
+            const button = createButton('issues_page_list1_3');
+            await bot.handleButtonInteraction(button);
+
+            expect(button.deferUpdate).toHaveBeenCalled();
+            expect(mockGitHubAPI.searchIssues).toHaveBeenLastCalledWith(expect.objectContaining({ label: 'bug', page: 3 }));
+            const page = button.editReply.mock.calls[0][0];
+            expect(page.embeds[0].data.footer.text).toBe('Page 3 of 3');
+            expect(page.components[0].components[1].data.disabled).toBe(true);
+        });
+
+        test('should refuse assignees and authors that aren\'t GitHub logins', async () => {
+            const interaction = { ...createInteraction({ strings: { author: 'jdoe repo:acme/private' } }), reply: jest.fn() };
+
+            await bot.listIssuesCommand(interaction);
+
+            expect(interaction.reply).toHaveBeenCalledWith({ content: '❌ `author` must be a GitHub username.', ephemeral: true });
+            expect(mockGitHubAPI.searchIssues).not.toHaveBeenCalled();
+        });
+
+        test('should use one line per issue for long pages', async () => {
+            mockGitHubAPI.searchIssues.mockResolvedValue({ total: 25, issues: issues(25) });
+            const interaction = createInteraction({ limit: 25 });
+
+            await bot.listIssuesCommand(interaction);
+
+            const { embeds, components } = interaction.editReply.mock.calls[0][0];
+            expect(embeds[0].data.fields).toBeUndefined();
+            expect(embeds[0].data.description.split('\n')).toHaveLength(25);
+            expect(embeds[0].data.description).toContain('🟢 [#1](https://github.com/acme/app/issues/1) Issue 1 · bug');
+            expect(components).toEqual([]);
+            expect(bot.store.getEntry('issueListings', 'list1')).toBeUndefined();
+        });
+
+        test('should say when nothing matches and when a listing has expired', async () => {
+            mockGitHubAPI.searchIssues.mockResolvedValue({ total: 0, issues: [] });
+            const interaction = createInteraction({ strings: { author: 'jdoe' } });
+
+            await bot.listIssuesCommand(interaction);
+            expect(interaction.editReply.mock.calls[0][0].content).toMatch(/^No issues found in .* matching author: jdoe\.$/);
+
+            const button = createButton('issues_page_gone_2');
+            await bot.handleButtonInteraction(button);
+            expect(button.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringContaining('expired') }));
+            expect(button.deferUpdate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Issue View', () => {
+        let ref;
+        const issue = (changes = {}) => ({
+            number: 7,
+            title: 'Export crashes',
+            html_url: 'https://github.com/acme/app/issues/7',
+            state: 'open',
+            body: 'Steps to reproduce',
+            labels: [{ name: 'bug' }],
+            assignees: [],
+            user: { login: 'jdoe' },
+            comments: 0,
+            created_at: '2026-10-01T09:00:00Z',
+            ...changes
+        });
+
+        beforeEach(() => {
+            bot.config.repoOwner = 'acme';
+            bot.config.repoName = 'app';
+            mockGitHubAPI.getIssue.mockResolvedValue(issue());
+            ref = bot.rememberIssueView({ owner: 'acme', repo: 'app' }, 7);
+        });
+
+        const createButton = (customId) => ({
+            customId,
+            user: { id: 'u1', username: 'member' },
+            member: { permissions: { has: () => true } },
+            showModal: jest.fn(),
+            deferUpdate: jest.fn(),
+            editReply: jest.fn(),
+            followUp: jest.fn(),
+            reply: jest.fn()
+        });
+
+        const createModal = (customId, fields) => ({
+            customId,
+            user: { id: 'u1', username: 'member' },
+            fields: {
+                getTextInputValue: name => fields[name],
+                getField: name => typeof fields[name] === 'string' ? { value: fields[name] } : { values: fields[name] }
+            },
+            deferUpdate: jest.fn(),
+            editReply: jest.fn(),
+            followUp: jest.fn(),
+            reply: jest.fn()
+        });
+
+        test('should show the issue with its latest comments and actions', async () => {
+            mockGitHubAPI.getIssue.mockResolvedValue(issue({ comments: 5 }));
+            mockGitHubAPI.listComments.mockResolvedValue([
+                { body: 'Seen on 2.1 too', user: { login: 'alice' }, created_at: '2026-10-02T09:00:00Z' },
+                { body: 'Looking into it', user: { login: 'bob' }, created_at: '2026-10-03T09:00:00Z' }
+            ]);
+            const interaction = {
+                channelId: 'support',
+                options: { getSubcommand: () => 'view', getInteger: () => 7 },
+                deferReply: jest.fn(),
+                editReply: jest.fn()
+            };
+
+            await bot.issueCommand(interaction);
+
+            expect(mockGitHubAPI.listComments).toHaveBeenCalledWith(expect.objectContaining({ owner: 'acme', repo: 'app', issueNumber: 7, total: 5, limit: 3 }));
+            const { embeds, components } = interaction.editReply.mock.calls[0][0];
+            expect(embeds[0].data).toMatchObject({ title: '#7 - Export crashes', description: 'Steps to reproduce' });
+            expect(embeds[0].data.fields.map(field => field.value)).toEqual(expect.arrayContaining(['🟢 Open', 'bug', 'Unassigned']));
+            expect(embeds[0].data.fields[3].value).toMatch(/^\*\*alice\*\* <t:\d+:R>: Seen on 2.1 too\n\*\*bob\*\*/);
+            expect(components[0].components.map(button => button.data.custom_id)).toEqual([
+                `issue_comment_${ref}`, `issue_close_${ref}`, `issue_assign_${ref}`, `issue_label_${ref}`
+            ]);
+        });
+
+        test('should keep custom IDs short for long repository names and expire unknown views', async () => {
+            const repository = { owner: 'o'.repeat(39), repo: 'r'.repeat(100) };
+            const viewId = bot.rememberIssueView(repository, 123456);
+
+            expect(`issue_comment_modal_${viewId}`.length).toBeLessThanOrEqual(100);
+            expect(bot.store.getEntry('issueViews', viewId)).toMatchObject({ ...repository, issueNumber: 123456 });
+
+            const button = createButton('issue_close_0123456789abcdef');
+            await bot.handleButtonInteraction(button);
+            const modal = createModal('issue_comment_modal_0123456789abcdef', { comment: 'Hello' });
+            await bot.handleModalSubmit(modal);
+
+            expect(button.reply.mock.calls[0][0].content).toContain('expired');
+            expect(modal.reply.mock.calls[0][0].content).toContain('expired');
+            expect(mockGitHubAPI.closeIssue).not.toHaveBeenCalled();
+            expect(mockGitHubAPI.createComment).not.toHaveBeenCalled();
+        });
+
+        test('should close and comment, then redraw the view', async () => {
+            mockGitHubAPI.getIssue.mockResolvedValue(issue({ state: 'closed', state_reason: 'completed' }));
+            const button = createButton(`issue_close_${ref}`);
+
+            await bot.handleButtonInteraction(button);
+
+            expect(mockGitHubAPI.closeIssue).toHaveBeenCalledWith(expect.objectContaining({
+                owner: 'acme', repo: 'app', issueNumber: 7, comment: expect.stringContaining('Closed via Discord by member')
+            }));
+            expect(button.editReply.mock.calls[0][0].components[0].components[1].data.custom_id).toBe(`issue_reopen_${ref}`);
+
+            const modal = createModal(`issue_comment_modal_${ref}`, { comment: 'Fixed in 2.2' });
+            await bot.handleModalSubmit(modal);
+            expect(mockGitHubAPI.createComment.mock.calls[0][0].body).toMatch(/^\*\*member\*\* commented via Discord:\n\nFixed in 2.2/);
+            expect(modal.editReply).toHaveBeenCalled();
+        });
+
+        test('should ask for a GitHub username once before assigning', async () => {
+            mockGitHubAPI.canBeAssigned.mockResolvedValue(true);
+            await bot.handleButtonInteraction(createButton(`issue_assign_${ref}`));
+            expect(mockGitHubAPI.addAssignees).not.toHaveBeenCalled();
+
+            await bot.handleModalSubmit(createModal(`issue_account_modal_${ref}`, { username: 'not a name' }));
+            await bot.handleModalSubmit(createModal(`issue_account_modal_${ref}`, { username: '@octocat' }));
+            expect(bot.githubAccounts.get('u1')).toBe('octocat');
+
+            const button = createButton(`issue_assign_${ref}`);
+            await bot.handleButtonInteraction(button);
+
+            expect(button.showModal).not.toHaveBeenCalled();
+            expect(mockGitHubAPI.addAssignees).toHaveBeenCalledTimes(2);
+            expect(mockGitHubAPI.addAssignees).toHaveBeenLastCalledWith({ owner: 'acme', repo: 'app', issueNumber: 7, assignees: ['octocat'] });
+        });
+
+        test('should not remember a GitHub username that can\'t be assigned', async () => {
+            mockGitHubAPI.canBeAssigned.mockResolvedValue(false);
+            const modal = createModal(`issue_account_modal_${ref}`, { username: 'ghost-user' });
+
+            await bot.handleModalSubmit(modal);
+
+            expect(mockGitHubAPI.canBeAssigned).toHaveBeenCalledWith({ owner: 'acme', repo: 'app', login: 'ghost-user' });
+            expect(bot.githubAccounts.get('u1')).toBeNull();
+            expect(mockGitHubAPI.addAssignees).not.toHaveBeenCalled();
+            expect(modal.followUp.mock.calls[0][0].content).toContain('ghost-user is not a GitHub user who can be assigned issues in acme/app');
+        });
+
+        test('should only add labels the repository has', async () => {
+            mockGitHubAPI.listLabels.mockResolvedValue([{ name: 'bug' }, { name: 'Docs' }]);
+            const button = createButton(`issue_label_${ref}`);
+
+            await bot.handleButtonInteraction(button);
+            expect(button.showModal.mock.calls[0][0].data.custom_id).toBe(`issue_label_modal_${ref}`);
+
+            await bot.handleModalSubmit(createModal(`issue_label_modal_${ref}`, { labels: ['Docs'] }));
+            expect(mockGitHubAPI.addLabels).toHaveBeenCalledWith({ owner: 'acme', repo: 'app', issueNumber: 7, labels: ['Docs'] });
+
+            const unknown = createModal(`issue_label_modal_${ref}`, { labels: 'docs, wontfix' });
+            await bot.handleModalSubmit(unknown);
+            expect(unknown.reply.mock.calls[0][0].content).toContain('`wontfix`');
+            expect(mockGitHubAPI.addLabels).toHaveBeenCalledTimes(1);
+            expect(mockGitHubAPI.listLabels).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Issue Editing', () => {
+        beforeEach(() => {
+            bot.config.repoOwner = 'acme';
+            bot.config.repoName = 'app';
+            mockGitHubAPI.listLabels.mockResolvedValue([{ name: 'bug' }, { name: 'Documentation' }, { name: 'good first issue' }]);
+        });
+
+        const createCommand = (commandName, { subcommand, strings = {}, number = 7 } = {}) => ({
+            commandName,
+            channelId: 'support',
+            user: { id: 'u1', username: 'member' },
+            member: { displayName: 'Member', permissions: { has: () => true } },
+            options: {
+                getSubcommand: () => subcommand,
+                getInteger: () => number,
+                getString: name => strings[name] ?? null
+            },
+            deferReply: jest.fn(),
+            editReply: jest.fn(),
+            reply: jest.fn()
+        });
+
+        test('should suggest the repository\'s labels', async () => {
+            const interaction = {
+                commandName: 'label-issue',
+                channelId: 'support',
+                isAutocomplete: () => true,
+                options: { getFocused: () => ({ name: 'label', value: 'DOC' }) },
+                respond: jest.fn()
+            };
+
+            await bot.handleInteraction(interaction);
+
+            expect(mockGitHubAPI.listLabels).toHaveBeenCalledWith(expect.objectContaining({ owner: 'acme', repo: 'app' }));
+            expect(interaction.respond).toHaveBeenCalledWith([{ name: 'Documentation', value: 'Documentation' }]);
+        });
+
+        test('should add and remove only labels the repository has, with an attributed comment', async () => {
+            mockGitHubAPI.removeLabel.mockResolvedValue(false);
+            const add = createCommand('label-issue', { subcommand: 'add', strings: { label: 'documentation' } });
+            const remove = createCommand('label-issue', { subcommand: 'remove', strings: { label: 'bug' } });
+            const unknown = createCommand('label-issue', { subcommand: 'add', strings: { label: 'wontfix' } });
+
+            await bot.handleSlashCommand(add);
+            await bot.handleSlashCommand(remove);
+            await bot.handleSlashCommand(unknown);
+
+            expect(mockGitHubAPI.addLabels).toHaveBeenCalledWith(expect.objectContaining({ issueNumber: 7, labels: ['Documentation'] }));
+            expect(mockGitHubAPI.createComment).toHaveBeenCalledTimes(1);
+            expect(mockGitHubAPI.createComment.mock.calls[0][0].body).toMatch(/^Labels added `Documentation` via Discord by member/);
+            expect(remove.editReply.mock.calls[0][0].embeds[0].data.description).toBe('Issue #7 doesn\'t have the `bug` label.');
+            expect(unknown.editReply).toHaveBeenCalledWith({ content: '❌ acme/app has no label named `wontfix`.' });
+        });
+
+        test('should assign the linked account unless another user is named', async () => {
+            const unlinked = createCommand('assign-issue');
+            await bot.handleSlashCommand(unlinked);
+            expect(unlinked.reply.mock.calls[0][0].content).toContain('doesn\'t know your GitHub username');
+
+            bot.githubAccounts.link('u1', 'octocat');
+            await bot.handleSlashCommand(createCommand('assign-issue'));
+            await bot.handleSlashCommand(createCommand('assign-issue', { strings: { 'github-user': '@hubot' } }));
+
+            expect(mockGitHubAPI.addAssignees.mock.calls.map(([call]) => call.assignees)).toEqual([['octocat'], ['hubot']]);
+            expect(mockGitHubAPI.createComment.mock.calls[1][0].body).toMatch(/^Assigned to @hubot via Discord by member/);
+        });
+
+        test('should comment and reopen on behalf of the member', async () => {
+            const comment = createCommand('comment-issue', { strings: { comment: 'Still happens on 2.2' } });
+            const reopen = createCommand('reopen-issue');
+
+            await bot.handleSlashCommand(comment);
+            await bot.handleSlashCommand(reopen);
+
+            expect(mockGitHubAPI.createComment.mock.calls[0][0]).toMatchObject({
+                owner: 'acme', repo: 'app', issueNumber: 7, body: expect.stringMatching(/^\*\*Member\*\* commented via Discord:\n\nStill happens on 2.2/)
+            });
+            expect(mockGitHubAPI.reopenIssue).toHaveBeenCalledWith(expect.objectContaining({
+                issueNumber: 7, comment: expect.stringContaining('Reopened via Discord by member')
+            }));
+            expect(reopen.editReply.mock.calls[0][0].embeds[0].data.title).toBe('🔓 Issue Reopened');
+        });
+
+        test('should guard reopening like closing', async () => {
+            const denied = createCommand('reopen-issue');
+            denied.member.permissions.has = () => false;
+
+            await bot.handleSlashCommand(denied);
+
+            expect(denied.reply).toHaveBeenCalledWith({ content: '🚫 You do not have permission to close GitHub issues.', ephemeral: true });
+            expect(mockGitHubAPI.reopenIssue).not.toHaveBeenCalled();
+        });
+    });
+
     describe('Configuration Management', () => {
         test('should validate required configuration', () => {
             const requiredFields = [
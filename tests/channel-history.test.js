@@ -0,0 +1,87 @@
+const { parseMessageReference, fetchChannelHistory, selectHistory, chunkMessages } = require('../lib/channel-history');
+
+// Snowflake-sized IDs that sort like their timestamps
+const id = n => String(1100000000000000000n + BigInt(n));
+
+const createMessage = (n, { bot = false } = {}) => ({
+    id: id(n),
+    content: `message ${n}`,
+    createdTimestamp: n * 1000,
+    url: `https://discord.com/channels/g1/c1/${id(n)}`,
+    author: { username: bot ? 'XTBot' : 'jdoe', bot },
+    attachments: new Map(),
+    embeds: []
+});
+
+// Serves messages 1..count newest first, honouring `before` like Discord does
+const createChannel = (count, options) => {
+    const messages = Array.from({ length: count }, (_, index) => createMessage(index + 1, options?.(index + 1)));
+    const fetch = jest.fn(async ({ limit, before }) => {
+        const page = messages
+            .filter(message => !before || BigInt(message.id) < BigInt(before))
+            .sort((a, b) => b.createdTimestamp - a.createdTimestamp)
+            .slice(0, limit);
+        return new Map(page.map(message => [message.id, message]));
+    });
+    return { messages: { fetch } };
+};
+
+describe('Channel History', () => {
+    test('should page back until the message count is reached, oldest first', async () => {
+        const channel = createChannel(250);
+
+        const entries = await fetchChannelHistory(channel, { limit: 150 });
+
+        expect(entries).toHaveLength(150);
+        expect(entries[0].content).toBe('message 101');
+        expect(entries[149]).toMatchObject({ content: 'message 250', timestamp: 250000, author: 'jdoe' });
+        expect(channel.messages.fetch).toHaveBeenCalledTimes(2);
+        expect(channel.messages.fetch.mock.calls[1][0]).toEqual({ limit: 100, before: id(151) });
+    });
+
+    test('should stop at the start of the range and skip bot messages', async () => {
+        const channel = createChannel(300, n => ({ bot: n % 10 === 0 }));
+
+        const sinceMessage = await fetchChannelHistory(channel, { sinceId: id(171), max: 500 });
+        const lastMinute = await fetchChannelHistory(channel, { sinceTimestamp: 241000, max: 500 });
+
+        expect(sinceMessage[0].content).toBe('message 171');
+        expect(sinceMessage).toHaveLength(117);
+        expect(lastMinute).toHaveLength(54);
+        expect(await fetchChannelHistory(createChannel(20), { sinceTimestamp: 0, max: 5 })).toHaveLength(5);
+    });
+
+    test('should stop scanning a channel of mostly bot posts', async () => {
+        const channel = createChannel(1000, n => ({ bot: n % 50 !== 0 }));
+
+        const entries = await fetchChannelHistory(channel, { limit: 50, max: 100 });
+
+        expect(channel.messages.fetch).toHaveBeenCalledTimes(4);
+        expect(entries).toHaveLength(8);
+    });
+
+    test('should apply the same range to captured history', () => {
+        const entries = [1, 2, 3, 4].map(n => ({ messageId: id(n), timestamp: n * 1000 }));
+
+        expect(selectHistory(entries, { limit: 2 }).map(entry => entry.timestamp)).toEqual([3000, 4000]);
+        expect(selectHistory(entries, { sinceId: id(2) })).toHaveLength(3);
+        expect(selectHistory(entries, { sinceTimestamp: 4000 })).toHaveLength(1);
+    });
+
+    test('should read message IDs and links', () => {
+        expect(parseMessageReference(id(1))).toBe(id(1));
+        expect(parseMessageReference(`https://discord.com/channels/123/456/${id(1)}`)).toBe(id(1));
+        expect(parseMessageReference(`https://discord.com/channels/@me/456/${id(1)}`)).toBe(id(1));
+        expect(parseMessageReference('yesterday')).toBeNull();
+    });
+
+    test('should chunk transcripts with overlapping lines', () => {
+        const lines = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40), 'd'.repeat(40), 'e'.repeat(200)];
+
+        const chunks = chunkMessages(lines, { maxChars: 100, overlap: 1 });
+
+        expect(chunks.map(chunk => chunk.map(line => line[0]).join(''))).toEqual(['ab', 'bc', 'cd', 'e']);
+        expect(chunks[3][0]).toHaveLength(100);
+        expect(chunkMessages(['short'], { maxChars: 100 })).toEqual([['short']]);
+    });
+});
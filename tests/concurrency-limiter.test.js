@@ -0,0 +1,28 @@
+const { ConcurrencyLimiter } = require('../lib/concurrency-limiter');
+
+describe('ConcurrencyLimiter', () => {
+    test('should never run more than max tasks at once', async () => {
+        const limiter = new ConcurrencyLimiter(2);
+        let active = 0;
+        let peak = 0;
+        const task = async () => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(resolve => setImmediate(resolve));
+            active--;
+        };
+
+        await Promise.all(Array.from({ length: 6 }, () => limiter.run(task)));
+
+        expect(peak).toBe(2);
+        expect(limiter.active).toBe(0);
+    });
+
+    test('should release the slot when a task fails', async () => {
+        const limiter = new ConcurrencyLimiter(1);
+
+        await expect(limiter.run(() => Promise.reject(new Error('timeout')))).rejects.toThrow('timeout');
+        await expect(limiter.run(async () => 'ok')).resolves.toBe('ok');
+        expect(limiter.waiting).toBe(0);
+    });
+});
@@ -0,0 +1,52 @@
+const { StateStore } = require('../lib/state-store');
+const { DeliveryTracker } = require('../lib/delivery-tracker');
+
+describe('DeliveryTracker', () => {
+    let tracker;
+
+    beforeEach(() => {
+        const store = new StateStore('/tmp/unused-bot-state.json');
+        store.scheduleSave = jest.fn();
+        tracker = new DeliveryTracker(store, { ttl: 1000 });
+    });
+
+    test('should prefer the delivery header over the payload hash', () => {
+        const payload = { event_type: 'ticket.created', data: { id: 1 } };
+
+        expect(DeliveryTracker.deliveryId({ 'x-xtsystems-delivery': 'abc' }, payload)).toBe('id:abc');
+        expect(DeliveryTracker.deliveryId({}, payload)).toBe(DeliveryTracker.deliveryId({ 'x-xtsystems-signature': 'other' }, payload));
+        expect(DeliveryTracker.deliveryId({}, payload)).not.toBe(DeliveryTracker.deliveryId({}, { ...payload, data: { id: 2 } }));
+    });
+
+    test('should flag repeated deliveries as duplicates', () => {
+        expect(tracker.begin('id:1').duplicate).toBe(false);
+        expect(tracker.begin('id:1').duplicate).toBe(true);
+
+        tracker.complete('id:1');
+        const second = tracker.begin('id:1');
+
+        expect(second.duplicate).toBe(true);
+        expect(second.previous.status).toBe('processed');
+    });
+
+    test('should let a failed delivery be retried', () => {
+        tracker.begin('id:2');
+        tracker.fail('id:2', new Error('Discord unavailable'));
+
+        expect(tracker.begin('id:2')).toMatchObject({ duplicate: false, previous: { status: 'failed' } });
+    });
+
+    test('should reopen deliveries interrupted by a restart', () => {
+        tracker.begin('id:3');
+
+        expect(tracker.recoverInterrupted()).toBe(1);
+        expect(tracker.begin('id:3').duplicate).toBe(false);
+    });
+
+    test('should forget deliveries older than the TTL', () => {
+        tracker.begin('id:4');
+
+        expect(tracker.prune(Date.now() + 5000)).toBe(1);
+        expect(tracker.begin('id:4').duplicate).toBe(false);
+    });
+});
@@ -0,0 +1,94 @@
+const { StateStore } = require('../lib/state-store');
+const { ActivityLog } = require('../lib/activity-log');
+const { parseTime, cronExpression, describeSchedule, summarizeIssueActivity, groupByPriority, joinLines, DigestScheduler } = require('../lib/digests');
+
+describe('Digests', () => {
+    test('should turn schedules into cron expressions', () => {
+        expect(parseTime('9:05')).toEqual({ hour: 9, minute: 5 });
+        expect(parseTime('24:00')).toBeNull();
+        expect(cronExpression({ frequency: 'daily', time: '09:30' })).toBe('30 9 * * *');
+        expect(cronExpression({ frequency: 'weekly', time: '17:00', weekday: 'friday' })).toBe('0 17 * * 5');
+        expect(describeSchedule({ frequency: 'weekly', time: '17:00', weekday: 'friday' })).toBe('weekly on Friday at 17:00');
+    });
+
+    test('should count issues opened and closed in the period', () => {
+        const since = Date.parse('2026-10-01T00:00:00Z');
+        const issues = [
+            { number: 1, state: 'open', created_at: '2026-10-02T10:00:00Z' },
+            { number: 2, state: 'closed', created_at: '2026-09-01T10:00:00Z', closed_at: '2026-10-03T10:00:00Z' },
+            { number: 3, state: 'open', created_at: '2026-09-01T10:00:00Z' }
+        ];
+
+        const { opened, closed } = summarizeIssueActivity(issues, since);
+
+        expect(opened.map(issue => issue.number)).toEqual([1]);
+        expect(closed.map(issue => issue.number)).toEqual([2]);
+    });
+
+    test('should group by priority in order, whatever the case', () => {
+        const groups = groupByPriority([{ p: 'high' }, { p: 'Low' }, { p: 'urgent' }, { p: 'HIGH' }], ['High', 'Low'], item => item.p);
+
+        expect([...groups].map(([priority, items]) => [priority, items.length])).toEqual([['High', 2], ['Low', 1], ['Other', 1]]);
+    });
+
+    test('should keep whole lines within the field limit', () => {
+        const lines = Array.from({ length: 10 }, (_, index) => `line ${index} ${'x'.repeat(20)}`);
+
+        const joined = joinLines(lines, 100);
+
+        expect(joined.length).toBeLessThanOrEqual(100);
+        expect(joined.split('\n').slice(-1)[0]).toBe('…and 7 more');
+        expect(joinLines(['a', 'b'], 100)).toBe('a\nb');
+    });
+
+    test('should replace and stop scheduled jobs', async () => {
+        const tasks = [];
+        const schedule = jest.fn((expression, job, options) => {
+            const task = { expression, job, options, stop: jest.fn() };
+            tasks.push(task);
+            return task;
+        });
+        const run = jest.fn().mockRejectedValueOnce(new Error('Discord down'));
+        const scheduler = new DigestScheduler({ run, timezone: 'Europe/Berlin', schedule });
+
+        scheduler.set('c1', { frequency: 'daily', time: '08:00' });
+        scheduler.set('c1', { frequency: 'weekly', time: '08:00', weekday: 'monday' });
+        await tasks[1].job();
+
+        expect(tasks[0].stop).toHaveBeenCalled();
+        expect(tasks[1]).toMatchObject({ expression: '0 8 * * 1', options: { timezone: 'Europe/Berlin' } });
+        expect(run).toHaveBeenCalledWith('c1');
+
+        scheduler.stop();
+        expect(tasks[1].stop).toHaveBeenCalled();
+    });
+});
+
+describe('ActivityLog', () => {
+    let log;
+
+    beforeEach(() => {
+        const store = new StateStore('/tmp/unused-bot-state.json');
+        store.scheduleSave = jest.fn();
+        log = new ActivityLog(store, { retention: 1000 });
+    });
+
+    test('should count suggestion outcomes, keeping the first decision', () => {
+        log.recordSuggestion('m1', { channelId: 'c1', guildId: 'g1', title: 'Crash' });
+        log.recordSuggestion('m2', { channelId: 'c1', guildId: 'g1', title: 'Dark mode' });
+        log.recordSuggestion('m3', { channelId: 'c2', guildId: 'g2', title: 'Other server' });
+
+        expect(log.resolveSuggestion('m1', 'accepted')).toBe(true);
+        expect(log.resolveSuggestion('m1', 'ignored')).toBe(false);
+
+        expect(log.suggestionOutcomesSince(0, { guildId: 'g1' })).toEqual({ posted: 2, accepted: 1, ignored: 0, pending: 1 });
+    });
+
+    test('should list alerts in the period and prune old entries', () => {
+        log.recordAlert({ alertType: 'disk', severity: 'High' });
+
+        expect(log.alertsSince(Date.now() - 100)).toMatchObject([{ alertType: 'disk', severity: 'High' }]);
+        expect(log.alertsSince(Date.now() + 100)).toEqual([]);
+        expect(log.prune(Date.now() + 5000)).toBe(1);
+    });
+});
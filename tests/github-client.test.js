@@ -0,0 +1,184 @@
+const http = require('http');
+const { GitHubClient, GitHubError } = require('../lib/github-client');
+
+// Minimal stand-in for the GitHub REST API: routes are "METHOD /path" -> handler(req, body, url)
+function startStandIn(routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ method: req.method, path: url.pathname, query: url.searchParams, body, headers: req.headers });
+
+            const handler = routes[`${req.method} ${url.pathname}`];
+            const { status = 200, headers = {}, data = {} } = handler ? handler({ body, url, port: server.address().port }) : { status: 404, data: { message: 'Not Found' } };
+
+            res.writeHead(status, {
+                'content-type': 'application/json',
+                'x-ratelimit-limit': '5000',
+                'x-ratelimit-remaining': '4999',
+                'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600),
+                ...headers
+            });
+            res.end(JSON.stringify(data));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const client = new GitHubClient({ token: 'test-token', baseUrl: `http://127.0.0.1:${server.address().port}` });
+            resolve({ server, client, requests });
+        });
+    });
+}
+
+describe('GitHubClient', () => {
+    let standIn;
+
+    afterEach(done => {
+        standIn.server.close(done);
+    });
+
+    test('should create issues with title, body and labels passed verbatim', async () => {
+        standIn = await startStandIn({
+            'POST /repos/acme/website/issues': () => ({ status: 201, data: { number: 42 } })
+        });
+
+        const title = 'Login "broken" when name contains `quotes`; $(rm -rf /)';
+        const body = 'Line one\nLine "two"';
+        const number = await standIn.client.createIssue({ owner: 'acme', repo: 'website', title, body, labels: ['bug', null] });
+
+        expect(number).toBe(42);
+        expect(standIn.requests[0].headers.authorization).toBe('token test-token');
+        expect(standIn.requests[0].body).toEqual({ title, body, labels: ['bug'], assignees: [] });
+    });
+
+    test('should search with a qualifier per filter', async () => {
+        standIn = await startStandIn({
+            'GET /search/issues': () => ({ data: { total_count: 31, items: [{ number: 9, title: 'Crash on "export"' }] } })
+        });
+
+        const result = await standIn.client.searchIssues({
+            owner: 'acme', repo: 'website', state: 'closed', label: 'good "first" issue', assignee: 'none', author: 'jdoe', text: 'crash export', page: 2
+        });
+
+        expect(result).toEqual({ total: 31, issues: [{ number: 9, title: 'Crash on "export"' }] });
+        const { query } = standIn.requests[0];
+        expect(query.get('q')).toBe('repo:acme/website is:issue is:closed label:"good first issue" no:assignee author:jdoe crash export');
+        expect([query.get('page'), query.get('per_page'), query.get('sort')]).toEqual(['2', '10', 'created']);
+    });
+
+    test('should keep searches within the repository', async () => {
+        standIn = await startStandIn({
+            'GET /search/issues': () => ({ data: { total_count: 0, items: [] } })
+        });
+
+        await standIn.client.searchIssues({ owner: 'acme', repo: 'website', text: 'crash repo:other/x OR org:"big corp" -is:issue export' });
+
+        expect(standIn.requests[0].query.get('q')).toBe('repo:acme/website is:issue is:open crash OR export');
+    });
+
+    test('should keep search words that only look like qualifiers', async () => {
+        standIn = await startStandIn({
+            'GET /search/issues': () => ({ data: { total_count: 0, items: [] } })
+        });
+
+        await standIn.client.searchIssues({ owner: 'acme', repo: 'website', text: 'TypeError: x is undefined REPO:other/x' });
+
+        expect(standIn.requests[0].query.get('q')).toBe('repo:acme/website is:issue is:open TypeError: x is undefined');
+    });
+
+    test('should tell whether a user can be assigned issues', async () => {
+        standIn = await startStandIn({
+            'GET /repos/acme/website/assignees/octocat': () => ({ status: 204 }),
+            'GET /repos/acme/website/assignees/ghost': () => ({ status: 404, data: { message: 'Not Found' } })
+        });
+
+        expect(await standIn.client.canBeAssigned({ owner: 'acme', repo: 'website', login: 'octocat' })).toBe(true);
+        expect(await standIn.client.canBeAssigned({ owner: 'acme', repo: 'website', login: 'ghost' })).toBe(false);
+    });
+
+    test('should page through results and skip pull requests', async () => {
+        standIn = await startStandIn({
+            'GET /repos/acme/website/issues': ({ url, port }) => {
+                const page = parseInt(url.searchParams.get('page') || '1');
+                if (page === 1) {
+                    return {
+                        headers: { link: `<http://127.0.0.1:${port}/repos/acme/website/issues?page=2>; rel="next"` },
+                        data: [{ number: 3, title: 'Issue 3' }, { number: 2, title: 'PR 2', pull_request: {} }]
+                    };
+                }
+                return { data: [{ number: 1, title: 'Issue 1' }] };
+            }
+        });
+
+        const issues = await standIn.client.listIssues({ owner: 'acme', repo: 'website', limit: 5 });
+
+        expect(issues.map(issue => issue.number)).toEqual([3, 1]);
+        expect(standIn.requests).toHaveLength(2);
+    });
+
+    test('should comment before closing an issue', async () => {
+        standIn = await startStandIn({
+            'POST /repos/acme/website/issues/7/comments': () => ({ status: 201, data: { id: 1 } }),
+            'PATCH /repos/acme/website/issues/7': ({ body }) => ({ data: { number: 7, state: body.state } })
+        });
+
+        const issue = await standIn.client.closeIssue({ owner: 'acme', repo: 'website', issueNumber: 7, comment: 'Fixed "it"' });
+
+        expect(issue.state).toBe('closed');
+        expect(standIn.requests.map(request => request.method)).toEqual(['POST', 'PATCH']);
+        expect(standIn.requests[0].body.body).toBe('Fixed "it"');
+    });
+
+    test('should read the latest comments from the last pages', async () => {
+        const comments = Array.from({ length: 102 }, (_, index) => ({ id: index + 1 }));
+        standIn = await startStandIn({
+            'GET /repos/acme/website/issues/7/comments': ({ url }) => {
+                const page = parseInt(url.searchParams.get('page'));
+                return { data: comments.slice((page - 1) * 100, page * 100) };
+            }
+        });
+
+        const latest = await standIn.client.listComments({ owner: 'acme', repo: 'website', issueNumber: 7, total: 102, limit: 3 });
+
+        expect(latest.map(comment => comment.id)).toEqual([100, 101, 102]);
+        expect(standIn.requests.map(request => request.query.get('page'))).toEqual(['2', '1']);
+    });
+
+    test('should map API failures to GitHubError', async () => {
+        standIn = await startStandIn({
+            'POST /repos/acme/website/issues': () => ({
+                status: 422,
+                data: { message: 'Validation Failed', errors: [{ resource: 'Issue', field: 'title', code: 'missing_field' }] }
+            })
+        });
+
+        await expect(standIn.client.getIssue({ owner: 'acme', repo: 'website', issueNumber: 99 }))
+            .rejects.toMatchObject({ name: 'GitHubError', status: 404, code: 'not_found' });
+        await expect(standIn.client.createIssue({ owner: 'acme', repo: 'website', title: '' }))
+            .rejects.toThrow('GitHub rejected the request: title missing_field');
+    });
+
+    test('should stop calling GitHub once the rate limit is exhausted', async () => {
+        const resetAt = Math.floor(Date.now() / 1000) + 600;
+        standIn = await startStandIn({
+            'GET /repos/acme/website/issues/1': () => ({
+                status: 403,
+                headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(resetAt) },
+                data: { message: 'API rate limit exceeded' }
+            })
+        });
+
+        const first = standIn.client.getIssue({ owner: 'acme', repo: 'website', issueNumber: 1 });
+        await expect(first).rejects.toBeInstanceOf(GitHubError);
+        await expect(first).rejects.toMatchObject({ code: 'rate_limited' });
+
+        await expect(standIn.client.getIssue({ owner: 'acme', repo: 'website', issueNumber: 1 }))
+            .rejects.toMatchObject({ code: 'rate_limited' });
+        expect(standIn.requests).toHaveLength(1);
+        expect(standIn.client.rateLimit.resetAt.getTime()).toBe(resetAt * 1000);
+    });
+});
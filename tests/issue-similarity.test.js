@@ -0,0 +1,34 @@
+const { tokenize, similarity, findSimilarIssues } = require('../lib/issue-similarity');
+
+describe('Issue similarity', () => {
+    test('should ignore stop words, plurals and links when tokenizing', () => {
+        expect([...tokenize('The uploads crashes on https://example.com/upload for files')]).toEqual(['upload', 'crash', 'file']);
+    });
+
+    test('should score reworded titles above unrelated issues', () => {
+        const report = { title: 'Login page crashes after password reset', body: '' };
+
+        expect(similarity(report, { title: 'Crash on login page after resetting password', body: '' }))
+            .toBeGreaterThan(similarity(report, { title: 'Add CSV export to reports', body: '' }));
+    });
+
+    test('should ignore the footer the bot adds to issues it created', () => {
+        const footer = '\n\n---\n*Created via Discord by someone*\n*Priority: medium*';
+        const report = { title: 'Export times out', body: 'Created via Discord priority medium' };
+
+        expect(similarity(report, { title: 'Dark mode', body: `Please add it${footer}` })).toBe(0);
+    });
+
+    test('should return the best matches above the threshold', () => {
+        const issues = [
+            { number: 1, title: 'Dashboard loads slowly' },
+            { number: 2, title: 'Webhook signature verification fails' },
+            { number: 3, title: 'Webhook signature fails after secret rotation' }
+        ];
+
+        const matches = findSimilarIssues({ title: 'Webhook signature verification fails after rotation' }, issues, { limit: 2 });
+
+        expect(matches.map(match => match.issue.number)).toEqual([2, 3]);
+        expect(matches[0].score).toBeGreaterThanOrEqual(matches[1].score);
+    });
+});
@@ -0,0 +1,139 @@
+const { StateStore } = require('../lib/state-store');
+const { NotificationQueue } = require('../lib/notification-queue');
+
+describe('NotificationQueue', () => {
+    let store;
+
+    const createQueue = (options) => new NotificationQueue(store, { baseDelay: 1000, ...options });
+
+    beforeEach(() => {
+        store = new StateStore('/tmp/unused-bot-state.json');
+        store.scheduleSave = jest.fn();
+    });
+
+    test('should deliver items in order per channel', async () => {
+        const delivered = [];
+        const queue = createQueue({ isReady: () => false, send: async item => delivered.push(item.payload.n) });
+
+        queue.enqueue('c1', { n: 1 });
+        queue.enqueue('c2', { n: 2 });
+        queue.enqueue('c1', { n: 3 });
+
+        queue.isReady = () => true;
+        await queue.process();
+
+        expect(delivered.filter(n => n !== 2)).toEqual([1, 3]);
+        expect(delivered).toContain(2);
+        expect(queue.pending()).toHaveLength(0);
+    });
+
+    test('should keep items queued while the bot is not ready', async () => {
+        const send = jest.fn();
+        const queue = createQueue({ isReady: () => false, send });
+
+        queue.enqueue('c1', { n: 1 });
+        await queue.process();
+
+        expect(send).not.toHaveBeenCalled();
+        expect(queue.pending()).toHaveLength(1);
+    });
+
+    test('should back off after a failure and hold later items for the channel', async () => {
+        const send = jest.fn().mockRejectedValueOnce(new Error('Service unavailable')).mockResolvedValue({});
+        const queue = createQueue({ isReady: () => false, send });
+
+        queue.enqueue('c1', { n: 1 });
+        queue.enqueue('c1', { n: 2 });
+        queue.isReady = () => true;
+        await queue.process();
+
+        const [head, next] = queue.pending();
+        expect(head).toMatchObject({ attempts: 1, lastError: 'Service unavailable' });
+        expect(head.nextAttemptAt).toBeGreaterThan(Date.now());
+        expect(next.attempts).toBe(0);
+        expect(send).toHaveBeenCalledTimes(1);
+
+        await queue.retryPendingNow();
+
+        expect(send).toHaveBeenCalledTimes(3);
+        expect(queue.pending()).toHaveLength(0);
+    });
+
+    test('should dead-letter permanent failures and exhausted retries', async () => {
+        const permanent = Object.assign(new Error('Missing Access'), { code: 50001 });
+        const send = jest.fn()
+            .mockRejectedValueOnce(permanent)
+            .mockRejectedValue(new Error('Timeout'));
+        const queue = createQueue({ send, maxAttempts: 2, isPermanentError: error => error.code === 50001 });
+
+        queue.enqueue('c1', { n: 1 });
+        await queue.process();
+        queue.enqueue('c2', { n: 2 });
+        await queue.process();
+        await queue.retryPendingNow();
+
+        expect(queue.pending()).toHaveLength(0);
+        expect(queue.deadLetters().map(item => [item.channelId, item.attempts, item.lastError])).toEqual([
+            ['c1', 1, 'Missing Access'],
+            ['c2', 2, 'Timeout']
+        ]);
+    });
+
+    test('should requeue dead letters on retry and report deliveries', async () => {
+        const onDelivered = jest.fn();
+        const send = jest.fn().mockRejectedValueOnce(new Error('Timeout')).mockResolvedValue({ id: 'm1' });
+        const queue = createQueue({ send, maxAttempts: 1, onDelivered });
+
+        const item = queue.enqueue('c1', { n: 1 }, { context: { machineId: '7' } });
+        await queue.process();
+        expect(queue.deadLetters()).toHaveLength(1);
+
+        expect(queue.retry('unknown')).toHaveLength(0);
+        expect(queue.retry(item.id)).toHaveLength(1);
+        await queue.process();
+
+        expect(queue.deadLetters()).toHaveLength(0);
+        expect(onDelivered).toHaveBeenCalledWith(expect.objectContaining({ context: { machineId: '7' } }), { id: 'm1' });
+    });
+
+    test('should drop dead letters by id or all at once', async () => {
+        const queue = createQueue({ send: jest.fn().mockRejectedValue(new Error('Timeout')), maxAttempts: 1 });
+
+        const first = queue.enqueue('c1', { n: 1 });
+        queue.enqueue('c2', { n: 2 });
+        await queue.process();
+
+        expect(queue.drop('unknown')).toHaveLength(0);
+        expect(queue.drop(first.id).map(item => item.id)).toEqual([first.id]);
+        expect(queue.deadLetters()).toHaveLength(1);
+        expect(queue.drop()).toHaveLength(1);
+        expect(queue.deadLetters()).toHaveLength(0);
+    });
+
+    test('should forget old dead letters and keep only the most recent', async () => {
+        const queue = createQueue({ send: jest.fn().mockRejectedValue(new Error('Timeout')), maxAttempts: 1, deadLetterTTL: 1000, maxDeadLetters: 2 });
+
+        for (const channelId of ['c1', 'c2', 'c3']) {
+            queue.enqueue(channelId, {});
+            await queue.process();
+        }
+        expect(queue.deadLetters().map(item => item.channelId)).toEqual(['c2', 'c3']);
+
+        expect(queue.pruneDeadLetters(Date.now() + 2000)).toBe(2);
+        expect(queue.deadLetters()).toHaveLength(0);
+    });
+
+    test('should resume items persisted by a previous run', async () => {
+        const first = createQueue({ isReady: () => false, send: jest.fn() });
+        first.enqueue('c1', { n: 1 });
+
+        const send = jest.fn().mockResolvedValue({});
+        const restarted = createQueue({ send });
+        restarted.start();
+        restarted.stop();
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(send).toHaveBeenCalledWith(expect.objectContaining({ payload: { n: 1 } }));
+        expect(restarted.enqueue('c1', { n: 2 }).seq).toBe(2);
+    });
+});
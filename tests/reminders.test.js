@@ -0,0 +1,37 @@
+const { StateStore } = require('../lib/state-store');
+const { TicketLinks, isDue, nextPriority } = require('../lib/reminders');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Reminders', () => {
+    test('should be due after the stale period, again a period after reminding, and never while snoozed', () => {
+        const now = 100 * DAY;
+
+        expect(isDue({ lastActivityAt: now - 2 * DAY }, 3 * DAY, now)).toBe(false);
+        expect(isDue({ lastActivityAt: now - 3 * DAY }, 3 * DAY, now)).toBe(true);
+        expect(isDue({ lastActivityAt: now - 9 * DAY, remindedAt: now - DAY }, 3 * DAY, now)).toBe(false);
+        expect(isDue({ lastActivityAt: now - 9 * DAY, remindedAt: now - 4 * DAY }, 3 * DAY, now)).toBe(true);
+        expect(isDue({ lastActivityAt: now - 9 * DAY, snoozedUntil: now + 1 }, 3 * DAY, now)).toBe(false);
+    });
+
+    test('should step priorities up to the highest', () => {
+        const order = ['Low', 'Medium', 'High', 'Critical'];
+
+        expect(nextPriority('medium', order)).toBe('High');
+        expect(nextPriority('Critical', order)).toBeNull();
+        expect(nextPriority('P1', order)).toBeNull();
+    });
+
+    test('should track tickets by ID', () => {
+        const store = new StateStore('/tmp/unused-bot-state.json');
+        store.scheduleSave = jest.fn();
+        const links = new TicketLinks(store);
+
+        links.track(42, { channelId: 'c1', title: 'Printer' });
+        links.update(links.get('42'), { priority: 'High' });
+
+        expect(links.all()).toMatchObject([{ ticketId: '42', channelId: 'c1', priority: 'High', messageId: null }]);
+        links.remove(42);
+        expect(links.get(42)).toBeNull();
+    });
+});
@@ -0,0 +1,55 @@
+const { captureMessage, loadTextLogs, formatAttachments, summarizeAttachments } = require('../lib/report-attachments');
+
+const message = {
+    id: 'm1',
+    url: 'https://discord.com/channels/g1/c1/m1',
+    content: '',
+    author: { username: 'jdoe' },
+    attachments: new Map([
+        ['a1', { name: 'crash.png', url: 'https://cdn.example.com/crash.png', contentType: 'image/png', size: 204800 }],
+        ['a2', { name: 'server.log', url: 'https://cdn.example.com/server.log', contentType: 'text/plain; charset=utf-8', size: 120 }],
+        ['a3', { name: 'dump.zip', url: 'https://cdn.example.com/dump.zip', contentType: 'application/zip', size: 5 * 1024 * 1024 }]
+    ]),
+    embeds: [{ title: 'Status page', url: 'https://status.example.com', description: 'Partial outage' }, { description: null }]
+};
+
+describe('Report attachments', () => {
+    test('should capture attachments and link embeds', () => {
+        const captured = captureMessage(message);
+
+        expect(captured).toMatchObject({ messageId: 'm1', author: 'jdoe', url: message.url });
+        expect(captured.attachments.map(attachment => attachment.name)).toEqual(['crash.png', 'server.log', 'dump.zip']);
+        expect(captured.embeds).toEqual([{ title: 'Status page', url: 'https://status.example.com', description: 'Partial outage' }]);
+        expect(summarizeAttachments(captured)).toBe('[attached: crash.png, server.log, dump.zip] [linked: Status page]');
+    });
+
+    test('should inline small text logs and link everything else', async () => {
+        const captured = [captureMessage(message)];
+        const fetchText = jest.fn().mockResolvedValue('ERROR ```boom```\n');
+
+        const logs = await loadTextLogs(captured, fetchText, { maxBytes: 1024 });
+        const section = formatAttachments(captured, { logs });
+
+        expect(fetchText).toHaveBeenCalledTimes(1);
+        expect(fetchText).toHaveBeenCalledWith('https://cdn.example.com/server.log', 1024);
+        expect(section).toContain('![crash.png](https://cdn.example.com/crash.png)');
+        expect(section).toContain('- 📎 [dump.zip](https://cdn.example.com/dump.zip) (5.0 MB)');
+        expect(section).toContain('````\nERROR ```boom```\n````');
+        expect(section).toContain('- 🔗 [Status page](https://status.example.com): Partial outage');
+    });
+
+    test('should link logs that are too large or fail to download', async () => {
+        const captured = [captureMessage(message)];
+
+        const tooLarge = await loadTextLogs(captured, jest.fn(), { maxBytes: 100 });
+        const failed = await loadTextLogs(captured, jest.fn().mockRejectedValue(new Error('403')));
+
+        expect(tooLarge.size).toBe(0);
+        expect(failed.size).toBe(0);
+        expect(formatAttachments(captured, { logs: failed, style: 'plain' })).toContain('- server.log (120 B): https://cdn.example.com/server.log');
+    });
+
+    test('should render nothing for plain text messages', () => {
+        expect(formatAttachments([captureMessage({ id: 'm2', content: 'hi', attachments: new Map(), embeds: [] })])).toBe('');
+    });
+});
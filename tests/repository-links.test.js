@@ -0,0 +1,62 @@
+const { StateStore } = require('../lib/state-store');
+const { RepositoryLinks, formatRepository, repositoryUrl } = require('../lib/repository-links');
+
+describe('RepositoryLinks', () => {
+    let links;
+
+    beforeEach(() => {
+        const store = new StateStore('/tmp/unused-bot-state.json');
+        store.scheduleSave = jest.fn();
+        links = new RepositoryLinks(store, () => ({ owner: 'DevXT-LLC', repo: 'xtsystems' }));
+    });
+
+    test('should fall back to the environment repository', () => {
+        expect(links.resolve({ channelId: 'c1', guildId: 'g1' })).toEqual({
+            owner: 'DevXT-LLC', repo: 'xtsystems', source: 'default'
+        });
+    });
+
+    test('should prefer channel links over the guild default', () => {
+        links.link('guild', 'g1', 'acme', 'platform');
+        links.link('channel', 'c1', 'acme', 'website', { guildId: 'g1' });
+
+        expect(links.resolve({ channelId: 'c1', guildId: 'g1' })).toMatchObject({ repo: 'website', source: 'channel' });
+        expect(links.resolve({ channelId: 'c2', guildId: 'g1' })).toMatchObject({ repo: 'platform', source: 'guild' });
+    });
+
+    test('should resolve threads through their parent channel', () => {
+        links.link('channel', 'parent', 'acme', 'website');
+
+        expect(links.resolve({ channelId: 'thread', parentId: 'parent', guildId: 'g1' })).toMatchObject({ repo: 'website' });
+    });
+
+    test('should not affect other channels when one channel is linked or unlinked', () => {
+        links.link('channel', 'c1', 'acme', 'website');
+
+        expect(links.resolve({ channelId: 'c2' }).repo).toBe('xtsystems');
+        expect(links.unlink('channel', 'c1')).toBe(true);
+        expect(links.unlink('channel', 'c1')).toBe(false);
+        expect(links.resolve({ channelId: 'c1' }).repo).toBe('xtsystems');
+    });
+
+    test('should reject invalid repository names', () => {
+        expect(() => links.link('channel', 'c1', 'acme', 'web site')).toThrow('Invalid repository name');
+        expect(() => links.link('channel', 'c1', 'acme"; rm -rf', 'x')).toThrow('Invalid repository name');
+        expect(() => links.link('team', 'c1', 'acme', 'website')).toThrow('Unknown link scope');
+    });
+
+    test('should list guild default and channel links for one guild', () => {
+        links.link('guild', 'g1', 'acme', 'platform');
+        links.link('channel', 'c1', 'acme', 'website', { guildId: 'g1' });
+        links.link('channel', 'c2', 'other', 'repo', { guildId: 'g2' });
+
+        const { guild, channels } = links.list('g1');
+
+        expect(formatRepository(guild)).toBe('acme/platform');
+        expect(channels.map(link => link.channelId)).toEqual(['c1']);
+    });
+
+    test('should build repository URLs', () => {
+        expect(repositoryUrl({ owner: 'acme', repo: 'website' }, '/issues/4')).toBe('https://github.com/acme/website/issues/4');
+    });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { StateStore } = require('../lib/state-store');
+
+describe('StateStore', () => {
+    let dataDir;
+    let filePath;
+
+    beforeEach(async () => {
+        dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'state-store-'));
+        filePath = path.join(dataDir, 'nested', 'bot-state.json');
+    });
+
+    afterEach(async () => {
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    test('should start empty when no state file exists', async () => {
+        const store = await new StateStore(filePath).load();
+
+        expect(store.loaded).toBe(true);
+        expect(store.get('monitorChannels', [])).toEqual([]);
+    });
+
+    test('should persist values and collections across instances', async () => {
+        const store = await new StateStore(filePath).load();
+        store.set('monitorChannels', ['123']);
+        store.setEntry('pendingAnalyses', 'msg-1', { analysis: { title: 'Crash' }, createdAt: 1 });
+        await store.flush();
+
+        const reloaded = await new StateStore(filePath).load();
+
+        expect(reloaded.get('monitorChannels')).toEqual(['123']);
+        expect(reloaded.getEntry('pendingAnalyses', 'msg-1').analysis.title).toBe('Crash');
+    });
+
+    test('should delete and prune collection entries', async () => {
+        const store = await new StateStore(filePath).load();
+        store.setEntry('pendingAnalyses', 'old', { createdAt: 1 });
+        store.setEntry('pendingAnalyses', 'new', { createdAt: Date.now() });
+        store.setEntry('pendingAnalyses', 'gone', { createdAt: Date.now() });
+
+        expect(store.deleteEntry('pendingAnalyses', 'gone')).toBe(true);
+        expect(store.deleteEntry('pendingAnalyses', 'missing')).toBe(false);
+        expect(store.prune('pendingAnalyses', entry => entry.createdAt < 1000)).toBe(1);
+        expect(store.entries('pendingAnalyses').map(([id]) => id)).toEqual(['new']);
+    });
+
+    test('should not clash when two stores write the same file at once', async () => {
+        const first = await new StateStore(filePath).load();
+        const second = await new StateStore(filePath).load();
+        first.set('monitorChannels', ['123']);
+        second.set('monitorChannels', ['456']);
+
+        await Promise.all([first.save(), second.save()]);
+        const files = await fs.readdir(path.dirname(filePath));
+        const reloaded = await new StateStore(filePath).load();
+
+        expect(files).toEqual(['bot-state.json']);
+        expect(['123', '456']).toContain(reloaded.get('monitorChannels')[0]);
+    });
+
+    test('should set aside a corrupt state file and start fresh', async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, '{ not json');
+
+        const store = await new StateStore(filePath).load();
+        const files = await fs.readdir(path.dirname(filePath));
+
+        expect(store.get('monitorChannels')).toBeUndefined();
+        expect(files.some(file => file.startsWith('bot-state.json.corrupt-'))).toBe(true);
+    });
+});
@@ -11,6 +11,8 @@ const axios = require('axios');
 const readline = require('readline');
 require('dotenv').config();
 
+const { WEBHOOK_EVENTS, SUPPORTED_EVENTS } = require('./lib/webhook-events');
+
 const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout
@@ -64,21 +66,10 @@ class WebhookSetup {
 
             // Select events
             console.log('\nAvailable events:');
-            const availableEvents = [
-                'ticket.created',
-                'ticket.updated',
-                'ticket.closed',
-                'asset.created',
-                'asset.updated',
-                'user.created',
-                'company.created',
-                'machine.registered',
-                'machine.approved',
-                'alert.triggered'
-            ];
+            const availableEvents = SUPPORTED_EVENTS;
 
             availableEvents.forEach((event, index) => {
-                console.log(`${index + 1}. ${event}`);
+                console.log(`${index + 1}. ${event} - ${WEBHOOK_EVENTS[event].description}`);
             });
 
             const eventSelection = await this.prompt('\nSelect events (comma-separated numbers, or "all"): ');